@@ -5,12 +5,17 @@
  * - Communicate with local judge API
  * - Handle messages from content scripts and popup
  * - Store problem data and test cases
+ * - Pick up problems received by the judge from Competitive Companion
  * - Orchestrate code execution
+ * - Relay streamed run progress (Server-Sent Events) to the popup over a port
  * - Manage extension state
  */
 
 const JUDGE_API_URL = 'http://localhost:3000/api';
 
+// A streamed run is aborted after this long without any event (the judge sends heartbeats)
+const STREAM_IDLE_TIMEOUT = 30000;
+
 // Extension state
 let currentProblem = null;
 let executionInProgress = false;
@@ -34,7 +39,7 @@ async function checkJudgeHealth() {
 /**
  * Execute code on local judge
  */
-async function executeCode(language, code, testCases, timeLimit = 2000) {
+async function executeCode(language, code, testCases, timeLimit = 2000, memoryLimit = 256, comparator = null, validator = null, problem = null) {
   if (executionInProgress) {
     throw new Error('Execution already in progress');
   }
@@ -53,7 +58,11 @@ async function executeCode(language, code, testCases, timeLimit = 2000) {
         language,
         code,
         testCases,
-        timeLimit
+        timeLimit,
+        memoryLimit,
+        comparator,
+        validator,
+        problem
       }),
       signal: AbortSignal.timeout(30000) // 30 second total timeout
     });
@@ -76,6 +85,125 @@ async function executeCode(language, code, testCases, timeLimit = 2000) {
   }
 }
 
+/**
+ * Parse Server-Sent Events out of a text buffer
+ * @returns {object} { events: [{ type, data }], rest } (rest: incomplete tail)
+ */
+function parseEventStream(buffer) {
+  const blocks = buffer.split('\n\n');
+  const rest = blocks.pop();
+  const events = [];
+
+  for (const block of blocks) {
+    let type = 'message';
+    const data = [];
+    for (const line of block.split('\n')) {
+      if (line.startsWith('event:')) type = line.slice(6).trim();
+      else if (line.startsWith('data:')) data.push(line.slice(5).trim());
+    }
+    // Comment-only blocks (heartbeats) carry no data
+    if (data.length > 0) {
+      events.push({ type, data: JSON.parse(data.join('\n')) });
+    }
+  }
+
+  return { events, rest };
+}
+
+/**
+ * Execute code on local judge, posting each progress event to a port
+ * Ends with a 'summary' or 'error' event.
+ */
+async function streamExecution(port, request) {
+  if (executionInProgress) {
+    port.postMessage({ type: 'error', data: { error: 'Execution already in progress' } });
+    return;
+  }
+
+  executionInProgress = true;
+  const controller = new AbortController();
+  let idleTimer = null;
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => controller.abort(), STREAM_IDLE_TIMEOUT);
+  };
+  port.onDisconnect.addListener(() => controller.abort());
+
+  try {
+    console.log('[CP-JUDGE] Streaming execution...', { language: request.language, testCases: request.testCases.length });
+    resetIdleTimer();
+
+    const response = await fetch(`${JUDGE_API_URL}/run/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        language: request.language,
+        code: request.code,
+        testCases: request.testCases,
+        timeLimit: request.timeLimit,
+        memoryLimit: request.memoryLimit,
+        comparator: request.comparator,
+        validator: request.validator,
+        problem: request.problem
+      }),
+      signal: controller.signal
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP ${response.status}`);
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      resetIdleTimer();
+
+      const parsed = parseEventStream(buffer + value);
+      buffer = parsed.rest;
+      parsed.events.forEach(event => port.postMessage(event));
+    }
+
+  } catch (error) {
+    const message = controller.signal.aborted
+      ? `No progress from the judge for ${STREAM_IDLE_TIMEOUT / 1000}s`
+      : error.message;
+    console.error('[CP-JUDGE] Streamed execution failed:', message);
+    try {
+      port.postMessage({ type: 'error', data: { error: message } });
+    } catch {
+      // Popup already closed
+    }
+  } finally {
+    clearTimeout(idleTimer);
+    executionInProgress = false;
+  }
+}
+
+/**
+ * Check test inputs with the problem's validator
+ */
+async function validateInputs(validator, inputs) {
+  const response = await fetch(`${JUDGE_API_URL}/validate`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ validator, inputs }),
+    signal: AbortSignal.timeout(30000)
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+  return result;
+}
+
 /**
  * Get supported languages from judge
  */
@@ -114,22 +242,41 @@ async function storeProblem(problemData) {
   console.log('[CP-JUDGE] Problem stored:', problemData.name);
 }
 
+/**
+ * Get the problem the judge received from Competitive Companion, if any
+ */
+async function getCompanionProblem() {
+  try {
+    const response = await fetch(`${JUDGE_API_URL}/current-problem`, {
+      method: 'GET',
+      signal: AbortSignal.timeout(2000)
+    });
+    if (!response.ok) return null;
+
+    const data = await response.json();
+    return data.problem || null;
+  } catch {
+    return null; // Judge offline
+  }
+}
+
 /**
  * Get current problem data
+ * The most recent of the parsed problem and Competitive Companion's wins.
  */
 async function getCurrentProblem() {
-  if (currentProblem) {
-    return currentProblem;
+  if (!currentProblem) {
+    // Try to load from storage
+    const data = await chrome.storage.local.get(['currentProblem']);
+    currentProblem = data.currentProblem || null;
   }
 
-  // Try to load from storage
-  const data = await chrome.storage.local.get(['currentProblem']);
-  if (data.currentProblem) {
-    currentProblem = data.currentProblem;
-    return currentProblem;
+  const companionProblem = await getCompanionProblem();
+  if (companionProblem && companionProblem.timestamp > (currentProblem?.timestamp || 0)) {
+    await storeProblem(companionProblem);
   }
 
-  return null;
+  return currentProblem;
 }
 
 /**
@@ -138,6 +285,12 @@ async function getCurrentProblem() {
 async function clearProblem() {
   currentProblem = null;
   await chrome.storage.local.remove(['currentProblem', 'lastUpdated']);
+
+  // Otherwise the next GET_PROBLEM picks the Competitive Companion problem up again
+  await fetch(`${JUDGE_API_URL}/current-problem`, {
+    method: 'DELETE',
+    signal: AbortSignal.timeout(2000)
+  }).catch(() => {});
   console.log('[CP-JUDGE] Problem cleared');
 }
 
@@ -181,11 +334,20 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             message.language,
             message.code,
             message.testCases,
-            message.timeLimit
+            message.timeLimit,
+            message.memoryLimit,
+            message.comparator,
+            message.validator,
+            message.problem
           );
           sendResponse({ success: true, result });
           break;
 
+        case 'VALIDATE_INPUTS':
+          const validation = await validateInputs(message.validator, message.inputs);
+          sendResponse({ success: true, validation });
+          break;
+
         default:
           sendResponse({ success: false, error: 'Unknown message type' });
       }
@@ -202,6 +364,14 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
   return true;
 });
 
+/**
+ * Streamed runs: the popup connects a 'run-stream' port and posts the request
+ */
+chrome.runtime.onConnect.addListener((port) => {
+  if (port.name !== 'run-stream') return;
+  port.onMessage.addListener((request) => streamExecution(port, request));
+});
+
 /**
  * Extension installed/updated handler
  */
@@ -42,6 +42,20 @@
     return testCases;
   }
 
+  function getComparator() {
+    // "...if the absolute or relative error from the judge's output is at most 10^{-6}"
+    const statement = document.querySelector('#task-statement');
+    const text = statement ? (statement.innerText || statement.textContent || '') : '';
+    const match = text.match(/(absolute|relative) error[\s\S]{0,80}?(?:10\s*\^?\s*\{?\s*[-\u2212]\s*(\d+)|1e-(\d+))/i);
+
+    if (!match) {
+      return null;
+    }
+
+    const tolerance = Math.pow(10, -parseInt(match[2] || match[3]));
+    return { name: 'float', absoluteError: tolerance, relativeError: tolerance };
+  }
+
   function parseProblem() {
     const problemData = {
       platform: 'atcoder',
@@ -49,6 +63,7 @@
       url: window.location.href,
       timeLimit: getTimeLimit(),
       memoryLimit: 256,
+      comparator: getComparator(),
       testCases: extractTestCases(),
       timestamp: Date.now()
     };
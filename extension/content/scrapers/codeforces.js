@@ -199,6 +199,33 @@ console.log('🔥 CP Judge content script INJECTED on:', window.location.href);
     return testCases;
   }
 
+  /**
+   * Pick the judge comparator from the statement
+   * - float: "...absolute or relative error does not exceed 10^{-6}"
+   * - yesno: "You can output the answer in any case (upper or lower)"
+   * @returns {object|null} Comparator for the judge, or null (default)
+   */
+  function getComparator() {
+    const statement = document.querySelector('.problem-statement');
+    const text = statement ? (statement.innerText || statement.textContent || '') : '';
+    const match = text.match(/(absolute|relative) error[\s\S]{0,80}?(?:10\s*\^?\s*\{?\s*[-\u2212]\s*(\d+)|1e-(\d+))/i);
+
+    if (match) {
+      const exponent = parseInt(match[2] || match[3]);
+      const tolerance = Math.pow(10, -exponent);
+      console.log('[CF-SCRAPER] Float tolerance detected:', tolerance);
+
+      return { name: 'float', absoluteError: tolerance, relativeError: tolerance };
+    }
+
+    if (/\bin any case\b/i.test(text) && /\b(yes|no)\b/i.test(text)) {
+      console.log('[CF-SCRAPER] Case-insensitive YES/NO answers detected');
+      return { name: 'yesno' };
+    }
+
+    return null;
+  }
+
   /**
    * Get problem URL
    */
@@ -218,6 +245,7 @@ console.log('🔥 CP Judge content script INJECTED on:', window.location.href);
       url: getProblemUrl(),
       timeLimit: getTimeLimit(),
       memoryLimit: getMemoryLimit(),
+      comparator: getComparator(),
       testCases: extractTestCases(),
       timestamp: Date.now()
     };
@@ -3,7 +3,7 @@
  * 
  * RESPONSIBILITIES:
  * - Display problem information
- * - Manage test cases
+ * - Manage test cases and the problem's validator
  * - Handle code execution
  * - Show results with verdicts
  * - Communicate with background worker
@@ -23,6 +23,8 @@ const results = document.getElementById('results');
 const refreshBtn = document.getElementById('refreshBtn');
 const addTestBtn = document.getElementById('addTestBtn');
 const clearResultsBtn = document.getElementById('clearResultsBtn');
+const validatorLanguage = document.getElementById('validatorLanguage');
+const validatorEditor = document.getElementById('validatorEditor');
 
 // State
 let currentProblem = null;
@@ -84,6 +86,7 @@ async function loadProblem() {
       currentTestCases = response.problem.testCases || [];
       displayProblem();
       displayTestCases();
+      displayValidator();
     } else {
       displayNoProblem();
     }
@@ -112,6 +115,18 @@ function displayProblem() {
         <span>🎯</span>
         <span>${currentProblem.platform}</span>
       </div>
+      ${currentProblem.comparator ? `
+      <div class="meta-item">
+        <span>🎚️</span>
+        <span>${currentProblem.comparator.name === 'float'
+          ? `±${currentProblem.comparator.absoluteError}`
+          : currentProblem.comparator.name}</span>
+      </div>` : ''}
+      ${currentProblem.validator ? `
+      <div class="meta-item" title="Test inputs are checked by the problem's validator">
+        <span>🛡️</span>
+        <span>validated</span>
+      </div>` : ''}
     </div>
   `;
 }
@@ -122,6 +137,36 @@ function displayProblem() {
 function displayNoProblem() {
   problemInfo.innerHTML = '<p class="no-problem">No problem parsed yet. Visit a problem page.</p>';
   testCases.innerHTML = '<p class="no-tests">No test cases available</p>';
+  validatorEditor.value = '';
+  validatorEditor.disabled = true;
+}
+
+/**
+ * Display the problem's validator (editable once a problem is loaded)
+ */
+function displayValidator() {
+  validatorEditor.disabled = false;
+  validatorEditor.value = currentProblem.validator?.code || '';
+  validatorLanguage.value = currentProblem.validator?.language || 'cpp';
+}
+
+/**
+ * Attach the validator in the editor to the problem (or remove it when empty)
+ * It is stored with the problem, checks tests as they are added or edited,
+ * and is sent with every run.
+ */
+async function saveValidator() {
+  if (!currentProblem) return;
+
+  const code = validatorEditor.value.trim();
+  currentProblem.validator = code ? { language: validatorLanguage.value, code: code } : null;
+
+  try {
+    await chrome.runtime.sendMessage({ type: 'STORE_PROBLEM', data: currentProblem });
+  } catch (error) {
+    console.error('[POPUP] Failed to store validator:', error);
+  }
+  displayProblem();
 }
 
 /**
@@ -161,16 +206,44 @@ function escapeHtml(text) {
   return div.innerHTML;
 }
 
+/**
+ * Check a new or edited test input with the problem's validator
+ * @returns {Promise<boolean>} False if the user chose to drop the test
+ */
+async function confirmValidInput(input) {
+  if (!currentProblem?.validator) return true;
+
+  const response = await chrome.runtime.sendMessage({
+    type: 'VALIDATE_INPUTS',
+    validator: currentProblem.validator,
+    inputs: [input]
+  });
+
+  if (!response?.success) {
+    return confirm(`Could not validate the input: ${response?.error || 'Unknown error'}\n\nKeep it anyway?`);
+  }
+
+  const validation = response.validation;
+  if (!validation.success) {
+    return confirm(`The validator does not compile:\n${validation.validatorError.stderr}\n\nKeep the test anyway?`);
+  }
+
+  const [check] = validation.results;
+  return check.valid || confirm(`Validator rejected this input:\n${check.message}\n\nKeep it anyway?`);
+}
+
 /**
  * Add new test case
  */
-function addTestCase() {
+async function addTestCase() {
   const input = prompt('Enter input:');
   if (input === null) return;
   
   const output = prompt('Enter expected output:');
   if (output === null) return;
 
+  if (!await confirmValidInput(input)) return;
+
   currentTestCases.push({
     input: input,
     expectedOutput: output
@@ -182,7 +255,7 @@ function addTestCase() {
 /**
  * Edit test case
  */
-function editTestCase(index) {
+async function editTestCase(index) {
   const tc = currentTestCases[index];
   
   const input = prompt('Enter input:', tc.input);
@@ -191,6 +264,8 @@ function editTestCase(index) {
   const output = prompt('Enter expected output:', tc.expectedOutput);
   if (output === null) return;
 
+  if (input !== tc.input && !await confirmValidInput(input)) return;
+
   currentTestCases[index] = {
     input: input,
     expectedOutput: output
@@ -239,20 +314,21 @@ async function runTests() {
   runBtn.innerHTML = '<span class="btn-icon">⏳</span><span>Running...</span>';
 
   try {
-    // Execute code
-    const response = await chrome.runtime.sendMessage({
-      type: 'EXECUTE_CODE',
+    // Execute code, showing each verdict as it arrives
+    const result = await streamRun({
       language: language,
       code: code,
       testCases: currentTestCases,
-      timeLimit: currentProblem?.timeLimit || 2000
+      timeLimit: currentProblem?.timeLimit || 2000,
+      memoryLimit: currentProblem?.memoryLimit || 256,
+      comparator: currentProblem?.comparator || null,
+      validator: currentProblem?.validator || null,
+      problem: currentProblem
+        ? { name: currentProblem.name, url: currentProblem.url, platform: currentProblem.platform }
+        : null
     });
 
-    if (response && response.success) {
-      displayResults(response.result);
-    } else {
-      alert('Execution failed: ' + (response?.error || 'Unknown error'));
-    }
+    displayResults(result);
 
   } catch (error) {
     console.error('[POPUP] Execution error:', error);
@@ -264,6 +340,47 @@ async function runTests() {
   }
 }
 
+/**
+ * Run through the background worker's event stream
+ * Partial results are shown as tests finish; resolves with the final response.
+ */
+function streamRun(request) {
+  return new Promise((resolve, reject) => {
+    const port = chrome.runtime.connect({ name: 'run-stream' });
+    const partial = [];
+
+    port.onMessage.addListener(({ type, data }) => {
+      switch (type) {
+        case 'compile-start':
+          runBtn.innerHTML = `<span class="btn-icon">🔨</span><span>Compiling ${data.program}...</span>`;
+          break;
+
+        case 'test-start':
+          runBtn.innerHTML = `<span class="btn-icon">⏳</span><span>Test ${data.testCase}/${data.totalTests}...</span>`;
+          break;
+
+        case 'test-verdict':
+          partial.push(data);
+          partial.sort((a, b) => a.testCase - b.testCase);
+          displayResults({ results: partial });
+          break;
+
+        case 'summary':
+          port.disconnect();
+          resolve(data);
+          break;
+
+        case 'error':
+          port.disconnect();
+          reject(new Error(data.message || data.error || 'Unknown error'));
+          break;
+      }
+    });
+
+    port.postMessage(request);
+  });
+}
+
 /**
  * Display execution results
  */
@@ -295,7 +412,7 @@ function displayResults(result) {
         <div class="result-message">${r.message}</div>
         ${r.verdict === 'WA' || r.verdict === 'RE' ? `
           <div class="result-output">
-            <strong>Expected:</strong>\n${escapeHtml(r.expectedOutput)}\n\n<strong>Got:</strong>\n${escapeHtml(r.actualOutput)}
+            <strong>Expected:</strong>\n${escapeHtml(r.expectedOutput)}\n\n<strong>Got:</strong>\n${escapeHtml(r.actualOutput)}${r.outputTruncated ? '\n[output truncated]' : ''}
           </div>
         ` : ''}
         ${r.stderr && r.stderr.trim() ? `
@@ -318,6 +435,8 @@ function setupEventListeners() {
   runBtn.addEventListener('click', runTests);
   refreshBtn.addEventListener('click', loadProblem);
   addTestBtn.addEventListener('click', addTestCase);
+  validatorEditor.addEventListener('change', saveValidator);
+  validatorLanguage.addEventListener('change', saveValidator);
   clearResultsBtn.addEventListener('click', () => {
     resultsSection.style.display = 'none';
     results.innerHTML = '';
@@ -0,0 +1,175 @@
+/**
+ * Competitive Companion Receiver
+ *
+ * RESPONSIBILITIES:
+ * - Accept problems POSTed by the Competitive Companion browser extension
+ *   (it parses hundreds of judges and sends each problem to local ports)
+ * - Map its payload onto the problem model the scrapers produce
+ * - Hold the last received problem as the current problem, for the browser
+ *   extension and VS Code (GET /api/current-problem)
+ *
+ * PAYLOAD (the fields used):
+ *   { name, group, url, interactive, timeLimit (ms), memoryLimit (MB),
+ *     tests: [{ input, output }], input: { type, fileName }, output: { type, fileName },
+ *     batch: { id, size } }
+ * A contest sends one request per problem with a shared batch id; the last
+ * one received becomes current.
+ *
+ * CONFIGURATION:
+ * - COMPANION_PORT: port to listen on (default 27121; 0 turns the receiver off).
+ *   Add it under "Custom ports" in Competitive Companion if it is not a default.
+ */
+
+import express from 'express';
+import { info, warn } from '../utils/logger.js';
+
+export const COMPANION_PORT = parseInt(process.env.COMPANION_PORT ?? '27121', 10) || 0;
+
+// Same bound as tests per /run request
+const MAX_TESTS = 50;
+
+let currentProblem = null;
+
+/**
+ * Map a Competitive Companion payload onto the problem model
+ * (also the format of CPH's .prob files, see api/cph.js)
+ * @param {object} payload - Request body
+ * @param {object} options - { maxTests (default 50) }
+ * @returns {object} { problem } or { error }
+ */
+export function parseCompanionProblem(payload, options = {}) {
+  const maxTests = options.maxTests ?? MAX_TESTS;
+
+  if (!payload || typeof payload !== 'object') {
+    return { error: 'Expected a JSON problem' };
+  }
+
+  const { name, group, url, tests, timeLimit, memoryLimit, interactive, input, output, batch } = payload;
+
+  // Validation: Required fields
+  if (typeof name !== 'string' || !name.trim()) {
+    return { error: 'Missing required field: name' };
+  }
+
+  if (!Array.isArray(tests)) {
+    return { error: 'tests must be an array' };
+  }
+
+  if (tests.length > maxTests) {
+    return { error: `Maximum ${maxTests} tests allowed` };
+  }
+
+  for (const [i, test] of tests.entries()) {
+    if (!test || typeof test.input !== 'string' || typeof test.output !== 'string') {
+      return { error: `Test ${i + 1} must have string input and output` };
+    }
+  }
+
+  // Judging is always on stdin/stdout; file I/O is kept only to be reported
+  const fileIO = input?.type === 'file' || output?.type === 'file'
+    ? {
+      input: input?.type === 'file' ? input.fileName || null : null,
+      output: output?.type === 'file' ? output.fileName || null : null
+    }
+    : null;
+
+  return {
+    problem: {
+      platform: platformOf(group, url),
+      name: name.trim(),
+      group: typeof group === 'string' ? group : null,
+      url: typeof url === 'string' && url ? url : null,
+      timeLimit: Number.isFinite(timeLimit) && timeLimit > 0 ? timeLimit : null,
+      memoryLimit: Number.isFinite(memoryLimit) && memoryLimit > 0 ? memoryLimit : null,
+      comparator: null,
+      interactive: interactive === true,
+      fileIO: fileIO,
+      testCases: tests.map(test => ({ input: test.input, expectedOutput: test.output })),
+      batch: batch && typeof batch.id === 'string' ? { id: batch.id, size: batch.size } : null,
+      source: 'competitive-companion',
+      timestamp: Date.now()
+    }
+  };
+}
+
+/**
+ * The last problem received
+ * @returns {object|null} Problem, or null if none since the server started
+ */
+export function getCurrentProblem() {
+  return currentProblem;
+}
+
+/**
+ * Forget the current problem
+ * @returns {boolean} False if there was none
+ */
+export function clearCurrentProblem() {
+  const had = currentProblem !== null;
+  currentProblem = null;
+  return had;
+}
+
+/**
+ * Express app for the receiver port
+ * Competitive Companion only POSTs and ignores the response body.
+ * @returns {object} Express app
+ */
+export function createCompanionApp() {
+  const app = express();
+  app.use(express.json({ limit: '10mb' }));
+
+  app.post('/', (req, res) => {
+    const parsed = parseCompanionProblem(req.body);
+    if (parsed.error) {
+      warn(`Competitive Companion: rejected problem (${parsed.error})`);
+      return res.status(400).json({ success: false, error: parsed.error });
+    }
+
+    currentProblem = parsed.problem;
+    info(`Competitive Companion: ${currentProblem.name} (${currentProblem.testCases.length} test(s)` +
+      (currentProblem.group ? `, ${currentProblem.group}` : '') + ')');
+
+    if (currentProblem.fileIO) {
+      warn(`Competitive Companion: ${currentProblem.name} uses file I/O; solutions are judged on stdin/stdout`);
+    }
+    if (currentProblem.interactive) {
+      warn(`Competitive Companion: ${currentProblem.name} is interactive; add an interactor to judge it`);
+    }
+
+    res.json({ success: true });
+  });
+
+  // Malformed JSON
+  app.use((err, req, res, next) => {
+    res.status(400).json({ success: false, error: err.message });
+  });
+
+  return app;
+}
+
+/**
+ * Platform id from the group ("Codeforces - Educational Round 150") or url host
+ * @param {string} group - Judge and contest
+ * @param {string} url - Problem URL
+ * @returns {string|null} e.g. "codeforces"
+ */
+function platformOf(group, url) {
+  if (typeof group === 'string' && group.trim()) {
+    return group.split(' - ')[0].trim().toLowerCase().replace(/\s+/g, '-');
+  }
+
+  try {
+    return new URL(url).hostname.replace(/^www\./, '').split('.')[0];
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  COMPANION_PORT,
+  parseCompanionProblem,
+  getCurrentProblem,
+  clearCurrentProblem,
+  createCompanionApp
+};
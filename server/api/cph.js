@@ -0,0 +1,237 @@
+/**
+ * CPH Problem Files
+ *
+ * RESPONSIBILITIES:
+ * - Read the .prob files the CPH VS Code extension keeps next to sources
+ *   (tests, limits, url, source path) into the problem library
+ * - Write library problems back as .prob files, so CPH and CP Judge can
+ *   share a folder
+ *
+ * LAYOUT (CPH's):
+ * <source folder>/.cph/.<source file>_<md5 of its absolute path>.prob
+ *   JSON: { name, group, url, interactive, timeLimit, memoryLimit,
+ *   tests: [{ id, input, output }], srcPath, local } - Competitive Companion's
+ *   payload, as CPH receives it, plus the source path; local problems were
+ *   created in CPH and have the source path as url
+ *
+ * Checkers, interactors, validators and comparators have no place in the
+ * format: they are neither imported nor exported.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash } from 'crypto';
+import { parseCompanionProblem } from './companion.js';
+import { listProblems, getProblem, createProblem, updateProblem, PROBLEM_LIMITS } from './problems.js';
+import { info } from '../utils/logger.js';
+
+export const CPH_FOLDER = '.cph';
+
+/**
+ * Where CPH keeps the problem of a source file
+ * @param {string} srcPath - Absolute source path
+ * @returns {string} .prob path
+ */
+export function cphProblemPath(srcPath) {
+  const hash = createHash('md5').update(srcPath).digest('hex');
+  return path.join(path.dirname(srcPath), CPH_FOLDER, `.${path.basename(srcPath)}_${hash}.prob`);
+}
+
+/**
+ * Import .prob files into the problem library
+ * A problem already in the library (same url, or same name for local ones)
+ * is skipped, or updated with replace.
+ * @param {string} location - A .prob file, a .cph folder, or a folder holding one
+ * @param {object} options - { replace }
+ * @returns {Promise<object>} { success, imported: [{ file, id, name, url, srcPath, created, tests, warnings }],
+ *   skipped: [{ file, reason }] } or { success: false, error }
+ */
+export async function importCphProblems(location, options = {}) {
+  let files;
+  try {
+    files = await findProblemFiles(path.resolve(location));
+  } catch (error) {
+    return { success: false, error: `Cannot read ${location}: ${error.message}` };
+  }
+
+  if (files.length === 0) {
+    return { success: false, error: `No .prob files in ${location}` };
+  }
+
+  const library = await listProblems();
+  const imported = [];
+  const skipped = [];
+
+  for (const file of files) {
+    const parsed = await readProblemFile(file);
+    if (parsed.error) {
+      skipped.push({ file, reason: parsed.error });
+      continue;
+    }
+
+    const problem = parsed.problem;
+    if (imported.some(entry => sameProblem(entry, problem))) {
+      // Several sources (A.cpp, A.py) share the problem; the first file wins
+      skipped.push({ file, reason: 'Same problem as an earlier file' });
+      continue;
+    }
+
+    const existing = library.find(stored => sameProblem(stored, problem));
+    if (existing && !options.replace) {
+      skipped.push({ file, reason: `Already in the library as ${existing.id}` });
+      continue;
+    }
+
+    const data = {
+      name: problem.name,
+      url: problem.url,
+      platform: problem.platform,
+      timeLimit: problem.timeLimit,
+      memoryLimit: problem.memoryLimit,
+      testCases: problem.testCases
+    };
+    const stored = existing ? await updateProblem(existing.id, data) : await createProblem(data);
+
+    imported.push({
+      file: file,
+      id: stored.id,
+      name: stored.name,
+      url: stored.url,
+      srcPath: problem.srcPath,
+      created: !existing,
+      tests: stored.testCases.length,
+      warnings: stored.warnings
+    });
+  }
+
+  info(`Imported ${imported.length} CPH problem(s) from ${location}` +
+    (skipped.length > 0 ? ` (${skipped.length} skipped)` : ''));
+
+  return {
+    success: true,
+    imported: imported,
+    skipped: skipped
+  };
+}
+
+/**
+ * A library problem in CPH's format
+ * @param {object} problem - Problem from getProblem
+ * @param {string} srcPath - Source file the problem belongs to ('' if none)
+ * @returns {object} .prob contents
+ */
+export function toCphProblem(problem, srcPath = '') {
+  const local = !problem.url;
+  const firstId = Date.now();
+
+  return {
+    name: problem.name,
+    group: local ? 'local' : problem.platform || 'local',
+    url: local ? srcPath : problem.url,
+    interactive: Boolean(problem.interactor),
+    memoryLimit: problem.memoryLimit || 256,
+    timeLimit: problem.timeLimit || 2000,
+    tests: problem.testCases.map((testCase, i) => ({
+      id: firstId + i,
+      input: testCase.input,
+      output: testCase.expectedOutput || ''
+    })),
+    srcPath: srcPath,
+    local: local
+  };
+}
+
+/**
+ * Write a library problem as the .prob file of a source
+ * @param {string} id - Problem id
+ * @param {string} srcPath - Source file (need not exist yet)
+ * @returns {Promise<object|null>} { path, problem: .prob contents }, or null if the problem is unknown
+ */
+export async function exportCphProblem(id, srcPath) {
+  const problem = await getProblem(id);
+  if (!problem) return null;
+
+  const absolute = path.resolve(srcPath);
+  const target = cphProblemPath(absolute);
+  const contents = toCphProblem(problem, absolute);
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  await fs.writeFile(target, JSON.stringify(contents));
+
+  info(`Exported ${id} to ${target}`);
+  return { path: target, problem: contents };
+}
+
+/**
+ * Collect .prob files
+ * @param {string} location - File or folder (absolute)
+ * @returns {Promise<string[]>} .prob paths
+ * @throws {Error} If the location cannot be read
+ */
+async function findProblemFiles(location) {
+  const stats = await fs.stat(location);
+  if (stats.isFile()) {
+    return [location];
+  }
+
+  // Either the .cph folder itself or the source folder around it
+  const folder = path.basename(location) === CPH_FOLDER ? location : path.join(location, CPH_FOLDER);
+  let names;
+  try {
+    names = await fs.readdir(folder);
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return names
+    .filter(name => name.endsWith('.prob'))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(name => path.join(folder, name));
+}
+
+/**
+ * Read and map one .prob file
+ * @param {string} file - .prob path
+ * @returns {Promise<object>} { problem } or { error }
+ */
+async function readProblemFile(file) {
+  let data;
+  try {
+    data = JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    return { error: `Not a readable .prob file: ${error.message}` };
+  }
+
+  const parsed = parseCompanionProblem(data, { maxTests: PROBLEM_LIMITS.MAX_TEST_CASES });
+  if (parsed.error) return parsed;
+
+  // CPH's own problems carry the source path as url and 'local' as group
+  const local = data.local === true || !/^https?:\/\//i.test(parsed.problem.url || '');
+  return {
+    problem: {
+      ...parsed.problem,
+      url: local ? null : parsed.problem.url,
+      platform: local ? null : parsed.problem.platform,
+      srcPath: typeof data.srcPath === 'string' ? data.srcPath : null
+    }
+  };
+}
+
+/**
+ * Whether two problems are the same: same url, or same name for problems without one
+ * @param {object} a - Problem
+ * @param {object} b - Problem
+ * @returns {boolean} True if the same
+ */
+function sameProblem(a, b) {
+  return a.url || b.url ? a.url === b.url : a.name === b.name;
+}
+
+export default {
+  CPH_FOLDER,
+  cphProblemPath,
+  importCphProblems,
+  toCphProblem,
+  exportCphProblem
+};
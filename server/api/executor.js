@@ -5,17 +5,58 @@
  * - Coordinate execution lifecycle
  * - Manage workspace creation/cleanup
  * - Handle compilation
- * - Run test cases sequentially
+ * - Judge with a custom checker when one is attached
+ * - Run interactive problems against an interactor
+ * - Check test inputs with the problem's validator before judging them
+ * - Run test cases on a bounded worker pool (or sequentially on request)
+ * - Report progress as it happens (RUN_EVENTS, for streaming clients)
+ * - Stop on cancellation: kill running programs, skip the rest, clean up
  * - Return aggregated results with comprehensive metrics
  */
 
+import os from 'os';
 import { getLanguage } from '../languages/config.js';
 import { createWorkspace, writeSourceFile, cleanupWorkspace } from '../utils/fileSystem.js';
 import { compile } from '../executor/compiler.js';
 import { runProgram } from '../executor/runner.js';
-import { determineVerdict, createCompilationErrorVerdict, VERDICTS } from '../executor/verdictEngine.js';
+import { prepareChecker, runChecker, cleanupChecker } from '../executor/checker.js';
+import { prepareInteractor, runInteractive, cleanupInteractor } from '../executor/interactor.js';
+import { prepareValidator, runValidator, cleanupValidator } from '../executor/validator.js';
+import {
+  determineVerdict, checkExecutionFailure, createCheckerVerdict, createInteractiveVerdict,
+  createInvalidInputVerdict, createCompilationErrorVerdict, VERDICTS
+} from '../executor/verdictEngine.js';
+import { mapWithConcurrency, getDefaultConcurrency } from '../utils/concurrency.js';
+import { isCpuTimerReady } from '../utils/cpuTimer.js';
 import { info, warn, error as logError } from '../utils/logger.js';
 
+// Maximum characters of program output / stderr returned per test case
+const RESPONSE_OUTPUT_LIMIT = 64 * 1024;
+
+// Largest limits a run may ask for (the route rejects anything above)
+export const RUN_LIMITS = {
+  MAX_TIME_LIMIT: 60000,       // ms
+  MAX_MEMORY_LIMIT: 8192,      // MB
+  MAX_OUTPUT_LIMIT: 1024,      // MB per test case
+  MAX_WALL_TIME_LIMIT: 600000, // ms
+  MAX_CONCURRENCY: 64
+};
+
+/**
+ * Progress events passed to options.onEvent(type, data)
+ * - compile-start: { program } ('solution', 'checker', 'interactor', 'validator')
+ * - compile-finish: { program, success, cached, compileTime }
+ * - test-start: { testCase, totalTests }
+ * - test-verdict: the test's result entry (as in results[])
+ * The complete response is the return value, as without events.
+ */
+export const RUN_EVENTS = {
+  COMPILE_START: 'compile-start',
+  COMPILE_FINISH: 'compile-finish',
+  TEST_START: 'test-start',
+  TEST_VERDICT: 'test-verdict'
+};
+
 /**
  * Execute code with test cases
  * @param {string} languageId - Language identifier
@@ -23,10 +64,31 @@ import { info, warn, error as logError } from '../utils/logger.js';
  * @param {Array} testCases - Array of test case objects
  * @param {number} timeLimit - Time limit in milliseconds
  * @param {number} memoryLimit - Memory limit in MB
+ * @param {object} options - Additional execution options
+ * @param {number} options.outputLimit - Output limit in MB (test cases may override)
+ * @param {string} options.timeMode - 'cpu' | 'wall' | 'both' (see TIME_MODES)
+ * @param {number} options.wallTimeLimit - Wall (idleness) limit in milliseconds for CPU mode
+ * @param {number} options.concurrency - Maximum test cases running at once (default: CPU cores)
+ * @param {boolean} options.sequential - Run test cases one at a time
+ * @param {object} options.comparator - Comparator from resolveComparator (default lines)
+ * @param {string} options.presentationError - Layout-only mismatches: 'pe' | 'ac' (see PRESENTATION_POLICIES)
+ * @param {object} options.checker - Custom checker { code, language, timeLimit, memoryLimit } (see executor/checker.js)
+ * @param {object} options.interactor - Interactor for interactive problems, same shape (see executor/interactor.js)
+ * @param {object} options.validator - Input validator, same shape (see executor/validator.js)
+ * @param {function} options.onEvent - Progress callback (type, data), see RUN_EVENTS
+ * @param {AbortSignal} options.signal - Cancels the run: running programs are killed and
+ *   the promise rejects with the signal's AbortError once the workspace is cleaned up
  * @returns {Promise<object>} Execution results
  */
-export async function executeCode(languageId, code, testCases, timeLimit = 2000, memoryLimit = 256) {
+export async function executeCode(languageId, code, testCases, timeLimit = 2000, memoryLimit = 256, options = {}) {
+  const { outputLimit = 64, timeMode, wallTimeLimit } = options;
+  const emit = options.onEvent || (() => {});
+  const signal = options.signal || null;
+
   let workspacePath = null;
+  let checker = null;
+  let interactor = null;
+  let validator = null;
 
   try {
     // Get language configuration
@@ -50,13 +112,26 @@ export async function executeCode(languageId, code, testCases, timeLimit = 2000,
     info(`Source file written: ${sourceFileName}`);
 
     // Compile if needed
-    const compileResult = await compile(langConfig, workspacePath, sourceFileName);
+    emit(RUN_EVENTS.COMPILE_START, { program: 'solution' });
+    const compileResult = await compile(langConfig, workspacePath, sourceFileName, { signal });
+    signal?.throwIfAborted();
+    emit(RUN_EVENTS.COMPILE_FINISH, {
+      program: 'solution',
+      success: compileResult.success,
+      cached: Boolean(compileResult.cached),
+      compileTime: compileResult.compileTime
+    });
     
     if (!compileResult.success) {
       warn('Compilation failed');
       return {
         success: false,
         compilationError: createCompilationErrorVerdict(compileResult.stderr),
+        compilation: {
+          cached: false,
+          compileTime: compileResult.compileTime,
+          pch: compileResult.pch
+        },
         results: [],
         summary: {
           overallVerdict: VERDICTS.CE,
@@ -64,54 +139,93 @@ export async function executeCode(languageId, code, testCases, timeLimit = 2000,
           passed: 0,
           failed: testCases.length,
           totalTime: 0,
+          totalCpuTime: 0,
+          totalWallTime: 0,
           peakMemory: 0
         }
       };
     }
 
-    info('Compilation successful');
+    info(compileResult.cached ? 'Compilation cached' : 'Compilation successful');
+    const compilation = {
+      cached: compileResult.cached,
+      compileTime: compileResult.compileTime,
+      pch: compileResult.pch
+    };
 
-    // Run test cases
-    const results = [];
-    let totalTime = 0;
-    let peakMemory = 0;
-    
-    for (let i = 0; i < testCases.length; i++) {
-      const testCase = testCases[i];
-      info(`Running test case ${i + 1}/${testCases.length}`);
-
-      // Execute program with test input
-      const executionResult = await runProgram(
-        langConfig,
-        workspacePath,
-        sourceFileName,
-        testCase.input,
-        timeLimit
-      );
-
-      // Determine verdict
-      const verdict = determineVerdict(executionResult, testCase.expectedOutput);
-      
-      totalTime += executionResult.executionTime || 0;
-      peakMemory = Math.max(peakMemory, executionResult.memory?.peak || 0);
-
-      results.push({
-        testCase: i + 1,
-        verdict: verdict.verdict,
-        message: verdict.message,
-        actualOutput: verdict.actualOutput,
-        expectedOutput: verdict.expectedOutput,
-        stderr: verdict.stderr,
-        executionTime: executionResult.executionTime || 0,
-        memory: executionResult.memory || { peak: 0, average: 0, unit: 'MB' },
-        diff: verdict.diff || null  // Include diff for WA cases
-      });
+    // Compile the checker / interactor / validator (if any) before running anything
+    if (options.checker) {
+      emit(RUN_EVENTS.COMPILE_START, { program: 'checker' });
+      const prepared = await prepareChecker(options.checker);
+      emit(RUN_EVENTS.COMPILE_FINISH, describeJudgeCompilation('checker', prepared));
+      if (!prepared.success) {
+        warn('Checker compilation failed');
+        return createJudgeProgramFailure('checkerError', 'Checker compilation failed', prepared, compilation, testCases.length);
+      }
+      checker = prepared.checker;
+      compilation.checker = checker.compilation;
+      info(checker.compilation.cached ? 'Checker compilation cached' : 'Checker compiled');
+    }
+
+    if (options.interactor) {
+      emit(RUN_EVENTS.COMPILE_START, { program: 'interactor' });
+      const prepared = await prepareInteractor(options.interactor);
+      emit(RUN_EVENTS.COMPILE_FINISH, describeJudgeCompilation('interactor', prepared));
+      if (!prepared.success) {
+        warn('Interactor compilation failed');
+        return createJudgeProgramFailure('interactorError', 'Interactor compilation failed', prepared, compilation, testCases.length);
+      }
+      interactor = prepared.interactor;
+      compilation.interactor = interactor.compilation;
+      info(interactor.compilation.cached ? 'Interactor compilation cached' : 'Interactor compiled');
+    }
 
-      info(`Test case ${i + 1}: ${verdict.verdict} (${executionResult.executionTime || 0}ms, ${executionResult.memory?.peak || 0}MB)`);
+    if (options.validator) {
+      emit(RUN_EVENTS.COMPILE_START, { program: 'validator' });
+      const prepared = await prepareValidator(options.validator);
+      emit(RUN_EVENTS.COMPILE_FINISH, describeJudgeCompilation('validator', prepared));
+      if (!prepared.success) {
+        warn('Validator compilation failed');
+        return createJudgeProgramFailure('validatorError', 'Validator compilation failed', prepared, compilation, testCases.length);
+      }
+      validator = prepared.validator;
+      compilation.validator = validator.compilation;
+      info(validator.compilation.cached ? 'Validator compilation cached' : 'Validator compiled');
     }
 
+    signal?.throwIfAborted();
+
+    // Run test cases on a bounded pool; results stay in test order
+    const concurrency = resolveConcurrency(options, memoryLimit, testCases.length);
+    info(`Running ${testCases.length} test case(s) with concurrency ${concurrency}`);
+
+    const results = await mapWithConcurrency(testCases, concurrency, (testCase, i) =>
+      runTestCase(langConfig, workspacePath, sourceFileName, testCase, i, {
+        timeLimit,
+        memoryLimit,
+        outputLimit,
+        timeMode,
+        wallTimeLimit,
+        comparator: options.comparator,
+        presentationError: options.presentationError,
+        checker,
+        interactor,
+        validator,
+        totalTests: testCases.length,
+        emit,
+        signal
+      })
+    );
+
+    const totalTime = results.reduce((sum, r) => sum + r.executionTime, 0);
+    const totalCpuTime = results.reduce((sum, r) => sum + r.cpuTime, 0);
+    const totalWallTime = results.reduce((sum, r) => sum + r.wallTime, 0);
+    const peakMemory = results.reduce((max, r) => Math.max(max, r.memory?.peak || 0), 0);
+
     // Calculate summary
     const summary = calculateSummary(results, totalTime, peakMemory);
+    summary.totalCpuTime = totalCpuTime;
+    summary.totalWallTime = totalWallTime;
     
     // Log final summary
     logSummary(summary);
@@ -120,15 +234,24 @@ export async function executeCode(languageId, code, testCases, timeLimit = 2000,
       success: true,
       results: results,
       compilationError: null,
-      summary: summary
+      compilation: compilation,
+      summary: summary,
+      concurrency: concurrency
     };
 
   } catch (error) {
-    logError('Execution error:', error);
+    if (error.name === 'AbortError') {
+      info('Execution cancelled');
+    } else {
+      logError('Execution error:', error);
+    }
     throw error;
 
   } finally {
     // Always cleanup workspace
+    await cleanupChecker(checker);
+    await cleanupInteractor(interactor);
+    await cleanupValidator(validator);
     if (workspacePath) {
       await cleanupWorkspace(workspacePath);
       info('Workspace cleaned up');
@@ -136,6 +259,252 @@ export async function executeCode(languageId, code, testCases, timeLimit = 2000,
   }
 }
 
+/**
+ * Check test inputs with a validator, without running any solution
+ * (used when tests are added, so bad ones are caught straight away)
+ * @param {object} spec - Validator { code, language, timeLimit, memoryLimit }
+ * @param {string[]} inputs - Test inputs
+ * @returns {Promise<object>} { success, valid, results: [{ test, valid, broken, message, exitCode }] }
+ *   or { success: false, validatorError } if the validator does not compile
+ */
+export async function validateInputs(spec, inputs) {
+  const prepared = await prepareValidator(spec);
+  if (!prepared.success) {
+    warn('Validator compilation failed');
+    return {
+      success: false,
+      validatorError: {
+        verdict: VERDICTS.CE,
+        message: 'Validator compilation failed',
+        stderr: prepared.stderr
+      }
+    };
+  }
+
+  const validator = prepared.validator;
+  try {
+    const concurrency = Math.max(1, Math.min(getDefaultConcurrency(), inputs.length));
+    const results = await mapWithConcurrency(inputs, concurrency, async (input, i) => ({
+      test: i + 1,
+      ...await runValidator(validator, input)
+    }));
+
+    const invalid = results.filter(result => !result.valid).length;
+    info(`Validated ${inputs.length} input(s): ${invalid} rejected`);
+
+    return {
+      success: true,
+      valid: invalid === 0,
+      results: results,
+      compilation: validator.compilation
+    };
+
+  } finally {
+    await cleanupValidator(validator);
+  }
+}
+
+/**
+ * Build the response for a checker, interactor or validator that failed to compile
+ * The solution is fine; the jury side is broken, so the run is FAIL.
+ * @param {string} field - Response field for the error ('checkerError' | 'interactorError' | 'validatorError')
+ * @param {string} message - Error message
+ * @param {object} prepared - Failed result from prepareChecker / prepareInteractor / prepareValidator
+ * @param {object} compilation - Solution compilation info
+ * @param {number} testCount - Number of test cases
+ * @returns {object} Execution response
+ */
+function createJudgeProgramFailure(field, message, prepared, compilation, testCount) {
+  return {
+    success: false,
+    compilationError: null,
+    [field]: {
+      verdict: VERDICTS.CE,
+      message: message,
+      stderr: prepared.stderr
+    },
+    compilation: compilation,
+    results: [],
+    summary: {
+      overallVerdict: VERDICTS.FAIL,
+      totalTests: testCount,
+      passed: 0,
+      failed: testCount,
+      totalTime: 0,
+      avgTime: 0,
+      peakMemory: 0
+    }
+  };
+}
+
+/**
+ * compile-finish event data for a checker, interactor or validator
+ * @param {string} program - Program role
+ * @param {object} prepared - Result from prepareChecker / prepareInteractor / prepareValidator
+ * @returns {object} { program, success, cached, compileTime }
+ */
+function describeJudgeCompilation(program, prepared) {
+  const compilation = prepared.success
+    ? (prepared.checker || prepared.interactor || prepared.validator).compilation
+    : { cached: false, compileTime: prepared.compileTime };
+
+  return {
+    program: program,
+    success: prepared.success,
+    cached: Boolean(compilation.cached),
+    compileTime: compilation.compileTime
+  };
+}
+
+/**
+ * Work out how many test cases may run at once
+ * Defaults to the number of CPU cores, and never more than half of the
+ * machine's RAM divided by the memory limit. `sequential` forces 1, for
+ * when timing precision matters more than throughput.
+ * Parallel runs only get exact CPU time from the CPU time reporter; while
+ * it is unavailable the default is 1, so a sampled CPU time never decides
+ * a TLE that a sequential run would not get. An explicit `concurrency` is
+ * still honoured.
+ * @param {object} options - Execution options (concurrency, sequential)
+ * @param {number} memoryLimit - Memory limit in MB
+ * @param {number} testCount - Number of test cases
+ * @returns {number} Concurrency (>= 1)
+ */
+function resolveConcurrency(options, memoryLimit, testCount) {
+  if (options.sequential) {
+    return 1;
+  }
+
+  const explicit = Number.isInteger(options.concurrency) && options.concurrency > 0;
+  if (!explicit && !isCpuTimerReady()) {
+    return 1;
+  }
+
+  const requested = explicit ? options.concurrency : getDefaultConcurrency();
+  const memoryCap = Math.floor(os.totalmem() / 2 / (memoryLimit * 1024 * 1024));
+
+  return Math.max(1, Math.min(requested, memoryCap, testCount));
+}
+
+/**
+ * Run one test case and build its result entry
+ * @param {object} langConfig - Language configuration
+ * @param {string} workspacePath - Workspace directory path
+ * @param {string} sourceFileName - Name of source file
+ * @param {object} testCase - Test case ({ input, expectedOutput, outputLimit? })
+ * @param {number} index - Zero-based test index
+ * @param {object} settings - Limits and run options shared by all tests
+ * @returns {Promise<object>} Test case result
+ */
+async function runTestCase(langConfig, workspacePath, sourceFileName, testCase, index, settings) {
+  const { timeLimit, memoryLimit, outputLimit, timeMode, wallTimeLimit, totalTests, emit, signal } = settings;
+  signal?.throwIfAborted();
+  info(`Running test case ${index + 1}/${totalTests}`);
+  emit(RUN_EVENTS.TEST_START, { testCase: index + 1, totalTests: totalTests });
+
+  const runOptions = {
+    outputLimit: (testCase.outputLimit || outputLimit) * 1024 * 1024,
+    timeMode: timeMode,
+    wallTimeLimit: wallTimeLimit,
+    signal: signal
+  };
+
+  let executionResult;
+  let verdict;
+  let validation = null;
+
+  if (settings.validator) {
+    validation = await runValidator(settings.validator, testCase.input);
+  }
+
+  if (validation && !validation.valid) {
+    // Invalid input: report it instead of running the solution
+    executionResult = {};
+    verdict = createInvalidInputVerdict(validation, testCase.expectedOutput);
+
+  } else if (settings.interactor) {
+    // Interactive: the interactor talks to the program and decides
+    const run = await runInteractive(
+      { langConfig, workspacePath, sourceFileName, timeLimit, memoryLimit, options: runOptions },
+      settings.interactor,
+      index,
+      testCase.input,
+      testCase.expectedOutput
+    );
+    executionResult = run.executionResult;
+    verdict = createInteractiveVerdict(executionResult, testCase.expectedOutput, run.interaction, run.transcript);
+
+  } else {
+    // Execute program with test input
+    executionResult = await runProgram(
+      langConfig,
+      workspacePath,
+      sourceFileName,
+      testCase.input,
+      timeLimit,
+      memoryLimit,
+      runOptions
+    );
+
+    // Determine verdict (a checker only judges runs that finished cleanly)
+    if (settings.checker && !checkExecutionFailure(executionResult, testCase.expectedOutput)) {
+      const check = await runChecker(settings.checker, index, testCase.input, executionResult.stdout, testCase.expectedOutput);
+      verdict = createCheckerVerdict(executionResult, testCase.expectedOutput, check);
+    } else {
+      verdict = determineVerdict(executionResult, testCase.expectedOutput, settings.comparator, {
+        presentationError: settings.presentationError
+      });
+    }
+  }
+
+  // A program killed by cancellation has no verdict
+  signal?.throwIfAborted();
+
+  const actualOutput = truncateForResponse(verdict.actualOutput);
+  const stderr = truncateForResponse(verdict.stderr);
+
+  info(`Test case ${index + 1}: ${verdict.verdict} (${executionResult.cpuTime || 0}ms CPU, ${executionResult.wallTime || 0}ms wall, ${executionResult.memory?.peak || 0}MB)`);
+
+  const result = {
+    testCase: index + 1,
+    verdict: verdict.verdict,
+    message: verdict.message,
+    actualOutput: actualOutput.text,
+    outputTruncated: actualOutput.truncated || Boolean(executionResult.stdoutTruncated),
+    expectedOutput: verdict.expectedOutput,
+    stderr: stderr.text,
+    stderrTruncated: stderr.truncated || Boolean(executionResult.stderrTruncated),
+    executionTime: executionResult.executionTime || 0,
+    cpuTime: executionResult.cpuTime || 0,
+    wallTime: executionResult.wallTime || 0,
+    timeMode: executionResult.timeMode,
+    memory: executionResult.memory || { peak: 0, average: 0, unit: 'MB' },
+    limitExceeded: verdict.limitExceeded || null,
+    runtimeError: verdict.runtimeError || null,
+    checker: verdict.checker || null,
+    interactor: verdict.interactor || null,
+    transcript: verdict.transcript || null,
+    validation: validation,
+    diff: verdict.diff || null  // Include diff for WA cases
+  };
+
+  emit(RUN_EVENTS.TEST_VERDICT, result);
+  return result;
+}
+
+/**
+ * Cut program output down to what is reasonable to send over the API
+ * The verdict is always computed on the full captured output.
+ * @param {string} text - Output text
+ * @returns {object} { text, truncated }
+ */
+export function truncateForResponse(text) {
+  if (typeof text !== 'string' || text.length <= RESPONSE_OUTPUT_LIMIT) {
+    return { text: text, truncated: false };
+  }
+  return { text: text.slice(0, RESPONSE_OUTPUT_LIMIT), truncated: true };
+}
+
 /**
  * Calculate summary statistics from results
  * @param {Array} results - Test case results
@@ -148,7 +517,12 @@ function calculateSummary(results, totalTime, peakMemory) {
     [VERDICTS.AC]: 0,
     [VERDICTS.WA]: 0,
     [VERDICTS.TLE]: 0,
-    [VERDICTS.RE]: 0
+    [VERDICTS.ILE]: 0,
+    [VERDICTS.MLE]: 0,
+    [VERDICTS.OLE]: 0,
+    [VERDICTS.RE]: 0,
+    [VERDICTS.PE]: 0,
+    [VERDICTS.FAIL]: 0
   };
 
   let firstFailure = null;
@@ -167,10 +541,21 @@ function calculateSummary(results, totalTime, peakMemory) {
   let overallVerdict;
   if (passed === total) {
     overallVerdict = VERDICTS.AC;
+  } else if (verdictCounts[VERDICTS.FAIL] > 0) {
+    // A broken checker makes every other verdict unreliable
+    overallVerdict = VERDICTS.FAIL;
   } else if (verdictCounts[VERDICTS.TLE] > 0) {
     overallVerdict = VERDICTS.TLE;
+  } else if (verdictCounts[VERDICTS.ILE] > 0) {
+    overallVerdict = VERDICTS.ILE;
+  } else if (verdictCounts[VERDICTS.MLE] > 0) {
+    overallVerdict = VERDICTS.MLE;
+  } else if (verdictCounts[VERDICTS.OLE] > 0) {
+    overallVerdict = VERDICTS.OLE;
   } else if (verdictCounts[VERDICTS.RE] > 0) {
     overallVerdict = VERDICTS.RE;
+  } else if (verdictCounts[VERDICTS.PE] > 0) {
+    overallVerdict = VERDICTS.PE;
   } else {
     overallVerdict = VERDICTS.WA;
   }
@@ -204,7 +589,7 @@ function logSummary(summary) {
     console.log(`First Failure: Test ${summary.firstFailure}`);
   }
   
-  console.log(`Total Time: ${summary.totalTime}ms`);
+  console.log(`Total Time: ${summary.totalTime}ms (CPU ${summary.totalCpuTime}ms, wall ${summary.totalWallTime}ms)`);
   console.log(`Average Time: ${summary.avgTime}ms`);
   console.log(`Peak Memory: ${summary.peakMemory}MB`);
   console.log(`Average Memory: ${summary.avgMemory}MB`);
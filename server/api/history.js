@@ -0,0 +1,262 @@
+/**
+ * Run History
+ *
+ * RESPONSIBILITIES:
+ * - Persist every judged run: time, language, source and its hash,
+ *   problem reference, overall and per-test verdicts, times, memory
+ * - List past runs, newest first, filtered by problem/verdict/language/date
+ * - Fetch one past run with its source
+ * - Keep the history under a size cap (oldest runs go first)
+ *
+ * LAYOUT:
+ * data/history/<id>.json (one run per file, the full record)
+ * Summaries are kept in memory, loaded from disk on first use.
+ *
+ * Recording never fails a run: a write error is logged and the run's
+ * response simply has no historyId.
+ *
+ * CONFIGURATION:
+ * - HISTORY_MAX_RUNS: runs kept (default 1000, 0 turns history off)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash, randomUUID } from 'crypto';
+import { fileURLToPath } from 'url';
+import { debug, warn } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const HISTORY_ROOT = path.join(__dirname, '..', 'data', 'history');
+
+const MAX_RUNS = Math.max(0, parseInt(process.env.HISTORY_MAX_RUNS ?? '1000', 10) || 0);
+
+// Listing page size
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// id -> run summary, loaded from disk on first use
+let indexPromise = null;
+
+/**
+ * Load run summaries from disk (once)
+ * @returns {Promise<Map>} History index
+ */
+function loadIndex() {
+  if (!indexPromise) {
+    indexPromise = (async () => {
+      const index = new Map();
+      await fs.mkdir(HISTORY_ROOT, { recursive: true });
+
+      for (const name of await fs.readdir(HISTORY_ROOT)) {
+        // Left over from a write that never finished
+        if (name.endsWith('.tmp')) {
+          await fs.rm(path.join(HISTORY_ROOT, name), { force: true });
+          continue;
+        }
+
+        const id = name.replace(/\.json$/, '');
+        if (!ID_PATTERN.test(id)) continue;
+
+        try {
+          const record = JSON.parse(await fs.readFile(path.join(HISTORY_ROOT, name), 'utf8'));
+          index.set(id, summarizeRecord(record));
+        } catch {
+          // Half-written or corrupted record
+          await fs.rm(path.join(HISTORY_ROOT, name), { force: true });
+        }
+      }
+
+      debug(`Run history loaded: ${index.size} run(s)`);
+      return index;
+    })();
+  }
+  return indexPromise;
+}
+
+/**
+ * Persist a judged run
+ * @param {object} run - { language, code, timeLimit, memoryLimit, problem } from the request
+ * @param {object} result - executeCode's response
+ * @returns {Promise<string|null>} History id, or null if not recorded
+ */
+export async function recordRun(run, result) {
+  if (MAX_RUNS === 0) return null;
+
+  const record = {
+    id: randomUUID(),
+    timestamp: new Date().toISOString(),
+    language: run.language,
+    codeHash: createHash('sha256').update(run.code).digest('hex'),
+    problem: normalizeProblem(run.problem),
+    timeLimit: run.timeLimit ?? null,
+    memoryLimit: run.memoryLimit ?? null,
+    verdict: result.summary.overallVerdict,
+    passed: result.summary.passed,
+    totalTests: result.summary.totalTests,
+    totalTime: result.summary.totalTime || 0,
+    peakMemory: result.summary.peakMemory || 0,
+    // Whichever program failed to compile (solution, checker, interactor, validator)
+    compilationError: result.compilationError || result.checkerError ||
+      result.interactorError || result.validatorError || null,
+    tests: result.results.map(test => ({
+      testCase: test.testCase,
+      verdict: test.verdict,
+      executionTime: test.executionTime,
+      cpuTime: test.cpuTime,
+      wallTime: test.wallTime,
+      memory: test.memory?.peak || 0,
+      message: test.message
+    })),
+    code: run.code
+  };
+
+  const filePath = path.join(HISTORY_ROOT, `${record.id}.json`);
+  const tempPath = `${filePath}.tmp`;
+
+  try {
+    const index = await loadIndex();
+    // Written aside and renamed into place, so a crash never leaves half a record
+    await fs.writeFile(tempPath, JSON.stringify(record, null, 2));
+    await fs.rename(tempPath, filePath);
+    index.set(record.id, summarizeRecord(record));
+    debug(`Run recorded: ${record.id} (${record.verdict})`);
+
+    await prune(index);
+    return record.id;
+
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    warn(`Run history write failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * List past runs, newest first (summaries, without source)
+ * @param {object} filters - { problem, verdict, language, since, until, limit, offset }
+ *   problem matches a problem's id or url exactly, or part of its name (any case);
+ *   since/until are dates (anything Date.parse accepts)
+ * @returns {Promise<object>} { total, runs }
+ */
+export async function listRuns(filters = {}) {
+  const index = await loadIndex();
+  const { problem, verdict, language, since, until } = filters;
+  const sinceTime = since ? Date.parse(since) : null;
+  const untilTime = until ? Date.parse(until) : null;
+
+  const matches = [...index.values()]
+    .filter(run => !verdict || run.verdict === verdict.toUpperCase())
+    .filter(run => !language || run.language === language)
+    .filter(run => !problem || matchesProblem(run.problem, problem))
+    .filter(run => sinceTime === null || Date.parse(run.timestamp) >= sinceTime)
+    .filter(run => untilTime === null || Date.parse(run.timestamp) <= untilTime)
+    .sort((a, b) => b.timestamp.localeCompare(a.timestamp));
+
+  const limit = Math.min(filters.limit ?? DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const offset = filters.offset ?? 0;
+
+  return {
+    total: matches.length,
+    runs: matches.slice(offset, offset + limit)
+  };
+}
+
+/**
+ * Fetch one past run with its source and per-test results
+ * @param {string} id - History id
+ * @returns {Promise<object|null>} Full record, or null if unknown
+ */
+export async function getRun(id) {
+  const index = await loadIndex();
+  if (!index.has(id)) return null;
+
+  try {
+    return JSON.parse(await fs.readFile(path.join(HISTORY_ROOT, `${id}.json`), 'utf8'));
+  } catch (error) {
+    warn(`Run history record ${id} unreadable: ${error.message}`);
+    index.delete(id);
+    return null;
+  }
+}
+
+/**
+ * Drop the oldest runs beyond the cap
+ * @param {Map} index - History index
+ * @returns {Promise<void>}
+ */
+async function prune(index) {
+  if (index.size <= MAX_RUNS) return;
+
+  const oldest = [...index.values()]
+    .sort((a, b) => a.timestamp.localeCompare(b.timestamp))
+    .slice(0, index.size - MAX_RUNS);
+
+  for (const run of oldest) {
+    await fs.rm(path.join(HISTORY_ROOT, `${run.id}.json`), { force: true });
+    index.delete(run.id);
+  }
+  debug(`Run history pruned ${oldest.length} run(s)`);
+}
+
+/**
+ * Summary of a record for listings
+ * @param {object} record - Full record
+ * @returns {object} Record without source, tests and messages
+ */
+function summarizeRecord(record) {
+  return {
+    id: record.id,
+    timestamp: record.timestamp,
+    language: record.language,
+    codeHash: record.codeHash,
+    problem: record.problem,
+    verdict: record.verdict,
+    passed: record.passed,
+    totalTests: record.totalTests,
+    totalTime: record.totalTime,
+    peakMemory: record.peakMemory
+  };
+}
+
+/**
+ * Normalize a problem reference from a request
+ * @param {string|object} problem - A name, or { id, name, url, platform }
+ * @returns {object|null} { id, name, url, platform } (missing fields null)
+ */
+function normalizeProblem(problem) {
+  if (!problem) return null;
+  if (typeof problem === 'string') {
+    problem = { name: problem };
+  }
+
+  const field = value => (typeof value === 'string' && value ? value.slice(0, 500) : null);
+  return {
+    id: field(problem.id),
+    name: field(problem.name),
+    url: field(problem.url),
+    platform: field(problem.platform)
+  };
+}
+
+/**
+ * Check a run's problem against a problem filter
+ * @param {object|null} problem - Recorded problem reference
+ * @param {string} query - Problem id, url or part of the name
+ * @returns {boolean} True if it matches
+ */
+function matchesProblem(problem, query) {
+  if (!problem) return false;
+  return problem.id === query ||
+    problem.url === query ||
+    Boolean(problem.name && problem.name.toLowerCase().includes(query.toLowerCase()));
+}
+
+export default {
+  recordRun,
+  listRuns,
+  getRun
+};
@@ -0,0 +1,447 @@
+/**
+ * Polygon Package Import
+ *
+ * RESPONSIBILITIES:
+ * - Read a Polygon package (folder or zip) through its problem.xml
+ * - Take the name, url, time and memory limits and I/O settings from it
+ * - Materialize the tests: package files where present, otherwise run the
+ *   generator commands of the test script, and the main solution for answers
+ * - Compile the checker, interactor and validator (the library then checks
+ *   every test with the validator)
+ * - Register the whole thing as a library problem usable by /run
+ *
+ * CHECKERS:
+ * A standard checker with a built-in equivalent (std::wcmp.cpp, std::rcmp6.cpp,
+ * std::yesno.cpp...) becomes that comparator; any other checker is stored and
+ * run as a testlib checker. Every package program (checker, interactor,
+ * validator, generators, main solution) is compiled with the package's header
+ * resources (<files><resources>: testlib.h and the like) next to its source;
+ * the bundled testlib.h is used only when the package brings none. The stored
+ * judge programs keep these files, so /run compiles them the same way.
+ *
+ * NOT SUPPORTED (reported as errors or warnings):
+ * - File I/O (input-file/output-file): solutions are judged on stdin/stdout
+ * - Generators writing several tests at once (multigen with -out)
+ * - Test groups and points (every test counts)
+ */
+
+import path from 'path';
+import { openTestSource, checkImportSize } from './testImport.js';
+import { getProblem, createProblem, updateProblem, isValidProblemId, PROBLEM_LIMITS } from './problems.js';
+import { prepareJudgeProgram, cleanupChecker } from '../executor/checker.js';
+import { runProgram } from '../executor/runner.js';
+import { checkExecutionFailure } from '../executor/verdictEngine.js';
+import { resolveComparator } from '../utils/comparators.js';
+import { parseXml, childElement, childElements } from '../utils/xml.js';
+import { info } from '../utils/logger.js';
+
+// Resource files handed to the package's programs
+const HEADER_PATTERN = /\.(h|hh|hpp|hxx|inc)$/i;
+
+/**
+ * Import a Polygon package as a library problem
+ * @param {object} source - { path } (folder or .zip) or { zip: Buffer, name }, as for openTestSource
+ * @param {object} options - { problemId (default: the package's short name), replace }
+ * @returns {Promise<object>} { success, problem, created, tests: { total, fromPackage, generated,
+ *   answersGenerated }, warnings } or { success: false, error, stderr?, warnings }
+ */
+export async function importPolygonPackage(source, options = {}) {
+  const warnings = [];
+  const programs = {};
+
+  let opened;
+  try {
+    opened = await openTestSource(source);
+  } catch (error) {
+    return { success: false, error: `Cannot read package: ${error.message}`, warnings };
+  }
+
+  try {
+    const pkg = await readPackage(opened);
+
+    // Without a valid short name the id comes from the problem name
+    const targetId = options.problemId || (isValidProblemId(pkg.shortName) ? pkg.shortName : undefined);
+    const existing = targetId ? await getProblem(targetId) : null;
+    if (existing && !options.replace) {
+      return { success: false, error: `Problem ${existing.id} already exists (import with replace to overwrite it)`, warnings };
+    }
+
+    if (pkg.fileIO) {
+      warnings.push(`The package reads ${pkg.fileIO.input || 'stdin'} and writes ${pkg.fileIO.output || 'stdout'}; ` +
+        'solutions are judged on stdin/stdout');
+    }
+    if (pkg.testCount > PROBLEM_LIMITS.MAX_TEST_CASES) {
+      return { success: false, error: `${pkg.testCount} tests; a problem holds at most ${PROBLEM_LIMITS.MAX_TEST_CASES}`, warnings };
+    }
+
+    const sizeError = await checkImportSize(opened, packageFilesRead(opened, pkg));
+    if (sizeError) {
+      return { success: false, error: sizeError, warnings };
+    }
+
+    for (const resourcePath of pkg.resourcePaths) {
+      const contents = await readOptional(opened, pkg.resolve(resourcePath));
+      if (contents !== null) {
+        pkg.resources[path.posix.basename(resourcePath)] = contents;
+      }
+    }
+
+    // Judge programs: compiled now so a broken one fails the import, not the first run
+    const judging = { comparator: null, checker: null, interactor: null, validator: null };
+    const builtIn = pkg.checker && standardComparator(pkg.checker.name);
+    if (builtIn) {
+      judging.comparator = builtIn;
+    } else if (pkg.checker) {
+      judging.checker = await readProgram(opened, pkg, pkg.checker.source, 'checker');
+    }
+    if (pkg.interactor) {
+      judging.interactor = await readProgram(opened, pkg, pkg.interactor, 'interactor');
+    }
+    if (pkg.validator) {
+      judging.validator = await readProgram(opened, pkg, pkg.validator, 'validator');
+    }
+
+    for (const role of ['checker', 'interactor', 'validator']) {
+      if (!judging[role]) continue;
+      const prepared = await prepareJudgeProgram(judging[role]);
+      if (!prepared.success) {
+        return { success: false, error: `The ${role} does not compile`, stderr: prepared.stderr, warnings };
+      }
+      await cleanupChecker(prepared.program);
+    }
+
+    // Tests
+    const testCases = [];
+    const counts = { total: pkg.testCount, fromPackage: 0, generated: 0, answersGenerated: 0 };
+
+    for (let index = 1; index <= pkg.testCount; index++) {
+      const test = pkg.tests[index - 1] || {};
+      let input = await readOptional(opened, pkg.resolve(formatPattern(pkg.inputPattern, index)));
+
+      if (input !== null) {
+        counts.fromPackage++;
+      } else if (test.cmd) {
+        input = await generateTest(opened, pkg, programs, test.cmd, index);
+        counts.generated++;
+      } else {
+        return { success: false, error: `Test ${index} is not in the package and has no generator command`, warnings };
+      }
+
+      let answer = await readOptional(opened, pkg.resolve(formatPattern(pkg.answerPattern, index)));
+      if (answer === null && !judging.interactor) {
+        answer = await generateAnswer(opened, pkg, programs, input, index);
+        counts.answersGenerated++;
+      }
+
+      testCases.push({ input, expectedOutput: answer || '' });
+    }
+
+    const data = {
+      name: pkg.name,
+      url: pkg.url,
+      platform: 'polygon',
+      timeLimit: pkg.timeLimit,
+      memoryLimit: pkg.memoryLimit,
+      ...judging,
+      testCases
+    };
+
+    const problem = existing
+      ? await updateProblem(existing.id, data)
+      : await createProblem({ ...data, id: targetId });
+    if (!problem) {
+      // Created under the same id since getProblem looked
+      return { success: false, error: `Problem id already taken: ${targetId}`, warnings };
+    }
+
+    info(`Imported Polygon package ${pkg.shortName || pkg.name} as ${problem.id}: ${counts.total} test(s), ` +
+      `${counts.generated} generated`);
+
+    // The library checks the tests with the validator
+    const { testCases: stored, warnings: rejected, ...summary } = problem;
+    warnings.push(...rejected);
+    return { success: true, problem: summary, created: !existing, tests: counts, warnings: warnings };
+
+  } catch (error) {
+    if (error.importError) {
+      return { success: false, error: error.message, stderr: error.stderr, warnings };
+    }
+    throw error;
+
+  } finally {
+    for (const program of Object.values(programs)) {
+      await cleanupChecker(program);
+    }
+  }
+}
+
+/**
+ * Read problem.xml and what the import needs from it
+ * @param {object} opened - Source from openTestSource
+ * @returns {Promise<object>} Package description
+ * @throws {Error} (importError) Without problem.xml or its tests testset
+ */
+async function readPackage(opened) {
+  // The shallowest problem.xml: archives sometimes wrap the package in a folder
+  const xmlPath = opened.files
+    .filter(file => file === 'problem.xml' || file.endsWith('/problem.xml'))
+    .sort((a, b) => a.split('/').length - b.split('/').length)[0];
+  if (!xmlPath) {
+    throw importError(`No problem.xml in ${opened.label}`);
+  }
+
+  let root;
+  try {
+    root = parseXml(await opened.read(xmlPath));
+  } catch (error) {
+    throw importError(`Cannot parse problem.xml: ${error.message}`);
+  }
+
+  const base = path.posix.dirname(xmlPath);
+  const names = childElements(childElement(root, 'names'), 'name');
+  const judging = childElement(root, 'judging');
+  const testsets = childElements(judging, 'testset');
+  const testset = testsets.find(set => set.attributes.name === 'tests') || testsets[0];
+  if (!testset) {
+    throw importError('problem.xml has no testset');
+  }
+
+  const assets = childElement(root, 'assets');
+  const checker = childElement(assets, 'checker');
+  const mainSolution = childElements(childElement(assets, 'solutions'), 'solution')
+    .find(solution => solution.attributes.tag === 'main');
+
+  const files = childElement(root, 'files');
+  const inputFile = judging.attributes['input-file'] || '';
+  const outputFile = judging.attributes['output-file'] || '';
+  const memoryBytes = parseInt(childElement(testset, 'memory-limit')?.text, 10);
+
+  return {
+    resolve: file => (base === '.' ? file : `${base}/${file}`),
+    shortName: root.attributes['short-name'] || null,
+    name: (names.find(name => name.attributes.language === 'english') || names[0])?.attributes.value ||
+      root.attributes['short-name'] || opened.label,
+    url: root.attributes.url || null,
+    fileIO: inputFile || outputFile ? { input: inputFile, output: outputFile } : null,
+    timeLimit: parseInt(childElement(testset, 'time-limit')?.text, 10) || null,
+    memoryLimit: memoryBytes ? Math.round(memoryBytes / 1024 / 1024) : null,
+    testCount: parseInt(childElement(testset, 'test-count')?.text, 10) || 0,
+    inputPattern: childElement(testset, 'input-path-pattern')?.text.trim() || 'tests/%02d',
+    answerPattern: childElement(testset, 'answer-path-pattern')?.text.trim() || 'tests/%02d.a',
+    tests: childElements(childElement(testset, 'tests'), 'test').map(test => ({
+      method: test.attributes.method,
+      cmd: test.attributes.cmd || null
+    })),
+    checker: checker ? { name: checker.attributes.name || null, source: sourceOf(checker) } : null,
+    interactor: sourceOf(childElement(assets, 'interactor')),
+    validator: sourceOf(childElements(childElement(assets, 'validators'), 'validator')[0]),
+    solution: sourceOf(mainSolution),
+    // Statement resources (olymp.sty, problem.tex...) are of no use to programs
+    resourcePaths: childElements(childElement(files, 'resources'), 'file')
+      .map(resource => resource.attributes.path || '')
+      .filter(resourcePath => HEADER_PATTERN.test(resourcePath)),
+    resources: {},          // Filled once the size check passes
+    executables: childElements(childElement(files, 'executables'), 'executable')
+      .map(sourceOf)
+      .filter(Boolean)
+  };
+}
+
+/**
+ * The package files an import reads: tests, answers, program sources and header resources
+ * @param {object} opened - Package source
+ * @param {object} pkg - Package description
+ * @returns {string[]} Paths present in the package
+ */
+function packageFilesRead(opened, pkg) {
+  const wanted = new Set(pkg.resourcePaths.map(pkg.resolve));
+  for (let index = 1; index <= pkg.testCount; index++) {
+    wanted.add(pkg.resolve(formatPattern(pkg.inputPattern, index)));
+    wanted.add(pkg.resolve(formatPattern(pkg.answerPattern, index)));
+  }
+  for (const source of [pkg.checker?.source, pkg.interactor, pkg.validator, pkg.solution, ...pkg.executables]) {
+    if (source) wanted.add(pkg.resolve(source.path));
+  }
+  return opened.files.filter(file => wanted.has(file));
+}
+
+/**
+ * The <source path type> of an asset
+ * @param {object|null} element - Asset element
+ * @returns {object|null} { path, type }
+ */
+function sourceOf(element) {
+  const source = childElement(element, 'source');
+  return source ? { path: source.attributes.path, type: source.attributes.type || '' } : null;
+}
+
+/**
+ * Built-in comparator for a standard checker
+ * @param {string|null} name - Checker name from problem.xml, e.g. "std::wcmp.cpp"
+ * @returns {string|null} Comparator name, or null to run the checker itself
+ */
+function standardComparator(name) {
+  const match = /^std::(\w+)\.cpp$/.exec(name || '');
+  if (!match) return null;
+
+  try {
+    resolveComparator(match[1]);
+    return match[1];
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Map a Polygon source type to a judge language
+ * @param {string} type - e.g. "cpp.g++17", "java21", "python.3"
+ * @returns {string|null} Language id, or null if unsupported
+ */
+function languageOf(type) {
+  if (/^(cpp|c)\b|^c\./i.test(type)) return 'cpp';
+  if (/^java/i.test(type)) return 'java';
+  if (/^(python|py)/i.test(type)) return 'python';
+  if (/^(js|node|javascript)/i.test(type)) return 'javascript';
+  return null;
+}
+
+/**
+ * Read a judge program's source from the package
+ * @param {object} opened - Package source
+ * @param {object} pkg - Package description
+ * @param {object} source - { path, type }
+ * @param {string} role - For messages
+ * @returns {Promise<object>} { code, language, files } (files only if the package has resources)
+ * @throws {Error} (importError) If the source is missing or its language unsupported
+ */
+async function readProgram(opened, pkg, source, role) {
+  const language = languageOf(source.type);
+  if (!language) {
+    throw importError(`The ${role} (${source.path}) is written in an unsupported language: ${source.type}`);
+  }
+
+  const code = await readOptional(opened, pkg.resolve(source.path));
+  if (code === null) {
+    throw importError(`The ${role} source ${source.path} is not in the package`);
+  }
+  return Object.keys(pkg.resources).length > 0
+    ? { code, language, files: pkg.resources }
+    : { code, language };
+}
+
+/**
+ * Compile a package program once per import
+ * @param {object} opened - Package source
+ * @param {object} pkg - Package description
+ * @param {object} programs - Compiled programs by key (cleaned up by the caller)
+ * @param {string} key - Cache key
+ * @param {object} source - { path, type }
+ * @param {string} role - For messages
+ * @returns {Promise<object>} Program from prepareJudgeProgram
+ */
+async function compileOnce(opened, pkg, programs, key, source, role) {
+  if (!programs[key]) {
+    const prepared = await prepareJudgeProgram(await readProgram(opened, pkg, source, role));
+    if (!prepared.success) {
+      throw importError(`The ${role} (${source.path}) does not compile`, prepared.stderr);
+    }
+    programs[key] = prepared.program;
+  }
+  return programs[key];
+}
+
+/**
+ * Run a generator command from the test script
+ * @param {object} opened - Package source
+ * @param {object} pkg - Package description
+ * @param {object} programs - Compiled programs
+ * @param {string} cmd - e.g. "gen 10 1000 -seed 3"
+ * @param {number} index - Test number
+ * @returns {Promise<string>} Generated input
+ */
+async function generateTest(opened, pkg, programs, cmd, index) {
+  const [name, ...args] = cmd.trim().split(/\s+/);
+  const source = pkg.executables.find(executable =>
+    path.posix.basename(executable.path).replace(/\.[^.]+$/, '') === name
+  );
+  if (!source) {
+    throw importError(`Test ${index}: generator ${name} is not among the package's executables`);
+  }
+  if (args.includes('-out')) {
+    throw importError(`Test ${index}: generators writing several tests (${cmd}) are not supported`);
+  }
+
+  const generator = await compileOnce(opened, pkg, programs, `generator:${name}`, source, `generator ${name}`);
+  const result = await runProgram(generator.langConfig, generator.workspacePath, generator.sourceFileName,
+    '', generator.timeLimit, generator.memoryLimit, { args });
+
+  const failure = checkExecutionFailure(result, '');
+  if (failure) {
+    throw importError(`Test ${index}: "${cmd}" failed (${failure.message})`, result.stderr);
+  }
+  return result.stdout;
+}
+
+/**
+ * Produce a test's answer with the main solution
+ * @param {object} opened - Package source
+ * @param {object} pkg - Package description
+ * @param {object} programs - Compiled programs
+ * @param {string} input - Test input
+ * @param {number} index - Test number
+ * @returns {Promise<string>} Answer
+ */
+async function generateAnswer(opened, pkg, programs, input, index) {
+  if (!pkg.solution) {
+    throw importError(`Test ${index} has no answer in the package and there is no main solution to produce it`);
+  }
+
+  const solution = await compileOnce(opened, pkg, programs, 'solution', pkg.solution, 'main solution');
+  const result = await runProgram(solution.langConfig, solution.workspacePath, solution.sourceFileName,
+    input, solution.timeLimit, solution.memoryLimit);
+
+  const failure = checkExecutionFailure(result, '');
+  if (failure) {
+    throw importError(`Test ${index}: the main solution failed (${failure.message})`, result.stderr);
+  }
+  return result.stdout;
+}
+
+/**
+ * Expand a Polygon path pattern
+ * @param {string} pattern - e.g. "tests/%02d.a"
+ * @param {number} index - Test number
+ * @returns {string} Path, e.g. "tests/07.a"
+ */
+function formatPattern(pattern, index) {
+  return pattern.replace(/%(0?)(\d*)d/, (match, zero, width) =>
+    String(index).padStart(Number(width) || 0, zero ? '0' : ' ')
+  );
+}
+
+/**
+ * Read a package file if it exists
+ * @param {object} opened - Package source
+ * @param {string} file - Relative path
+ * @returns {Promise<string|null>} Contents, or null if missing
+ */
+async function readOptional(opened, file) {
+  return opened.files.includes(file) ? opened.read(file) : null;
+}
+
+/**
+ * An error that ends the import with a message for the caller
+ * @param {string} message - What went wrong
+ * @param {string} stderr - Compiler or program output (optional)
+ * @returns {Error} Error marked importError
+ */
+function importError(message, stderr = undefined) {
+  const error = new Error(message);
+  error.importError = true;
+  error.stderr = stderr;
+  return error;
+}
+
+export default {
+  importPolygonPackage
+};
@@ -0,0 +1,539 @@
+/**
+ * Problem Library
+ *
+ * RESPONSIBILITIES:
+ * - Store problems on disk in a layout that is easy to read and edit by hand
+ * - Create, list, read, update and delete problems
+ * - Hand /run a problem's tests, limits, comparator and judge programs
+ * - Check tests with the problem's validator whenever they are stored
+ *
+ * LAYOUT:
+ * data/problems/<id>/
+ *   problem.json      name, url, platform, limits, comparator, judge programs
+ *   tests/01.in       test input
+ *   tests/01.out      expected output (optional, e.g. for interactive problems)
+ *   checker.cpp       judge programs, when present (also interactor.*, validator.*)
+ *   files/checker/    files a judge program includes (e.g. a package's testlib.h)
+ *
+ * Problems are read from disk on every request, so hand edits (a new
+ * tests/07.in, a tweaked problem.json) take effect without a restart.
+ * Writes go to a temporary folder that is renamed into place, one at a time
+ * per problem. Replacing swaps two folders, so a reader (here or in the
+ * import CLI) can briefly find none or lose files mid-read; such reads are
+ * retried.
+ *
+ * Tests that the problem's validator rejects are still stored (a validator
+ * can be wrong too); creates and updates report them as warnings.
+ *
+ * CONFIGURATION:
+ * - PROBLEMS_DIR: library folder (default server/data/problems)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { fileURLToPath } from 'url';
+import { getLanguage } from '../languages/config.js';
+import { validateInputs } from './executor.js';
+import { createKeyedLock } from '../utils/concurrency.js';
+import { debug, warn } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PROBLEMS_ROOT = process.env.PROBLEMS_DIR
+  ? path.resolve(process.env.PROBLEMS_DIR)
+  : path.join(__dirname, '..', 'data', 'problems');
+
+/**
+ * Library limits
+ */
+export const PROBLEM_LIMITS = {
+  MAX_TEST_CASES: 500,
+  MAX_ID_LENGTH: 64
+};
+
+// Judge programs a problem may carry, stored next to problem.json
+export const JUDGE_PROGRAMS = ['checker', 'interactor', 'validator'];
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]*$/;
+
+// Reads that overlap a folder swap are retried this often, waiting a little longer each time
+const READ_ATTEMPTS = 5;
+const READ_RETRY_DELAY = 20;
+
+// Writes (create, update, append, delete) to one problem run one at a time
+const problemWrites = createKeyedLock();
+
+// Lock key for picking ids from names (never a valid problem id)
+const DERIVED_IDS = '.derived-ids';
+
+/**
+ * Check a problem id (also a folder name)
+ * @param {string} id - Problem id
+ * @returns {boolean} True if usable
+ */
+export function isValidProblemId(id) {
+  return typeof id === 'string' && id.length <= PROBLEM_LIMITS.MAX_ID_LENGTH && ID_PATTERN.test(id);
+}
+
+/**
+ * List problems (without tests or judge program sources)
+ * @returns {Promise<object[]>} Summaries sorted by name
+ */
+export async function listProblems() {
+  await fs.mkdir(PROBLEMS_ROOT, { recursive: true });
+  const entries = await fs.readdir(PROBLEMS_ROOT, { withFileTypes: true });
+  const problems = [];
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !isValidProblemId(entry.name)) continue;
+
+    const problem = await readProblemStable(entry.name, { includeTests: false });
+    if (problem) {
+      problems.push(problem);
+    }
+  }
+
+  return problems.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Read a problem with its tests and judge programs
+ * @param {string} id - Problem id
+ * @returns {Promise<object|null>} Problem, or null if unknown
+ */
+export async function getProblem(id) {
+  if (!isValidProblemId(id)) return null;
+
+  // Writes already queued land first
+  await problemWrites.idle(id);
+  return readProblemStable(id, { includeTests: true });
+}
+
+/**
+ * Create a problem
+ * @param {object} data - { id (optional, derived from the name), name, url, platform,
+ *   timeLimit, memoryLimit, comparator, checker, interactor, validator, testCases }
+ * @returns {Promise<object|null>} The stored problem plus warnings (tests the validator
+ *   rejects, see checkTests), or null if the id is taken
+ */
+export async function createProblem(data) {
+  await fs.mkdir(PROBLEMS_ROOT, { recursive: true });
+  const now = new Date().toISOString();
+
+  const create = id => problemWrites.run(id, async () => {
+    const created = await writeProblem(id, { ...data, id, createdAt: now, updatedAt: now }, { replace: false });
+    if (!created) return null;
+
+    debug(`Problem created: ${id}`);
+    return readProblemStable(id, { includeTests: true });
+  });
+
+  // Ids from names are picked one creation at a time, and the folder is
+  // created before the next one looks; if a create with that exact id wins
+  // the folder in between, the next free id is taken
+  const stored = data.id
+    ? await create(data.id)
+    : await problemWrites.run(DERIVED_IDS, async () => {
+      const slug = slugify(data.name);
+      for (;;) {
+        const created = await create(await uniqueId(slug));
+        if (created) return created;
+      }
+    });
+
+  return stored && { ...stored, warnings: await checkTests(stored) };
+}
+
+/**
+ * Update a problem
+ * Fields present in changes replace the stored ones (testCases replaces the
+ * whole suite; a judge program set to null is removed). The id never changes.
+ * New tests, or a new validator, are checked as in createProblem.
+ * @param {string} id - Problem id
+ * @param {object} changes - Fields to change, as for createProblem
+ * @returns {Promise<object|null>} The updated problem plus warnings, or null if unknown
+ */
+export async function updateProblem(id, changes) {
+  if (!isValidProblemId(id)) return null;
+
+  // Read and write under the lock, so concurrent updates do not undo each other
+  const stored = await problemWrites.run(id, async () => {
+    const current = await readProblemStable(id, { includeTests: true });
+    if (!current) return null;
+
+    const next = { ...current };
+    for (const [key, value] of Object.entries(changes)) {
+      if (value !== undefined && key !== 'id' && key !== 'createdAt') {
+        next[key] = value;
+      }
+    }
+    next.updatedAt = new Date().toISOString();
+
+    await writeProblem(id, next, { replace: true });
+    debug(`Problem updated: ${id}`);
+    return readProblemStable(id, { includeTests: true });
+  });
+
+  const recheck = changes.testCases !== undefined || Boolean(changes.validator);
+  return stored && { ...stored, warnings: recheck ? await checkTests(stored) : [] };
+}
+
+/**
+ * Add tests after a problem's current ones
+ * The suite is read and written under the problem's lock, so tests stored in
+ * the meantime (another import, an update) are kept. Only the new tests are
+ * checked with the validator.
+ * @param {string} id - Problem id
+ * @param {object[]} testCases - Tests to add ({ input, expectedOutput })
+ * @param {object} options - { replace: drop the current tests first }
+ * @returns {Promise<object|null>} { problem (plus warnings), kept (tests before the new ones) },
+ *   { error } if the suite would outgrow MAX_TEST_CASES, or null if unknown
+ */
+export async function appendTestCases(id, testCases, options = {}) {
+  if (!isValidProblemId(id)) return null;
+
+  const outcome = await problemWrites.run(id, async () => {
+    const current = await readProblemStable(id, { includeTests: true });
+    if (!current) return null;
+
+    const kept = options.replace ? [] : current.testCases;
+    if (kept.length + testCases.length > PROBLEM_LIMITS.MAX_TEST_CASES) {
+      return {
+        error: `A problem holds at most ${PROBLEM_LIMITS.MAX_TEST_CASES} tests ` +
+          `(${kept.length} kept + ${testCases.length} imported)`
+      };
+    }
+
+    await writeProblem(id, {
+      ...current,
+      testCases: [...kept, ...testCases],
+      updatedAt: new Date().toISOString()
+    }, { replace: true });
+    debug(`Problem ${id}: ${testCases.length} test(s) added after ${kept.length}`);
+
+    return { problem: await readProblemStable(id, { includeTests: true }), kept: kept.length };
+  });
+
+  if (!outcome || outcome.error) return outcome;
+  return {
+    problem: { ...outcome.problem, warnings: await checkTests(outcome.problem, outcome.kept) },
+    kept: outcome.kept
+  };
+}
+
+/**
+ * Delete a problem
+ * @param {string} id - Problem id
+ * @returns {Promise<boolean>} False if unknown
+ */
+export async function deleteProblem(id) {
+  if (!isValidProblemId(id)) return false;
+
+  const problemPath = path.join(PROBLEMS_ROOT, id);
+  return problemWrites.run(id, async () => {
+    try {
+      await fs.access(path.join(problemPath, 'problem.json'));
+    } catch {
+      return false;
+    }
+
+    await fs.rm(problemPath, { recursive: true, force: true });
+    debug(`Problem deleted: ${id}`);
+    return true;
+  });
+}
+
+/**
+ * Run a stored problem's validator on its tests
+ * Runs outside the problem's lock: a slow validator does not hold up reads.
+ * @param {object} problem - Problem with tests and judge programs
+ * @param {number} first - Index of the first test to check (default all)
+ * @returns {Promise<string[]>} One warning per test the validator rejects or fails on
+ */
+async function checkTests(problem, first = 0) {
+  const inputs = problem.testCases.slice(first).map(testCase => testCase.input);
+  if (!problem.validator || inputs.length === 0) return [];
+
+  const validation = await validateInputs(problem.validator, inputs);
+  const warnings = validation.success
+    ? validation.results
+      .filter(result => !result.valid)
+      .map(result => `Test ${first + result.test}: ${result.broken ? 'validator failed' : 'rejected by the validator'} (${result.message})`)
+    : ['The validator does not compile; tests were not checked'];
+
+  for (const warning of warnings) {
+    warn(`Problem ${problem.id}: ${warning}`);
+  }
+  return warnings;
+}
+
+/**
+ * Read a problem folder, retrying reads that overlap a folder swap
+ * @param {string} id - Problem id
+ * @param {object} options - { includeTests }
+ * @returns {Promise<object|null>} Problem, or null if unknown
+ */
+async function readProblemStable(id, options) {
+  for (let attempt = 1; ; attempt++) {
+    const last = attempt === READ_ATTEMPTS;
+    try {
+      const problem = await readProblem(id, options);
+      // Missing, or only moved aside while its replacement is renamed in?
+      if (problem || last || !(await isSwapInProgress())) return problem;
+    } catch (error) {
+      if (last || (error.code !== 'ENOENT' && !error.tornRead)) throw error;
+    }
+    await new Promise(resolve => setTimeout(resolve, READ_RETRY_DELAY * attempt));
+  }
+}
+
+/**
+ * Whether some problem folder is being replaced right now (see writeProblem)
+ * @returns {Promise<boolean>} True if a swapped-out folder is still around
+ */
+async function isSwapInProgress() {
+  const names = await fs.readdir(PROBLEMS_ROOT).catch(() => []);
+  return names.some(name => name.startsWith('.old_'));
+}
+
+/**
+ * Read a problem folder
+ * @param {string} id - Problem id
+ * @param {object} options - { includeTests }
+ * @returns {Promise<object|null>} Problem (summary with testCount without tests), or null
+ */
+async function readProblem(id, options) {
+  const problemPath = path.join(PROBLEMS_ROOT, id);
+  const metaPath = path.join(problemPath, 'problem.json');
+
+  let meta;
+  let metaStats;
+  try {
+    metaStats = await fs.stat(metaPath);
+    meta = JSON.parse(await fs.readFile(metaPath, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      debug(`Problem ${id} unreadable: ${error.message}`);
+    }
+    return null;
+  }
+
+  const testFiles = await listTestFiles(path.join(problemPath, 'tests'));
+  const problem = {
+    id: id,
+    name: meta.name || id,
+    url: meta.url || null,
+    platform: meta.platform || null,
+    timeLimit: meta.timeLimit || null,
+    memoryLimit: meta.memoryLimit || null,
+    comparator: meta.comparator || null,
+    testCount: testFiles.length,
+    createdAt: meta.createdAt || null,
+    updatedAt: meta.updatedAt || null
+  };
+
+  for (const program of JUDGE_PROGRAMS) {
+    const stored = meta[program];
+    if (!stored) {
+      problem[program] = null;
+    } else if (options.includeTests) {
+      const { file, files, ...settings } = stored;
+      problem[program] = { ...settings, code: await fs.readFile(path.join(problemPath, file), 'utf8') };
+      if (files) {
+        problem[program].files = await readProgramFiles(path.join(problemPath, 'files', program), files);
+      }
+    } else {
+      problem[program] = { language: stored.language };
+    }
+  }
+
+  if (options.includeTests) {
+    problem.testCases = [];
+    for (const { input, output } of testFiles) {
+      problem.testCases.push({
+        input: await fs.readFile(input, 'utf8'),
+        expectedOutput: output ? await fs.readFile(output, 'utf8') : ''
+      });
+    }
+  }
+
+  // A folder swapped in meanwhile has a new problem.json: what was read may mix both
+  const after = await fs.stat(metaPath).catch(() => null);
+  if (!after || after.ino !== metaStats.ino) {
+    const error = new Error(`Problem ${id} changed while being read`);
+    error.tornRead = true;
+    throw error;
+  }
+
+  return problem;
+}
+
+/**
+ * Read the files of a judge program
+ * @param {string} filesPath - The program's files folder
+ * @param {string[]} names - File names from problem.json
+ * @returns {Promise<object>} { name: content }
+ */
+async function readProgramFiles(filesPath, names) {
+  const files = {};
+  for (const name of names) {
+    files[name] = await fs.readFile(path.join(filesPath, path.basename(name)), 'utf8');
+  }
+  return files;
+}
+
+/**
+ * Find test files: <name>.in with an optional <name>.out, in numeric order
+ * @param {string} testsPath - The problem's tests folder
+ * @returns {Promise<object[]>} { input, output } paths (output null if missing)
+ */
+async function listTestFiles(testsPath) {
+  let names;
+  try {
+    names = await fs.readdir(testsPath);
+  } catch {
+    return [];
+  }
+
+  const outputs = new Set(names.filter(name => name.endsWith('.out')));
+  return names
+    .filter(name => name.endsWith('.in'))
+    .map(name => name.slice(0, -'.in'.length))
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(base => ({
+      input: path.join(testsPath, `${base}.in`),
+      output: outputs.has(`${base}.out`) ? path.join(testsPath, `${base}.out`) : null
+    }));
+}
+
+/**
+ * Write a problem folder into place
+ * @param {string} id - Problem id
+ * @param {object} problem - Full problem (with testCases and judge program code)
+ * @param {object} options - { replace: overwrite an existing problem }
+ * @returns {Promise<boolean>} False if the problem exists and replace is off
+ */
+async function writeProblem(id, problem, options) {
+  const problemPath = path.join(PROBLEMS_ROOT, id);
+  const tempPath = path.join(PROBLEMS_ROOT, `.tmp_${randomBytes(8).toString('hex')}`);
+
+  try {
+    await fs.mkdir(path.join(tempPath, 'tests'), { recursive: true });
+
+    const meta = {
+      name: problem.name,
+      url: problem.url || null,
+      platform: problem.platform || null,
+      timeLimit: problem.timeLimit || null,
+      memoryLimit: problem.memoryLimit || null,
+      comparator: problem.comparator || null,
+      createdAt: problem.createdAt,
+      updatedAt: problem.updatedAt
+    };
+
+    for (const program of JUDGE_PROGRAMS) {
+      const spec = problem[program];
+      if (!spec) continue;
+
+      const { code, files, ...settings } = spec;
+      const language = getLanguage(spec.language || 'cpp');
+      const file = `${program}${language.extension}`;
+      await fs.writeFile(path.join(tempPath, file), code);
+      meta[program] = { ...settings, language: language.id, file };
+
+      if (files && Object.keys(files).length > 0) {
+        const filesPath = path.join(tempPath, 'files', program);
+        await fs.mkdir(filesPath, { recursive: true });
+        for (const [name, content] of Object.entries(files)) {
+          await fs.writeFile(path.join(filesPath, path.basename(name)), content);
+        }
+        meta[program].files = Object.keys(files).map(name => path.basename(name));
+      }
+    }
+
+    await fs.writeFile(path.join(tempPath, 'problem.json'), JSON.stringify(meta, null, 2) + '\n');
+
+    const testCases = problem.testCases || [];
+    const width = Math.max(2, String(testCases.length).length);
+    for (const [i, testCase] of testCases.entries()) {
+      const base = String(i + 1).padStart(width, '0');
+      await fs.writeFile(path.join(tempPath, 'tests', `${base}.in`), testCase.input || '');
+      await fs.writeFile(path.join(tempPath, 'tests', `${base}.out`), testCase.expectedOutput || '');
+    }
+
+    if (!options.replace) {
+      // A problem folder is never empty, so the rename fails if the id is taken
+      try {
+        await fs.rename(tempPath, problemPath);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOTEMPTY' || error.code === 'EEXIST') return false;
+        throw error;
+      }
+    }
+
+    // Swap the folders; the old one goes once the new one is in place.
+    // A folder deleted by hand since it was read is simply written anew.
+    let oldPath = path.join(PROBLEMS_ROOT, `.old_${randomBytes(8).toString('hex')}`);
+    try {
+      await fs.rename(problemPath, oldPath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      oldPath = null;
+    }
+    await fs.rename(tempPath, problemPath);
+    if (oldPath) {
+      await fs.rm(oldPath, { recursive: true, force: true });
+    }
+    return true;
+
+  } finally {
+    await fs.rm(tempPath, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Turn a problem name into an id
+ * @param {string} name - Problem name, e.g. "A. Watermelon"
+ * @returns {string} Id, e.g. "a-watermelon"
+ */
+function slugify(name) {
+  const slug = String(name || '')
+    .normalize('NFKD')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, PROBLEM_LIMITS.MAX_ID_LENGTH - 4)
+    .replace(/-+$/, '');
+  return slug || 'problem';
+}
+
+/**
+ * First free id: the slug itself, then slug-2, slug-3, ...
+ * @param {string} slug - Preferred id
+ * @returns {Promise<string>} Unused id
+ */
+async function uniqueId(slug) {
+  for (let n = 1; ; n++) {
+    const id = n === 1 ? slug : `${slug}-${n}`;
+    try {
+      await fs.access(path.join(PROBLEMS_ROOT, id));
+    } catch {
+      return id;
+    }
+  }
+}
+
+export default {
+  PROBLEM_LIMITS,
+  JUDGE_PROGRAMS,
+  isValidProblemId,
+  listProblems,
+  getProblem,
+  createProblem,
+  updateProblem,
+  appendTestCases,
+  deleteProblem
+};
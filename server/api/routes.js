@@ -3,13 +3,55 @@
  * 
  * ENDPOINTS:
  * - POST /run - Execute code with test cases
+ * - POST /run/stream - Same, reporting progress as Server-Sent Events
+ * - POST /validate - Check test inputs with a validator
+ * - POST /stress - Stress test a solution against a reference with generated tests
+ * - POST /stress/shrink - Shrink a failing input while the failure reproduces
+ * - POST /submissions - Queue a run as a background job
+ * - GET /submissions - List jobs and queue statistics
+ * - GET /submissions/:id - Job status, progress and results
+ * - DELETE /submissions/:id - Cancel a queued or running job
+ * - GET /history - Past runs, filtered by problem/verdict/language/date
+ * - GET /history/:id - One past run with its source
+ * - GET /problems - List stored problems
+ * - GET /problems/:id - One problem with its tests
+ * - POST /problems - Store a new problem
+ * - PATCH /problems/:id - Update a problem
+ * - DELETE /problems/:id - Delete a problem
+ * - POST /problems/import - Import tests from a folder or zip of .in/.out files
+ * - POST /problems/import/polygon - Import a Polygon package as a problem
+ * - POST /problems/import/cph - Import CPH .prob files
+ * - GET /problems/:id/cph - A problem as a CPH .prob file
+ * - POST /problems/:id/cph - Write a problem as a source file's CPH .prob
+ * - GET /current-problem - Last problem received from Competitive Companion
+ * - DELETE /current-problem - Forget it
  * - GET /health - Health check with compiler availability
  * - GET /languages - List supported languages
+ * - GET /cache - Compile cache and precompiled header status
+ * - DELETE /cache - Clear the compile cache
  */
 
 import express from 'express';
-import { executeCode } from './executor.js';
-import { getSupportedLanguages, isLanguageSupported } from '../languages/config.js';
+import { executeCode, validateInputs, RUN_LIMITS } from './executor.js';
+import { runStress, runShrink, STRESS_LIMITS } from './stress.js';
+import { submitJob, getJob, listJobs, cancelJob, getQueueStats } from './submissions.js';
+import { recordRun, listRuns, getRun } from './history.js';
+import {
+  listProblems, getProblem, createProblem, updateProblem, deleteProblem,
+  isValidProblemId, PROBLEM_LIMITS, JUDGE_PROGRAMS
+} from './problems.js';
+import { importTests } from './testImport.js';
+import { importPolygonPackage } from './polygonImport.js';
+import { getCurrentProblem, clearCurrentProblem } from './companion.js';
+import { importCphProblems, toCphProblem, exportCphProblem } from './cph.js';
+import { TIME_MODES } from '../executor/runner.js';
+import { VERDICTS, PRESENTATION_POLICIES } from '../executor/verdictEngine.js';
+import { getCacheStats, clearCache } from '../executor/compileCache.js';
+import { warmPrecompiledHeaders, getPrecompiledHeaderStatus } from '../executor/precompiledHeaders.js';
+import { LANGUAGES, getSupportedLanguages, isLanguageSupported } from '../languages/config.js';
+import { getSandbox, SANDBOX_BACKENDS } from '../utils/sandbox.js';
+import { resolveComparator, getSupportedComparators } from '../utils/comparators.js';
+import { openEventStream } from '../utils/eventStream.js';
 import { exec } from 'child_process';
 import { promisify } from 'util';
 
@@ -55,7 +97,17 @@ router.get('/health', async (req, res) => {
   if (!compilerChecks.python) warnings.push('Python 3 not found');
   if (!compilerChecks.javascript) warnings.push('Node.js not found');
 
-  const status = warnings.length === 4 ? 'critical' : 
+  // Without a read-only root, programs can write anywhere the server user can
+  // (no sandbox, or unshare, which auto mode settles on without bwrap/nsjail)
+  const sandbox = getSandbox();
+  if (sandbox.backend === SANDBOX_BACKENDS.NONE) {
+    warnings.push(`Programs run unsandboxed: ${sandbox.note}`);
+  } else if (!sandbox.isolation.readOnlyRoot) {
+    warnings.push(`The ${sandbox.backend} sandbox leaves the filesystem writable to programs; ` +
+      'install bubblewrap or nsjail for a read-only root');
+  }
+
+  const status = !Object.values(compilerChecks).some(Boolean) ? 'critical' : 
                  warnings.length > 0 ? 'degraded' : 'ok';
 
   res.json({
@@ -64,6 +116,12 @@ router.get('/health', async (req, res) => {
     service: 'CP Judge Local',
     version: '1.0.0',
     compilers: compilerChecks,
+    sandbox: {
+      backend: sandbox.backend,
+      requested: sandbox.requested,
+      isolation: sandbox.isolation,
+      note: sandbox.note
+    },
     warnings: warnings,
     platform: process.platform,
     nodeVersion: process.version
@@ -104,9 +162,40 @@ router.get('/languages', async (req, res) => {
  *   "language": "cpp" | "java" | "python" | "javascript",
  *   "code": "source code string",
  *   "testCases": [
- *     { "input": "...", "expectedOutput": "..." }
+ *     { "input": "...", "expectedOutput": "...", "outputLimit": 1 (optional, MB) }
  *   ],
- *   "timeLimit": 2000 (optional, in milliseconds)
+ *   "problemId": "a-watermelon" (instead of testCases: judge against a stored problem's
+ *     tests; its limits, comparator and judge programs apply unless given here),
+ *   "timeLimit": 2000 (optional, in milliseconds, at most 60000),
+ *   "memoryLimit": 256 (optional, in MB, at most 8192),
+ *   "outputLimit": 64 (optional, in MB, per test case, at most 1024),
+ *   "timeMode": "cpu" | "wall" | "both" (optional, default "cpu"),
+ *   "wallTimeLimit": 6000 (optional, idleness limit in "cpu" mode, default 3x timeLimit, at most 600000),
+ *   "concurrency": 4 (optional, parallel test cases, at most 64, default CPU cores;
+ *                     1 while CPU time can only be sampled),
+ *   "sequential": false (optional, run one test at a time),
+ *   "comparator": "bytes" | "lines" | "tokens" | "yesno" | "unordered" | "float"
+ *     | { "name": "float", "absoluteError": 1e-6, "relativeError": 1e-6 }
+ *     (optional, default "lines"; testlib aliases fcmp/wcmp/rcmp4/rcmp6/rcmp9 and "exact" = lines),
+ *   "presentationError": "pe" | "ac" (optional, default "pe"; verdict when only whitespace/line
+ *     breaks differ under "bytes"/"lines" - "ac" accepts it like a token comparator would),
+ *   "checker": { (optional, testlib-style special judge; expectedOutput becomes the answer file)
+ *     "code": "#include \"testlib.h\" ...",
+ *     "language": "cpp" (default; testlib.h is bundled),
+ *     "timeLimit": 10000, "memoryLimit": 512 (optional)
+ *   },
+ *   "interactor": { (optional, interactive problem; same shape as checker, C++ uses
+ *     registerInteraction; input is the interactor's input file, expectedOutput is optional)
+ *     "code": "#include \"testlib.h\" ...",
+ *     "language": "cpp", "timeLimit": 10000, "memoryLimit": 512
+ *   },
+ *   "validator": { (optional, same shape; C++ uses registerValidation and reads stdin.
+ *     A test whose input it rejects is FAIL "Invalid Test" and the solution is not run)
+ *     "code": "#include \"testlib.h\" ...",
+ *     "language": "cpp"
+ *   },
+ *   "problem": { "name": "A. Watermelon", "url": "https://...", "platform": "codeforces" }
+ *     (optional, a name string also works; stored with the run in the history)
  * }
  * 
  * RESPONSE:
@@ -117,81 +206,1481 @@ router.get('/languages', async (req, res) => {
  *       "testCase": 1,
  *       "verdict": "AC",
  *       "message": "Accepted",
- *       "actualOutput": "...",
+ *       "actualOutput": "..." (first 64KB),
+ *       "outputTruncated": false,
  *       "expectedOutput": "...",
- *       "executionTime": 45
+ *       "executionTime": 45 (time the limit is judged on),
+ *       "cpuTime": 40,
+ *       "wallTime": 45,
+ *       "checker": { "exitCode": 0, "message": "ok 3 numbers", "points": null } (null without checker),
+ *       "interactor": { "exitCode": 0, "message": "ok 5 queries", "points": null } (interactive only),
+ *       "transcript": { "entries": [{ "from": "interactor", "time": 3, "data": "10\n" }], "truncated": false }
+ *         (interactive only; "from" is "interactor" or "solution", time in ms),
+ *       "validation": { "valid": true, "broken": false, "message": "", "exitCode": 0 } (null without validator)
  *     }
  *   ],
- *   "compilationError": null
+ *   "compilationError": null,
+ *   "checkerError": { "verdict": "CE", "stderr": "..." } (only if the checker failed to compile),
+ *   "interactorError": { "verdict": "CE", "stderr": "..." } (only if the interactor failed to compile),
+ *   "validatorError": { "verdict": "CE", "stderr": "..." } (only if the validator failed to compile),
+ *   "compilation": {
+ *     "cached": false,
+ *     "compileTime": 410,
+ *     "pch": { "used": true, "headers": ["bits/stdc++.h"], "timeSaved": 1350 } (null if unused),
+ *     "checker": { "cached": true, "compileTime": 0 } (with a checker),
+ *     "interactor": { "cached": true, "compileTime": 0 } (with an interactor),
+ *     "validator": { "cached": true, "compileTime": 0 } (with a validator)
+ *   },
+ *   "historyId": "9b2e..." (GET /history/:id; null if history is off or the write failed)
  * }
  */
 router.post('/run', async (req, res) => {
   try {
-    // Validate request body
-    const { language, code, testCases, timeLimit } = req.body;
+    const parsed = await parseRunRequest(req.body);
+    if (parsed.error) {
+      return res.status(parsed.status || 400).json({ success: false, ...parsed.error });
+    }
 
-    // Validation: Required fields
-    if (!language || !code || !testCases) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields: language, code, testCases'
-      });
+    // Execute code
+    const { language, code, testCases, timeLimit, memoryLimit, options } = parsed.run;
+    console.log(`[API] Executing ${language} code with ${testCases.length} test cases`);
+    const result = await executeCode(language, code, testCases, timeLimit, memoryLimit, options);
+    result.historyId = await recordRun(parsed.run, result);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Execute code with test cases, streaming progress as Server-Sent Events
+ * Same request body as /run; invalid requests still get a 400 JSON response.
+ *
+ * EVENTS (data is JSON):
+ * - compile-start: { "program": "solution" | "checker" | "interactor" | "validator" }
+ * - compile-finish: { "program": "solution", "success": true, "cached": false, "compileTime": 410 }
+ * - test-start: { "testCase": 3, "totalTests": 10 }
+ * - test-verdict: one entry of /run's results (verdict, times, memory, diff...)
+ * - summary: the complete /run response (last event)
+ * - error: { "error": "Internal server error", "message": "..." } (last event)
+ * Tests run concurrently, so test-start/test-verdict may arrive out of order.
+ * Comment lines (": heartbeat") are sent every 15s while nothing else happens.
+ * Closing the connection before the summary cancels the run.
+ */
+router.post('/run/stream', async (req, res) => {
+  let parsed;
+  try {
+    parsed = await parseRunRequest(req.body);
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+
+  if (parsed.error) {
+    return res.status(parsed.status || 400).json({ success: false, ...parsed.error });
+  }
+
+  const { language, code, testCases, timeLimit, memoryLimit, options } = parsed.run;
+  console.log(`[API] Streaming ${language} run with ${testCases.length} test cases`);
+  const stream = openEventStream(res);
+
+  // A client that goes away before the summary stops the run: its programs
+  // are killed and its workspace removed, as for a cancelled submission
+  const controller = new AbortController();
+  let judged = false;
+  res.on('close', () => {
+    if (!judged) controller.abort();
+  });
+
+  try {
+    const result = await executeCode(language, code, testCases, timeLimit, memoryLimit, {
+      ...options,
+      signal: controller.signal,
+      onEvent: (type, data) => stream.send(type, data)
+    });
+    judged = true;
+    result.historyId = await recordRun(parsed.run, result);
+    stream.send('summary', result);
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      console.log(`[API] Stream closed by the client; ${language} run cancelled`);
+      return;
     }
+    console.error('[API ERROR]', error);
+    stream.send('error', {
+      error: 'Internal server error',
+      message: error.message
+    });
 
-    // Validation: Language support
-    if (!isLanguageSupported(language)) {
-      return res.status(400).json({
-        success: false,
+  } finally {
+    stream.close();
+  }
+});
+
+/**
+ * Validate a /run request body (shared by /run, /run/stream and /submissions)
+ * With a problemId, the stored problem supplies the tests, and its limits,
+ * comparator and judge programs unless the request gives its own.
+ * @param {object} body - Request body
+ * @returns {Promise<object>} { run: { language, code, testCases, timeLimit, memoryLimit, problem, options } }
+ *   or { error, status } with the fields and status (default 400) of an error response
+ */
+async function parseRunRequest(body) {
+  let maxTestCases = 50;
+
+  if (body.problemId !== undefined) {
+    if (body.testCases !== undefined) {
+      return { error: { error: 'Give either problemId or testCases, not both' } };
+    }
+
+    const stored = await getProblem(body.problemId);
+    if (!stored) {
+      return { status: 404, error: { error: `Problem not found: ${body.problemId}` } };
+    }
+    if (stored.testCases.length === 0) {
+      return { error: { error: `Problem ${stored.id} has no test cases` } };
+    }
+
+    body = applyStoredProblem(stored, body);
+    maxTestCases = PROBLEM_LIMITS.MAX_TEST_CASES;
+  }
+
+  const {
+    language, code, testCases, timeLimit, memoryLimit, outputLimit, timeMode, wallTimeLimit,
+    concurrency, sequential, checker, interactor, validator, comparator, presentationError, problem
+  } = body;
+
+  // Validation: Required fields
+  if (!language || !code || !testCases) {
+    return { error: { error: 'Missing required fields: language, code, testCases' } };
+  }
+
+  // Validation: Language support
+  if (!isLanguageSupported(language)) {
+    return {
+      error: {
         error: `Unsupported language: ${language}`,
         supportedLanguages: getSupportedLanguages()
-      });
+      }
+    };
+  }
+
+  // Validation: Limits
+  const limitError = validateRunLimits({ timeLimit, memoryLimit, outputLimit, wallTimeLimit, concurrency });
+  if (limitError) {
+    return { error: { error: limitError } };
+  }
+
+  // Validation: Time mode
+  if (timeMode !== undefined && !Object.values(TIME_MODES).includes(timeMode)) {
+    return {
+      error: {
+        error: `Invalid timeMode: ${timeMode}`,
+        supportedTimeModes: Object.values(TIME_MODES)
+      }
+    };
+  }
+
+  // Validation: Presentation policy
+  if (presentationError !== undefined && !Object.values(PRESENTATION_POLICIES).includes(presentationError)) {
+    return {
+      error: {
+        error: `Invalid presentationError: ${presentationError}`,
+        supportedPresentationPolicies: Object.values(PRESENTATION_POLICIES)
+      }
+    };
+  }
+
+  // Validation: Comparator
+  let resolvedComparator;
+  try {
+    resolvedComparator = resolveComparator(comparator);
+  } catch (error) {
+    return {
+      error: {
+        error: error.message,
+        supportedComparators: getSupportedComparators()
+      }
+    };
+  }
+
+  // Validation: Checker / interactor / validator
+  for (const [label, spec] of [['checker', checker], ['interactor', interactor], ['validator', validator]]) {
+    const programError = validateJudgeProgram(label, spec);
+    if (programError) {
+      return { error: programError };
     }
+  }
 
-    // Validation: Test cases format
-    if (!Array.isArray(testCases) || testCases.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'testCases must be a non-empty array'
-      });
+  if (checker && interactor) {
+    return { error: { error: 'checker and interactor cannot be combined (the interactor gives the verdict)' } };
+  }
+
+  // Validation: Problem reference (for the run history)
+  if (problem !== undefined && problem !== null && typeof problem !== 'string' &&
+      (typeof problem !== 'object' || Array.isArray(problem))) {
+    return { error: { error: 'problem must be a name or an object { id, name, url, platform }' } };
+  }
+
+  // Validation: Test cases format
+  if (!Array.isArray(testCases) || testCases.length === 0) {
+    return { error: { error: 'testCases must be a non-empty array' } };
+  }
+
+  // Validation: Test case structure
+  for (let i = 0; i < testCases.length; i++) {
+    const tc = testCases[i];
+    // Interactors judge the exchange themselves; the answer file is optional
+    if (!tc.hasOwnProperty('input') || (!interactor && !tc.hasOwnProperty('expectedOutput'))) {
+      return { error: { error: `Test case ${i + 1} missing input or expectedOutput` } };
     }
+    const testLimitError = validateRunLimits({ outputLimit: tc.outputLimit });
+    if (testLimitError) {
+      return { error: { error: `Test case ${i + 1}: ${testLimitError}` } };
+    }
+  }
 
-    // Validation: Test case structure
-    for (let i = 0; i < testCases.length; i++) {
-      const tc = testCases[i];
-      if (!tc.hasOwnProperty('input') || !tc.hasOwnProperty('expectedOutput')) {
-        return res.status(400).json({
-          success: false,
-          error: `Test case ${i + 1} missing input or expectedOutput`
-        });
+  // Validation: Reasonable limits
+  if (testCases.length > maxTestCases) {
+    return { error: { error: `Maximum ${maxTestCases} test cases allowed per request` } };
+  }
+
+  if (code.length > 1024 * 64) { // 64KB
+    return { error: { error: 'Code size exceeds maximum (64KB)' } };
+  }
+
+  return {
+    run: {
+      language,
+      code,
+      testCases,
+      timeLimit,
+      memoryLimit,
+      problem: problem || null,
+      options: {
+        outputLimit,
+        timeMode,
+        wallTimeLimit,
+        concurrency,
+        sequential,
+        comparator: resolvedComparator,
+        presentationError,
+        checker: checker || null,
+        interactor: interactor || null,
+        validator: validator || null
       }
     }
+  };
+}
 
-    // Validation: Reasonable limits
-    if (testCases.length > 50) {
-      return res.status(400).json({
+/**
+ * Validate the numeric limits of a run from a request body
+ * @param {object} limits - Any of timeLimit, memoryLimit, outputLimit, wallTimeLimit, concurrency
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateRunLimits(limits) {
+  const maxima = {
+    timeLimit: RUN_LIMITS.MAX_TIME_LIMIT,
+    memoryLimit: RUN_LIMITS.MAX_MEMORY_LIMIT,
+    outputLimit: RUN_LIMITS.MAX_OUTPUT_LIMIT,
+    wallTimeLimit: RUN_LIMITS.MAX_WALL_TIME_LIMIT,
+    concurrency: RUN_LIMITS.MAX_CONCURRENCY
+  };
+
+  for (const [name, value] of Object.entries(limits)) {
+    const max = maxima[name];
+    if (value !== undefined && !(Number.isInteger(value) && value > 0 && value <= max)) {
+      return `${name} must be an integer between 1 and ${max}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fill a /run request from a stored problem
+ * @param {object} stored - Problem from the library (with tests)
+ * @param {object} body - Request body (its own settings win)
+ * @returns {object} Request body with the problem's tests and settings
+ */
+function applyStoredProblem(stored, body) {
+  const defaults = {};
+  for (const key of ['timeLimit', 'memoryLimit', 'comparator', ...JUDGE_PROGRAMS]) {
+    if (stored[key] !== null) {
+      defaults[key] = stored[key];
+    }
+  }
+
+  return {
+    ...defaults,
+    ...body,
+    testCases: stored.testCases,
+    problem: { id: stored.id, name: stored.name, url: stored.url, platform: stored.platform }
+  };
+}
+
+/**
+ * Queue a run as a background job
+ * Same request body as /run; invalid requests get a 400 right away.
+ *
+ * RESPONSE (202):
+ * {
+ *   "success": true,
+ *   "id": "3f1c...",
+ *   "status": "queued" | "running",
+ *   "queuePosition": 2 (null once running)
+ * }
+ * Poll GET /submissions/:id for progress and results.
+ * 503 (with Retry-After) when MAX_QUEUED_JOBS jobs are already waiting.
+ */
+router.post('/submissions', async (req, res) => {
+  try {
+    const parsed = await parseRunRequest(req.body);
+    if (parsed.error) {
+      return res.status(parsed.status || 400).json({ success: false, ...parsed.error });
+    }
+
+    const job = submitJob(parsed.run);
+    if (!job) {
+      const { queued } = getQueueStats();
+      res.set('Retry-After', '5');
+      return res.status(503).json({
         success: false,
-        error: 'Maximum 50 test cases allowed per request'
+        error: `Submission queue is full (${queued} waiting); try again later`
       });
     }
+    console.log(`[API] Queued ${job.language} submission ${job.id} with ${job.progress.total} test cases`);
+
+    res.status(202).json({
+      success: true,
+      id: job.id,
+      status: job.status,
+      queuePosition: job.queuePosition
+    });
+
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List known jobs (newest first, without results) and queue statistics
+ */
+router.get('/submissions', async (req, res) => {
+  res.json({
+    success: true,
+    queue: getQueueStats(),
+    jobs: listJobs()
+  });
+});
+
+/**
+ * Job status and results
+ *
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "job": {
+ *     "id": "3f1c...",
+ *     "status": "queued" | "running" | "completed" | "failed" | "cancelled",
+ *     "progress": { "completed": 3, "total": 10 },
+ *     "queuePosition": null,
+ *     "createdAt": "...", "startedAt": "...", "finishedAt": null,
+ *     "partialResults": [...] (tests judged so far, until the job completes),
+ *     "result": { ...the /run response... } (once completed),
+ *     "error": null (the failure message when failed)
+ *   }
+ * }
+ * Finished jobs are forgotten after an hour (404).
+ */
+router.get('/submissions/:id', async (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({ success: false, error: 'Submission not found' });
+  }
+
+  res.json({ success: true, job });
+});
+
+/**
+ * Cancel a job
+ * A queued job is dropped; a running job has its programs killed and its
+ * workspace removed, and shows as "cancelled" once that is done.
+ * Cancelling a finished job changes nothing (409).
+ */
+router.delete('/submissions/:id', async (req, res) => {
+  const cancelled = cancelJob(req.params.id);
+  if (!cancelled) {
+    return res.status(404).json({ success: false, error: 'Submission not found' });
+  }
+
+  if (!cancelled.changed) {
+    return res.status(409).json({
+      success: false,
+      error: `Submission already ${cancelled.job.status}`,
+      job: cancelled.job
+    });
+  }
+
+  console.log(`[API] Cancelling submission ${req.params.id}`);
+  res.json({ success: true, job: cancelled.job });
+});
+
+/**
+ * Past runs, newest first (without source)
+ *
+ * QUERY (all optional):
+ * - problem: problem id or url, or part of its name
+ * - verdict: overall verdict (AC, WA, CE, ...)
+ * - language: language id
+ * - since, until: dates, e.g. 2024-05-01 or 2024-05-01T18:00:00Z
+ * - limit (default 50, max 500), offset: paging
+ *
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "total": 12 (matching runs),
+ *   "runs": [
+ *     { "id": "9b2e...", "timestamp": "...", "language": "cpp", "codeHash": "e3b0...",
+ *       "problem": { "id": null, "name": "A. Watermelon", "url": "...", "platform": "codeforces" },
+ *       "verdict": "AC", "passed": 3, "totalTests": 3, "totalTime": 120, "peakMemory": 3.2 }
+ *   ]
+ * }
+ */
+router.get('/history', async (req, res) => {
+  try {
+    const { problem, verdict, language, since, until, limit, offset } = req.query;
+
+    // Validation: One value per filter
+    const repeated = Object.entries(req.query).find(([, value]) => typeof value !== 'string');
+    if (repeated) {
+      return res.status(400).json({ success: false, error: `${repeated[0]} may only be given once` });
+    }
 
-    if (code.length > 1024 * 64) { // 64KB
+    // Validation: Verdict
+    if (verdict !== undefined && !Object.values(VERDICTS).includes(String(verdict).toUpperCase())) {
       return res.status(400).json({
         success: false,
-        error: 'Code size exceeds maximum (64KB)'
+        error: `Invalid verdict: ${verdict}`,
+        supportedVerdicts: Object.values(VERDICTS)
       });
     }
 
-    // Execute code
-    console.log(`[API] Executing ${language} code with ${testCases.length} test cases`);
-    const result = await executeCode(language, code, testCases, timeLimit);
+    // Validation: Dates
+    for (const [name, value] of [['since', since], ['until', until]]) {
+      if (value !== undefined && Number.isNaN(Date.parse(value))) {
+        return res.status(400).json({ success: false, error: `${name} must be a date` });
+      }
+    }
 
-    res.json(result);
+    // Validation: Paging
+    for (const [name, value] of [['limit', limit], ['offset', offset]]) {
+      if (value !== undefined && !/^\d+$/.test(value)) {
+        return res.status(400).json({ success: false, error: `${name} must be a non-negative integer` });
+      }
+    }
+
+    const history = await listRuns({
+      problem, verdict, language, since, until,
+      limit: limit !== undefined ? parseInt(limit, 10) : undefined,
+      offset: offset !== undefined ? parseInt(offset, 10) : undefined
+    });
+
+    res.json({ success: true, ...history });
 
   } catch (error) {
     console.error('[API ERROR]', error);
     res.status(500).json({
       success: false,
-      error: 'Internal server error',
+      error: 'Failed to read run history',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * One past run with its source and per-test results
+ *
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "run": {
+ *     ...the /history summary fields,
+ *     "timeLimit": 2000, "memoryLimit": 256,
+ *     "compilationError": null ({ verdict, message, stderr } if something failed to compile),
+ *     "tests": [{ "testCase": 1, "verdict": "AC", "executionTime": 45, "cpuTime": 40,
+ *                 "wallTime": 45, "memory": 3.2, "message": "Accepted" }],
+ *     "code": "#include <bits/stdc++.h> ..."
+ *   }
+ * }
+ */
+router.get('/history/:id', async (req, res) => {
+  try {
+    const run = await getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+
+    res.json({ success: true, run });
+
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read run history',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * List stored problems (without tests or judge program sources)
+ *
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "problems": [
+ *     { "id": "a-watermelon", "name": "A. Watermelon", "url": "...", "platform": "codeforces",
+ *       "timeLimit": 1000, "memoryLimit": 64, "comparator": null, "testCount": 3,
+ *       "checker": null, "interactor": null, "validator": { "language": "cpp" },
+ *       "createdAt": "...", "updatedAt": "..." }
+ *   ]
+ * }
+ */
+router.get('/problems', async (req, res) => {
+  try {
+    res.json({ success: true, problems: await listProblems() });
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read problem library',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * One stored problem with its tests and judge programs
+ * Same fields as the listing, plus "testCases" and the judge programs' code.
+ */
+router.get('/problems/:id', async (req, res) => {
+  try {
+    const problem = await getProblem(req.params.id);
+    if (!problem) {
+      return res.status(404).json({ success: false, error: 'Problem not found' });
+    }
+
+    res.json({ success: true, problem });
+
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read problem library',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Store a new problem
+ *
+ * REQUEST BODY:
+ * {
+ *   "id": "cf-4a" (optional, lowercase letters, digits, "-" and "_"; derived from the name),
+ *   "name": "A. Watermelon",
+ *   "url": "https://codeforces.com/problemset/problem/4/A" (optional),
+ *   "platform": "codeforces" (optional),
+ *   "timeLimit": 1000, "memoryLimit": 64 (optional, ms / MB),
+ *   "comparator": as for /run (optional),
+ *   "checker" / "interactor" / "validator": as for /run (optional),
+ *   "testCases": [{ "input": "8\n", "expectedOutput": "YES\n" }] (at most 500)
+ * }
+ *
+ * RESPONSE (201): { "success": true, "problem": { ...as GET /problems/:id },
+ *   "warnings": ["Test 2: rejected by the validator (n is 0, expected 1..100)"] }
+ * Tests are checked with the validator, when there is one; rejected tests are
+ * stored all the same and listed in warnings. An id that is already taken gives 409.
+ */
+router.post('/problems', async (req, res) => {
+  try {
+    const parsed = parseProblemRequest(req.body, { partial: false });
+    if (parsed.error) {
+      return res.status(400).json({ success: false, ...parsed.error });
+    }
+
+    const created = await createProblem(parsed.problem);
+    if (!created) {
+      return res.status(409).json({ success: false, error: `Problem id already taken: ${parsed.problem.id}` });
+    }
+
+    const { warnings, ...problem } = created;
+    console.log(`[API] Problem ${problem.id} created with ${problem.testCount} test cases`);
+    res.status(201).json({ success: true, problem, warnings });
+
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to store problem',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Update a stored problem
+ * Same body as POST /problems, every field optional: fields given replace the
+ * stored ones ("testCases" replaces the whole suite, a judge program set to
+ * null is removed). The id cannot change. New tests (or a new validator) are
+ * checked as for POST /problems, with warnings in the response.
+ */
+router.patch('/problems/:id', async (req, res) => {
+  try {
+    const parsed = parseProblemRequest(req.body, { partial: true });
+    if (parsed.error) {
+      return res.status(400).json({ success: false, ...parsed.error });
+    }
+
+    const updated = await updateProblem(req.params.id, parsed.problem);
+    if (!updated) {
+      return res.status(404).json({ success: false, error: 'Problem not found' });
+    }
+
+    const { warnings, ...problem } = updated;
+    console.log(`[API] Problem ${problem.id} updated`);
+    res.json({ success: true, problem, warnings });
+
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to store problem',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Delete a stored problem (its folder goes with it)
+ */
+router.delete('/problems/:id', async (req, res) => {
+  try {
+    if (!await deleteProblem(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Problem not found' });
+    }
+
+    console.log(`[API] Problem ${req.params.id} deleted`);
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete problem',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Import tests from a folder or zip archive of .in/.out files
+ * Creates the problem, or extends (or replaces) an existing problem's tests.
+ *
+ * REQUEST (either):
+ * - JSON: { "path": "/home/me/usaco/silver1" | "/home/me/contest/A.zip",
+ *           "problemId": "usaco-silver1" (optional), "name": "..." (optional),
+ *           "replace": false (optional, drop the problem's current tests first) }
+ * - A zip upload: Content-Type: application/zip, with problemId, name, replace
+ *   and fileName as query parameters
+ *
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "problem": { ...as GET /problems, without tests },
+ *   "created": true,
+ *   "imported": 12,
+ *   "pairs": [{ "test": 1, "input": "1.in", "output": "1.out" }],
+ *   "unpaired": ["README.md", "13.in"],
+ *   "warnings": ["Test 13: rejected by the validator (...)"] (with a validator)
+ * }
+ * Pairing: x.in with x.out or x.ans, input00.txt with output00.txt (also in input/ and
+ * output/ folders), in/x with out/x, and Polygon's 01 with 01.a. A source without any
+ * pair is a 400 that still lists the unpaired files.
+ */
+router.post('/problems/import', express.raw({ type: 'application/zip', limit: '64mb' }), async (req, res) => {
+  try {
+    const upload = Buffer.isBuffer(req.body);
+    const params = upload ? req.query : req.body;
+    const { problemId, name, path: sourcePath } = params;
+    const replace = params.replace === true || params.replace === 'true' || params.replace === '1';
+
+    // Validation: Source
+    if (!upload && (typeof sourcePath !== 'string' || !sourcePath)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Give a path (directory or .zip) or upload a zip archive (Content-Type: application/zip)'
+      });
+    }
+
+    // Validation: Target
+    if (problemId !== undefined && !isValidProblemId(problemId)) {
+      return res.status(400).json({ success: false, error: `Invalid problem id: ${problemId}` });
+    }
+
+    if (name !== undefined && (typeof name !== 'string' || !name || name.length > 500)) {
+      return res.status(400).json({ success: false, error: 'name must be a string of at most 500 characters' });
+    }
+
+    const source = upload
+      ? { zip: req.body, name: typeof params.fileName === 'string' ? params.fileName : 'upload.zip' }
+      : { path: sourcePath };
+    console.log(`[API] Importing tests from ${upload ? `uploaded ${source.name}` : sourcePath}`);
+
+    const result = await importTests(source, { problemId, name, replace });
+    res.status(result.success ? 200 : 400).json(result);
+
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import tests',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Import a Polygon package (full package folder or zip) as a problem
+ * Limits and the checker, interactor and validator come from problem.xml;
+ * tests missing from the package are generated with its test script and
+ * their answers produced by the main solution.
+ *
+ * REQUEST (either):
+ * - JSON: { "path": "/home/me/polygon/aplusb-7$linux.zip",
+ *           "problemId": "aplusb" (optional, default: the package's short name),
+ *           "replace": false (optional, overwrite a problem with that id) }
+ * - A zip upload: Content-Type: application/zip, with problemId, replace and
+ *   fileName as query parameters
+ *
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "problem": { ...as GET /problems, without tests },
+ *   "created": true,
+ *   "tests": { "total": 20, "fromPackage": 3, "generated": 17, "answersGenerated": 20 },
+ *   "warnings": ["Test 4: rejected by the validator (...)"]
+ * }
+ * A package that cannot be imported (no problem.xml, a judge program or generator
+ * that does not compile or fails, id taken without replace) is a 400 with error
+ * and, for compile errors, stderr.
+ */
+router.post('/problems/import/polygon', express.raw({ type: 'application/zip', limit: '64mb' }), async (req, res) => {
+  try {
+    const upload = Buffer.isBuffer(req.body);
+    const params = upload ? req.query : req.body;
+    const { problemId, path: sourcePath } = params;
+    const replace = params.replace === true || params.replace === 'true' || params.replace === '1';
+
+    // Validation: Source
+    if (!upload && (typeof sourcePath !== 'string' || !sourcePath)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Give a path (package folder or .zip) or upload a zip archive (Content-Type: application/zip)'
+      });
+    }
+
+    // Validation: Target
+    if (problemId !== undefined && !isValidProblemId(problemId)) {
+      return res.status(400).json({ success: false, error: `Invalid problem id: ${problemId}` });
+    }
+
+    const source = upload
+      ? { zip: req.body, name: typeof params.fileName === 'string' ? params.fileName : 'package.zip' }
+      : { path: sourcePath };
+    console.log(`[API] Importing Polygon package from ${upload ? `uploaded ${source.name}` : sourcePath}`);
+
+    const result = await importPolygonPackage(source, { problemId, replace });
+    res.status(result.success ? 200 : 400).json(result);
+
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import Polygon package',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Import the .prob files CPH keeps in a folder's .cph/ (one problem each)
+ * A problem already in the library (same url, or same name without one) is
+ * skipped, or updated with replace.
+ *
+ * REQUEST BODY:
+ * { "path": "/home/me/cf" | "/home/me/cf/.cph" | "/home/me/cf/.cph/.A.cpp_3f2a....prob",
+ *   "replace": false (optional) }
+ *
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "imported": [{ "file": ".../.A.cpp_3f2a....prob", "id": "a-watermelon", "name": "A. Watermelon",
+ *                  "url": "...", "srcPath": "/home/me/cf/A.cpp", "created": true, "tests": 2,
+ *                  "warnings": [] (tests the library problem's validator rejects) }],
+ *   "skipped": [{ "file": "...", "reason": "Already in the library as a-watermelon" }]
+ * }
+ * A path without any .prob file is a 400.
+ */
+router.post('/problems/import/cph', async (req, res) => {
+  try {
+    const { path: location, replace } = req.body;
+
+    // Validation: Source
+    if (typeof location !== 'string' || !location) {
+      return res.status(400).json({ success: false, error: 'Give a path (folder, .cph folder or .prob file)' });
+    }
+
+    if (replace !== undefined && typeof replace !== 'boolean') {
+      return res.status(400).json({ success: false, error: 'replace must be a boolean' });
+    }
+
+    console.log(`[API] Importing CPH problems from ${location}`);
+
+    const result = await importCphProblems(location, { replace });
+    res.status(result.success ? 200 : 400).json(result);
+
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import CPH problems',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * A stored problem in CPH's .prob format
+ * ?srcPath= names the source file it belongs to (optional)
+ * Judge programs and comparators are left out: the format has no place for them.
+ */
+router.get('/problems/:id/cph', async (req, res) => {
+  try {
+    const { srcPath = '' } = req.query;
+    if (typeof srcPath !== 'string') {
+      return res.status(400).json({ success: false, error: 'srcPath must be given once' });
+    }
+
+    const problem = await getProblem(req.params.id);
+    if (!problem) {
+      return res.status(404).json({ success: false, error: 'Problem not found' });
+    }
+
+    res.json(toCphProblem(problem, srcPath));
+
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read problem library',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Write a stored problem as a source file's .prob, where CPH looks for it
+ * (<source folder>/.cph/.<file>_<md5 of path>.prob, replacing any there)
+ *
+ * REQUEST BODY:
+ * { "srcPath": "/home/me/cf/A.cpp" }
+ *
+ * RESPONSE:
+ * { "success": true, "path": "/home/me/cf/.cph/.A.cpp_3f2a....prob", "problem": { ...the .prob } }
+ */
+router.post('/problems/:id/cph', async (req, res) => {
+  try {
+    const { srcPath } = req.body;
+
+    // Validation: Target
+    if (typeof srcPath !== 'string' || !srcPath) {
+      return res.status(400).json({ success: false, error: 'Missing required field: srcPath' });
+    }
+
+    const exported = await exportCphProblem(req.params.id, srcPath);
+    if (!exported) {
+      return res.status(404).json({ success: false, error: 'Problem not found' });
+    }
+
+    console.log(`[API] Problem ${req.params.id} written to ${exported.path}`);
+    res.json({ success: true, ...exported });
+
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export problem',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * The current problem: the last one Competitive Companion sent to the receiver
+ * port (COMPANION_PORT), for the browser extension and VS Code to pick up
+ *
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "problem": {
+ *     "platform": "codeforces", "name": "A. Watermelon", "group": "Codeforces - Round 4 (Div. 2)",
+ *     "url": "...", "timeLimit": 1000, "memoryLimit": 64, "comparator": null,
+ *     "interactive": false, "fileIO": null,
+ *     "testCases": [{ "input": "8\n", "expectedOutput": "YES\n" }],
+ *     "batch": { "id": "...", "size": 1 }, "source": "competitive-companion",
+ *     "timestamp": 1716900000000
+ *   }
+ * }
+ * "problem" is null until a problem arrives. fileIO ({ input, output } file
+ * names) is informational: runs always use stdin/stdout.
+ */
+router.get('/current-problem', (req, res) => {
+  res.json({ success: true, problem: getCurrentProblem() });
+});
+
+/**
+ * Forget the current problem
+ */
+router.delete('/current-problem', (req, res) => {
+  if (!clearCurrentProblem()) {
+    return res.status(404).json({ success: false, error: 'No current problem' });
+  }
+
+  console.log('[API] Current problem cleared');
+  res.json({ success: true });
+});
+
+/**
+ * Validate a /problems request body
+ * @param {object} body - Request body
+ * @param {object} options - { partial: fields are optional (update) }
+ * @returns {object} { problem } with the given fields, or { error } with the fields of a 400 response
+ */
+function parseProblemRequest(body, options) {
+  const {
+    id, name, url, platform, timeLimit, memoryLimit, comparator,
+    checker, interactor, validator, testCases
+  } = body;
+
+  // Validation: Required fields
+  if (!options.partial && !name) {
+    return { error: { error: 'Missing required field: name' } };
+  }
+
+  if (options.partial && id !== undefined) {
+    return { error: { error: 'A problem id cannot be changed' } };
+  }
+
+  if (id !== undefined && !isValidProblemId(id)) {
+    return {
+      error: {
+        error: `Invalid problem id: ${id} (up to ${PROBLEM_LIMITS.MAX_ID_LENGTH} lowercase letters, digits, "-" and "_")`
+      }
+    };
+  }
+
+  // Validation: Text fields
+  for (const [field, value] of [['name', name], ['url', url], ['platform', platform]]) {
+    if (value !== undefined && value !== null && (typeof value !== 'string' || value.length > 500)) {
+      return { error: { error: `${field} must be a string of at most 500 characters` } };
+    }
+  }
+
+  if (options.partial && name !== undefined && !name) {
+    return { error: { error: 'name cannot be empty' } };
+  }
+
+  // Validation: Limits (the ones a run accepts, so stored problems stay runnable)
+  const limitError = validateRunLimits({
+    timeLimit: timeLimit ?? undefined,
+    memoryLimit: memoryLimit ?? undefined
+  });
+  if (limitError) {
+    return { error: { error: limitError } };
+  }
+
+  // Validation: Comparator
+  if (comparator !== undefined && comparator !== null) {
+    try {
+      resolveComparator(comparator);
+    } catch (error) {
+      return {
+        error: {
+          error: error.message,
+          supportedComparators: getSupportedComparators()
+        }
+      };
+    }
+  }
+
+  // Validation: Checker / interactor / validator
+  for (const [label, spec] of [['checker', checker], ['interactor', interactor], ['validator', validator]]) {
+    const programError = validateJudgeProgram(label, spec);
+    if (programError) {
+      return { error: programError };
+    }
+  }
+
+  if (checker && interactor) {
+    return { error: { error: 'checker and interactor cannot be combined (the interactor gives the verdict)' } };
+  }
+
+  // Validation: Test cases
+  if (testCases !== undefined) {
+    if (!Array.isArray(testCases) || testCases.length > PROBLEM_LIMITS.MAX_TEST_CASES) {
+      return { error: { error: `testCases must be an array of at most ${PROBLEM_LIMITS.MAX_TEST_CASES} tests` } };
+    }
+
+    for (let i = 0; i < testCases.length; i++) {
+      const tc = testCases[i];
+      if (!tc || typeof tc.input !== 'string' ||
+          (tc.expectedOutput !== undefined && typeof tc.expectedOutput !== 'string')) {
+        return { error: { error: `Test case ${i + 1} needs a string input (and expectedOutput, if given)` } };
+      }
+    }
+  }
+
+  return {
+    problem: {
+      id, name, url, platform, timeLimit, memoryLimit, comparator, checker, interactor, validator,
+      testCases: testCases?.map(tc => ({ input: tc.input, expectedOutput: tc.expectedOutput || '' }))
+    }
+  };
+}
+
+/**
+ * Check test inputs with a validator (e.g. when a test is added)
+ *
+ * REQUEST BODY:
+ * {
+ *   "validator": { "code": "#include \"testlib.h\" ...", "language": "cpp" },
+ *   "inputs": ["3\n1 2 3\n", "..."] (at most 50)
+ * }
+ *
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "valid": false (every input valid),
+ *   "results": [
+ *     { "test": 1, "valid": true, "broken": false, "message": "", "exitCode": 0 },
+ *     { "test": 2, "valid": false, "broken": false, "message": "Integer 0 violates the range [1, 100000] (n)", "exitCode": 3 }
+ *   ]
+ * }
+ * "broken": true means the validator itself failed (timed out, crashed).
+ * A validator that does not compile gives success: false with validatorError.
+ */
+router.post('/validate', async (req, res) => {
+  try {
+    const { validator, inputs } = req.body;
+
+    if (!validator || !inputs) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: validator, inputs'
+      });
+    }
+
+    const programError = validateJudgeProgram('validator', validator);
+    if (programError) {
+      return res.status(400).json({ success: false, ...programError });
+    }
+
+    if (!Array.isArray(inputs) || inputs.length === 0 || !inputs.every(input => typeof input === 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: 'inputs must be a non-empty array of strings'
+      });
+    }
+
+    if (inputs.length > 50) {
+      return res.status(400).json({
+        success: false,
+        error: 'Maximum 50 inputs allowed per request'
+      });
+    }
+
+    console.log(`[API] Validating ${inputs.length} input(s)`);
+    res.json(await validateInputs(validator, inputs));
+
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Stress test a solution: generate tests until it disagrees with a reference
+ *
+ * REQUEST BODY:
+ * {
+ *   "generator": { "code": "...", "language": "cpp" (default), "timeLimit": 10000, "memoryLimit": 512 }
+ *     (run as "generator [generatorArgs...] <seed>", prints one test; testlib.h is bundled),
+ *   "brute": { "code": "...", "language": "python" } (reference solution, same shape),
+ *   "solution": { "code": "...", "language": "cpp" } (candidate),
+ *   "timeLimit": 2000, "memoryLimit": 256, "timeMode": "cpu" (optional, candidate limits),
+ *   "comparator": "lines" (optional, as in /run),
+ *   "iterations": 1000 (optional, max 100000),
+ *   "timeBudget": 30000 (optional, in milliseconds, max 300000; covers minimizing too),
+ *   "startSeed": 1 (optional),
+ *   "generatorArgs": ["10", "1000"] (optional, passed before the seed),
+ *   "minimize": false (optional, shrink the failing input, see /stress/shrink),
+ *   "shrinkAttempts": 500 (optional, max 10000)
+ * }
+ *
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "status": "passed" | "failed" | "generator-failed" | "brute-failed",
+ *   "iterations": 17,
+ *   "elapsedTime": 820,
+ *   "seeds": { "first": 1, "last": 17 },
+ *   "failure": { (null if passed)
+ *     "seed": 17, "input": "...", "verdict": "WA", "message": "...",
+ *     "expectedOutput": "..." (reference), "actualOutput": "..." (candidate),
+ *     "diff": { ... } (as in /run), "stderr": "...",
+ *     "minimized": { ... } (with minimize, as returned by /stress/shrink)
+ *   },
+ *   "compilation": { "generator": { "cached": true, "compileTime": 0 }, "brute": { ... }, "solution": { ... } }
+ * }
+ * A program that does not compile gives success: false with
+ * compilationError: { "program": "brute", "verdict": "CE", "stderr": "..." }.
+ */
+router.post('/stress', async (req, res) => {
+  try {
+    const {
+      generator, brute, solution, timeLimit, memoryLimit, timeMode, comparator,
+      iterations, timeBudget, startSeed, generatorArgs, minimize, shrinkAttempts
+    } = req.body;
+
+    // Validation: Programs
+    if (!generator || !brute || !solution) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: generator, brute, solution'
+      });
+    }
+
+    for (const [label, spec] of [['generator', generator], ['brute', brute], ['solution', solution]]) {
+      const programError = validateJudgeProgram(label, spec);
+      if (programError) {
+        return res.status(400).json({ success: false, ...programError });
+      }
+    }
+
+    if (!solution.language || !brute.language) {
+      return res.status(400).json({
+        success: false,
+        error: 'brute and solution must name their language'
+      });
+    }
+
+    // Validation: Time mode
+    if (timeMode !== undefined && !Object.values(TIME_MODES).includes(timeMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid timeMode: ${timeMode}`,
+        supportedTimeModes: Object.values(TIME_MODES)
+      });
+    }
+
+    // Validation: Comparator
+    let resolvedComparator;
+    try {
+      resolvedComparator = resolveComparator(comparator);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        supportedComparators: getSupportedComparators()
+      });
+    }
+
+    // Validation: Budgets
+    const budgetError = validateStressBudgets({ iterations, timeBudget, shrinkAttempts });
+    if (budgetError) {
+      return res.status(400).json({ success: false, error: budgetError });
+    }
+
+    if (startSeed !== undefined && !Number.isSafeInteger(startSeed)) {
+      return res.status(400).json({
+        success: false,
+        error: 'startSeed must be an integer'
+      });
+    }
+
+    if (generatorArgs !== undefined &&
+        !(Array.isArray(generatorArgs) && generatorArgs.every(arg => typeof arg === 'string'))) {
+      return res.status(400).json({
+        success: false,
+        error: 'generatorArgs must be an array of strings'
+      });
+    }
+
+    console.log(`[API] Stress testing ${solution.language} solution against ${brute.language} reference`);
+    const result = await runStress({
+      generator,
+      brute,
+      solution,
+      timeLimit,
+      memoryLimit,
+      timeMode,
+      comparator: resolvedComparator,
+      iterations,
+      timeBudget,
+      startSeed,
+      generatorArgs,
+      minimize: Boolean(minimize),
+      shrinkAttempts
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Shrink a failing input: smaller variants are kept while the candidate still
+ * fails with the same verdict and the reference still succeeds
+ *
+ * REQUEST BODY:
+ * {
+ *   "input": "5\n3 1 4 1 5\n" (the failing test),
+ *   "brute": { "code": "...", "language": "python" } (reference solution),
+ *   "solution": { "code": "...", "language": "cpp" } (candidate),
+ *   "timeLimit": 2000, "memoryLimit": 256, "timeMode": "cpu", "comparator": "lines" (optional, as in /stress),
+ *   "attempts": 500 (optional, max 10000, runs of both programs),
+ *   "timeBudget": 30000 (optional, in milliseconds, max 300000)
+ * }
+ *
+ * RESPONSE:
+ * {
+ *   "success": true,
+ *   "reproduced": true (false: the input does not fail, nothing to shrink),
+ *   "input": "2\n3 1\n" (smallest failing input),
+ *   "verdict": "WA", "message": "...", "expectedOutput": "...", "actualOutput": "...", "diff": { ... },
+ *   "originalSize": 12, "size": 6 (bytes),
+ *   "steps": 3 (accepted shrinks), "attempts": 41,
+ *   "stopReason": "minimal" | "attempts" | "time" | "not-reproduced",
+ *   "log": ["drop lines 3-4", "line 2, token 1: 3 → 1"]
+ * }
+ */
+router.post('/stress/shrink', async (req, res) => {
+  try {
+    const { input, brute, solution, timeLimit, memoryLimit, timeMode, comparator, attempts, timeBudget } = req.body;
+
+    // Validation: Input and programs
+    if (typeof input !== 'string' || !brute || !solution) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields: input, brute, solution'
+      });
+    }
+
+    for (const [label, spec] of [['brute', brute], ['solution', solution]]) {
+      const programError = validateJudgeProgram(label, spec);
+      if (programError) {
+        return res.status(400).json({ success: false, ...programError });
+      }
+    }
+
+    if (!solution.language || !brute.language) {
+      return res.status(400).json({
+        success: false,
+        error: 'brute and solution must name their language'
+      });
+    }
+
+    // Validation: Time mode
+    if (timeMode !== undefined && !Object.values(TIME_MODES).includes(timeMode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid timeMode: ${timeMode}`,
+        supportedTimeModes: Object.values(TIME_MODES)
+      });
+    }
+
+    // Validation: Comparator
+    let resolvedComparator;
+    try {
+      resolvedComparator = resolveComparator(comparator);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: error.message,
+        supportedComparators: getSupportedComparators()
+      });
+    }
+
+    // Validation: Budgets
+    const budgetError = validateStressBudgets({ timeBudget, attempts });
+    if (budgetError) {
+      return res.status(400).json({ success: false, error: budgetError });
+    }
+
+    console.log(`[API] Shrinking a ${input.length}-byte failing input`);
+    const result = await runShrink({
+      input,
+      brute,
+      solution,
+      timeLimit,
+      memoryLimit,
+      timeMode,
+      comparator: resolvedComparator,
+      attempts,
+      timeBudget
+    });
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Validate stress and shrink budgets from a request body
+ * @param {object} budgets - Any of iterations, timeBudget, shrinkAttempts / attempts
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateStressBudgets(budgets) {
+  const maxima = {
+    iterations: STRESS_LIMITS.MAX_ITERATIONS,
+    timeBudget: STRESS_LIMITS.MAX_TIME_BUDGET,
+    shrinkAttempts: STRESS_LIMITS.MAX_SHRINK_ATTEMPTS,
+    attempts: STRESS_LIMITS.MAX_SHRINK_ATTEMPTS
+  };
+
+  for (const [name, value] of Object.entries(budgets)) {
+    const max = maxima[name];
+    if (value !== undefined && !(Number.isInteger(value) && value > 0 && value <= max)) {
+      return `${name} must be an integer between 1 and ${max}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validate a jury-side program (checker, interactor, stress program) from a request body
+ * @param {string} label - 'checker', 'interactor', 'generator'... (used in messages)
+ * @param {object} spec - Program spec { code, language, timeLimit, memoryLimit, files } (may be absent)
+ * @returns {object|null} Error fields for a 400 response, or null if valid
+ */
+function validateJudgeProgram(label, spec) {
+  if (spec === undefined || spec === null) {
+    return null;
+  }
+  if (typeof spec !== 'object' || typeof spec.code !== 'string' || !spec.code) {
+    return { error: `${label} must be an object with a code string` };
+  }
+  if (spec.language && !isLanguageSupported(spec.language)) {
+    return {
+      error: `Unsupported ${label} language: ${spec.language}`,
+      supportedLanguages: getSupportedLanguages()
+    };
+  }
+  if (spec.code.length > 1024 * 64) {
+    return { error: `${label[0].toUpperCase()}${label.slice(1)} code size exceeds maximum (64KB)` };
+  }
+  if (spec.files !== undefined) {
+    // Written next to the source: plain names only (testlib.h, not ../x)
+    if (!spec.files || typeof spec.files !== 'object' || Array.isArray(spec.files)) {
+      return { error: `${label} files must be an object of file names to contents` };
+    }
+    let size = 0;
+    for (const [name, content] of Object.entries(spec.files)) {
+      if (!/^[\w.-]+$/.test(name) || /^\.+$/.test(name) || typeof content !== 'string') {
+        return { error: `Invalid ${label} file: ${name}` };
+      }
+      size += content.length;
+    }
+    if (size > 1024 * 1024) {
+      return { error: `${label[0].toUpperCase()}${label.slice(1)} files exceed maximum (1MB)` };
+    }
+  }
+  return null;
+}
+
+/**
+ * Compile cache statistics and precompiled header status
+ */
+router.get('/cache', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      cache: await getCacheStats(),
+      precompiledHeaders: getPrecompiledHeaderStatus()
+    });
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read compile cache',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Clear the compile cache
+ * Also forgets detected compiler versions, so an upgraded compiler is
+ * picked up without restarting the server (precompiled headers are
+ * rebuilt for it in the background)
+ */
+router.delete('/cache', async (req, res) => {
+  try {
+    const { removed, freedBytes } = await clearCache();
+    console.log(`[API] Compile cache cleared (${removed} entries, ${freedBytes} bytes)`);
+    warmPrecompiledHeaders(LANGUAGES);
+    res.json({ success: true, removed, freedBytes });
+  } catch (error) {
+    console.error('[API ERROR]', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear compile cache',
       message: error.message
     });
   }
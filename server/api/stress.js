@@ -0,0 +1,421 @@
+/**
+ * Stress Testing Orchestrator
+ *
+ * RESPONSIBILITIES:
+ * - Compile the generator, the reference solution and the candidate once
+ * - Loop over seeds: generate a test, run the reference, judge the candidate
+ * - Stop at the first mismatch, crash or TLE, or when the iteration or
+ *   time budget runs out
+ * - Return the failing input with both outputs and the diff
+ * - Shrink a failing input while the failure still reproduces
+ *
+ * PROGRAMS:
+ * - generator: run as `generator [args...] <seed>`, prints one test to stdout
+ *   (C++ generators may use testlib's registerGen; testlib.h is bundled)
+ * - brute: trusted reference solution; its output is the expected output
+ * - solution: the candidate, judged with the usual limits and comparator
+ *
+ * SHRINKING:
+ * Greedy: try the variants from utils/shrink.js in order and restart from the
+ * first one that still fails with the same verdict (the reference must still
+ * succeed on it), until none does or the attempt/time budget runs out.
+ */
+
+import { performance } from 'perf_hooks';
+import { prepareJudgeProgram, cleanupChecker } from '../executor/checker.js';
+import { runProgram } from '../executor/runner.js';
+import { determineVerdict, checkExecutionFailure, VERDICTS } from '../executor/verdictEngine.js';
+import { truncateForResponse } from './executor.js';
+import { shrinkCandidates } from '../utils/shrink.js';
+import { info, warn, debug } from '../utils/logger.js';
+
+/**
+ * How a stress run ended
+ */
+export const STRESS_STATUSES = {
+  PASSED: 'passed',                     // Budget ran out, no failing test found
+  FAILED: 'failed',                     // The candidate failed a generated test
+  GENERATOR_FAILED: 'generator-failed', // The generator crashed or timed out
+  BRUTE_FAILED: 'brute-failed'          // The reference solution failed
+};
+
+// Budgets (the route rejects anything above the maxima)
+export const STRESS_LIMITS = {
+  DEFAULT_ITERATIONS: 1000,
+  MAX_ITERATIONS: 100000,
+  DEFAULT_TIME_BUDGET: 30000,
+  MAX_TIME_BUDGET: 300000,
+  DEFAULT_SHRINK_ATTEMPTS: 500,
+  MAX_SHRINK_ATTEMPTS: 10000
+};
+
+// Programs compiled for a stress run, in compile order
+const ROLES = ['generator', 'brute', 'solution'];
+
+/**
+ * Run a compiled program on one input
+ * @param {object} program - Program from prepareJudgeProgram
+ * @param {string} input - Standard input
+ * @param {object} options - runProgram options (args, timeMode...)
+ * @returns {Promise<object>} Execution result
+ */
+function runCompiled(program, input, options = {}) {
+  return runProgram(
+    program.langConfig,
+    program.workspacePath,
+    program.sourceFileName,
+    input,
+    program.timeLimit,
+    program.memoryLimit,
+    options
+  );
+}
+
+/**
+ * Generate the test for one seed
+ * @param {object} generator - Compiled generator
+ * @param {number} seed - Seed, passed as the last argument
+ * @param {string[]} args - Arguments before the seed
+ * @returns {Promise<object>} { input } or { failure } (verdict of the generator run)
+ */
+async function generateInput(generator, seed, args) {
+  const result = await runCompiled(generator, '', { args: [...args, String(seed)] });
+  const failure = checkExecutionFailure(result, '');
+  return failure ? { failure } : { input: result.stdout };
+}
+
+/**
+ * Run the reference and the candidate on one input and judge the candidate
+ * @param {object} programs - { brute, solution } from prepareJudgeProgram
+ * @param {string} input - Test input
+ * @param {object} settings - { comparator, timeMode }
+ * @returns {Promise<object>} { status, verdict, bruteResult, solutionResult }
+ *   status is 'ok', FAILED or BRUTE_FAILED
+ */
+export async function checkStressInput(programs, input, settings = {}) {
+  const bruteResult = await runCompiled(programs.brute, input);
+  const bruteFailure = checkExecutionFailure(bruteResult, '');
+  if (bruteFailure) {
+    return { status: STRESS_STATUSES.BRUTE_FAILED, verdict: bruteFailure, bruteResult, solutionResult: null };
+  }
+
+  const solutionResult = await runCompiled(programs.solution, input, { timeMode: settings.timeMode });
+  const verdict = determineVerdict(solutionResult, bruteResult.stdout, settings.comparator);
+
+  return {
+    status: verdict.verdict === VERDICTS.AC ? 'ok' : STRESS_STATUSES.FAILED,
+    verdict,
+    bruteResult,
+    solutionResult
+  };
+}
+
+/**
+ * Shrink a failing input while the failure reproduces
+ * @param {object} programs - { brute, solution } from prepareStressPrograms
+ * @param {string} input - Failing test input
+ * @param {object} settings - { comparator, timeMode }
+ * @param {object} budget - { attempts, timeBudget } (defaults: 500 attempts, 30s)
+ * @returns {Promise<object>} { reproduced, input, outcome, steps, attempts, stopReason, log }
+ *   (reproduced false: the original input does not fail; outcome is the
+ *   checkStressInput result for the smallest input)
+ */
+export async function shrinkInput(programs, input, settings = {}, budget = {}) {
+  const {
+    attempts: maxAttempts = STRESS_LIMITS.DEFAULT_SHRINK_ATTEMPTS,
+    timeBudget = STRESS_LIMITS.DEFAULT_TIME_BUDGET
+  } = budget;
+  const startTime = performance.now();
+
+  let outcome = await checkStressInput(programs, input, settings);
+  if (outcome.status !== STRESS_STATUSES.FAILED) {
+    return { reproduced: false, input, outcome, steps: 0, attempts: 1, stopReason: 'not-reproduced', log: [] };
+  }
+
+  const verdict = outcome.verdict.verdict;
+  const tried = new Set([input]);
+  const log = [];
+  let current = input;
+  let attempts = 1;
+  let stopReason = 'minimal';
+
+  search:
+  for (;;) {
+    for (const candidate of shrinkCandidates(current)) {
+      if (tried.has(candidate.input) || candidate.input.length > current.length) continue;
+
+      if (attempts >= maxAttempts) {
+        stopReason = 'attempts';
+        break search;
+      }
+      if (performance.now() - startTime >= timeBudget) {
+        stopReason = 'time';
+        break search;
+      }
+
+      tried.add(candidate.input);
+      attempts++;
+      const next = await checkStressInput(programs, candidate.input, settings);
+
+      if (next.status === STRESS_STATUSES.FAILED && next.verdict.verdict === verdict) {
+        debug(`Shrink step ${log.length + 1}: ${candidate.description}`);
+        log.push(candidate.description);
+        current = candidate.input;
+        outcome = next;
+        continue search;
+      }
+    }
+    break;
+  }
+
+  info(`Shrink: ${input.length} → ${current.length} bytes in ${log.length} step(s), ${attempts} attempt(s) (${stopReason})`);
+  return { reproduced: true, input: current, outcome, steps: log.length, attempts, stopReason, log };
+}
+
+/**
+ * Describe a shrink result for the response
+ * @param {object} shrunk - Result from shrinkInput
+ * @param {string} original - Input before shrinking
+ * @returns {object} Smallest failing input with its outputs and diff
+ */
+export function describeShrink(shrunk, original) {
+  return {
+    reproduced: shrunk.reproduced,
+    ...(shrunk.reproduced ? describeFailure(shrunk.input, shrunk.outcome) : {}),
+    originalSize: original.length,
+    size: shrunk.input.length,
+    steps: shrunk.steps,
+    attempts: shrunk.attempts,
+    stopReason: shrunk.stopReason,
+    log: shrunk.log
+  };
+}
+
+/**
+ * Compile the generator, the reference and the candidate
+ * @param {object} spec - Stress request (see runStress)
+ * @param {string[]} roles - Programs to compile (default all three)
+ * @returns {Promise<object>} { programs } or { programs, failedRole, stderr }
+ *   (programs holds whatever compiled, for cleanup)
+ */
+export async function prepareStressPrograms(spec, roles = ROLES) {
+  const programs = {};
+  const limits = {
+    solution: { timeLimit: spec.timeLimit || 2000, memoryLimit: spec.memoryLimit || 256 }
+  };
+
+  for (const role of roles) {
+    const prepared = await prepareJudgeProgram({ ...spec[role], ...limits[role] });
+    if (!prepared.success) {
+      return { programs, failedRole: role, stderr: prepared.stderr };
+    }
+    programs[role] = prepared.program;
+  }
+
+  return { programs };
+}
+
+/**
+ * Compilation error for the response
+ * @param {string} role - Program that failed to compile
+ * @param {string} stderr - Compiler output
+ * @returns {object} { program, verdict, message, stderr }
+ */
+function createCompilationError(role, stderr) {
+  return {
+    program: role,
+    verdict: VERDICTS.CE,
+    message: `${role[0].toUpperCase()}${role.slice(1)} compilation failed`,
+    stderr: stderr
+  };
+}
+
+/**
+ * Remove the workspaces of compiled stress programs
+ * @param {object} programs - Programs from prepareStressPrograms
+ * @returns {Promise<void>}
+ */
+export async function cleanupStressPrograms(programs) {
+  await Promise.all(Object.values(programs).map(program => cleanupChecker(program)));
+}
+
+/**
+ * Describe a failing test for the response
+ * @param {string} input - Test input
+ * @param {object} outcome - Result from checkStressInput
+ * @returns {object} Failure details
+ */
+function describeFailure(input, outcome) {
+  const { verdict, bruteResult, solutionResult } = outcome;
+  const bruteFailed = outcome.status === STRESS_STATUSES.BRUTE_FAILED;
+
+  const inputText = truncateForResponse(input);
+  const expected = truncateForResponse(bruteResult.stdout);
+  const actual = truncateForResponse(solutionResult?.stdout ?? '');
+  const stderr = truncateForResponse(bruteFailed ? bruteResult.stderr : solutionResult.stderr);
+
+  return {
+    input: inputText.text,
+    inputTruncated: inputText.truncated,
+    verdict: verdict.verdict,
+    message: bruteFailed ? `Reference solution failed: ${verdict.message}` : verdict.message,
+    expectedOutput: expected.text,
+    actualOutput: bruteFailed ? null : actual.text,
+    outputTruncated: expected.truncated || actual.truncated,
+    stderr: stderr.text,
+    diff: verdict.diff || null,
+    runtimeError: verdict.runtimeError || null,
+    brute: { executionTime: bruteResult.executionTime, memory: bruteResult.memory.peak },
+    solution: solutionResult
+      ? { executionTime: solutionResult.executionTime, memory: solutionResult.memory.peak }
+      : null
+  };
+}
+
+/**
+ * Stress test a candidate against a reference solution
+ * @param {object} spec - Stress request
+ * @param {object} spec.generator - { code, language, timeLimit, memoryLimit }
+ * @param {object} spec.brute - Reference solution, same shape
+ * @param {object} spec.solution - Candidate { code, language } (limits below)
+ * @param {number} spec.timeLimit - Candidate time limit in ms (default 2000)
+ * @param {number} spec.memoryLimit - Candidate memory limit in MB (default 256)
+ * @param {string} spec.timeMode - Candidate time mode (see TIME_MODES)
+ * @param {object} spec.comparator - Comparator from resolveComparator
+ * @param {number} spec.iterations - Maximum number of tests (default 1000)
+ * @param {number} spec.timeBudget - Maximum total time in ms, minimizing included (default 30000)
+ * @param {number} spec.startSeed - First seed (default 1)
+ * @param {string[]} spec.generatorArgs - Generator arguments before the seed
+ * @param {boolean} spec.minimize - Shrink the failing input (failure.minimized)
+ * @param {number} spec.shrinkAttempts - Maximum shrink attempts (default 500)
+ * @returns {Promise<object>} Stress result
+ */
+export async function runStress(spec) {
+  const {
+    iterations = STRESS_LIMITS.DEFAULT_ITERATIONS,
+    timeBudget = STRESS_LIMITS.DEFAULT_TIME_BUDGET,
+    startSeed = 1,
+    generatorArgs = []
+  } = spec;
+  const settings = { comparator: spec.comparator, timeMode: spec.timeMode };
+
+  const { programs, failedRole, stderr } = await prepareStressPrograms(spec);
+
+  try {
+    const compilation = Object.fromEntries(
+      Object.entries(programs).map(([role, program]) => [role, program.compilation])
+    );
+
+    if (failedRole) {
+      warn(`Stress: ${failedRole} compilation failed`);
+      return {
+        success: false,
+        compilationError: createCompilationError(failedRole, stderr),
+        compilation: compilation
+      };
+    }
+
+    info(`Stress: up to ${iterations} test(s) within ${timeBudget}ms, starting at seed ${startSeed}`);
+    const startTime = performance.now();
+    const elapsed = () => Math.round(performance.now() - startTime);
+
+    const finish = (status, count, failure) => {
+      info(`Stress: ${status} after ${count} test(s) in ${elapsed()}ms`);
+      return {
+        success: true,
+        status: status,
+        iterations: count,
+        elapsedTime: elapsed(),
+        seeds: { first: startSeed, last: startSeed + count - 1 },
+        failure: failure,
+        compilation: compilation
+      };
+    };
+
+    let count = 0;
+    for (let seed = startSeed; count < iterations && elapsed() < timeBudget; seed++) {
+      count++;
+
+      const generated = await generateInput(programs.generator, seed, generatorArgs);
+      if (generated.failure) {
+        return finish(STRESS_STATUSES.GENERATOR_FAILED, count, {
+          seed: seed,
+          verdict: generated.failure.verdict,
+          message: `Generator failed: ${generated.failure.message}`,
+          stderr: truncateForResponse(generated.failure.stderr).text
+        });
+      }
+
+      const outcome = await checkStressInput(programs, generated.input, settings);
+      debug(`Stress seed ${seed}: ${outcome.verdict.verdict}`);
+
+      if (outcome.status !== 'ok') {
+        const failure = { seed, ...describeFailure(generated.input, outcome) };
+        if (spec.minimize && outcome.status === STRESS_STATUSES.FAILED) {
+          // Shrinking shares the run's time budget with the search
+          const shrunk = await shrinkInput(programs, generated.input, settings, {
+            attempts: spec.shrinkAttempts,
+            timeBudget: Math.max(0, timeBudget - elapsed())
+          });
+          failure.minimized = describeShrink(shrunk, generated.input);
+        }
+        return finish(outcome.status, count, failure);
+      }
+    }
+
+    return finish(STRESS_STATUSES.PASSED, count, null);
+
+  } finally {
+    await cleanupStressPrograms(programs);
+  }
+}
+
+/**
+ * Shrink a failing input found elsewhere (a previous stress run, a hand-made test)
+ * @param {object} spec - Shrink request
+ * @param {string} spec.input - Failing test input
+ * @param {object} spec.brute - Reference solution { code, language, timeLimit, memoryLimit }
+ * @param {object} spec.solution - Candidate { code, language }
+ * @param {number} spec.timeLimit - Candidate time limit in ms (default 2000)
+ * @param {number} spec.memoryLimit - Candidate memory limit in MB (default 256)
+ * @param {string} spec.timeMode - Candidate time mode (see TIME_MODES)
+ * @param {object} spec.comparator - Comparator from resolveComparator
+ * @param {number} spec.attempts - Maximum shrink attempts (default 500)
+ * @param {number} spec.timeBudget - Maximum total time in ms (default 30000)
+ * @returns {Promise<object>} Shrink result (see describeShrink)
+ */
+export async function runShrink(spec) {
+  const settings = { comparator: spec.comparator, timeMode: spec.timeMode };
+  const { programs, failedRole, stderr } = await prepareStressPrograms(spec, ['brute', 'solution']);
+
+  try {
+    if (failedRole) {
+      warn(`Shrink: ${failedRole} compilation failed`);
+      return {
+        success: false,
+        compilationError: createCompilationError(failedRole, stderr)
+      };
+    }
+
+    const shrunk = await shrinkInput(programs, spec.input, settings, {
+      attempts: spec.attempts,
+      timeBudget: spec.timeBudget
+    });
+    return { success: true, ...describeShrink(shrunk, spec.input) };
+
+  } finally {
+    await cleanupStressPrograms(programs);
+  }
+}
+
+export default {
+  STRESS_STATUSES,
+  STRESS_LIMITS,
+  checkStressInput,
+  shrinkInput,
+  describeShrink,
+  prepareStressPrograms,
+  cleanupStressPrograms,
+  runStress,
+  runShrink
+};
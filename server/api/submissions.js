@@ -0,0 +1,274 @@
+/**
+ * Submission Jobs
+ *
+ * RESPONSIBILITIES:
+ * - Accept runs as jobs with an id and judge them in the background
+ * - Queue jobs, with at most MAX_CONCURRENT_JOBS running at once and at
+ *   most MAX_QUEUED_JOBS waiting (further submissions are refused)
+ * - Report status, progress and (partial) results by id
+ * - Cancel queued or running jobs: running programs' process groups are
+ *   killed and the workspace is cleaned up (executeCode's AbortSignal)
+ * - Record completed jobs in the run history
+ * - Forget finished jobs after a while
+ *
+ * LIFECYCLE:
+ *   queued → running → completed | failed | cancelled
+ *   (queued → cancelled when cancelled before it started)
+ *
+ * CONFIGURATION:
+ * - MAX_CONCURRENT_JOBS: jobs judged at once (default 2). Each job still
+ *   runs its own tests in parallel, so keep this small.
+ * - MAX_QUEUED_JOBS: jobs waiting to start (default 50). A queued job holds
+ *   its source and tests in memory until it runs.
+ */
+
+import { randomUUID } from 'crypto';
+import { executeCode, RUN_EVENTS } from './executor.js';
+import { recordRun } from './history.js';
+import { info, warn, error as logError } from '../utils/logger.js';
+
+/**
+ * Job states
+ */
+export const JOB_STATUSES = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',   // Judged (whatever the verdict, CE included)
+  FAILED: 'failed',         // The judge itself failed
+  CANCELLED: 'cancelled'
+};
+
+const MAX_CONCURRENT_JOBS = Math.max(1, parseInt(process.env.MAX_CONCURRENT_JOBS, 10) || 2);
+const MAX_QUEUED_JOBS = Math.max(1, parseInt(process.env.MAX_QUEUED_JOBS, 10) || 50);
+
+// Finished jobs are kept this long, and at most this many
+const JOB_RETENTION = 60 * 60 * 1000;
+const MAX_FINISHED_JOBS = 200;
+
+const jobs = new Map();
+const queue = [];
+let runningCount = 0;
+
+/**
+ * Queue a run
+ * @param {object} run - { language, code, testCases, timeLimit, memoryLimit, options }
+ *   (as produced by the /run request validation)
+ * @returns {object|null} Job description (see describeJob), or null if the queue is full
+ */
+export function submitJob(run) {
+  pruneFinishedJobs();
+
+  // Jobs that can start right away never wait, so only a backlog is refused
+  if (queue.length >= MAX_QUEUED_JOBS) {
+    warn(`Submission refused: ${queue.length} job(s) already waiting`);
+    return null;
+  }
+
+  const job = {
+    id: randomUUID(),
+    status: JOB_STATUSES.QUEUED,
+    run: run,
+    controller: new AbortController(),
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+    progress: { completed: 0, total: run.testCases.length },
+    partialResults: [],
+    result: null,
+    error: null
+  };
+
+  jobs.set(job.id, job);
+  queue.push(job);
+  info(`Job ${job.id} queued (${queue.length} waiting, ${runningCount}/${MAX_CONCURRENT_JOBS} running)`);
+
+  startQueuedJobs();
+  return describeJob(job);
+}
+
+/**
+ * Look up a job
+ * @param {string} id - Job id
+ * @returns {object|null} Job description with results, or null if unknown
+ */
+export function getJob(id) {
+  const job = jobs.get(id);
+  return job ? describeJob(job, { includeResults: true }) : null;
+}
+
+/**
+ * List jobs, newest first (without results)
+ * @returns {object[]} Job descriptions
+ */
+export function listJobs() {
+  return [...jobs.values()]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .map(job => describeJob(job));
+}
+
+/**
+ * Cancel a job
+ * A queued job is dropped; a running one is aborted and settles as cancelled
+ * once its programs are killed and its workspace is removed.
+ * @param {string} id - Job id
+ * @returns {object|null} { job, changed } (changed false if it had already finished), or null if unknown
+ */
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) {
+    return null;
+  }
+
+  if (job.status === JOB_STATUSES.QUEUED) {
+    queue.splice(queue.indexOf(job), 1);
+    finishJob(job, JOB_STATUSES.CANCELLED);
+    info(`Job ${id} cancelled before it started`);
+    return { job: describeJob(job), changed: true };
+  }
+
+  if (job.status === JOB_STATUSES.RUNNING) {
+    job.controller.abort();
+    info(`Job ${id} cancelling`);
+    return { job: describeJob(job), changed: true };
+  }
+
+  return { job: describeJob(job), changed: false };
+}
+
+/**
+ * Queue statistics
+ * @returns {object} { queued, running, maxConcurrent, maxQueued, retained }
+ */
+export function getQueueStats() {
+  return {
+    queued: queue.length,
+    running: runningCount,
+    maxConcurrent: MAX_CONCURRENT_JOBS,
+    maxQueued: MAX_QUEUED_JOBS,
+    retained: jobs.size
+  };
+}
+
+/**
+ * Start queued jobs while there is room
+ */
+function startQueuedJobs() {
+  while (runningCount < MAX_CONCURRENT_JOBS && queue.length > 0) {
+    const job = queue.shift();
+    runningCount++;
+    runJob(job).finally(() => {
+      runningCount--;
+      startQueuedJobs();
+    });
+  }
+}
+
+/**
+ * Judge one job
+ * @param {object} job - Job record
+ * @returns {Promise<void>}
+ */
+async function runJob(job) {
+  const { language, code, testCases, timeLimit, memoryLimit, options } = job.run;
+  job.status = JOB_STATUSES.RUNNING;
+  job.startedAt = new Date();
+  info(`Job ${job.id} started`);
+
+  try {
+    const result = await executeCode(language, code, testCases, timeLimit, memoryLimit, {
+      ...options,
+      signal: job.controller.signal,
+      onEvent: (type, data) => {
+        if (type === RUN_EVENTS.TEST_VERDICT) {
+          job.partialResults.push(data);
+          job.progress.completed++;
+        }
+      }
+    });
+    result.historyId = await recordRun(job.run, result);
+    job.result = result;
+    finishJob(job, JOB_STATUSES.COMPLETED);
+    info(`Job ${job.id} completed: ${result.summary?.overallVerdict}`);
+
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      finishJob(job, JOB_STATUSES.CANCELLED);
+      info(`Job ${job.id} cancelled`);
+    } else {
+      job.error = error.message;
+      finishJob(job, JOB_STATUSES.FAILED);
+      logError(`Job ${job.id} failed:`, error);
+    }
+  }
+}
+
+/**
+ * Mark a job finished and drop what is no longer needed
+ * @param {object} job - Job record
+ * @param {string} status - Final status
+ */
+function finishJob(job, status) {
+  job.status = status;
+  job.finishedAt = new Date();
+  // The source and tests are only needed to run the job
+  job.run = { language: job.run.language, testCount: job.run.testCases.length };
+}
+
+/**
+ * Forget finished jobs past the retention period or count
+ */
+function pruneFinishedJobs() {
+  const now = Date.now();
+  const finished = [...jobs.values()]
+    .filter(job => job.finishedAt)
+    .sort((a, b) => b.finishedAt - a.finishedAt);
+
+  finished.forEach((job, i) => {
+    if (i >= MAX_FINISHED_JOBS || now - job.finishedAt > JOB_RETENTION) {
+      jobs.delete(job.id);
+    }
+  });
+
+  if (finished.length > MAX_FINISHED_JOBS) {
+    warn(`Dropped ${finished.length - MAX_FINISHED_JOBS} finished job(s) over the retention limit`);
+  }
+}
+
+/**
+ * Describe a job for the API
+ * @param {object} job - Job record
+ * @param {object} options - { includeResults }
+ * @returns {object} Job description
+ */
+function describeJob(job, options = {}) {
+  const description = {
+    id: job.id,
+    status: job.status,
+    language: job.run.language,
+    progress: { ...job.progress },
+    createdAt: job.createdAt.toISOString(),
+    startedAt: job.startedAt?.toISOString() || null,
+    finishedAt: job.finishedAt?.toISOString() || null,
+    queuePosition: job.status === JOB_STATUSES.QUEUED ? queue.indexOf(job) + 1 : null,
+    error: job.error
+  };
+
+  if (options.includeResults) {
+    // Finished: the full /run response; otherwise the tests judged so far
+    description.result = job.result;
+    description.partialResults = job.result
+      ? null
+      : [...job.partialResults].sort((a, b) => a.testCase - b.testCase);
+  }
+
+  return description;
+}
+
+export default {
+  JOB_STATUSES,
+  submitJob,
+  getJob,
+  listJobs,
+  cancelJob,
+  getQueueStats
+};
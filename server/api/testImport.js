@@ -0,0 +1,320 @@
+/**
+ * Test Data Import
+ *
+ * RESPONSIBILITIES:
+ * - Read test files from a directory or a zip archive
+ * - Pair inputs with answers by common naming schemes
+ * - Report files that could not be paired
+ * - Create a problem from the pairs, or extend (or replace) an existing one's tests
+ *
+ * PAIRING (first existing answer wins):
+ *   1.in           → 1.out, 1.ans
+ *   input00.txt    → output00.txt   ("input" → "output" anywhere in the path,
+ *   input/3.txt    → output/3.txt    so input/input00.txt → output/output00.txt)
+ *   in/3.txt       → out/3.txt
+ *   01             → 01.a            (Polygon)
+ * Tests are ordered by input path, numbers compared as numbers. Hidden
+ * files and __MACOSX folders are skipped.
+ *
+ * Used by POST /problems/import and cli/importTests.js.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { listZipEntries, readZipEntry } from '../utils/zip.js';
+import { createProblem, appendTestCases, PROBLEM_LIMITS } from './problems.js';
+import { info } from '../utils/logger.js';
+
+/**
+ * Import limits
+ */
+export const IMPORT_LIMITS = {
+  MAX_FILES: 10000,                  // Files looked at in a directory or archive
+  MAX_ARCHIVE_BYTES: 64 * 1024 * 1024,
+  MAX_TOTAL_BYTES: 256 * 1024 * 1024 // Files read by one import, uncompressed
+};
+
+/**
+ * Open a directory or zip archive of test files
+ * @param {object} source - { path } (directory or .zip on this machine) or { zip: Buffer, name }
+ * @returns {Promise<object>} { label, files, read(file), size(file) } - files are relative
+ *   paths with "/"; size is in bytes (uncompressed, as the archive states it)
+ * @throws {Error} If the path is missing, not a directory or zip, or holds too many files
+ */
+export async function openTestSource(source) {
+  if (source.zip) {
+    return openArchive(source.zip, source.name || 'archive');
+  }
+
+  const root = path.resolve(source.path);
+  const stats = await fs.stat(root);
+
+  if (stats.isFile()) {
+    if (!/\.zip$/i.test(root)) {
+      throw new Error(`Not a directory or .zip archive: ${root}`);
+    }
+    if (stats.size > IMPORT_LIMITS.MAX_ARCHIVE_BYTES) {
+      throw new Error(`Archive larger than ${IMPORT_LIMITS.MAX_ARCHIVE_BYTES / 1024 / 1024}MB`);
+    }
+    return openArchive(await fs.readFile(root), path.basename(root));
+  }
+
+  if (!stats.isDirectory()) {
+    throw new Error(`Not a directory or .zip archive: ${root}`);
+  }
+
+  const files = await walkDirectory(root, '');
+  return {
+    label: path.basename(root),
+    files: files,
+    read: file => fs.readFile(path.join(root, ...file.split('/')), 'utf8'),
+    size: async file => (await fs.stat(path.join(root, ...file.split('/')))).size
+  };
+}
+
+/**
+ * Refuse an import whose files add up to more than MAX_TOTAL_BYTES
+ * Checked before anything is read, so a small archive cannot inflate
+ * into an unbounded amount of memory.
+ * @param {object} opened - Source from openTestSource
+ * @param {string[]} files - Files the import is going to read
+ * @returns {Promise<string|null>} Error message, or null if within the limit
+ */
+export async function checkImportSize(opened, files) {
+  let total = 0;
+  for (const file of files) {
+    total += await opened.size(file);
+  }
+
+  if (total > IMPORT_LIMITS.MAX_TOTAL_BYTES) {
+    return `${files.length} file(s) add up to ${Math.ceil(total / 1024 / 1024)}MB; ` +
+      `an import reads at most ${IMPORT_LIMITS.MAX_TOTAL_BYTES / 1024 / 1024}MB`;
+  }
+  return null;
+}
+
+/**
+ * Pair test inputs with their answers
+ * @param {string[]} files - Relative paths
+ * @returns {object} { pairs: [{ input, output }], unpaired: string[] }
+ */
+export function pairTestFiles(files) {
+  const available = new Set(files);
+  const used = new Set();
+  const pairs = [];
+
+  const ordered = [...files].sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  for (const file of ordered) {
+    if (used.has(file)) continue;
+
+    const output = answerCandidates(file).find(candidate =>
+      candidate !== file && available.has(candidate) && !used.has(candidate)
+    );
+    if (output) {
+      pairs.push({ input: file, output });
+      used.add(file);
+      used.add(output);
+    }
+  }
+
+  return {
+    pairs: pairs,
+    unpaired: ordered.filter(file => !used.has(file))
+  };
+}
+
+/**
+ * Import test pairs into a problem
+ * @param {object} source - As for openTestSource
+ * @param {object} options - { problemId, name, replace }
+ *   problemId names the problem to extend (created if missing; a new id from
+ *   the name or source otherwise); replace drops its current tests first
+ * @returns {Promise<object>} { success, problem, created, imported, pairs: [{ test, input, output }], unpaired,
+ *   warnings (tests the problem's validator rejects) } or { success: false, error, unpaired }
+ */
+export async function importTests(source, options = {}) {
+  let opened;
+  try {
+    opened = await openTestSource(source);
+  } catch (error) {
+    return { success: false, error: `Cannot read tests: ${error.message}`, unpaired: [] };
+  }
+
+  const { pairs, unpaired } = pairTestFiles(opened.files);
+  if (pairs.length === 0) {
+    return { success: false, error: `No input/answer pairs found in ${opened.label}`, unpaired };
+  }
+
+  // Tests the problem already has are counted when they are appended
+  if (pairs.length > PROBLEM_LIMITS.MAX_TEST_CASES) {
+    return {
+      success: false,
+      error: `A problem holds at most ${PROBLEM_LIMITS.MAX_TEST_CASES} tests (${pairs.length} imported)`,
+      unpaired
+    };
+  }
+
+  const sizeError = await checkImportSize(opened, pairs.flatMap(pair => [pair.input, pair.output]));
+  if (sizeError) {
+    return { success: false, error: sizeError, unpaired };
+  }
+
+  const imported = [];
+  try {
+    for (const pair of pairs) {
+      imported.push({
+        input: await opened.read(pair.input),
+        expectedOutput: await opened.read(pair.output)
+      });
+    }
+  } catch (error) {
+    return { success: false, error: `Cannot read tests: ${error.message}`, unpaired };
+  }
+
+  const newProblem = {
+    id: options.problemId,
+    name: options.name || options.problemId || opened.label.replace(/\.zip$/i, ''),
+    testCases: imported
+  };
+
+  // Append to the problem if it exists, else create it; if another request
+  // creates it in between, append to that one
+  const append = () => options.problemId
+    ? appendTestCases(options.problemId, imported, { replace: options.replace })
+    : null;
+  let appended = await append();
+  let problem = appended ? null : await createProblem(newProblem);
+  if (!appended && !problem) {
+    appended = await append();
+  }
+
+  if (appended?.error) {
+    return { success: false, error: appended.error, unpaired };
+  }
+  problem = problem || appended?.problem;
+  if (!problem) {
+    return { success: false, error: `Cannot store tests in ${options.problemId || newProblem.name}`, unpaired };
+  }
+  const kept = appended ? appended.kept : 0;
+
+  info(`Imported ${pairs.length} test(s) from ${opened.label} into ${problem.id}` +
+    (unpaired.length > 0 ? ` (${unpaired.length} unpaired file(s))` : ''));
+
+  return {
+    success: true,
+    problem: summarizeProblem(problem),
+    created: !appended,
+    imported: pairs.length,
+    pairs: pairs.map((pair, i) => ({ test: kept + i + 1, ...pair })),
+    unpaired: unpaired,
+    warnings: problem.warnings
+  };
+}
+
+/**
+ * Answer files an input could pair with, most specific first
+ * @param {string} file - Relative path
+ * @returns {string[]} Candidate answer paths
+ */
+function answerCandidates(file) {
+  const candidates = [];
+
+  if (/\.in$/i.test(file)) {
+    const base = file.slice(0, -'.in'.length);
+    candidates.push(`${base}.out`, `${base}.ans`);
+  }
+
+  if (/input/i.test(file)) {
+    candidates.push(file.replace(/input/g, 'output').replace(/Input/g, 'Output').replace(/INPUT/g, 'OUTPUT'));
+  }
+
+  if (/(^|\/)in\//.test(file)) {
+    candidates.push(file.replace(/(^|\/)in\//, '$1out/'));
+  }
+
+  if (!path.posix.extname(file)) {
+    candidates.push(`${file}.a`);
+  }
+
+  return candidates;
+}
+
+/**
+ * List a directory's files, recursively
+ * @param {string} root - Directory
+ * @param {string} prefix - Relative path so far
+ * @param {string[]} files - Accumulator
+ * @returns {Promise<string[]>} Relative paths with "/"
+ */
+async function walkDirectory(root, prefix, files = []) {
+  const entries = await fs.readdir(path.join(root, prefix), { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (isIgnored(entry.name)) continue;
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+
+    if (entry.isDirectory()) {
+      await walkDirectory(root, relative, files);
+    } else if (entry.isFile()) {
+      files.push(relative);
+    }
+
+    if (files.length > IMPORT_LIMITS.MAX_FILES) {
+      throw new Error(`More than ${IMPORT_LIMITS.MAX_FILES} files`);
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Open a zip archive held in memory
+ * @param {Buffer} buffer - Archive
+ * @param {string} label - Name for messages
+ * @returns {object} { label, files, read(file), size(file) }
+ */
+function openArchive(buffer, label) {
+  const entries = new Map(
+    listZipEntries(buffer)
+      .filter(entry => !entry.name.split('/').some(isIgnored))
+      .map(entry => [entry.name, entry])
+  );
+
+  if (entries.size > IMPORT_LIMITS.MAX_FILES) {
+    throw new Error(`More than ${IMPORT_LIMITS.MAX_FILES} files`);
+  }
+
+  return {
+    label: label,
+    files: [...entries.keys()],
+    read: async file => readZipEntry(buffer, entries.get(file)).toString('utf8'),
+    size: async file => entries.get(file).size
+  };
+}
+
+/**
+ * Skip hidden files and macOS archive metadata
+ * @param {string} name - File or folder name
+ * @returns {boolean} True if ignored
+ */
+function isIgnored(name) {
+  return name.startsWith('.') || name === '__MACOSX';
+}
+
+/**
+ * A problem without its tests, for import reports
+ * @param {object} problem - Problem from the library
+ * @returns {object} Problem summary
+ */
+function summarizeProblem(problem) {
+  const { testCases, warnings, ...summary } = problem;
+  return summary;
+}
+
+export default {
+  IMPORT_LIMITS,
+  openTestSource,
+  checkImportSize,
+  pairTestFiles,
+  importTests
+};
@@ -0,0 +1,696 @@
+/*
+ * testlib.h (CP Judge Local edition)
+ *
+ * A compact, source-compatible implementation of the parts of testlib
+ * (https://github.com/MikeMirzayanov/testlib) used by checkers, validators
+ * and simple generators. It is bundled so checkers compile without
+ * downloading anything. To use upstream testlib instead, run
+ * `npm run fetch-testlib` (it saves testlib.h and its MIT license to
+ * checkers/upstream/, which wins over this file) or point TESTLIB_H at a
+ * copy - the judge only relies on the exit codes.
+ *
+ * CHECKERS:    registerTestlibCmd(argc, argv); <input> <output> <answer>
+ * VALIDATORS:  registerValidation(argc, argv); test read from stdin, strict
+ * INTERACTORS: registerInteraction(argc, argv); <input> <output> [<answer>]
+ *              ouf reads the solution (stdin), stdout goes to the solution,
+ *              tout writes the output file
+ * GENERATORS:  registerGen(argc, argv, 1); rnd seeded from the arguments
+ *              (the sequence differs from upstream testlib)
+ *
+ * EXIT CODES: 0 OK, 1 WA, 2 PE, 3 FAIL, 7 points
+ * The verdict line ("ok ...", "wrong answer ...") is written to stderr.
+ */
+
+#ifndef _TESTLIB_H_
+#define _TESTLIB_H_
+
+#include <algorithm>
+#include <cctype>
+#include <cerrno>
+#include <cmath>
+#include <cstdarg>
+#include <cstdint>
+#include <cstdio>
+#include <cstdlib>
+#include <cstring>
+#include <fstream>
+#include <iostream>
+#include <limits>
+#include <map>
+#include <regex>
+#include <sstream>
+#include <string>
+#include <vector>
+
+enum TResult {
+    _ok = 0,
+    _wa = 1,
+    _pe = 2,
+    _fail = 3,
+    _dirt = 4,
+    _points = 7,
+    _unexpected_eof = 8,
+    _partially = 16
+};
+
+enum TMode {
+    _input,
+    _output,
+    _answer
+};
+
+#define EOFC (255)
+
+const double EPS = 1E-6;
+
+static std::string __testlib_vformat(const char *fmt, va_list ap) {
+    va_list copy;
+    va_copy(copy, ap);
+    int size = vsnprintf(nullptr, 0, fmt, copy);
+    va_end(copy);
+    if (size < 0) return fmt;
+    std::string result(size + 1, '\0');
+    vsnprintf(&result[0], result.size(), fmt, ap);
+    result.resize(size);
+    return result;
+}
+
+inline std::string format(const char *fmt, ...) {
+    va_list ap;
+    va_start(ap, fmt);
+    std::string result = __testlib_vformat(fmt, ap);
+    va_end(ap);
+    return result;
+}
+
+#define FMT_TO_RESULT(fmt, cstr, result) \
+    std::string result;                  \
+    {                                    \
+        va_list ap;                      \
+        va_start(ap, fmt);               \
+        result = __testlib_vformat(cstr, ap); \
+        va_end(ap);                      \
+    }
+
+template <typename T>
+std::string vtos(const T &t) {
+    std::ostringstream ss;
+    ss << t;
+    return ss.str();
+}
+
+template <typename T>
+std::string toString(const T &t) {
+    return vtos(t);
+}
+
+inline std::string upperCase(std::string s) {
+    for (char &c : s) c = static_cast<char>(toupper(static_cast<unsigned char>(c)));
+    return s;
+}
+
+inline std::string lowerCase(std::string s) {
+    for (char &c : s) c = static_cast<char>(tolower(static_cast<unsigned char>(c)));
+    return s;
+}
+
+inline std::string englishEnding(int x) {
+    x %= 100;
+    if (x / 10 == 1) return "th";
+    if (x % 10 == 1) return "st";
+    if (x % 10 == 2) return "nd";
+    if (x % 10 == 3) return "rd";
+    return "th";
+}
+
+inline std::string compress(const std::string &s) {
+    if (s.length() <= 64) return s;
+    return s.substr(0, 30) + "..." + s.substr(s.length() - 31);
+}
+
+inline bool doubleCompare(double expected, double result, double maxDoubleError) {
+    if (std::isnan(expected)) return std::isnan(result);
+    if (std::isinf(expected)) return expected == result;
+    if (std::isnan(result) || std::isinf(result)) return false;
+    if (std::fabs(result - expected) <= maxDoubleError + 1E-15) return true;
+    double minv = std::min(expected * (1.0 - maxDoubleError), expected * (1.0 + maxDoubleError));
+    double maxv = std::max(expected * (1.0 - maxDoubleError), expected * (1.0 + maxDoubleError));
+    return result + 1E-15 >= minv && result <= maxv + 1E-15;
+}
+
+inline double doubleDelta(double expected, double result) {
+    double absolute = std::fabs(result - expected);
+    if (std::fabs(expected) > 1E-9) return std::min(absolute, absolute / std::fabs(expected));
+    return absolute;
+}
+
+static bool __testlib_validation = false;
+static bool __testlib_interaction = false;
+
+[[noreturn]] void quit(TResult result, const std::string &message);
+
+struct InStream {
+    FILE *file = nullptr;
+    std::string name;
+    TMode mode = _input;
+    bool opened = false;
+    bool strict = false;
+    int line = 1;
+
+    void init(const char *fileName, TMode streamMode) {
+        name = fileName;
+        mode = streamMode;
+        file = fopen(fileName, "rb");
+        if (!file) {
+            opened = false;
+            quit(_fail, std::string("Can not open file ") + fileName);
+        }
+        opened = true;
+    }
+
+    void init(FILE *f, TMode streamMode) {
+        name = "stdin";
+        mode = streamMode;
+        file = f;
+        opened = true;
+    }
+
+    int curChar() {
+        int c = getc(file);
+        if (c != EOF) ungetc(c, file);
+        return c == EOF ? EOFC : c;
+    }
+
+    int nextChar() {
+        int c = getc(file);
+        if (c == '\n') line++;
+        return c == EOF ? EOFC : c;
+    }
+
+    void skipChar() {
+        nextChar();
+    }
+
+    void unreadChar(int c) {
+        if (c == EOFC) return;
+        if (c == '\n') line--;
+        ungetc(c, file);
+    }
+
+    static bool isBlank(int c) {
+        return c == ' ' || c == '\t' || c == '\n' || c == '\r';
+    }
+
+    static bool isEoln(int c) {
+        return c == '\n' || c == '\r';
+    }
+
+    // Result for a malformed stream: the participant gets PE, a broken
+    // input or answer file is the judge's fault
+    TResult formatError() const {
+        return mode == _output ? _pe : _fail;
+    }
+
+    [[noreturn]] void quit(TResult result, const std::string &message) {
+        if (mode != _output && result != _ok) {
+            ::quit(_fail, message + " (" + name + ")");
+        }
+        ::quit(result, message);
+    }
+
+    [[noreturn]] void quitf(TResult result, const char *fmt, ...) {
+        FMT_TO_RESULT(fmt, fmt, message);
+        quit(result, message);
+    }
+
+    void ensuref(bool cond, const char *fmt, ...) {
+        if (!cond) {
+            FMT_TO_RESULT(fmt, fmt, message);
+            quit(formatError(), message);
+        }
+    }
+
+    void skipBlanks() {
+        while (isBlank(curChar())) skipChar();
+    }
+
+    bool eof() {
+        return curChar() == EOFC;
+    }
+
+    bool seekEof() {
+        skipBlanks();
+        return eof();
+    }
+
+    bool eoln() {
+        return isEoln(curChar());
+    }
+
+    bool seekEoln() {
+        while (curChar() == ' ' || curChar() == '\t') skipChar();
+        return eoln() || eof();
+    }
+
+    void nextLine() {
+        int c;
+        while ((c = nextChar()) != EOFC && c != '\n') {}
+    }
+
+    std::string readToken() {
+        if (strict) {
+            if (isBlank(curChar()) || eof()) {
+                quit(formatError(), format("Expected token, but found %s (line %d)",
+                    eof() ? "end of file" : "whitespace", line));
+            }
+        } else {
+            skipBlanks();
+            if (eof()) {
+                quit(mode == _output ? _pe : _fail, "Unexpected end of file - token expected");
+            }
+        }
+
+        std::string token;
+        while (!isBlank(curChar()) && !eof()) token += static_cast<char>(nextChar());
+        return token;
+    }
+
+    std::string readWord() {
+        return readToken();
+    }
+
+    std::string readToken(const std::string &pattern, const std::string &variableName = "") {
+        std::string token = readToken();
+        if (!std::regex_match(token, std::regex(pattern))) {
+            quit(formatError(), format("Token %s%s doesn't correspond to pattern \"%s\"",
+                variableName.empty() ? "" : (variableName + "=").c_str(),
+                compress(token).c_str(), pattern.c_str()));
+        }
+        return token;
+    }
+
+    std::string readWord(const std::string &pattern, const std::string &variableName = "") {
+        return readToken(pattern, variableName);
+    }
+
+    char readChar() {
+        if (eof()) quit(formatError(), "Unexpected end of file - char expected");
+        return static_cast<char>(nextChar());
+    }
+
+    char readChar(char expected) {
+        char c = readChar();
+        if (c != expected) {
+            quit(formatError(), format("Unexpected character '%c', but '%c' expected (line %d)", c, expected, line));
+        }
+        return c;
+    }
+
+    char readSpace() {
+        return readChar(' ');
+    }
+
+    void readEoln() {
+        if (curChar() == '\r') skipChar();
+        if (curChar() != '\n') {
+            quit(formatError(), format("Expected EOLN (line %d)", line));
+        }
+        skipChar();
+    }
+
+    void readEof() {
+        if (!strict) skipBlanks();
+        if (!eof()) {
+            quit(formatError(), format("Expected EOF (line %d)", line));
+        }
+    }
+
+    std::string readLine() {
+        if (eof()) quit(formatError(), "Unexpected end of file - line expected");
+        std::string result;
+        int c;
+        while ((c = curChar()) != EOFC && c != '\n') {
+            result += static_cast<char>(nextChar());
+        }
+        if (c == '\n') skipChar();
+        if (!strict && !result.empty() && result.back() == '\r') result.pop_back();
+        return result;
+    }
+
+    std::string readString() {
+        return readLine();
+    }
+
+    std::string readLine(const std::string &pattern, const std::string &variableName = "") {
+        std::string result = readLine();
+        if (!std::regex_match(result, std::regex(pattern))) {
+            quit(formatError(), format("Line %s doesn't correspond to pattern \"%s\"",
+                variableName.empty() ? compress(result).c_str() : variableName.c_str(), pattern.c_str()));
+        }
+        return result;
+    }
+
+    std::string readString(const std::string &pattern, const std::string &variableName = "") {
+        return readLine(pattern, variableName);
+    }
+
+    long long readLong() {
+        std::string token = readToken();
+        static const std::regex integer("-?(0|[1-9][0-9]*)");
+        if (!std::regex_match(token, integer) || token == "-0") {
+            quit(formatError(), format("Expected integer, but \"%s\" found", compress(token).c_str()));
+        }
+        errno = 0;
+        long long value = strtoll(token.c_str(), nullptr, 10);
+        if (errno == ERANGE) {
+            quit(formatError(), format("Expected integer, but \"%s\" found (out of range)", compress(token).c_str()));
+        }
+        return value;
+    }
+
+    int readInt() {
+        long long value = readLong();
+        if (value < std::numeric_limits<int>::min() || value > std::numeric_limits<int>::max()) {
+            quit(formatError(), format("Expected int32, but %lld found", value));
+        }
+        return static_cast<int>(value);
+    }
+
+    int readInteger() {
+        return readInt();
+    }
+
+    long long readLong(long long minv, long long maxv, const std::string &variableName = "") {
+        long long value = readLong();
+        if (value < minv || value > maxv) {
+            quit(formatError(), format("%s is out of range: %lld not in [%lld, %lld]",
+                variableName.empty() ? "Integer" : variableName.c_str(), value, minv, maxv));
+        }
+        return value;
+    }
+
+    int readInt(int minv, int maxv, const std::string &variableName = "") {
+        return static_cast<int>(readLong(minv, maxv, variableName));
+    }
+
+    int readInteger(int minv, int maxv, const std::string &variableName = "") {
+        return readInt(minv, maxv, variableName);
+    }
+
+    double readDouble() {
+        std::string token = readToken();
+        static const std::regex real("[-+]?([0-9]+(\\.[0-9]*)?|\\.[0-9]+)([eE][-+]?[0-9]+)?");
+        if (!std::regex_match(token, real)) {
+            quit(formatError(), format("Expected double, but \"%s\" found", compress(token).c_str()));
+        }
+        return strtod(token.c_str(), nullptr);
+    }
+
+    double readReal() {
+        return readDouble();
+    }
+
+    double readDouble(double minv, double maxv, const std::string &variableName = "") {
+        double value = readDouble();
+        if (value < minv || value > maxv) {
+            quit(formatError(), format("%s is out of range: %.10g not in [%.10g, %.10g]",
+                variableName.empty() ? "Double" : variableName.c_str(), value, minv, maxv));
+        }
+        return value;
+    }
+
+    double readReal(double minv, double maxv, const std::string &variableName = "") {
+        return readDouble(minv, maxv, variableName);
+    }
+
+    double readStrictDouble(double minv, double maxv, int minAfterPoint, int maxAfterPoint,
+                            const std::string &variableName = "") {
+        std::string token = readToken();
+        size_t point = token.find('.');
+        int digits = point == std::string::npos ? 0 : static_cast<int>(token.size() - point - 1);
+        if (digits < minAfterPoint || digits > maxAfterPoint) {
+            quit(formatError(), format("Expected strict double with %d..%d digits after point, but \"%s\" found",
+                minAfterPoint, maxAfterPoint, compress(token).c_str()));
+        }
+        double value = strtod(token.c_str(), nullptr);
+        if (value < minv || value > maxv) {
+            quit(formatError(), format("%s is out of range: %s not in [%.10g, %.10g]",
+                variableName.empty() ? "Double" : variableName.c_str(), token.c_str(), minv, maxv));
+        }
+        return value;
+    }
+
+    double readStrictReal(double minv, double maxv, int minAfterPoint, int maxAfterPoint,
+                          const std::string &variableName = "") {
+        return readStrictDouble(minv, maxv, minAfterPoint, maxAfterPoint, variableName);
+    }
+
+    std::vector<int> readInts(int size, int minv, int maxv, const std::string &variableName = "") {
+        std::vector<int> result;
+        for (int i = 0; i < size; i++) {
+            if (strict && i > 0) readSpace();
+            result.push_back(readInt(minv, maxv, variableName));
+        }
+        return result;
+    }
+
+    std::vector<long long> readLongs(int size, long long minv, long long maxv, const std::string &variableName = "") {
+        std::vector<long long> result;
+        for (int i = 0; i < size; i++) {
+            if (strict && i > 0) readSpace();
+            result.push_back(readLong(minv, maxv, variableName));
+        }
+        return result;
+    }
+
+    std::vector<std::string> readTokens(int size) {
+        std::vector<std::string> result;
+        for (int i = 0; i < size; i++) {
+            if (strict && i > 0) readSpace();
+            result.push_back(readToken());
+        }
+        return result;
+    }
+
+    void close() {
+        if (opened && file && file != stdin) fclose(file);
+        opened = false;
+    }
+};
+
+InStream inf;
+InStream ouf;
+InStream ans;
+std::ofstream tout;
+
+static std::string __testlib_result_prefix(TResult result) {
+    switch (result) {
+        case _ok: return "ok ";
+        case _wa: return "wrong answer ";
+        case _pe: return "wrong output format ";
+        case _points: return "points ";
+        default: return "FAIL ";
+    }
+}
+
+[[noreturn]] void quit(TResult result, const std::string &message) {
+    // A checker that accepts while the participant printed more is wrong
+    // (an interactor's ouf is a live pipe, waiting for its end would hang)
+    if (result == _ok && !__testlib_validation && !__testlib_interaction && ouf.opened && !ouf.seekEof()) {
+        result = _dirt;
+    }
+
+    std::string text = message;
+    if (result == _dirt) {
+        text = "Extra information in the output file";
+        result = _pe;
+    }
+    if (result == _unexpected_eof) {
+        result = _pe;
+    }
+
+    int exitCode = result >= _partially ? _points : result;
+    if (result >= _partially) result = _points;
+
+    if (__testlib_validation && result == _ok) exit(0);
+
+    fprintf(stderr, "%s%s\n", __testlib_result_prefix(result).c_str(), text.c_str());
+    exit(exitCode);
+}
+
+[[noreturn]] inline void quitf(TResult result, const char *fmt, ...) {
+    FMT_TO_RESULT(fmt, fmt, message);
+    quit(result, message);
+}
+
+[[noreturn]] inline void quitp(double points, const std::string &message = "") {
+    fprintf(stderr, "points %.10g %s\n", points, message.c_str());
+    exit(_points);
+}
+
+inline void ensuref(bool cond, const char *fmt, ...) {
+    if (!cond) {
+        FMT_TO_RESULT(fmt, fmt, message);
+        quit(_fail, message);
+    }
+}
+
+#define ensure(cond) ensuref((cond), "%s", "Condition failed: \"" #cond "\"")
+
+inline void registerTestlibCmd(int argc, char *argv[]) {
+    if (argc < 4) {
+        quit(_fail, "Program must be run with: <input-file> <output-file> <answer-file>");
+    }
+    inf.init(argv[1], _input);
+    ouf.init(argv[2], _output);
+    ans.init(argv[3], _answer);
+}
+
+inline void registerTestlib(int argc, ...) {
+    (void) argc;
+    quit(_fail, "registerTestlib is not supported, use registerTestlibCmd");
+}
+
+inline void registerValidation() {
+    __testlib_validation = true;
+    inf.init(stdin, _input);
+    inf.strict = true;
+}
+
+inline void registerValidation(int argc, char *argv[]) {
+    (void) argc;
+    (void) argv;
+    registerValidation();
+}
+
+inline void registerInteraction(int argc, char *argv[]) {
+    if (argc < 3) {
+        quit(_fail, "Program must be run with: <input-file> <output-file> [<answer-file>]");
+    }
+    __testlib_interaction = true;
+    inf.init(argv[1], _input);
+    tout.open(argv[2], std::ios_base::out);
+    if (!tout.is_open()) {
+        quit(_fail, std::string("Can not write to the output file ") + argv[2]);
+    }
+    ouf.init(stdin, _output);
+    if (argc > 3) {
+        ans.init(argv[3], _answer);
+    }
+}
+
+/* Random generator (xorshift-based; sequences differ from upstream) */
+class random_t {
+    unsigned long long state = 0x9E3779B97F4A7C15ULL;
+
+    unsigned long long nextBits() {
+        state ^= state << 13;
+        state ^= state >> 7;
+        state ^= state << 17;
+        return state;
+    }
+
+public:
+    void setSeed(unsigned long long seed) {
+        state = seed ? seed : 0x9E3779B97F4A7C15ULL;
+        for (int i = 0; i < 16; i++) nextBits();
+    }
+
+    int next(int n) {
+        if (n <= 0) quit(_fail, "random_t::next(n): n must be positive");
+        return static_cast<int>(nextBits() % static_cast<unsigned long long>(n));
+    }
+
+    long long next(long long n) {
+        if (n <= 0) quit(_fail, "random_t::next(n): n must be positive");
+        return static_cast<long long>(nextBits() % static_cast<unsigned long long>(n));
+    }
+
+    int next(int from, int to) {
+        return static_cast<int>(next(static_cast<long long>(from), static_cast<long long>(to)));
+    }
+
+    long long next(long long from, long long to) {
+        if (from > to) quit(_fail, "random_t::next(from, to): from > to");
+        unsigned long long range = static_cast<unsigned long long>(to - from) + 1;
+        if (range == 0) return static_cast<long long>(nextBits());
+        return from + static_cast<long long>(nextBits() % range);
+    }
+
+    double next() {
+        return (nextBits() >> 11) * (1.0 / 9007199254740992.0);
+    }
+
+    double next(double from, double to) {
+        return from + next() * (to - from);
+    }
+
+    int wnext(int n, int type) {
+        int result = next(n);
+        for (int i = 0; i < std::abs(type); i++) {
+            result = type > 0 ? std::max(result, next(n)) : std::min(result, next(n));
+        }
+        return result;
+    }
+
+    template <typename Container>
+    typename Container::value_type any(const Container &c) {
+        if (c.empty()) quit(_fail, "random_t::any: empty container");
+        auto it = c.begin();
+        std::advance(it, next(static_cast<int>(c.size())));
+        return *it;
+    }
+};
+
+random_t rnd;
+
+template <typename RandomIt>
+void shuffle(RandomIt first, RandomIt last) {
+    for (auto i = last - first - 1; i > 0; i--) {
+        std::iter_swap(first + i, first + rnd.next(static_cast<int>(i + 1)));
+    }
+}
+
+static std::map<std::string, std::string> __testlib_opts;
+
+inline void registerGen(int argc, char *argv[], int randomGeneratorVersion = 1) {
+    (void) randomGeneratorVersion;
+    unsigned long long seed = 3905348978240129619ULL;
+    for (int i = 1; i < argc; i++) {
+        for (const char *p = argv[i]; *p; p++) seed = seed * 1000003ULL + static_cast<unsigned char>(*p);
+        seed = seed * 31ULL + 7ULL;
+
+        std::string arg = argv[i];
+        if (arg.size() > 1 && arg[0] == '-') {
+            size_t eq = arg.find('=');
+            if (eq != std::string::npos) {
+                __testlib_opts[arg.substr(1, eq - 1)] = arg.substr(eq + 1);
+            } else if (i + 1 < argc) {
+                __testlib_opts[arg.substr(1)] = argv[i + 1];
+            }
+        }
+    }
+    rnd.setSeed(seed);
+}
+
+template <typename T>
+T opt(const std::string &name) {
+    auto it = __testlib_opts.find(name);
+    if (it == __testlib_opts.end()) quit(_fail, "Option " + name + " not found");
+    std::istringstream ss(it->second);
+    T value;
+    ss >> value;
+    return value;
+}
+
+template <typename T>
+T opt(const std::string &name, const T &defaultValue) {
+    return __testlib_opts.count(name) ? opt<T>(name) : defaultValue;
+}
+
+template <typename T>
+void println(const T &value) {
+    std::cout << value << std::endl;
+}
+
+#endif
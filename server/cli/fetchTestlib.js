@@ -0,0 +1,95 @@
+/**
+ * Upstream testlib.h Fetcher
+ *
+ * RUN: node cli/fetchTestlib.js [--ref <tag or branch>]
+ *      (or npm run fetch-testlib -- [--ref <tag or branch>])
+ *
+ * Downloads testlib.h and its license (MIT) from
+ * https://github.com/MikeMirzayanov/testlib into checkers/upstream/.
+ * Judge programs compile against checkers/upstream/testlib.h when it is
+ * there (see executor/checker.js); commit the folder to vendor it. Without
+ * it, the bundled checkers/testlib.h (a compatible subset) is used.
+ *
+ * OPTIONS:
+ * --ref <ref>   Tag, branch or commit to fetch (default master)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const REPOSITORY = 'https://raw.githubusercontent.com/MikeMirzayanov/testlib';
+const TARGET = path.join(__dirname, '..', 'checkers', 'upstream');
+const FILES = ['testlib.h', 'LICENSE'];
+
+const USAGE = 'Usage: node cli/fetchTestlib.js [--ref <tag or branch>]';
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {object} { ref } or { error }
+ */
+function parseArgs(args) {
+  const parsed = { ref: 'master' };
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '--ref') {
+      if (i + 1 >= args.length) {
+        return { error: '--ref needs a value' };
+      }
+      parsed.ref = args[++i];
+    } else {
+      return { error: `Unexpected argument: ${args[i]}` };
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Download one file of the repository
+ * @param {string} ref - Tag, branch or commit
+ * @param {string} file - Path in the repository
+ * @returns {Promise<string>} Contents
+ * @throws {Error} If the download fails
+ */
+async function download(ref, file) {
+  const url = `${REPOSITORY}/${encodeURIComponent(ref)}/${file}`;
+  const response = await fetch(url, { signal: AbortSignal.timeout(30000) });
+  if (!response.ok) {
+    throw new Error(`${url}: HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.error) {
+    console.error(`${args.error}\n${USAGE}`);
+    process.exit(2);
+  }
+
+  // Both files or neither: the header is only vendored with its license
+  const contents = {};
+  for (const file of FILES) {
+    contents[file] = await download(args.ref, file);
+  }
+  if (!contents['testlib.h'].includes('registerTestlibCmd')) {
+    throw new Error('The downloaded testlib.h does not look like testlib');
+  }
+
+  await fs.mkdir(TARGET, { recursive: true });
+  for (const file of FILES) {
+    await fs.writeFile(path.join(TARGET, file), contents[file]);
+  }
+
+  console.log(`✓ testlib.h (${args.ref}) and its license saved to ${path.relative(process.cwd(), TARGET) || TARGET}`);
+  console.log('  Restart the server to use it');
+}
+
+main().catch(error => {
+  console.error('✗ Fetch failed:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,166 @@
+/**
+ * Test Import CLI
+ *
+ * RUN: node cli/importTests.js <folder | archive.zip> [options]
+ *      (or npm run import-tests -- <folder | archive.zip> [options])
+ *
+ * OPTIONS:
+ * --problem <id>   Problem to extend (created if missing)
+ * --name <name>    Name for a new problem (default: the folder or archive name)
+ * --replace        Drop the problem's current tests first
+ *                  (with --polygon: overwrite the problem)
+ * --polygon        The source is a Polygon package: import the whole problem
+ *                  (limits, checker, generated tests) as api/polygonImport.js does
+ * --cph            The source holds CPH .prob files (a folder with .cph/, the
+ *                  .cph folder or one .prob file): one problem each (api/cph.js)
+ *
+ * Writes straight into the problem library (PROBLEMS_DIR), so the server
+ * does not need to be running; a running server sees the tests at once.
+ * Pairing rules are those of POST /api/problems/import (api/testImport.js).
+ */
+
+import { importTests } from '../api/testImport.js';
+import { importPolygonPackage } from '../api/polygonImport.js';
+import { importCphProblems } from '../api/cph.js';
+import { isValidProblemId } from '../api/problems.js';
+
+const USAGE = 'Usage: node cli/importTests.js <folder | archive.zip> [--problem <id>] [--name <name>] [--replace] [--polygon | --cph]';
+
+/**
+ * Parse command line arguments
+ * @param {string[]} args - Arguments after the script name
+ * @returns {object} { source, problemId, name, replace, polygon, cph } or { error }
+ */
+function parseArgs(args) {
+  const parsed = { source: null, problemId: undefined, name: undefined, replace: false, polygon: false, cph: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--problem' || arg === '--name') {
+      if (i + 1 >= args.length) {
+        return { error: `${arg} needs a value` };
+      }
+      parsed[arg === '--problem' ? 'problemId' : 'name'] = args[++i];
+    } else if (arg === '--replace') {
+      parsed.replace = true;
+    } else if (arg === '--polygon') {
+      parsed.polygon = true;
+    } else if (arg === '--cph') {
+      parsed.cph = true;
+    } else if (arg.startsWith('--')) {
+      return { error: `Unknown option: ${arg}` };
+    } else if (parsed.source) {
+      return { error: `Unexpected argument: ${arg}` };
+    } else {
+      parsed.source = arg;
+    }
+  }
+
+  if (!parsed.source) {
+    return { error: 'Missing folder or archive' };
+  }
+  if (parsed.problemId !== undefined && !isValidProblemId(parsed.problemId)) {
+    return { error: `Invalid problem id: ${parsed.problemId} (lowercase letters, digits, "-" and "_")` };
+  }
+  if (parsed.polygon && parsed.cph) {
+    return { error: '--polygon and --cph cannot be combined' };
+  }
+  if (parsed.cph && (parsed.problemId !== undefined || parsed.name !== undefined)) {
+    return { error: '--problem and --name do not apply to CPH files (each holds its own problem)' };
+  }
+  if (parsed.polygon && parsed.name !== undefined) {
+    return { error: '--name does not apply to Polygon packages (the name comes from problem.xml)' };
+  }
+  return parsed;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.error) {
+    console.error(`${args.error}\n${USAGE}`);
+    process.exit(2);
+  }
+
+  if (args.polygon) {
+    return importPolygon(args);
+  }
+  if (args.cph) {
+    return importCph(args);
+  }
+
+  const result = await importTests({ path: args.source }, {
+    problemId: args.problemId,
+    name: args.name,
+    replace: args.replace
+  });
+
+  if (result.unpaired.length > 0) {
+    console.log(`Unpaired files (${result.unpaired.length}):`);
+    result.unpaired.forEach(file => console.log(`  ${file}`));
+  }
+
+  if (!result.success) {
+    console.error(`✗ ${result.error}`);
+    process.exit(1);
+  }
+
+  for (const pair of result.pairs) {
+    console.log(`  Test ${pair.test}: ${pair.input} → ${pair.output}`);
+  }
+  console.log(`✓ ${result.imported} test(s) ${result.created ? 'added to new problem' : 'added to'} ` +
+    `${result.problem.id} (${result.problem.testCount} in total)`);
+}
+
+/**
+ * Import a Polygon package and report it
+ * @param {object} args - Parsed arguments
+ * @returns {Promise<void>}
+ */
+async function importPolygon(args) {
+  const result = await importPolygonPackage({ path: args.source }, {
+    problemId: args.problemId,
+    replace: args.replace
+  });
+
+  result.warnings.forEach(warning => console.log(`⚠ ${warning}`));
+
+  if (!result.success) {
+    console.error(`✗ ${result.error}`);
+    if (result.stderr) {
+      console.error(result.stderr);
+    }
+    process.exit(1);
+  }
+
+  const { total, fromPackage, generated, answersGenerated } = result.tests;
+  console.log(`✓ ${result.created ? 'Created' : 'Replaced'} ${result.problem.id} (${result.problem.name}): ` +
+    `${total} test(s), ${fromPackage} from the package, ${generated} generated, ${answersGenerated} answer(s) from the main solution`);
+}
+
+/**
+ * Import CPH .prob files and report them
+ * @param {object} args - Parsed arguments
+ * @returns {Promise<void>}
+ */
+async function importCph(args) {
+  const result = await importCphProblems(args.source, { replace: args.replace });
+
+  if (!result.success) {
+    console.error(`✗ ${result.error}`);
+    process.exit(1);
+  }
+
+  for (const entry of result.imported) {
+    console.log(`  ${entry.created ? 'Created' : 'Replaced'} ${entry.id} (${entry.name}): ${entry.tests} test(s)` +
+      (entry.srcPath ? ` from ${entry.srcPath}` : ''));
+  }
+  for (const entry of result.skipped) {
+    console.log(`  Skipped ${entry.file}: ${entry.reason}`);
+  }
+  console.log(`✓ ${result.imported.length} problem(s) imported, ${result.skipped.length} skipped`);
+}
+
+main().catch(error => {
+  console.error('✗ Import failed:', error.message);
+  process.exit(1);
+});
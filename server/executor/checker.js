@@ -0,0 +1,285 @@
+/**
+ * Checker Module (special judge)
+ *
+ * RESPONSIBILITIES:
+ * - Compile a checker program once per run (through the compile cache)
+ * - Run it on the input, the participant's output and the expected answer
+ * - Map testlib exit codes to verdicts and surface the checker's message
+ *
+ * TESTLIB CONVENTION:
+ *   checker <input-file> <output-file> <answer-file>
+ *   exit 0 OK, 1 WA, 2 PE, 3 FAIL (checker or test is broken), 7 points
+ *   The verdict line is written to stderr ("wrong answer expected 3, found 4")
+ *
+ * C++ checkers get testlib.h next to their source, so `#include "testlib.h"`
+ * works: TESTLIB_H if set, else upstream testlib in checkers/upstream/ (npm run
+ * fetch-testlib), else the bundled checkers/testlib.h subset. A program may bring its own files (spec.files,
+ * e.g. the testlib.h and headers of a Polygon package); they are written next
+ * to the source too and win over the bundled header. Checkers in other
+ * languages only need to follow the exit code convention.
+ *
+ * Interactors (executor/interactor.js) are compiled and judged by exit code
+ * the same way, through prepareJudgeProgram and classifyTestlibExit. Stress
+ * testing (api/stress.js) compiles its generator and solutions with
+ * prepareJudgeProgram too, so generators can use testlib's registerGen.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getLanguage } from '../languages/config.js';
+import { createWorkspace, writeSourceFile, cleanupWorkspace } from '../utils/fileSystem.js';
+import { compile } from './compiler.js';
+import { runProgram } from './runner.js';
+import { debug, warn } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const CHECKERS_PATH = path.join(__dirname, '..', 'checkers');
+const UPSTREAM_TESTLIB_PATH = path.join(CHECKERS_PATH, 'upstream', 'testlib.h');
+const BUNDLED_TESTLIB_PATH = path.join(CHECKERS_PATH, 'testlib.h');
+
+// Where testlib.h is looked for: TESTLIB_H alone if set, else upstream before the bundled subset
+const TESTLIB_PATHS = process.env.TESTLIB_H
+  ? [path.resolve(process.env.TESTLIB_H)]
+  : [UPSTREAM_TESTLIB_PATH, BUNDLED_TESTLIB_PATH];
+
+// testlib exit codes
+export const CHECKER_EXIT_CODES = {
+  OK: 0,
+  WA: 1,
+  PE: 2,
+  FAIL: 3,
+  DIRT: 4,           // Extra output, reported as PE
+  POINTS: 7,         // Partial score
+  UNEXPECTED_EOF: 8  // Output ended early, reported as PE
+};
+
+// Checkers read whole files; give them room regardless of the problem limits
+const DEFAULT_CHECKER_TIME_LIMIT = 10000;
+const DEFAULT_CHECKER_MEMORY_LIMIT = 512;
+
+// Longest checker message kept in results
+const MESSAGE_LIMIT = 1024;
+
+// Contents of the testlib.h in use (read once)
+let testlibHeader = null;
+
+/**
+ * Read testlib.h: TESTLIB_H, the fetched upstream copy, or the bundled subset
+ * @returns {Promise<string>} Header source
+ * @throws {Error} If TESTLIB_H is set but unreadable
+ */
+async function getTestlibHeader() {
+  if (testlibHeader !== null) {
+    return testlibHeader;
+  }
+
+  for (const candidate of TESTLIB_PATHS) {
+    try {
+      testlibHeader = await fs.readFile(candidate, 'utf8');
+      debug(`testlib.h: ${candidate}`);
+      if (candidate === BUNDLED_TESTLIB_PATH) {
+        warn('Using the bundled testlib.h subset: generators get a different rnd sequence than upstream testlib. ' +
+          'Run "npm run fetch-testlib" and commit checkers/upstream/ to vendor upstream testlib');
+      }
+      return testlibHeader;
+    } catch (error) {
+      // Only the optional upstream copy may be missing
+      if (error.code !== 'ENOENT' || candidate !== UPSTREAM_TESTLIB_PATH) throw error;
+    }
+  }
+}
+
+/**
+ * Compile a jury-side program (checker, interactor, generator...) into its own workspace
+ * @param {object} spec - Program from the request
+ * @param {string} spec.code - Source code
+ * @param {string} spec.language - Language id (default 'cpp')
+ * @param {number} spec.timeLimit - Per-test time limit in ms (default 10000)
+ * @param {number} spec.memoryLimit - Memory limit in MB (default 512)
+ * @param {object} spec.files - Files the source includes ({ name: content }, optional)
+ * @returns {Promise<object>} { success, program } or { success: false, stderr, compileTime }
+ */
+export async function prepareJudgeProgram(spec) {
+  const langConfig = getLanguage(spec.language || 'cpp');
+  if (!langConfig) {
+    throw new Error(`Judge program language not found: ${spec.language}`);
+  }
+
+  const workspacePath = await createWorkspace();
+
+  try {
+    const sourceFileName = `${langConfig.enforceClassName || 'Main'}${langConfig.extension}`;
+    await writeSourceFile(workspacePath, sourceFileName, spec.code);
+
+    // The program's own testlib.h, if it has one, replaces the default one
+    const extraFiles = {
+      ...(langConfig.id === 'cpp' ? { 'testlib.h': await getTestlibHeader() } : {}),
+      ...spec.files
+    };
+    const compileResult = await compile(langConfig, workspacePath, sourceFileName, { extraFiles });
+
+    if (!compileResult.success) {
+      await cleanupWorkspace(workspacePath);
+      return {
+        success: false,
+        stderr: compileResult.stderr,
+        compileTime: compileResult.compileTime
+      };
+    }
+
+    return {
+      success: true,
+      program: {
+        langConfig: langConfig,
+        workspacePath: workspacePath,
+        sourceFileName: sourceFileName,
+        timeLimit: spec.timeLimit || DEFAULT_CHECKER_TIME_LIMIT,
+        memoryLimit: spec.memoryLimit || DEFAULT_CHECKER_MEMORY_LIMIT,
+        compilation: {
+          cached: compileResult.cached,
+          compileTime: compileResult.compileTime
+        }
+      }
+    };
+
+  } catch (error) {
+    await cleanupWorkspace(workspacePath);
+    throw error;
+  }
+}
+
+/**
+ * Compile a checker into its own workspace
+ * @param {object} spec - Checker from the request (see prepareJudgeProgram)
+ * @returns {Promise<object>} { success, checker } or { success: false, stderr, compileTime }
+ */
+export async function prepareChecker(spec) {
+  const prepared = await prepareJudgeProgram(spec);
+  return prepared.success ? { success: true, checker: prepared.program } : prepared;
+}
+
+/**
+ * Extract the checker's message (testlib writes it to stderr)
+ * @param {object} result - Checker execution result
+ * @returns {string} Message, possibly empty
+ */
+function extractMessage(result) {
+  const text = (result.stderr || '').trim() || (result.stdout || '').trim();
+  return text.length > MESSAGE_LIMIT ? `${text.slice(0, MESSAGE_LIMIT)}...` : text;
+}
+
+/**
+ * Map a finished testlib program's run to an outcome
+ * Limits, crashes and unknown exit codes are the jury's fault (FAIL).
+ * @param {object} result - Execution result from runProgram
+ * @param {object} program - Program from prepareJudgeProgram
+ * @param {string} role - 'Checker' or 'Interactor' (used in messages)
+ * @returns {object} { outcome: 'OK'|'WA'|'PE'|'FAIL', message, exitCode, points }
+ */
+export function classifyTestlibExit(result, program, role = 'Checker') {
+  const message = extractMessage(result);
+
+  if (result.timedOut) {
+    return { outcome: 'FAIL', message: `${role} exceeded its time limit (${program.timeLimit}ms)`, exitCode: null, points: null };
+  }
+  if (result.memoryLimitExceeded) {
+    return { outcome: 'FAIL', message: `${role} exceeded its memory limit (${program.memoryLimit}MB)`, exitCode: null, points: null };
+  }
+  if (result.signal) {
+    return { outcome: 'FAIL', message: `${role} crashed (${result.signal})${message ? `: ${message}` : ''}`, exitCode: null, points: null };
+  }
+
+  switch (result.exitCode) {
+    case CHECKER_EXIT_CODES.OK:
+      return { outcome: 'OK', message, exitCode: result.exitCode, points: null };
+
+    case CHECKER_EXIT_CODES.WA:
+      return { outcome: 'WA', message, exitCode: result.exitCode, points: null };
+
+    case CHECKER_EXIT_CODES.PE:
+    case CHECKER_EXIT_CODES.DIRT:
+    case CHECKER_EXIT_CODES.UNEXPECTED_EOF:
+      return { outcome: 'PE', message, exitCode: result.exitCode, points: null };
+
+    case CHECKER_EXIT_CODES.POINTS: {
+      // Partial score is not a full accept
+      const points = parseFloat((message.match(/^points\s+([-\d.eE+]+)/) || [])[1]);
+      return { outcome: 'WA', message, exitCode: result.exitCode, points: Number.isFinite(points) ? points : null };
+    }
+
+    case CHECKER_EXIT_CODES.FAIL:
+      return { outcome: 'FAIL', message, exitCode: result.exitCode, points: null };
+
+    default:
+      return {
+        outcome: 'FAIL',
+        message: `${role} exited with code ${result.exitCode}${message ? `: ${message}` : ''}`,
+        exitCode: result.exitCode,
+        points: null
+      };
+  }
+}
+
+/**
+ * Run the checker on one test
+ * @param {object} checker - Checker from prepareChecker
+ * @param {number} index - Zero-based test index (keeps concurrent tests apart)
+ * @param {string} input - Test input
+ * @param {string} output - Participant's output
+ * @param {string} answer - Expected output (jury answer)
+ * @returns {Promise<object>} { outcome: 'OK'|'WA'|'PE'|'FAIL', message, exitCode, points }
+ */
+export async function runChecker(checker, index, input, output, answer) {
+  const files = ['in', 'out', 'ans'].map(ext => `test_${index + 1}.${ext}`);
+  const [inputFile, outputFile, answerFile] = files;
+
+  await Promise.all([
+    fs.writeFile(path.join(checker.workspacePath, inputFile), input || ''),
+    fs.writeFile(path.join(checker.workspacePath, outputFile), output || ''),
+    fs.writeFile(path.join(checker.workspacePath, answerFile), answer || '')
+  ]);
+
+  try {
+    const result = await runProgram(
+      checker.langConfig,
+      checker.workspacePath,
+      checker.sourceFileName,
+      '',
+      checker.timeLimit,
+      checker.memoryLimit,
+      { args: files }
+    );
+
+    const check = classifyTestlibExit(result, checker);
+    debug(`Checker on test ${index + 1}: exit ${result.exitCode}, ${check.message}`);
+    return check;
+
+  } finally {
+    await Promise.all(files.map(name =>
+      fs.rm(path.join(checker.workspacePath, name), { force: true })
+    ));
+  }
+}
+
+/**
+ * Remove a checker's or interactor's workspace
+ * @param {object} checker - Program from prepareChecker / prepareJudgeProgram
+ * @returns {Promise<void>}
+ */
+export async function cleanupChecker(checker) {
+  if (checker?.workspacePath) {
+    await cleanupWorkspace(checker.workspacePath);
+  }
+}
+
+export default {
+  CHECKER_EXIT_CODES,
+  prepareJudgeProgram,
+  prepareChecker,
+  classifyTestlibExit,
+  runChecker,
+  cleanupChecker
+};
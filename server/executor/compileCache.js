@@ -0,0 +1,285 @@
+/**
+ * Compilation Cache
+ * 
+ * RESPONSIBILITIES:
+ * - Store build artifacts keyed by what produced them
+ * - Restore artifacts into a fresh workspace on a repeat run
+ * - Keep the cache under a size cap (least recently used goes first)
+ * - Report and clear cache contents
+ * 
+ * KEY:
+ * sha256 over language id, compiler version, compile command (flags),
+ * source file name and source code. Changing any of them is a miss.
+ * 
+ * LAYOUT:
+ * cache/compile/<key>/meta.json + artifact files (e.g. main, Main.class)
+ * 
+ * CONFIGURATION:
+ * - COMPILE_CACHE_MAX_MB: total size cap (default 512)
+ * - COMPILE_CACHE_MAX_ENTRIES: entry cap (default 200)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+import { fileURLToPath } from 'url';
+import { executeWithTimeout, parseCommand } from '../utils/timeout.js';
+import { debug, warn } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Base cache directory
+const CACHE_ROOT = path.join(__dirname, '..', 'cache', 'compile');
+
+const MAX_BYTES = (parseInt(process.env.COMPILE_CACHE_MAX_MB, 10) || 512) * 1024 * 1024;
+const MAX_ENTRIES = parseInt(process.env.COMPILE_CACHE_MAX_ENTRIES, 10) || 200;
+
+// key -> { size, lastUsed }, loaded from disk on first use
+let index = null;
+
+// compiler command -> version string
+const compilerVersions = new Map();
+
+/**
+ * Load the LRU index from disk (once)
+ * @returns {Promise<Map>} Cache index
+ */
+async function loadIndex() {
+  if (index) return index;
+
+  index = new Map();
+  await fs.mkdir(CACHE_ROOT, { recursive: true });
+
+  const entries = await fs.readdir(CACHE_ROOT, { withFileTypes: true });
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !/^[a-f0-9]{64}$/.test(entry.name)) continue;
+
+    try {
+      const meta = JSON.parse(await fs.readFile(path.join(CACHE_ROOT, entry.name, 'meta.json'), 'utf8'));
+      index.set(entry.name, { size: meta.size, lastUsed: meta.lastUsed });
+    } catch {
+      // Half-written or corrupted entry
+      await fs.rm(path.join(CACHE_ROOT, entry.name), { recursive: true, force: true });
+    }
+  }
+
+  return index;
+}
+
+/**
+ * Get the compiler version string for a language (cached per process)
+ * Uses langConfig.versionCommand, or "<compiler> --version"
+ * @param {object} langConfig - Language configuration
+ * @returns {Promise<string>} First line of the version output
+ */
+export async function getCompilerVersion(langConfig) {
+  const versionCommand = langConfig.versionCommand ||
+    `${parseCommand(langConfig.compile).command} --version`;
+
+  if (compilerVersions.has(versionCommand)) {
+    return compilerVersions.get(versionCommand);
+  }
+
+  const { command, args } = parseCommand(versionCommand);
+  const result = await executeWithTimeout(command, args, { timeout: 5000 });
+
+  // javac prints its version to stderr
+  const output = `${result.stdout}\n${result.stderr}`.trim();
+  const version = output.split('\n')[0] || 'unknown';
+
+  compilerVersions.set(versionCommand, version);
+  return version;
+}
+
+/**
+ * Forget detected compiler versions (e.g. after a compiler upgrade)
+ */
+export function resetCompilerVersions() {
+  compilerVersions.clear();
+}
+
+/**
+ * Compute the cache key for a compilation
+ * @param {object} langConfig - Language configuration
+ * @param {string} compileCommand - Fully expanded compile command
+ * @param {string} sourceFileName - Source file name
+ * @param {string} source - Source code
+ * @param {string} compilerVersion - Compiler version string
+ * @returns {string} Hex sha256 key
+ */
+export function computeCacheKey(langConfig, compileCommand, sourceFileName, source, compilerVersion) {
+  return createHash('sha256')
+    .update(JSON.stringify({
+      language: langConfig.id,
+      compilerVersion: compilerVersion,
+      command: compileCommand,
+      sourceFileName: sourceFileName
+    }))
+    .update('\0')
+    .update(source)
+    .digest('hex');
+}
+
+/**
+ * Restore cached artifacts into a workspace
+ * @param {string} key - Cache key
+ * @param {string} workspacePath - Destination workspace
+ * @returns {Promise<string[]|null>} Restored file names, or null on a miss
+ */
+export async function restoreArtifacts(key, workspacePath) {
+  const cacheIndex = await loadIndex();
+  const entry = cacheIndex.get(key);
+  if (!entry) return null;
+
+  const entryPath = path.join(CACHE_ROOT, key);
+
+  try {
+    const meta = JSON.parse(await fs.readFile(path.join(entryPath, 'meta.json'), 'utf8'));
+
+    for (const file of meta.files) {
+      await fs.copyFile(path.join(entryPath, file.name), path.join(workspacePath, file.name));
+      await fs.chmod(path.join(workspacePath, file.name), file.mode);
+    }
+
+    entry.lastUsed = Date.now();
+    meta.lastUsed = entry.lastUsed;
+    meta.hits = (meta.hits || 0) + 1;
+    await fs.writeFile(path.join(entryPath, 'meta.json'), JSON.stringify(meta, null, 2));
+
+    debug(`Compile cache hit: ${key.slice(0, 12)}`);
+    return meta.files.map(file => file.name);
+
+  } catch (error) {
+    // Entry vanished or is broken: treat as a miss and drop it
+    warn(`Compile cache entry ${key.slice(0, 12)} unreadable: ${error.message}`);
+    cacheIndex.delete(key);
+    await fs.rm(entryPath, { recursive: true, force: true });
+    return null;
+  }
+}
+
+/**
+ * Store artifacts produced by a successful compilation
+ * Written to a temporary directory first and renamed into place, so a
+ * concurrent identical compilation never sees a half-written entry.
+ * @param {string} key - Cache key
+ * @param {string} workspacePath - Workspace holding the artifacts
+ * @param {string[]} fileNames - Artifact file names (relative to workspace)
+ * @param {object} info - Extra metadata (language, compilerVersion)
+ * @returns {Promise<void>}
+ */
+export async function storeArtifacts(key, workspacePath, fileNames, info = {}) {
+  const cacheIndex = await loadIndex();
+  if (cacheIndex.has(key) || fileNames.length === 0) return;
+
+  const entryPath = path.join(CACHE_ROOT, key);
+  const tempPath = path.join(CACHE_ROOT, `tmp_${randomBytes(8).toString('hex')}`);
+
+  try {
+    await fs.mkdir(tempPath, { recursive: true });
+
+    const files = [];
+    let size = 0;
+    for (const name of fileNames) {
+      const stats = await fs.stat(path.join(workspacePath, name));
+      await fs.copyFile(path.join(workspacePath, name), path.join(tempPath, name));
+      files.push({ name: name, mode: stats.mode & 0o777, size: stats.size });
+      size += stats.size;
+    }
+
+    const now = Date.now();
+    await fs.writeFile(path.join(tempPath, 'meta.json'), JSON.stringify({
+      ...info,
+      files: files,
+      size: size,
+      createdAt: now,
+      lastUsed: now,
+      hits: 0
+    }, null, 2));
+
+    await fs.rename(tempPath, entryPath);
+    cacheIndex.set(key, { size: size, lastUsed: now });
+    debug(`Compile cache store: ${key.slice(0, 12)} (${files.length} file(s), ${size} bytes)`);
+
+    await evict();
+
+  } catch (error) {
+    // Lost a race with an identical compilation, or disk trouble
+    await fs.rm(tempPath, { recursive: true, force: true });
+    if (error.code !== 'ENOTEMPTY' && error.code !== 'EEXIST') {
+      warn(`Compile cache store failed: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Remove least recently used entries until under both caps
+ * @returns {Promise<number>} Number of entries evicted
+ */
+async function evict() {
+  const cacheIndex = await loadIndex();
+  let totalSize = [...cacheIndex.values()].reduce((sum, entry) => sum + entry.size, 0);
+  let evicted = 0;
+
+  const byAge = [...cacheIndex.entries()].sort((a, b) => a[1].lastUsed - b[1].lastUsed);
+
+  for (const [key, entry] of byAge) {
+    if (totalSize <= MAX_BYTES && cacheIndex.size <= MAX_ENTRIES) break;
+
+    await fs.rm(path.join(CACHE_ROOT, key), { recursive: true, force: true });
+    cacheIndex.delete(key);
+    totalSize -= entry.size;
+    evicted++;
+  }
+
+  if (evicted > 0) {
+    debug(`Compile cache evicted ${evicted} entr${evicted === 1 ? 'y' : 'ies'}`);
+  }
+
+  return evicted;
+}
+
+/**
+ * Get cache statistics
+ * @returns {Promise<object>} Entry count, size and caps
+ */
+export async function getCacheStats() {
+  const cacheIndex = await loadIndex();
+  const totalSize = [...cacheIndex.values()].reduce((sum, entry) => sum + entry.size, 0);
+
+  return {
+    entries: cacheIndex.size,
+    sizeBytes: totalSize,
+    maxBytes: MAX_BYTES,
+    maxEntries: MAX_ENTRIES,
+    root: CACHE_ROOT
+  };
+}
+
+/**
+ * Remove every cache entry
+ * @returns {Promise<object>} { removed, freedBytes }
+ */
+export async function clearCache() {
+  const cacheIndex = await loadIndex();
+  const removed = cacheIndex.size;
+  const freedBytes = [...cacheIndex.values()].reduce((sum, entry) => sum + entry.size, 0);
+
+  await fs.rm(CACHE_ROOT, { recursive: true, force: true });
+  await fs.mkdir(CACHE_ROOT, { recursive: true });
+  index = new Map();
+  resetCompilerVersions();
+
+  return { removed, freedBytes };
+}
+
+export default {
+  getCompilerVersion,
+  resetCompilerVersions,
+  computeCacheKey,
+  restoreArtifacts,
+  storeArtifacts,
+  getCacheStats,
+  clearCache
+};
@@ -6,10 +6,15 @@
  * - Capture compilation errors
  * - Validate compiler availability
  * - Return structured compilation result
+ * - Reuse cached artifacts for identical source/compiler/flags
+ * - Pick up precompiled headers the source includes
  */
 
 import { executeWithTimeout, parseCommand } from '../utils/timeout.js';
 import { getExecutablePath, fileExists } from '../utils/fileSystem.js';
+import { getCompilerVersion, computeCacheKey, restoreArtifacts, storeArtifacts } from './compileCache.js';
+import { getPrecompiledHeaderArgs } from './precompiledHeaders.js';
+import fs from 'fs/promises';
 import path from 'path';
 
 /**
@@ -17,15 +22,29 @@ import path from 'path';
  * @param {object} langConfig - Language configuration object
  * @param {string} workspacePath - Workspace directory path
  * @param {string} sourceFileName - Name of source file
+ * @param {object} options - Compilation options
+ * @param {boolean} options.useCache - Reuse/store artifacts in the compile cache (default true)
+ * @param {object} options.extraFiles - Files the source depends on ({ name: content }, e.g. testlib.h),
+ *   written next to the source and made part of the cache key
+ * @param {AbortSignal} options.signal - Kills the compiler when aborted (cancelled submissions)
  * @returns {Promise<object>} Compilation result
  */
-export async function compile(langConfig, workspacePath, sourceFileName) {
+export async function compile(langConfig, workspacePath, sourceFileName, options = {}) {
+  const { useCache = true, extraFiles = {}, signal = null } = options;
+
+  for (const [name, content] of Object.entries(extraFiles)) {
+    await fs.writeFile(path.join(workspacePath, name), content);
+  }
+
   // Skip compilation if not needed
   if (!langConfig.needsCompilation) {
     return {
       success: true,
       message: 'Compilation not required',
-      stderr: ''
+      stderr: '',
+      cached: false,
+      compileTime: 0,
+      pch: null
     };
   }
 
@@ -35,13 +54,48 @@ export async function compile(langConfig, workspacePath, sourceFileName) {
     .replace('{executable}', langConfig.executable);
 
   const { command, args } = parseCommand(compileCommand);
+  const source = await fs.readFile(path.join(workspacePath, sourceFileName), 'utf8');
+  const keySource = Object.keys(extraFiles).length > 0
+    ? [source, ...Object.entries(extraFiles).sort(([a], [b]) => a.localeCompare(b)).map(([name, content]) => `\0${name}\0${content}`)].join('')
+    : source;
 
-  console.log(`[COMPILE] Running: ${compileCommand}`);
+  // Look up identical earlier compilations
+  let cacheKey = null;
+  if (useCache) {
+    const compilerVersion = await getCompilerVersion(langConfig);
+    cacheKey = computeCacheKey(langConfig, compileCommand, sourceFileName, keySource, compilerVersion);
+
+    const restored = await restoreArtifacts(cacheKey, workspacePath);
+    if (restored) {
+      console.log(`[COMPILE] Cache hit (${cacheKey.slice(0, 12)}), skipping: ${compileCommand}`);
+      return {
+        success: true,
+        message: 'Compilation cached',
+        stderr: '',
+        stdout: '',
+        cached: true,
+        compileTime: 0,
+        pch: null
+      };
+    }
+  }
+
+  // Precompiled headers only add include paths; the cache key above
+  // deliberately ignores them since the binary is the same either way
+  const pchArgs = await getPrecompiledHeaderArgs(langConfig, source);
+  const pch = pchArgs.used.length > 0
+    ? { used: true, headers: pchArgs.used, timeSaved: pchArgs.timeSaved }
+    : null;
+
+  const filesBefore = new Set(await fs.readdir(workspacePath));
+
+  console.log(`[COMPILE] Running: ${compileCommand}${pch ? ` (precompiled: ${pch.headers.join(', ')})` : ''}`);
 
   // Execute compilation
-  const result = await executeWithTimeout(command, args, {
+  const result = await executeWithTimeout(command, [...pchArgs.args, ...args], {
     cwd: workspacePath,
-    timeout: 10000 // 10 seconds for compilation
+    timeout: 10000, // 10 seconds for compilation
+    signal: signal
   });
 
   // Check compilation success
@@ -56,7 +110,10 @@ export async function compile(langConfig, workspacePath, sourceFileName) {
         success: false,
         message: 'Compilation failed',
         stderr: result.stderr,
-        stdout: result.stdout
+        stdout: result.stdout,
+        cached: false,
+        compileTime: result.wallTime,
+        pch: pch
       };
     }
   }
@@ -71,15 +128,30 @@ export async function compile(langConfig, workspacePath, sourceFileName) {
         success: false,
         message: 'Executable not found after compilation',
         stderr: `Expected: ${execPath}`,
-        stdout: result.stdout
+        stdout: result.stdout,
+        cached: false,
+        compileTime: result.wallTime,
+        pch: pch
       };
     }
   }
 
+  // Everything the compiler added to the workspace is an artifact
+  if (cacheKey) {
+    const artifacts = (await fs.readdir(workspacePath)).filter(name => !filesBefore.has(name));
+    await storeArtifacts(cacheKey, workspacePath, artifacts, {
+      language: langConfig.id,
+      command: compileCommand
+    });
+  }
+
   return {
     success: true,
     message: 'Compilation successful',
     stderr: result.stderr,
-    stdout: result.stdout
+    stdout: result.stdout,
+    cached: false,
+    compileTime: result.wallTime,
+    pch: pch
   };
 }
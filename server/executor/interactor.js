@@ -0,0 +1,187 @@
+/**
+ * Interactor Module (interactive problems)
+ *
+ * RESPONSIBILITIES:
+ * - Compile a user-supplied interactor once per run (like a checker)
+ * - Start the interactor and the solution together, each under its own limits
+ * - Connect interactor stdout → solution stdin and solution stdout → interactor stdin
+ * - Record the transcript of the exchange for debugging
+ * - Take the outcome from the interactor's exit code
+ *
+ * TESTLIB CONVENTION:
+ *   interactor <input-file> <output-file> [<answer-file>]
+ *   Reads the test from <input-file>, talks to the solution over stdio and
+ *   may write a result to <output-file>; exit codes as for checkers
+ *   (0 OK, 1 WA, 2 PE, 3 FAIL). C++ interactors call registerInteraction().
+ *
+ * Data is relayed through the judge rather than with a direct pipe, so the
+ * transcript sees every byte. When one side's stdout ends, the other side's
+ * stdin is closed, so neither waits forever for a peer that has exited.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { runProgram } from './runner.js';
+import { prepareJudgeProgram, classifyTestlibExit, cleanupChecker } from './checker.js';
+import { debug } from '../utils/logger.js';
+
+// Transcript bytes kept per test; the exchange itself is never cut short
+const TRANSCRIPT_LIMIT = 64 * 1024;
+
+/**
+ * Compile an interactor into its own workspace
+ * @param {object} spec - Interactor from the request { code, language, timeLimit, memoryLimit }
+ * @returns {Promise<object>} { success, interactor } or { success: false, stderr, compileTime }
+ */
+export async function prepareInteractor(spec) {
+  const prepared = await prepareJudgeProgram(spec);
+  return prepared.success ? { success: true, interactor: prepared.program } : prepared;
+}
+
+/**
+ * Bounded transcript of the exchange
+ * Consecutive chunks from the same side are merged into one entry.
+ * @returns {object} Recorder with record() and toJSON()
+ */
+function createTranscript() {
+  const startTime = performance.now();
+  const entries = [];
+  let kept = 0;
+  let truncated = false;
+
+  return {
+    /**
+     * @param {string} from - 'interactor' or 'solution'
+     * @param {Buffer} chunk - Data sent to the other side
+     */
+    record(from, chunk) {
+      const room = TRANSCRIPT_LIMIT - kept;
+      if (room <= 0) {
+        truncated = true;
+        return;
+      }
+
+      const data = (chunk.length > room ? chunk.subarray(0, room) : chunk).toString('utf8');
+      truncated = truncated || chunk.length > room;
+      kept += Math.min(chunk.length, room);
+
+      const last = entries[entries.length - 1];
+      if (last && last.from === from) {
+        last.data += data;
+      } else {
+        entries.push({ from, time: Math.round(performance.now() - startTime), data });
+      }
+    },
+
+    toJSON() {
+      return { entries, truncated };
+    }
+  };
+}
+
+/**
+ * Run the solution against the interactor on one test
+ * @param {object} solution - { langConfig, workspacePath, sourceFileName, timeLimit, memoryLimit, options }
+ *   (options are passed to runProgram: outputLimit, timeMode, wallTimeLimit, signal)
+ * @param {object} interactor - Interactor from prepareInteractor
+ * @param {number} index - Zero-based test index (keeps concurrent tests apart)
+ * @param {string} input - Test input (the interactor's input file)
+ * @param {string} answer - Jury answer (the interactor's answer file, may be empty)
+ * @returns {Promise<object>} { executionResult, interaction, transcript }
+ *   (interaction.exitedFirst: the interactor finished before the solution)
+ */
+export async function runInteractive(solution, interactor, index, input, answer) {
+  const files = ['in', 'out', 'ans'].map(ext => `test_${index + 1}.${ext}`);
+  const [inputFile, outputFile, answerFile] = files;
+
+  await Promise.all([
+    fs.writeFile(path.join(interactor.workspacePath, inputFile), input || ''),
+    fs.writeFile(path.join(interactor.workspacePath, answerFile), answer || '')
+  ]);
+
+  const transcript = createTranscript();
+  const ends = { solution: null, interactor: null };
+  // Who closed stdout first; a process's exit event can arrive after its peer's
+  const hangUpOrder = [];
+  // Data (null = end of stream) that arrived before the receiving side spawned
+  const pending = { solution: [], interactor: [] };
+
+  const deliver = (name, chunk) => {
+    const child = ends[name];
+    if (!child) {
+      pending[name].push(chunk);
+    } else if (!child.stdin.writableEnded) {
+      if (chunk === null) child.stdin.end();
+      else child.stdin.write(chunk);
+    }
+  };
+
+  const connect = (name, peer) => (child) => {
+    ends[name] = child;
+    // The peer may exit mid-write; its exit status tells the story
+    child.stdin.on('error', () => {});
+    child.stdout.on('data', (chunk) => {
+      transcript.record(name, chunk);
+      deliver(peer, chunk);
+    });
+    child.stdout.on('end', () => {
+      hangUpOrder.push(name);
+      deliver(peer, null);
+    });
+    pending[name].splice(0).forEach(chunk => deliver(name, chunk));
+  };
+
+  try {
+    const [executionResult, interactorResult] = await Promise.all([
+      runProgram(
+        solution.langConfig,
+        solution.workspacePath,
+        solution.sourceFileName,
+        '',
+        solution.timeLimit,
+        solution.memoryLimit,
+        { ...solution.options, onSpawn: connect('solution', 'interactor') }
+      ),
+      runProgram(
+        interactor.langConfig,
+        interactor.workspacePath,
+        interactor.sourceFileName,
+        '',
+        interactor.timeLimit,
+        interactor.memoryLimit,
+        { args: files, onSpawn: connect('interactor', 'solution'), signal: solution.options.signal }
+      )
+    ]);
+
+    // The interactor's stdout was protocol traffic, not its verdict message
+    const interaction = classifyTestlibExit({ ...interactorResult, stdout: '' }, interactor, 'Interactor');
+    debug(`Interactor on test ${index + 1}: exit ${interactorResult.exitCode}, ${interaction.message}`);
+
+    return {
+      executionResult: { ...executionResult, interactive: true },
+      interaction: { ...interaction, exitedFirst: hangUpOrder[0] === 'interactor' },
+      transcript: transcript.toJSON()
+    };
+
+  } finally {
+    await Promise.all(files.map(name =>
+      fs.rm(path.join(interactor.workspacePath, name), { force: true })
+    ));
+  }
+}
+
+/**
+ * Remove the interactor's workspace
+ * @param {object} interactor - Interactor from prepareInteractor
+ * @returns {Promise<void>}
+ */
+export async function cleanupInteractor(interactor) {
+  await cleanupChecker(interactor);
+}
+
+export default {
+  prepareInteractor,
+  runInteractive,
+  cleanupInteractor
+};
@@ -0,0 +1,368 @@
+/**
+ * Precompiled Headers
+ *
+ * RESPONSIBILITIES:
+ * - Build precompiled headers (e.g. bits/stdc++.h) for each language that
+ *   lists them, with exactly the flags of its compile command
+ * - Rebuild when the compiler version or flags change
+ * - Tell the compiler which include flags make a source pick them up
+ * - Measure how much compile time a header saves
+ *
+ * HOW IT WORKS (GCC):
+ * The header is compiled to cache/pch/<key>/<header>.gch. Passing
+ * "-I cache/pch/<key>" makes GCC find the .gch before the system header
+ * when it sees #include <header>. A .gch built with other flags or by
+ * another compiler is ignored by GCC, so a stale one costs time, never
+ * correctness.
+ *
+ * KEY:
+ * sha256 over compiler version, compile flags and header name.
+ *
+ * CONFIGURATION:
+ * - langConfig.precompiledHeaders: header names, e.g. ['bits/stdc++.h']
+ * - PCH_DISABLED=1 turns the feature off
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createHash, randomBytes } from 'crypto';
+import { fileURLToPath } from 'url';
+import { executeWithTimeout, parseCommand } from '../utils/timeout.js';
+import { getCompilerVersion } from './compileCache.js';
+import { debug, info, warn } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Base directory for built headers
+const PCH_ROOT = path.join(__dirname, '..', 'cache', 'pch');
+
+// Building bits/stdc++.h takes a few seconds; allow slow machines
+const BUILD_TIMEOUT = 120000;
+
+const DISABLED = process.env.PCH_DISABLED === '1';
+
+// key -> { status: 'building'|'ready'|'failed', dir, timeSaved, error, promise }
+const headers = new Map();
+
+/**
+ * Split a compile template into the compiler and the flags that affect
+ * code generation ({file} and -o {executable} removed)
+ * @param {object} langConfig - Language configuration
+ * @returns {object} { command, flags }
+ */
+function getCompileFlags(langConfig) {
+  const { command, args } = parseCommand(langConfig.compile);
+  const flags = [];
+
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === '-o' && args[i + 1] === '{executable}') {
+      i++;
+      continue;
+    }
+    if (args[i].includes('{file}') || args[i].includes('{executable}')) continue;
+    flags.push(args[i]);
+  }
+
+  return { command, flags };
+}
+
+/**
+ * Check whether source code includes a header with angle brackets
+ * @param {string} source - Source code
+ * @param {string} header - Header name, e.g. 'bits/stdc++.h'
+ * @returns {boolean}
+ */
+export function includesHeader(source, header) {
+  const escaped = header.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^\\s*#\\s*include\\s*<${escaped}>`, 'm').test(source);
+}
+
+/**
+ * Compute the key for one header of one language
+ * @param {object} langConfig - Language configuration
+ * @param {string} header - Header name
+ * @returns {Promise<string>} Hex key (first 16 chars of sha256)
+ */
+async function computeKey(langConfig, header) {
+  const { command, flags } = getCompileFlags(langConfig);
+  const compilerVersion = await getCompilerVersion(langConfig);
+
+  return createHash('sha256')
+    .update(JSON.stringify({ command, flags, compilerVersion, header }))
+    .digest('hex')
+    .slice(0, 16);
+}
+
+/**
+ * Locate the header the compiler would include, via dependency output
+ * @param {string} command - Compiler
+ * @param {string[]} flags - Compile flags
+ * @param {string} header - Header name
+ * @param {string} workDir - Scratch directory
+ * @returns {Promise<string|null>} Absolute header path
+ */
+async function locateHeader(command, flags, header, workDir) {
+  const probe = path.join(workDir, 'probe.cpp');
+  await fs.writeFile(probe, `#include <${header}>\n`);
+
+  const result = await executeWithTimeout(command, [...flags, '-M', probe], {
+    cwd: workDir,
+    timeout: 30000
+  });
+  if (result.exitCode !== 0) return null;
+
+  const suffix = `/${header}`;
+  const found = result.stdout
+    .split(/[\s\\]+/)
+    .find(dep => dep.endsWith(suffix));
+
+  return found || null;
+}
+
+/**
+ * Time one compilation of a minimal source including the header
+ * @param {string} command - Compiler
+ * @param {string[]} args - Extra arguments (e.g. -I <pch dir>)
+ * @param {string[]} flags - Compile flags
+ * @param {string} workDir - Scratch directory
+ * @returns {Promise<number|null>} Wall time in ms, or null on failure
+ */
+async function timeProbeCompile(command, args, flags, workDir) {
+  const result = await executeWithTimeout(
+    command,
+    [...args, path.join(workDir, 'probe.cpp'), ...flags, '-c', '-o', path.join(workDir, 'probe.o')],
+    { cwd: workDir, timeout: BUILD_TIMEOUT }
+  );
+  return result.exitCode === 0 ? result.wallTime : null;
+}
+
+/**
+ * Build one precompiled header into PCH_ROOT/<key>
+ * Written to a temporary directory and renamed into place, like the
+ * compile cache, so concurrent servers never see a half-written .gch.
+ * @param {object} langConfig - Language configuration
+ * @param {string} header - Header name
+ * @param {string} key - Header key
+ * @returns {Promise<object>} { dir, timeSaved }
+ */
+async function buildHeader(langConfig, header, key) {
+  const { command, flags } = getCompileFlags(langConfig);
+  const entryPath = path.join(PCH_ROOT, key);
+  const tempPath = path.join(PCH_ROOT, `tmp_${randomBytes(8).toString('hex')}`);
+
+  try {
+    await fs.mkdir(path.dirname(path.join(tempPath, header)), { recursive: true });
+
+    const headerPath = await locateHeader(command, flags, header, tempPath);
+    if (!headerPath) {
+      throw new Error(`${command} cannot find <${header}>`);
+    }
+
+    const started = Date.now();
+    const result = await executeWithTimeout(
+      command,
+      [...flags, '-x', 'c++-header', headerPath, '-o', path.join(tempPath, `${header}.gch`)],
+      { cwd: tempPath, timeout: BUILD_TIMEOUT, outputLimit: 1024 * 1024 }
+    );
+    if (result.exitCode !== 0) {
+      throw new Error(result.stderr.trim().split('\n')[0] || `exit code ${result.exitCode}`);
+    }
+
+    // Compare a minimal compile with and without the header
+    const withoutPch = await timeProbeCompile(command, [], flags, tempPath);
+    const withPch = await timeProbeCompile(command, ['-I', tempPath], flags, tempPath);
+    const timeSaved = withoutPch !== null && withPch !== null
+      ? Math.max(0, withoutPch - withPch)
+      : 0;
+
+    await fs.rm(path.join(tempPath, 'probe.cpp'), { force: true });
+    await fs.rm(path.join(tempPath, 'probe.o'), { force: true });
+    await fs.writeFile(path.join(tempPath, 'meta.json'), JSON.stringify({
+      language: langConfig.id,
+      header: header,
+      command: command,
+      flags: flags,
+      compilerVersion: await getCompilerVersion(langConfig),
+      buildTime: Date.now() - started,
+      timeSaved: timeSaved,
+      createdAt: Date.now()
+    }, null, 2));
+
+    await fs.rm(entryPath, { recursive: true, force: true });
+    await fs.rename(tempPath, entryPath);
+
+    return { dir: entryPath, timeSaved };
+
+  } catch (error) {
+    await fs.rm(tempPath, { recursive: true, force: true });
+    throw error;
+  }
+}
+
+/**
+ * Load a previously built header from disk
+ * @param {string} key - Header key
+ * @param {string} header - Header name
+ * @returns {Promise<object|null>} { dir, timeSaved } or null
+ */
+async function loadBuiltHeader(key, header) {
+  const entryPath = path.join(PCH_ROOT, key);
+
+  try {
+    const meta = JSON.parse(await fs.readFile(path.join(entryPath, 'meta.json'), 'utf8'));
+    await fs.access(path.join(entryPath, `${header}.gch`));
+    return { dir: entryPath, timeSaved: meta.timeSaved || 0 };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Make sure a header is built (or being built)
+ * @param {object} langConfig - Language configuration
+ * @param {string} header - Header name
+ * @returns {Promise<object>} Header state
+ */
+async function ensureHeader(langConfig, header) {
+  const key = await computeKey(langConfig, header);
+  const existing = headers.get(key);
+  if (existing) return existing;
+
+  const state = { key, header, language: langConfig.id, status: 'building', dir: null, timeSaved: 0, error: null };
+  headers.set(key, state);
+
+  state.promise = (async () => {
+    const built = await loadBuiltHeader(key, header);
+    if (built) {
+      Object.assign(state, built, { status: 'ready' });
+      debug(`Precompiled header <${header}> for ${langConfig.id} loaded (${key})`);
+      return state;
+    }
+
+    info(`Building precompiled header <${header}> for ${langConfig.id}...`);
+    try {
+      Object.assign(state, await buildHeader(langConfig, header, key), { status: 'ready' });
+      info(`Precompiled header <${header}> for ${langConfig.id} ready (saves ~${state.timeSaved}ms per compile)`);
+      await removeStaleHeaders(langConfig.id, key);
+    } catch (error) {
+      state.status = 'failed';
+      state.error = error.message;
+      warn(`Precompiled header <${header}> for ${langConfig.id} failed: ${error.message}`);
+    }
+    return state;
+  })();
+
+  return state;
+}
+
+/**
+ * Remove headers of a language built by another compiler or flags
+ * @param {string} languageId - Language id
+ * @param {string} currentKey - Key to keep
+ * @returns {Promise<void>}
+ */
+async function removeStaleHeaders(languageId, currentKey) {
+  const current = new Set([...headers.keys()]);
+  current.add(currentKey);
+
+  let entries = [];
+  try {
+    entries = await fs.readdir(PCH_ROOT, { withFileTypes: true });
+  } catch {
+    return;
+  }
+
+  for (const entry of entries) {
+    if (!entry.isDirectory() || current.has(entry.name) || entry.name.startsWith('tmp_')) continue;
+
+    try {
+      const meta = JSON.parse(await fs.readFile(path.join(PCH_ROOT, entry.name, 'meta.json'), 'utf8'));
+      if (meta.language !== languageId) continue;
+    } catch {
+      // Unreadable entry: remove it as well
+    }
+
+    await fs.rm(path.join(PCH_ROOT, entry.name), { recursive: true, force: true });
+    debug(`Removed stale precompiled header ${entry.name}`);
+  }
+}
+
+/**
+ * Build precompiled headers for every language that lists them
+ * Called at startup; does not wait for the builds to finish.
+ * @param {object} languages - Language configurations by id
+ * @returns {Promise<void>}
+ */
+export async function warmPrecompiledHeaders(languages) {
+  if (DISABLED) return;
+
+  for (const langConfig of Object.values(languages)) {
+    for (const header of langConfig.precompiledHeaders || []) {
+      try {
+        await ensureHeader(langConfig, header);
+      } catch (error) {
+        warn(`Precompiled header <${header}> for ${langConfig.id} skipped: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Get the extra compiler arguments for a source
+ * Only headers that are already built are used; a header still building
+ * is skipped so the compilation never waits for it.
+ * @param {object} langConfig - Language configuration
+ * @param {string} source - Source code
+ * @returns {Promise<object>} { args, used: string[], timeSaved }
+ */
+export async function getPrecompiledHeaderArgs(langConfig, source) {
+  const result = { args: [], used: [], timeSaved: 0 };
+  if (DISABLED || !langConfig.precompiledHeaders) return result;
+
+  for (const header of langConfig.precompiledHeaders) {
+    if (!includesHeader(source, header)) continue;
+
+    const state = await ensureHeader(langConfig, header);
+    if (state.status !== 'ready') continue;
+
+    result.args.push('-I', state.dir);
+    result.used.push(header);
+    result.timeSaved += state.timeSaved;
+  }
+
+  return result;
+}
+
+/**
+ * Get the state of all known precompiled headers
+ * @returns {object[]} One entry per header
+ */
+export function getPrecompiledHeaderStatus() {
+  return [...headers.values()].map(state => ({
+    language: state.language,
+    header: state.header,
+    key: state.key,
+    status: state.status,
+    timeSaved: state.timeSaved,
+    error: state.error
+  }));
+}
+
+/**
+ * Forget built headers (they are rebuilt on next use)
+ * @returns {Promise<void>}
+ */
+export async function clearPrecompiledHeaders() {
+  await Promise.allSettled([...headers.values()].map(state => state.promise));
+  headers.clear();
+  await fs.rm(PCH_ROOT, { recursive: true, force: true });
+}
+
+export default {
+  includesHeader,
+  warmPrecompiledHeaders,
+  getPrecompiledHeaderArgs,
+  getPrecompiledHeaderStatus,
+  clearPrecompiledHeaders
+};
@@ -5,16 +5,37 @@
  * - Execute compiled/interpreted code
  * - Pass input via stdin
  * - Capture stdout and stderr
- * - Enforce timeout
- * - Track memory usage
+ * - Enforce CPU time limit, wall time limit, or both
+ * - Enforce kernel resource limits (memory, stack, processes, files)
+ * - Isolate the program with the configured sandbox backend
+ * - Track memory usage of the program's process tree
  * - Return execution result with metrics
  */
 
-import { executeWithTimeout, parseCommand } from '../utils/timeout.js';
-import { ExecutionMetrics } from '../utils/metrics.js';
+import { executeWithTimeout, parseCommand, DEFAULT_OUTPUT_LIMIT } from '../utils/timeout.js';
+import { getResourceLimits } from '../utils/processLimits.js';
+import { getSandbox } from '../utils/sandbox.js';
+import { isProcfsAvailable } from '../utils/metrics.js';
 import { debug } from '../utils/logger.js';
 import path from 'path';
 
+/**
+ * Which clock the time limit is judged on
+ * - cpu: user + system CPU time of the process tree (default). The wall
+ *   clock only catches idle programs (waiting on stdin, sleeping), with
+ *   the more generous wallTimeLimit.
+ * - wall: elapsed real time, skewed by machine load and JVM startup
+ * - both: TLE if either clock passes the time limit
+ */
+export const TIME_MODES = {
+  CPU: 'cpu',
+  WALL: 'wall',
+  BOTH: 'both'
+};
+
+// Default wall (idleness) limit in CPU mode, as a multiple of the time limit
+const WALL_TIME_FACTOR = 3;
+
 /**
  * Run program with input and track metrics
  * @param {object} langConfig - Language configuration object
@@ -22,9 +43,30 @@ import path from 'path';
  * @param {string} sourceFileName - Name of source file
  * @param {string} input - Test case input
  * @param {number} timeLimit - Time limit in milliseconds
+ * @param {number} memoryLimit - Memory limit in MB
+ * @param {object} options - Additional run options
+ * @param {number} options.outputLimit - Maximum stdout size in bytes
+ * @param {string} options.timeMode - One of TIME_MODES
+ * @param {number} options.wallTimeLimit - Wall (idleness) limit in CPU mode, in milliseconds
+ * @param {string[]} options.args - Extra command-line arguments (e.g. checker files)
+ * @param {function} options.onSpawn - Receives the live child; the caller feeds stdin (interactive runs)
+ * @param {AbortSignal} options.signal - Kills the program when aborted (cancelled submissions)
  * @returns {Promise<object>} Execution result with metrics
  */
-export async function runProgram(langConfig, workspacePath, sourceFileName, input, timeLimit = 2000) {
+export async function runProgram(langConfig, workspacePath, sourceFileName, input, timeLimit = 2000, memoryLimit = 256, options = {}) {
+  const {
+    outputLimit = DEFAULT_OUTPUT_LIMIT,
+    wallTimeLimit = timeLimit * WALL_TIME_FACTOR
+  } = options;
+
+  // CPU time needs procfs; elsewhere fall back to the wall clock
+  const requestedMode = options.timeMode || TIME_MODES.CPU;
+  const timeMode = requestedMode !== TIME_MODES.WALL && !isProcfsAvailable()
+    ? TIME_MODES.WALL
+    : requestedMode;
+  const judgesCpu = timeMode !== TIME_MODES.WALL;
+  const judgesWall = timeMode !== TIME_MODES.CPU;
+
   // Build run command
   let runCommand = langConfig.run
     .replace('{file}', sourceFileName)
@@ -41,39 +83,82 @@ export async function runProgram(langConfig, workspacePath, sourceFileName, inpu
     }
   }
 
-  const { command, args } = parseCommand(runCommand);
+  const { command, args: runArgs } = parseCommand(runCommand);
+  const args = [...runArgs, ...(options.args || [])];
 
   debug(`Executing: ${runCommand}`);
   debug(`Input length: ${input.length} chars`);
-  debug(`Time limit: ${timeLimit}ms`);
+  debug(`Time limit: ${timeLimit}ms (${timeMode} time)`);
+  debug(`Memory limit: ${memoryLimit}MB`);
+
+  const limits = getResourceLimits(memoryLimit, langConfig.limits);
+  debug(`Resource limits: ${limits.note}`);
 
-  // Start metrics tracking
-  const metrics = new ExecutionMetrics();
-  metrics.start();
+  // RLIMIT_CPU backstop (whole seconds, per process) behind the sampled limit
+  if (judgesCpu) {
+    limits.cpuTime = Math.ceil(timeLimit / 1000) + 1;
+  }
 
-  // Execute program
+  // Execute program (memory and CPU are sampled from the child process tree)
   const result = await executeWithTimeout(command, args, {
     cwd: workspacePath,
-    timeout: timeLimit,
-    input: input
+    timeout: judgesWall ? timeLimit : wallTimeLimit,
+    cpuTimeLimit: judgesCpu ? timeLimit : null,
+    input: input,
+    memoryLimit: memoryLimit,
+    limits: limits,
+    outputLimit: outputLimit,
+    sandbox: getSandbox(),
+    onSpawn: options.onSpawn || null,
+    signal: options.signal || null
   });
 
-  // Stop metrics and get statistics
-  const executionMetrics = metrics.stop();
+  debug(`Execution completed in ${result.wallTime}ms wall, ${result.cpuTime}ms CPU`);
+  debug(`Peak memory: ${result.memory.peak}MB`);
+
+  // Which clock (if any) ran out
+  let timeLimitReason = null;
+  if (result.cpuTimedOut || result.limitExceeded === 'cpu') {
+    timeLimitReason = 'cpu';
+  } else if (result.timedOut) {
+    timeLimitReason = judgesWall ? 'wall' : 'idle';
+  }
 
-  debug(`Execution completed in ${result.executionTime}ms`);
-  debug(`Peak memory: ${executionMetrics.memory.peak}MB`);
+  // The time reported as executionTime is the one the limit is judged on
+  const judgedTime = timeMode === TIME_MODES.CPU ? result.cpuTime
+    : timeMode === TIME_MODES.WALL ? result.wallTime
+    : Math.max(result.cpuTime, result.wallTime);
 
   return {
     stdout: result.stdout,
     stderr: result.stderr,
     exitCode: result.exitCode,
-    timedOut: result.timedOut,
+    signal: result.signal,
+    timedOut: timeLimitReason !== null,
+    timeLimitReason: timeLimitReason,
+    timeMode: timeMode,
+    timeLimit: timeLimit,
+    wallTimeLimit: judgesWall ? timeLimit : wallTimeLimit,
     killed: result.killed,
-    executionTime: result.executionTime,
+    cancelled: result.cancelled,
+    memoryLimitExceeded: result.memoryLimitExceeded,
+    outputLimitExceeded: result.outputLimitExceeded,
+    outputLimit: outputLimit,
+    outputBytes: result.outputBytes,
+    stdoutTruncated: result.stdoutTruncated,
+    stderrTruncated: result.stderrTruncated,
+    limitExceeded: result.limitExceeded,
+    limitsEnforced: result.limitsEnforced,
+    sandboxed: result.sandboxed,
+    stackLimit: limits.supported ? Math.round(limits.stack / 1024 / 1024) : null,
+    stackPeak: result.memory.stackPeak,
+    executionTime: judgedTime,
+    cpuTime: result.cpuTime,
+    wallTime: result.wallTime,
     memory: {
-      peak: executionMetrics.memory.peak,
-      average: executionMetrics.memory.average,
+      peak: result.memory.peak,
+      average: result.memory.average,
+      limit: memoryLimit,
       unit: 'MB'
     }
   };
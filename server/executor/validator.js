@@ -0,0 +1,84 @@
+/**
+ * Validator Module (test input validation)
+ *
+ * RESPONSIBILITIES:
+ * - Compile a problem's validator once per run (like a checker)
+ * - Run it on a test input and report whether the input is valid
+ * - Tell an invalid input apart from a broken validator
+ *
+ * TESTLIB CONVENTION:
+ *   validator < input
+ *   Reads the test from stdin; exit code 0 means valid, anything else
+ *   invalid with the reason on stderr (or stdout). C++ validators call
+ *   registerValidation() and read with readInt(1, n, "n") and friends;
+ *   testlib's "FAIL " prefix is stripped from the message.
+ *
+ * A validator that times out, runs out of memory or is killed by a signal
+ * is broken, not a verdict on the input.
+ */
+
+import { runProgram } from './runner.js';
+import { prepareJudgeProgram, classifyTestlibExit, cleanupChecker } from './checker.js';
+import { debug } from '../utils/logger.js';
+
+/**
+ * Compile a validator into its own workspace
+ * @param {object} spec - Validator from the request { code, language, timeLimit, memoryLimit }
+ * @returns {Promise<object>} { success, validator } or { success: false, stderr, compileTime }
+ */
+export async function prepareValidator(spec) {
+  const prepared = await prepareJudgeProgram(spec);
+  return prepared.success ? { success: true, validator: prepared.program } : prepared;
+}
+
+/**
+ * Validate one test input
+ * @param {object} validator - Validator from prepareValidator
+ * @param {string} input - Test input
+ * @returns {Promise<object>} { valid, broken, message, exitCode }
+ *   (broken: the validator itself failed, so the input is unchecked)
+ */
+export async function runValidator(validator, input) {
+  const result = await runProgram(
+    validator.langConfig,
+    validator.workspacePath,
+    validator.sourceFileName,
+    input || '',
+    validator.timeLimit,
+    validator.memoryLimit
+  );
+
+  const outcome = classifyTestlibExit(result, validator, 'Validator');
+  debug(`Validator: exit ${result.exitCode}, ${outcome.message || 'no message'}`);
+
+  if (outcome.outcome === 'OK') {
+    return { valid: true, broken: false, message: outcome.message, exitCode: 0 };
+  }
+
+  // No exit code: timed out, out of memory or killed
+  if (outcome.exitCode === null) {
+    return { valid: false, broken: true, message: outcome.message, exitCode: null };
+  }
+
+  return {
+    valid: false,
+    broken: false,
+    message: outcome.message.replace(/^FAIL\s+/, '') || `Validator exited with code ${result.exitCode}`,
+    exitCode: result.exitCode
+  };
+}
+
+/**
+ * Remove the validator's workspace
+ * @param {object} validator - Validator from prepareValidator
+ * @returns {Promise<void>}
+ */
+export async function cleanupValidator(validator) {
+  await cleanupChecker(validator);
+}
+
+export default {
+  prepareValidator,
+  runValidator,
+  cleanupValidator
+};
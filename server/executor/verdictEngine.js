@@ -11,12 +11,26 @@
  * - AC: Accepted (correct output)
  * - WA: Wrong Answer (output mismatch)
  * - TLE: Time Limit Exceeded
- * - RE: Runtime Error (crash, non-zero exit)
+ * - ILE: Idleness Limit Exceeded (interactive solution waited without using CPU)
+ * - MLE: Memory Limit Exceeded (peak RSS of the process tree)
+ * - OLE: Output Limit Exceeded (stdout larger than the output limit)
+ * - RE: Runtime Error (crash, non-zero exit), with a RUNTIME_ERRORS subtype
+ * - PE: Presentation Error (right tokens, wrong whitespace/line breaks; or reported by a checker)
  * - CE: Compilation Error
+ * - FAIL: Checker failed (broken checker or test, not the solution's fault;
+ *   also a test input rejected by the problem's validator)
  */
 
-import { compareOutputs, strictNormalizeOutput } from '../utils/normalize.js';
-import { generateDiff, formatDiffForConsole, formatDiffForAPI } from '../utils/diff.js';
+import os from 'os';
+
+import {
+  compareWithComparator,
+  diffWithComparator,
+  findLayoutMismatch,
+  getComparator,
+  DEFAULT_COMPARATOR
+} from '../utils/comparators.js';
+import { formatDiffForConsole, formatDiffForAPI } from '../utils/diff.js';
 import { info, warn } from '../utils/logger.js';
 
 // Verdict constants
@@ -24,39 +38,274 @@ export const VERDICTS = {
   AC: 'AC',      // Accepted
   WA: 'WA',      // Wrong Answer
   TLE: 'TLE',    // Time Limit Exceeded
+  ILE: 'ILE',    // Idleness Limit Exceeded
+  MLE: 'MLE',    // Memory Limit Exceeded
+  OLE: 'OLE',    // Output Limit Exceeded
   RE: 'RE',      // Runtime Error
-  CE: 'CE'       // Compilation Error
+  PE: 'PE',      // Presentation Error
+  CE: 'CE',      // Compilation Error
+  FAIL: 'FAIL'   // Checker failed
+};
+
+// What a layout-only mismatch is judged as
+export const PRESENTATION_POLICIES = {
+  PE: 'pe',   // Presentation Error (default)
+  AC: 'ac'    // Accepted, like judges that compare tokens only
+};
+
+// Runtime error subtypes (reported as runtimeError.type on RE verdicts)
+export const RUNTIME_ERRORS = {
+  SEGFAULT: 'SEGFAULT',               // SIGSEGV / SIGBUS: invalid memory access
+  FPE: 'FPE',                         // SIGFPE: integer division by zero
+  ABORT: 'ABORT',                     // SIGABRT: abort(), failed assert, uncaught C++ exception
+  STACK_OVERFLOW: 'STACK_OVERFLOW',   // Recursion too deep
+  KILLED_BY_LIMIT: 'KILLED_BY_LIMIT', // Stopped by a resource limit or SIGKILL
+  SIGNAL: 'SIGNAL',                   // Any other fatal signal
+  NONZERO_EXIT: 'NONZERO_EXIT'        // Exited normally with a non-zero code
+};
+
+// Description per fatal signal, as shown to the user
+const SIGNAL_DESCRIPTIONS = {
+  SIGSEGV: { type: RUNTIME_ERRORS.SEGFAULT, description: 'segmentation fault (invalid memory access)' },
+  SIGBUS: { type: RUNTIME_ERRORS.SEGFAULT, description: 'bus error (misaligned or invalid memory access)' },
+  SIGFPE: { type: RUNTIME_ERRORS.FPE, description: 'division by zero' },
+  SIGABRT: { type: RUNTIME_ERRORS.ABORT, description: 'aborted (failed assertion or uncaught exception)' },
+  SIGKILL: { type: RUNTIME_ERRORS.KILLED_BY_LIMIT, description: 'killed (out of memory or external kill)' },
+  SIGXFSZ: { type: RUNTIME_ERRORS.KILLED_BY_LIMIT, description: 'file size limit exceeded' },
+  SIGXCPU: { type: RUNTIME_ERRORS.KILLED_BY_LIMIT, description: 'CPU time limit exceeded' },
+  SIGILL: { type: RUNTIME_ERRORS.SIGNAL, description: 'illegal instruction' },
+  SIGPIPE: { type: RUNTIME_ERRORS.SIGNAL, description: 'broken pipe' },
+  SIGTRAP: { type: RUNTIME_ERRORS.SIGNAL, description: 'trace/breakpoint trap' }
+};
+
+// Runtime messages for a blown stack (the signal alone cannot tell)
+const STACK_OVERFLOW_PATTERN = /StackOverflowError|RecursionError|Maximum call stack size exceeded|stack-overflow|stack overflow/i;
+
+// A native SIGSEGV after the stack (VmStk, sampled every 20ms) grew to this
+// share of RLIMIT_STACK is a stack overflow. The last samples before the
+// crash are usually missed, hence the margin; heap use does not count.
+const STACK_OVERFLOW_RATIO = 0.5;
+
+// Human-readable names for limits reported by detectLimitViolation
+const LIMIT_DESCRIPTIONS = {
+  fileSize: 'file size',
+  processes: 'process count',
+  openFiles: 'open files'
 };
 
 /**
- * Determine verdict from execution result
+ * Format a byte count for verdict messages
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Size in KB or MB
+ */
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${Math.round(bytes / 1024 / 1024 * 100) / 100}MB`;
+  }
+  return `${Math.round(bytes / 1024)}KB`;
+}
+
+/**
+ * Find the signal that ended a program
+ * Wrappers that do not exec (shells, launchers) report a signal death
+ * as exit code 128 + N, so that is mapped back to the signal name.
+ * @param {string|null} signal - Signal name from the child process
+ * @param {number|null} exitCode - Exit code
+ * @returns {string|null} Signal name (e.g. 'SIGSEGV') or null
+ */
+function resolveSignal(signal, exitCode) {
+  if (signal) return signal;
+
+  if (exitCode > 128 && exitCode <= 128 + 64) {
+    const number = exitCode - 128;
+    const name = Object.keys(os.constants.signals).find(key => os.constants.signals[key] === number);
+    return name || null;
+  }
+
+  return null;
+}
+
+/**
+ * Pick the most informative error line from stderr
+ * e.g. "ZeroDivisionError: division by zero" or
+ * "Exception in thread "main" java.lang.ArithmeticException: / by zero"
+ * @param {string} stderr - Program stderr
+ * @returns {string|null} Error line or null
+ */
+function extractErrorLine(stderr) {
+  if (!stderr) return null;
+
+  const lines = stderr.split('\n').map(line => line.trim()).filter(Boolean);
+  const errorLine = lines.find(line => /^(Exception in thread|\w+(\.\w+)*(Error|Exception)\b)/.test(line)) ||
+    lines.find(line => /Assertion .* failed|terminate called/.test(line));
+
+  return errorLine ? errorLine.slice(0, 200) : null;
+}
+
+/**
+ * Classify a crashed or failed program into a RUNTIME_ERRORS subtype
+ * @param {object} executionResult - Result from runner
+ * @returns {object|null} { type, signal, exitCode, description } or null if the program exited cleanly
+ */
+export function classifyRuntimeError(executionResult) {
+  const { exitCode, stderr, limitExceeded, stackLimit, stackPeak } = executionResult;
+  const signal = resolveSignal(executionResult.signal, exitCode);
+  const errorLine = extractErrorLine(stderr);
+
+  // Kernel limits that are not verdicts of their own (file size, processes, open files)
+  if (limitExceeded && LIMIT_DESCRIPTIONS[limitExceeded]) {
+    return {
+      type: RUNTIME_ERRORS.KILLED_BY_LIMIT,
+      signal: signal,
+      exitCode: exitCode,
+      description: `${LIMIT_DESCRIPTIONS[limitExceeded]} limit exceeded`
+    };
+  }
+
+  const crashed = signal !== null || (exitCode !== 0 && exitCode !== null);
+  if (!crashed) {
+    return null;
+  }
+
+  // Stack overflow shows up as SIGSEGV (native) or a runtime error message
+  const nativeStackOverflow = signal === 'SIGSEGV' && stackLimit > 0 &&
+    (stackPeak || 0) >= stackLimit * STACK_OVERFLOW_RATIO;
+
+  if (nativeStackOverflow || STACK_OVERFLOW_PATTERN.test(stderr || '')) {
+    return {
+      type: RUNTIME_ERRORS.STACK_OVERFLOW,
+      signal: signal,
+      exitCode: exitCode,
+      description: `${signal ? `${signal}: ` : ''}stack overflow (recursion too deep)`
+    };
+  }
+
+  if (signal) {
+    const known = SIGNAL_DESCRIPTIONS[signal] || { type: RUNTIME_ERRORS.SIGNAL, description: 'killed by signal' };
+    let description = known.description;
+
+    // Prefer the runtime's own words for aborts ("Assertion `x' failed")
+    if (known.type === RUNTIME_ERRORS.ABORT && errorLine) {
+      description = errorLine;
+    }
+
+    return {
+      type: known.type,
+      signal: signal,
+      exitCode: exitCode,
+      description: `${signal}: ${description}`
+    };
+  }
+
+  return {
+    type: RUNTIME_ERRORS.NONZERO_EXIT,
+    signal: null,
+    exitCode: exitCode,
+    description: errorLine ? `exit code ${exitCode}: ${errorLine}` : `exit code ${exitCode}`
+  };
+}
+
+/**
+ * Build the TLE message naming the clock that ran out
+ * @param {object} executionResult - Result from runner
+ * @returns {string} Verdict message
+ */
+function describeTimeLimit(executionResult) {
+  const { timeLimitReason, timeLimit, wallTimeLimit, cpuTime, wallTime } = executionResult;
+
+  switch (timeLimitReason) {
+    case 'cpu':
+      return `Time Limit Exceeded (CPU time ${cpuTime}ms > ${timeLimit}ms)`;
+    case 'wall':
+      return `Time Limit Exceeded (wall time ${wallTime}ms > ${timeLimit}ms)`;
+    case 'idle':
+      return `Time Limit Exceeded (idle: wall time ${wallTime}ms > ${wallTimeLimit}ms with only ${cpuTime}ms CPU)`;
+    default:
+      return 'Time Limit Exceeded';
+  }
+}
+
+/**
+ * Check whether the program failed before its output can be judged
+ * (priorities 1-4 of determineVerdict)
  * @param {object} executionResult - Result from runner
  * @param {string} expectedOutput - Expected output
- * @returns {object} Verdict information
+ * @returns {object|null} Verdict information, or null if the output should be judged
  */
-export function determineVerdict(executionResult, expectedOutput) {
-  const { stdout, stderr, exitCode, timedOut } = executionResult;
+export function checkExecutionFailure(executionResult, expectedOutput) {
+  const {
+    stdout, stderr, exitCode, timedOut, memoryLimitExceeded, outputLimitExceeded,
+    outputLimit, limitExceeded, memory
+  } = executionResult;
 
-  // Priority 1: Time Limit Exceeded
+  // Priority 1: Idleness Limit Exceeded (interactive solution stuck waiting,
+  // usually for a reply to a query it never flushed)
+  if (timedOut && executionResult.interactive && executionResult.timeLimitReason === 'idle') {
+    return {
+      verdict: VERDICTS.ILE,
+      message: `Idleness Limit Exceeded (wall time ${executionResult.wallTime}ms > ` +
+        `${executionResult.wallTimeLimit}ms with only ${executionResult.cpuTime}ms CPU; is output flushed?)`,
+      actualOutput: stdout,
+      expectedOutput: expectedOutput,
+      stderr: stderr
+    };
+  }
+
+  // Priority 1: Time Limit Exceeded (CPU, wall or idle, see TIME_MODES)
   if (timedOut) {
     return {
       verdict: VERDICTS.TLE,
-      message: 'Time Limit Exceeded',
+      message: describeTimeLimit(executionResult),
       actualOutput: stdout,
       expectedOutput: expectedOutput,
       stderr: stderr
     };
   }
 
-  // Priority 2: Runtime Error (non-zero exit or stderr content)
-  if (exitCode !== 0 && exitCode !== null) {
+  // Priority 2: Memory Limit Exceeded
+  // Checked before RE: running out of memory usually ends in a crash
+  if (memoryLimitExceeded || limitExceeded === 'addressSpace') {
+    const detail = memoryLimitExceeded
+      ? `${memory?.peak}MB used, limit ${memory?.limit}MB`
+      : `allocation refused by address space limit, limit ${memory?.limit}MB`;
+
+    return {
+      verdict: VERDICTS.MLE,
+      message: `Memory Limit Exceeded (${detail})`,
+      actualOutput: stdout,
+      expectedOutput: expectedOutput,
+      stderr: stderr,
+      limitExceeded: limitExceeded || 'memory'
+    };
+  }
+
+  // Priority 3: Output Limit Exceeded (program was killed mid-write)
+  if (outputLimitExceeded) {
+    return {
+      verdict: VERDICTS.OLE,
+      message: `Output Limit Exceeded (more than ${formatBytes(outputLimit)} written)`,
+      actualOutput: stdout,
+      expectedOutput: expectedOutput,
+      stderr: stderr,
+      limitExceeded: 'output'
+    };
+  }
+
+  // Priority 4: Runtime Error (fatal signal, non-zero exit, other kernel limits)
+  // Signal deaths have exitCode null, so the signal has to be checked too:
+  // a segfault after printing the right answer is still RE
+  const runtimeError = classifyRuntimeError(executionResult);
+  if (runtimeError) {
     return {
       verdict: VERDICTS.RE,
-      message: `Runtime Error (exit code: ${exitCode})`,
+      message: `Runtime Error (${runtimeError.description})`,
       actualOutput: stdout,
       expectedOutput: expectedOutput,
       stderr: stderr,
-      exitCode: exitCode
+      exitCode: exitCode,
+      signal: runtimeError.signal,
+      runtimeError: runtimeError,
+      limitExceeded: limitExceeded || null
     };
   }
 
@@ -75,8 +324,28 @@ export function determineVerdict(executionResult, expectedOutput) {
     }
   }
 
-  // Priority 3: Output Comparison
-  const isCorrect = compareOutputs(stdout, expectedOutput);
+  return null;
+}
+
+/**
+ * Determine verdict from execution result
+ * @param {object} executionResult - Result from runner
+ * @param {string} expectedOutput - Expected output
+ * @param {object} comparator - Comparator from resolveComparator (default lines)
+ * @param {object} options - Judging options
+ * @param {string} options.presentationError - One of PRESENTATION_POLICIES (default 'pe')
+ * @returns {object} Verdict information
+ */
+export function determineVerdict(executionResult, expectedOutput, comparator = DEFAULT_COMPARATOR, options = {}) {
+  const failure = checkExecutionFailure(executionResult, expectedOutput);
+  if (failure) {
+    return failure;
+  }
+
+  const { stdout, stderr } = executionResult;
+
+  // Priority 5: Output Comparison
+  const isCorrect = compareWithComparator(stdout, expectedOutput, comparator);
 
   if (isCorrect) {
     return {
@@ -86,25 +355,148 @@ export function determineVerdict(executionResult, expectedOutput) {
       expectedOutput: expectedOutput,
       stderr: stderr
     };
-  } else {
-    // Generate diff for Wrong Answer
-    const normalizedActual = strictNormalizeOutput(stdout);
-    const normalizedExpected = strictNormalizeOutput(expectedOutput);
-    const diff = generateDiff(normalizedExpected, normalizedActual);
-    
-    // Log diff to console
-    warn('Wrong Answer detected');
-    console.log(formatDiffForConsole(diff));
-    
+  }
+
+  // Priority 6: Presentation Error (every token right, whitespace differs)
+  const layoutDiff = findLayoutMismatch(stdout, expectedOutput, comparator);
+  if (layoutDiff) {
+    const detail = layoutDiff.differences[0].message;
+    const accepted = options.presentationError === PRESENTATION_POLICIES.AC;
+    warn(`Presentation Error detected: ${detail}`);
+
     return {
-      verdict: VERDICTS.WA,
-      message: 'Wrong Answer',
+      verdict: accepted ? VERDICTS.AC : VERDICTS.PE,
+      message: accepted ? `Accepted (layout differs: ${detail})` : `Presentation Error (${detail})`,
       actualOutput: stdout,
       expectedOutput: expectedOutput,
       stderr: stderr,
-      diff: formatDiffForAPI(diff)  // Include diff in response
+      diff: formatDiffForAPI(layoutDiff)
     };
   }
+
+  // Generate diff for Wrong Answer (per line or per token, as the comparator compares)
+  const diff = diffWithComparator(expectedOutput, stdout, comparator);
+
+  // Log diff to console
+  warn('Wrong Answer detected');
+  console.log(formatDiffForConsole(diff));
+
+  // For token comparators the first offending token says more than the line
+  const message = getComparator(comparator.name)?.reportsFirstDifference && diff.hasDifferences
+    ? `Wrong Answer (${diff.differences[0].message})`
+    : 'Wrong Answer';
+
+  return {
+    verdict: VERDICTS.WA,
+    message: message,
+    actualOutput: stdout,
+    expectedOutput: expectedOutput,
+    stderr: stderr,
+    diff: formatDiffForAPI(diff)  // Include diff in response
+  };
+}
+
+// Checker / interactor outcome → verdict
+const TESTLIB_OUTCOMES = {
+  OK: { verdict: VERDICTS.AC, label: 'Accepted' },
+  WA: { verdict: VERDICTS.WA, label: 'Wrong Answer' },
+  PE: { verdict: VERDICTS.PE, label: 'Presentation Error' },
+  FAIL: { verdict: VERDICTS.FAIL, label: 'Checker Failed' }
+};
+
+/**
+ * Build the verdict from a checker's outcome
+ * Only called when checkExecutionFailure found nothing wrong with the run.
+ * @param {object} executionResult - Result from runner
+ * @param {string} expectedOutput - Expected output (jury answer)
+ * @param {object} check - Result from runChecker
+ * @returns {object} Verdict information
+ */
+export function createCheckerVerdict(executionResult, expectedOutput, check) {
+  const { verdict, label } = TESTLIB_OUTCOMES[check.outcome] || TESTLIB_OUTCOMES.FAIL;
+
+  if (verdict !== VERDICTS.AC) {
+    warn(`${label} (checker): ${check.message}`);
+  }
+
+  return {
+    verdict: verdict,
+    message: check.message ? `${label} (checker: ${check.message})` : label,
+    actualOutput: executionResult.stdout,
+    expectedOutput: expectedOutput,
+    stderr: executionResult.stderr,
+    checker: {
+      exitCode: check.exitCode,
+      message: check.message,
+      points: check.points
+    }
+  };
+}
+
+/**
+ * Build the verdict of an interactive run
+ * A broken interactor is FAIL. Otherwise the solution's own failures
+ * (TLE/ILE/MLE/OLE/RE) win, since they usually make the interactor report
+ * an unexpected end of file - unless the interactor had already rejected
+ * the solution and exited; then the solution crashing on the closed pipe
+ * is a consequence, and the interactor's verdict stands.
+ * @param {object} executionResult - Solution result from runInteractive
+ * @param {string} expectedOutput - Jury answer (may be empty)
+ * @param {object} interaction - Interactor outcome from runInteractive
+ * @param {object} transcript - Transcript from runInteractive
+ * @returns {object} Verdict information
+ */
+export function createInteractiveVerdict(executionResult, expectedOutput, interaction, transcript) {
+  const interactorInfo = {
+    exitCode: interaction.exitCode,
+    message: interaction.message,
+    points: interaction.points
+  };
+  const { verdict, label: outcomeLabel } = TESTLIB_OUTCOMES[interaction.outcome] || TESTLIB_OUTCOMES.FAIL;
+  const label = verdict === VERDICTS.FAIL ? 'Interactor Failed' : outcomeLabel;
+
+  const failure = verdict === VERDICTS.FAIL ? null : checkExecutionFailure(executionResult, expectedOutput);
+  const hungUpOn = verdict !== VERDICTS.AC && interaction.exitedFirst;
+
+  if (failure && !hungUpOn) {
+    return { ...failure, interactor: interactorInfo, transcript: transcript };
+  }
+
+  if (verdict !== VERDICTS.AC) {
+    warn(`${label} (interactor): ${interaction.message}`);
+  }
+
+  return {
+    verdict: verdict,
+    message: interaction.message ? `${label} (interactor: ${interaction.message})` : label,
+    actualOutput: executionResult.stdout,
+    expectedOutput: expectedOutput,
+    stderr: executionResult.stderr,
+    interactor: interactorInfo,
+    transcript: transcript
+  };
+}
+
+/**
+ * Create verdict for a test whose input the validator rejected
+ * The solution is not run: its result on an invalid test means nothing.
+ * @param {object} validation - Result from runValidator
+ * @param {string} expectedOutput - Expected output
+ * @returns {object} FAIL verdict with the validator's message
+ */
+export function createInvalidInputVerdict(validation, expectedOutput) {
+  const message = validation.broken
+    ? `Validator Failed (${validation.message})`
+    : `Invalid Test (validator: ${validation.message})`;
+  warn(message);
+
+  return {
+    verdict: VERDICTS.FAIL,
+    message: message,
+    actualOutput: '',
+    expectedOutput: expectedOutput,
+    stderr: ''
+  };
 }
 
 /**
@@ -132,8 +524,13 @@ export function getVerdictColor(verdict) {
     [VERDICTS.AC]: '#10b981',   // Green
     [VERDICTS.WA]: '#ef4444',   // Red
     [VERDICTS.TLE]: '#f59e0b',  // Orange
+    [VERDICTS.ILE]: '#d97706',  // Amber
+    [VERDICTS.MLE]: '#ec4899',  // Pink
+    [VERDICTS.OLE]: '#14b8a6',  // Teal
     [VERDICTS.RE]: '#8b5cf6',   // Purple
-    [VERDICTS.CE]: '#6366f1'    // Indigo
+    [VERDICTS.PE]: '#eab308',   // Yellow
+    [VERDICTS.CE]: '#6366f1',   // Indigo
+    [VERDICTS.FAIL]: '#64748b'  // Slate
   };
   return colors[verdict] || '#6b7280'; // Gray default
 }
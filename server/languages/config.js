@@ -14,6 +14,13 @@
  * - compile: Compilation command template (if needed)
  * - run: Execution command template
  * - executable: Output binary/entrypoint name
+ * 
+ * OPTIONAL FIELDS:
+ * - limits: Resource limit overrides (see DEFAULT_LIMITS in utils/processLimits.js)
+ * - versionCommand: Prints the compiler version (part of the compile cache key,
+ *   default "<compiler> --version")
+ * - precompiledHeaders: Headers to precompile with the compile flags
+ *   (see executor/precompiledHeaders.js)
  */
 
 export const LANGUAGES = {
@@ -25,6 +32,7 @@ export const LANGUAGES = {
     compile: 'g++ {file} -O2 -std=gnu++17 -o {executable}',
     run: './{executable}',
     executable: 'main',
+    precompiledHeaders: ['bits/stdc++.h'],
     errorPatterns: [
       /error:/i,
       /undefined reference/i,
@@ -38,10 +46,17 @@ export const LANGUAGES = {
     extension: '.java',
     needsCompilation: true,
     compile: 'javac {file}',
+    versionCommand: 'javac -version',
     run: 'java Main',
     executable: 'Main.class',
     // Java requires class name to match filename
     enforceClassName: 'Main',
+    // JVM reserves gigabytes of virtual memory up front and runs many threads
+    limits: {
+      addressSpaceFactor: false,
+      processes: 256,
+      openFiles: 1024
+    },
     errorPatterns: [
       /error:/i,
       /exception/i,
@@ -71,6 +86,11 @@ export const LANGUAGES = {
     needsCompilation: false,
     run: 'node {file}',
     executable: null,
+    // V8 cannot start under RLIMIT_AS (reserves its code range up front)
+    limits: {
+      addressSpaceFactor: false,
+      processes: 64
+    },
     errorPatterns: [
       /SyntaxError/i,
       /ReferenceError/i,
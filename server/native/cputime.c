@@ -0,0 +1,95 @@
+/*
+ * CPU Time Reporter
+ *
+ * Runs a program and reports the CPU time of the program's process tree,
+ * read from the kernel when the program is reaped (wait4/getrusage), so the
+ * value is exact no matter how many other programs run at the same time.
+ *
+ * USAGE:
+ *   cputime <report-fd> <command> [args...]
+ *
+ * REPORT (one line written to <report-fd> after the program ends):
+ *   <cpu microseconds> <exit code or -1> <signal number or 0>
+ *
+ * The report descriptor is closed for the program (close-on-exec), so it
+ * cannot forge the line. The reporter exits like the program did; inside a
+ * PID namespace it may be PID 1 and unable to die from its own signal, so
+ * the report carries the signal as well.
+ *
+ * Built by utils/cpuTimer.js; see there for how the report is used.
+ */
+
+#define _GNU_SOURCE
+#include <errno.h>
+#include <fcntl.h>
+#include <signal.h>
+#include <stdio.h>
+#include <stdlib.h>
+#include <string.h>
+#include <sys/resource.h>
+#include <sys/types.h>
+#include <sys/wait.h>
+#include <unistd.h>
+
+int main(int argc, char **argv) {
+  if (argc < 3) {
+    fprintf(stderr, "usage: %s <report-fd> <command> [args...]\n", argv[0]);
+    return 125;
+  }
+
+  int report = atoi(argv[1]);
+  if (fcntl(report, F_SETFD, FD_CLOEXEC) == -1) {
+    perror("cputime: report fd");
+    return 125;
+  }
+
+  pid_t child = fork();
+  if (child == -1) {
+    perror("cputime: fork");
+    return 125;
+  }
+
+  if (child == 0) {
+    execvp(argv[2], argv + 2);
+    fprintf(stderr, "cputime: cannot run %s: %s\n", argv[2], strerror(errno));
+    _exit(127);
+  }
+
+  // Signals meant for the program reach it through the process group;
+  // the reporter itself has to survive until the report is written
+  signal(SIGINT, SIG_IGN);
+  signal(SIGTERM, SIG_IGN);
+  signal(SIGPIPE, SIG_IGN);
+
+  int status = 0;
+  while (waitpid(child, &status, 0) == -1) {
+    if (errno != EINTR) {
+      perror("cputime: wait");
+      return 125;
+    }
+  }
+
+  // Reap descendants that already exited (orphans reparented to us when
+  // we are PID 1 of a namespace) so their CPU time is counted too
+  while (waitpid(-1, NULL, WNOHANG) > 0) {
+  }
+
+  struct rusage usage;
+  getrusage(RUSAGE_CHILDREN, &usage);
+  long long micros =
+    (long long)(usage.ru_utime.tv_sec + usage.ru_stime.tv_sec) * 1000000LL +
+    usage.ru_utime.tv_usec + usage.ru_stime.tv_usec;
+
+  int exit_code = WIFEXITED(status) ? WEXITSTATUS(status) : -1;
+  int signo = WIFSIGNALED(status) ? WTERMSIG(status) : 0;
+
+  dprintf(report, "%lld %d %d\n", micros, exit_code, signo);
+  close(report);
+
+  if (signo) {
+    signal(signo, SIG_DFL);
+    raise(signo);
+    return 128 + signo;
+  }
+  return exit_code;
+}
@@ -7,17 +7,27 @@
  * PORTS:
  * - Default: 3000
  * - Configurable via PORT environment variable
+ * - Competitive Companion receiver: 27121 (COMPANION_PORT, 0 = off)
  * 
  * STARTUP:
  * - Cleans stale workspaces from previous runs
+ * - Builds precompiled headers in the background
+ * - Selects the sandbox backend (SANDBOX_BACKEND)
  * - Initializes Express with CORS
  * - Starts listening on configured port
+ * - Starts the Competitive Companion receiver (its port being taken,
+ *   e.g. by another tool, only disables the receiver)
  */
 
 import express from 'express';
 import cors from 'cors';
 import apiRoutes from './api/routes.js';
+import { createCompanionApp, COMPANION_PORT } from './api/companion.js';
 import { cleanupStaleWorkspaces } from './utils/fileSystem.js';
+import { warmPrecompiledHeaders } from './executor/precompiledHeaders.js';
+import { LANGUAGES } from './languages/config.js';
+import { getSandbox } from './utils/sandbox.js';
+import { prepareCpuTimer } from './utils/cpuTimer.js';
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -25,7 +35,7 @@ const PORT = process.env.PORT || 3000;
 // Middleware
 app.use(cors({
   origin: '*', // Allow all origins for browser extension compatibility
-  methods: ['GET', 'POST'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
   allowedHeaders: ['Content-Type']
 }));
 
@@ -49,7 +59,9 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/api/health',
       languages: '/api/languages',
-      run: 'POST /api/run'
+      run: 'POST /api/run',
+      currentProblem: 'GET|DELETE /api/current-problem',
+      cache: 'GET|DELETE /api/cache'
     },
     documentation: 'https://github.com/ayushtiwari18/cp-judge'
   });
@@ -72,17 +84,46 @@ app.use((err, req, res, next) => {
   });
 });
 
+/**
+ * Start the Competitive Companion receiver
+ * Problems it receives become the current problem (GET /api/current-problem).
+ */
+function startCompanionReceiver() {
+  if (!COMPANION_PORT) {
+    return;
+  }
+
+  const server = createCompanionApp().listen(COMPANION_PORT, () => {
+    console.log(`[COMPANION] Receiving Competitive Companion problems on port ${COMPANION_PORT}`);
+  });
+
+  server.on('error', (error) => {
+    console.warn(`[COMPANION] Receiver not started on port ${COMPANION_PORT}: ${error.message}`);
+  });
+}
+
 /**
  * Startup sequence:
  * 1. Clean stale workspaces
- * 2. Start server
- * 3. Display ready message
+ * 2. Start precompiled header and CPU time reporter builds (not awaited)
+ * 3. Start server
+ * 4. Display ready message
+ * 5. Start the Competitive Companion receiver
  */
 async function startServer() {
   try {
     // Clean stale workspaces from previous runs
     console.log('\n[STARTUP] Cleaning stale workspaces...');
     const cleanedCount = await cleanupStaleWorkspaces();
+
+    // First C++ compiles skip the header until it is built
+    warmPrecompiledHeaders(LANGUAGES);
+
+    // Until the reporter is built, CPU time is sampled
+    prepareCpuTimer();
+
+    // Resolve the sandbox backend now so a broken one shows up at startup
+    const sandbox = getSandbox();
     
     // Start server
     app.listen(PORT, () => {
@@ -93,6 +134,8 @@ async function startServer() {
       console.log(`  Port: ${PORT}`);
       console.log(`  URL: http://localhost:${PORT}`);
       console.log(`  Health: http://localhost:${PORT}/api/health`);
+      console.log(`  Sandbox: ${sandbox.backend}`);
+      console.log(`  Competitive Companion: ${COMPANION_PORT ? `port ${COMPANION_PORT}` : 'off'}`);
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
       console.log('  Supported Languages: C++, Java, Python, JavaScript');
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
@@ -101,6 +144,8 @@ async function startServer() {
         console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
       }
       console.log('');
+
+      startCompanionReceiver();
     });
   } catch (error) {
     console.error('[STARTUP ERROR] Failed to start server:', error);
@@ -15,13 +15,46 @@
  * 5. C++ - Compilation Error
  * 6. C++ - Runtime Error
  * 7. C++ - Time Limit Exceeded
- * 8. Python - Accepted
- * 9. Java - Accepted
- * 10. JavaScript - Accepted
+ * 8. C++ - Memory Limit Exceeded
+ * 9. C++ - Runtime Error (SIGFPE)
+ * 10. C++ - Custom checker (any valid answer)
+ * 11. C++ - Interactive (guess the number)
+ * 12. Python - Accepted
+ * 13. Java - Accepted
+ * 14. JavaScript - Accepted
+ * 15. Shrinking keeps count headers in step with their data
+ * 16. Stress test finds a wrong solution
+ * 17. Stress shrink minimizes the failing input
+ * 18. Submission cancelled while running (status, workspace removed)
+ * 19. Problem library: create, run by problemId, update, validator warnings, delete
+ * 20. Test file pairing (.in/.out, .in/.ans, input/output, Polygon 01/01.a)
+ * 21. Zip archives: reading, and importing an upload
+ * 22. Import CLI (npm run import-tests)
+ * 23. Polygon package (manual and generated test, standard checker)
+ * 24. CPH .prob round trip (export a problem, import it back)
+ * 25. Fork bomb stays within the per-program task limit
  */
 
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { createHash } from 'crypto';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { shrinkCandidates, parseInput } from '../utils/shrink.js';
+import { pairTestFiles } from '../api/testImport.js';
+import { listZipEntries, readZipEntry } from '../utils/zip.js';
+
+const execFileAsync = promisify(execFile);
+const SERVER_ROOT = fileURLToPath(new URL('..', import.meta.url));
+
 const BASE_URL = 'http://localhost:3000/api';
 
+// Where the server (started from this checkout) creates run workspaces
+const WORKSPACE_URL = new URL('../workspace/', import.meta.url);
+
 // Test programs
 const TEST_PROGRAMS = {
   cpp_ac: {
@@ -104,6 +137,115 @@ int main() {
     ]
   },
 
+  cpp_mle: {
+    language: 'cpp',
+    code: `#include <iostream>
+#include <vector>
+using namespace std;
+
+int main() {
+    vector<char> big(512 << 20, 1);  // Touch 512MB
+    cout << (int)big.back() << endl;
+    return 0;
+}`,
+    testCases: [
+      { input: '', expectedOutput: '1' }
+    ],
+    memoryLimit: 64
+  },
+
+  cpp_fpe: {
+    language: 'cpp',
+    code: `#include <iostream>
+using namespace std;
+
+int main() {
+    int a, b;
+    cin >> a >> b;
+    cout << a / b << endl;  // Division by zero
+    return 0;
+}`,
+    testCases: [
+      { input: '5 0', expectedOutput: '' }
+    ]
+  },
+
+  cpp_checker: {
+    language: 'cpp',
+    code: `#include <iostream>
+using namespace std;
+
+int main() {
+    int s;
+    cin >> s;
+    cout << 1 << " " << s - 1 << endl;  // Any split is valid
+    return 0;
+}`,
+    testCases: [
+      { input: '5', expectedOutput: '2 3' },
+      { input: '10', expectedOutput: '5 5' }
+    ],
+    checker: {
+      language: 'cpp',
+      code: `#include "testlib.h"
+
+int main(int argc, char* argv[]) {
+    registerTestlibCmd(argc, argv);
+    int s = inf.readInt();
+    int a = ouf.readInt(1, s - 1, "a");
+    int b = ouf.readInt(1, s - 1, "b");
+    if (a + b != s) quitf(_wa, "%d + %d != %d", a, b, s);
+    quitf(_ok, "%d = %d + %d", s, a, b);
+}`
+    }
+  },
+
+  cpp_interactive: {
+    language: 'cpp',
+    code: `#include <iostream>
+#include <string>
+using namespace std;
+
+int main() {
+    int n;
+    cin >> n;
+    int lo = 1, hi = n;
+    while (lo < hi) {
+        int mid = (lo + hi) / 2;
+        cout << "? " << mid << endl;  // endl flushes the query
+        string reply;
+        cin >> reply;
+        if (reply == "<") lo = mid + 1; else hi = mid;
+    }
+    cout << "! " << lo << endl;
+    return 0;
+}`,
+    testCases: [
+      { input: '100 37' },
+      { input: '1 1' }
+    ],
+    interactor: {
+      language: 'cpp',
+      code: `#include "testlib.h"
+
+int main(int argc, char* argv[]) {
+    registerInteraction(argc, argv);
+    int n = inf.readInt(), secret = inf.readInt();
+    std::cout << n << std::endl;
+    for (int queries = 0; ; queries++) {
+        std::string kind = ouf.readToken();
+        int x = ouf.readInt(1, n, "x");
+        if (kind == "!") {
+            if (x != secret) quitf(_wa, "guessed %d, secret is %d", x, secret);
+            quitf(_ok, "guessed in %d queries", queries);
+        }
+        if (queries == 20) quitf(_wa, "too many queries");
+        std::cout << (x < secret ? "<" : ">=") << std::endl;
+    }
+}`
+    }
+  },
+
   python_ac: {
     language: 'python',
     code: `a, b = map(int, input().split())
@@ -175,6 +317,12 @@ async function runTest(testName, testData) {
       if (result.compilationError) {
         console.log('  Compilation Error:', result.compilationError.verdict);
       }
+      if (result.checkerError) {
+        console.log('  Checker Error:', result.checkerError.message);
+      }
+      if (result.interactorError) {
+        console.log('  Interactor Error:', result.interactorError.message);
+      }
     }
     
     return result;
@@ -184,6 +332,633 @@ async function runTest(testName, testData) {
   }
 }
 
+// Stress test of a maximum that starts from 0 (wrong when every number is negative)
+const STRESS_PROGRAMS = {
+  generator: {
+    language: 'python',
+    code: `import sys, random
+random.seed(int(sys.argv[-1]))
+n = random.randint(1, 6)
+print(n)
+print(*[random.randint(-9, 9) for _ in range(n)])`
+  },
+  brute: {
+    language: 'python',
+    code: `input()
+print(max(map(int, input().split())))`
+  },
+  solution: {
+    language: 'cpp',
+    code: `#include <iostream>
+using namespace std;
+
+int main() {
+    int n, best = 0;  // Wrong: all numbers may be negative
+    cin >> n;
+    for (int i = 0, x; i < n; i++) {
+        cin >> x;
+        best = max(best, x);
+    }
+    cout << best << endl;
+    return 0;
+}`
+  }
+};
+
+/**
+ * Print a check's outcome
+ * @param {boolean} passed - Whether the check holds
+ * @param {string} message - What was checked
+ * @returns {boolean} passed
+ */
+function expect(passed, message) {
+  console.log(`${passed ? '\u2713' : '\u2717'} ${message}`);
+  return passed;
+}
+
+/**
+ * Whether an "n" line is followed by exactly n tokens (the inputs the stress test uses)
+ * @param {string} input - Test input
+ * @returns {boolean} True if the count matches its data
+ */
+function countMatchesData(input) {
+  const lines = parseInput(input);
+  return lines.length === 2 && lines[0].length === 1 && Number(lines[0][0]) === lines[1].length;
+}
+
+async function testShrinkHeaders() {
+  console.log('\n\u2501\u2501\u2501 Test 15: Shrinking Keeps Count Headers ━\u2501\u2501');
+
+  const candidates = [...shrinkCandidates('3\n1 2 3\n')].map(candidate => candidate.input);
+  console.log('Candidates:', candidates);
+  expect(candidates.length > 0, 'Candidates proposed');
+  expect(!candidates.includes('\n1 2 3\n'), 'The count is never dropped while its data stays');
+  expect(!candidates.includes('3\n'), 'The data is never dropped while its count stays');
+  expect(candidates.every(countMatchesData), 'Every candidate keeps "n" equal to the number of tokens');
+}
+
+async function testStress() {
+  console.log('\n\u2501\u2501\u2501 Test 16: Stress Test ━\u2501\u2501');
+  try {
+    const response = await fetch(`${BASE_URL}/stress`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...STRESS_PROGRAMS, iterations: 200, minimize: true })
+    });
+    const result = await response.json();
+    console.log('Result:', JSON.stringify({ ...result, failure: result.failure && { ...result.failure, diff: undefined } }, null, 2));
+
+    expect(result.success && result.status === 'failed', 'The wrong solution is caught');
+    expect(result.failure?.verdict === 'WA', 'The failure is a wrong answer');
+    expect(Boolean(result.failure?.minimized?.reproduced), 'The failing input is minimized');
+    expect(countMatchesData(result.failure?.minimized?.input || ''), 'The minimized input keeps its count in step');
+  } catch (error) {
+    console.error('\u2717 Stress test failed with error:', error.message);
+  }
+
+  console.log('\n\u2501\u2501\u2501 Test 17: Stress Shrink ━\u2501\u2501');
+  try {
+    const response = await fetch(`${BASE_URL}/stress/shrink`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        input: '6\n-3 -1 -4 -1 -5 -9\n',
+        brute: STRESS_PROGRAMS.brute,
+        solution: STRESS_PROGRAMS.solution
+      })
+    });
+    const result = await response.json();
+    console.log('Result:', JSON.stringify({ ...result, diff: undefined }, null, 2));
+
+    expect(result.success && result.reproduced, 'The failure reproduces');
+    expect(result.size < result.originalSize, `Shrunk from ${result.originalSize} to ${result.size} bytes`);
+    expect(countMatchesData(result.input || ''), `"${(result.input || '').trim().replace(/\n/g, '\\n')}" keeps its count in step`);
+  } catch (error) {
+    console.error('\u2717 Stress shrink failed with error:', error.message);
+  }
+}
+
+/**
+ * Call the API with a JSON body
+ * @param {string} method - HTTP method
+ * @param {string} route - Path under BASE_URL, e.g. "/problems"
+ * @param {object} body - Request body (optional)
+ * @returns {Promise<object>} { status, data }
+ */
+async function api(method, route, body = undefined) {
+  const response = await fetch(`${BASE_URL}${route}`, {
+    method: method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, data: await response.json() };
+}
+
+/**
+ * CRC-32 of a buffer (zip checksums)
+ * @param {Buffer} data - Bytes
+ * @returns {number} Unsigned CRC
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a zip archive in memory
+ * @param {object} files - { name: contents } (names ending in "/" are folders);
+ *   files are stored, except those over 64 bytes, which are deflated
+ * @returns {Buffer} Archive
+ */
+function makeZip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const [name, contents] of Object.entries(files)) {
+    const nameBytes = Buffer.from(name);
+    const data = Buffer.from(contents);
+    const method = data.length > 64 ? 8 : 0;
+    const stored = method === 8 ? zlib.deflateRawSync(data) : data;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc32(data), 14);
+    local.writeUInt32LE(stored.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc32(data), 16);
+    central.writeUInt32LE(stored.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, nameBytes, stored);
+    centrals.push(central, nameBytes);
+    offset += local.length + nameBytes.length + stored.length;
+  }
+
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(centrals.length / 2, 8);
+  end.writeUInt16LE(centrals.length / 2, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, directory, end]);
+}
+
+/**
+ * Write files into a new temporary folder
+ * @param {object} files - { "relative/path": contents }
+ * @returns {Promise<string>} Folder path (remove it when done)
+ */
+async function makeTempFolder(files) {
+  const folder = await fs.mkdtemp(path.join(os.tmpdir(), 'cp-judge-test-'));
+  for (const [name, contents] of Object.entries(files)) {
+    await fs.mkdir(path.dirname(path.join(folder, name)), { recursive: true });
+    await fs.writeFile(path.join(folder, name), contents);
+  }
+  return folder;
+}
+
+/**
+ * List run workspaces
+ * @returns {Promise<string[]>} Workspace folder names
+ */
+async function listWorkspaces() {
+  const names = await fs.readdir(WORKSPACE_URL).catch(() => []);
+  return names.filter(name => name.startsWith('ws_'));
+}
+
+/**
+ * Poll a submission until a condition holds
+ * @param {string} id - Submission id
+ * @param {function} done - job => boolean
+ * @param {number} timeout - Milliseconds to wait at most
+ * @returns {Promise<object|null>} The job, or null on timeout
+ */
+async function waitForSubmission(id, done, timeout = 15000) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const { job } = await (await fetch(`${BASE_URL}/submissions/${id}`)).json();
+    if (job && done(job)) return job;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return null;
+}
+
+async function testCancelSubmission() {
+  console.log('\n\u2501\u2501\u2501 Test 18: Cancel a Running Submission ━\u2501\u2501');
+  try {
+    const before = new Set(await listWorkspaces());
+    const response = await fetch(`${BASE_URL}/submissions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        ...TEST_PROGRAMS.cpp_tle,
+        testCases: Array.from({ length: 4 }, () => ({ input: '', expectedOutput: '' })),
+        timeLimit: 5000
+      })
+    });
+    const { id } = await response.json();
+    expect(response.status === 202 && Boolean(id), `Submission queued (${id})`);
+
+    // Cancel once its programs run (past compilation, in the time limit)
+    const running = await waitForSubmission(id, job => job.status === 'running', 30000);
+    expect(Boolean(running), 'Submission started');
+    await new Promise(resolve => setTimeout(resolve, 1000));
+    const spawned = (await listWorkspaces()).filter(name => !before.has(name));
+    expect(spawned.length > 0, `Workspace created (${spawned.join(', ')})`);
+
+    const cancel = await fetch(`${BASE_URL}/submissions/${id}`, { method: 'DELETE' });
+    expect(cancel.status === 200, 'DELETE accepted');
+
+    const settled = await waitForSubmission(id, job => job.finishedAt !== null);
+    expect(settled?.status === 'cancelled', `Status is ${settled?.status}`);
+    expect(settled && !settled.result, 'No result recorded');
+
+    const left = (await listWorkspaces()).filter(name => spawned.includes(name));
+    expect(left.length === 0, 'Workspace removed');
+
+    const again = await fetch(`${BASE_URL}/submissions/${id}`, { method: 'DELETE' });
+    expect(again.status === 409, 'Cancelling again answers 409');
+  } catch (error) {
+    console.error('\u2717 Cancel test failed with error:', error.message);
+  }
+}
+
+async function testProblemLibrary() {
+  console.log('\n\u2501\u2501\u2501 Test 19: Problem Library ━\u2501\u2501');
+  const id = `manual-test-${Date.now()}`;
+  const verdicts = result => (result.results || []).map(r => r.verdict).join(' ');
+
+  try {
+    const created = await api('POST', '/problems', {
+      id: id,
+      name: 'Manual Test A+B',
+      timeLimit: 1000,
+      testCases: TEST_PROGRAMS.cpp_ac.testCases
+    });
+    expect(created.status === 201 && created.data.problem?.testCount === 2, `Created ${id} with 2 tests`);
+
+    const duplicate = await api('POST', '/problems', { id: id, name: 'Again', testCases: [] });
+    expect(duplicate.status === 409, 'Creating the same id again answers 409');
+
+    const listed = await api('GET', '/problems');
+    expect(listed.data.problems?.some(problem => problem.id === id && !problem.testCases), 'Listed without its tests');
+
+    const run = await api('POST', '/run', { problemId: id, language: 'cpp', code: TEST_PROGRAMS.cpp_ac.code });
+    expect(run.data.success && verdicts(run.data) === 'AC AC', `Run by problemId: ${verdicts(run.data)}`);
+
+    const both = await api('POST', '/run', { problemId: id, ...TEST_PROGRAMS.cpp_ac });
+    expect(both.status === 400, 'problemId with testCases answers 400');
+
+    const patched = await api('PATCH', `/problems/${id}`, {
+      testCases: [...TEST_PROGRAMS.cpp_ac.testCases, { input: '2 2', expectedOutput: '4' }]
+    });
+    expect(patched.status === 200 && patched.data.problem?.testCount === 3, 'Updated to 3 tests');
+    expect(patched.data.problem?.name === 'Manual Test A+B' && patched.data.problem?.timeLimit === 1000,
+      'Fields not given are kept');
+
+    const rerun = await api('POST', '/run', { problemId: id, language: 'cpp', code: TEST_PROGRAMS.cpp_wa.code });
+    expect(verdicts(rerun.data) === 'WA WA AC', `Run against the new tests: ${verdicts(rerun.data)}`);
+
+    // Sums of at most 5: only "10 20" is rejected
+    const validated = await api('PATCH', `/problems/${id}`, {
+      validator: {
+        language: 'python',
+        code: 'import sys\na, b = map(int, sys.stdin.read().split())\nif a + b > 5:\n    sys.exit(f"sum {a + b} is over 5")\n'
+      }
+    });
+    console.log('Warnings:', validated.data.warnings);
+    expect(validated.data.warnings?.length === 1 && /^Test 2: rejected by the validator \(sum 30/.test(validated.data.warnings[0]),
+      'Adding a validator reports the test it rejects');
+
+    const deleted = await api('DELETE', `/problems/${id}`);
+    expect(deleted.status === 200, 'Deleted');
+    expect((await api('GET', `/problems/${id}`)).status === 404, 'GET after delete answers 404');
+    expect((await api('POST', '/run', { problemId: id, language: 'cpp', code: TEST_PROGRAMS.cpp_ac.code })).status === 404,
+      'Run after delete answers 404');
+  } catch (error) {
+    console.error('\u2717 Problem library test failed with error:', error.message);
+    await api('DELETE', `/problems/${id}`).catch(() => {});
+  }
+}
+
+async function testPairing() {
+  console.log('\n\u2501\u2501\u2501 Test 20: Test File Pairing ━\u2501\u2501');
+  const show = pairs => pairs.map(pair => `${pair.input}→${pair.output}`).join(', ');
+
+  const extensions = pairTestFiles(['2.in', '10.in', '1.in', '1.out', '2.ans', '10.out', '10.ans']);
+  console.log('Pairs:', show(extensions.pairs));
+  expect(show(extensions.pairs) === '1.in→1.out, 2.in→2.ans, 10.in→10.out',
+    '.in pairs with .out, else .ans, in numeric order');
+  expect(extensions.unpaired.join() === '10.ans', 'The .ans beside a .out is left unpaired');
+
+  const folders = pairTestFiles(['input/input00.txt', 'output/output00.txt', 'input/input01.txt', 'output/output01.txt']);
+  expect(show(folders.pairs) === 'input/input00.txt→output/output00.txt, input/input01.txt→output/output01.txt',
+    'input/ pairs with output/ (HackerRank layout)');
+
+  const inOut = pairTestFiles(['in/3.txt', 'out/3.txt']);
+  expect(show(inOut.pairs) === 'in/3.txt→out/3.txt', 'in/ pairs with out/');
+
+  const polygon = pairTestFiles(['tests/01', 'tests/01.a', 'tests/02', 'tests/02.a', 'tests/03']);
+  expect(show(polygon.pairs) === 'tests/01→tests/01.a, tests/02→tests/02.a', 'Polygon 01 pairs with 01.a');
+
+  const unpaired = pairTestFiles(['README.md', '5.in', 'notes.txt', '6.out']);
+  expect(unpaired.pairs.length === 0 && unpaired.unpaired.length === 4, `Unpaired: ${unpaired.unpaired.join(', ')}`);
+}
+
+async function testZipImport() {
+  console.log('\n\u2501\u2501\u2501 Test 21: Zip Archives ━\u2501\u2501');
+  const id = `manual-zip-${Date.now()}`;
+  const longInput = `${'7 '.repeat(100).trim()}\n`;
+  const archive = makeZip({
+    'tests/': '',
+    'tests/1.in': '2 3\n',
+    'tests/1.out': '5\n',
+    'tests/2.in': longInput,
+    'tests/2.ans': '700\n',
+    '__MACOSX/tests/._1.in': 'metadata',
+    'tests/README.md': 'not a test'
+  });
+
+  try {
+    const entries = listZipEntries(archive);
+    expect(entries.length === 6, `${entries.length} file entries (folders left out)`);
+    const deflated = entries.find(entry => entry.name === 'tests/2.in');
+    expect(deflated?.method === 8 && readZipEntry(archive, deflated).toString() === longInput, 'Deflated entry extracted');
+    expect(readZipEntry(archive, entries[0]).toString() === '2 3\n', 'Stored entry extracted');
+
+    let rejected = false;
+    try {
+      listZipEntries(Buffer.from('not a zip archive'));
+    } catch {
+      rejected = true;
+    }
+    expect(rejected, 'A non-zip buffer is rejected');
+
+    const response = await fetch(`${BASE_URL}/problems/import?problemId=${id}&name=Zip%20Upload`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/zip' },
+      body: archive
+    });
+    const result = await response.json();
+    console.log('Import:', JSON.stringify(result));
+    expect(result.success && result.created && result.imported === 2, 'Uploaded zip imported as a new problem');
+    expect(result.unpaired?.join() === 'tests/README.md', 'README.md reported unpaired, __MACOSX skipped');
+
+    const stored = await api('GET', `/problems/${id}`);
+    expect(stored.data.problem?.testCases?.[1]?.expectedOutput === '700\n', 'Deflated test stored intact');
+  } catch (error) {
+    console.error('\u2717 Zip test failed with error:', error.message);
+  } finally {
+    await api('DELETE', `/problems/${id}`).catch(() => {});
+  }
+}
+
+async function testImportCli() {
+  console.log('\n\u2501\u2501\u2501 Test 22: Import CLI ━\u2501\u2501');
+  const id = `manual-cli-${Date.now()}`;
+  const folder = await makeTempFolder({
+    '1.in': '2 3\n',
+    '1.out': '5\n',
+    '2.in': '10 20\n',
+    '2.ans': '30\n',
+    'stray.txt': 'unpaired'
+  });
+  const cli = args => execFileAsync(process.execPath, ['cli/importTests.js', ...args], { cwd: SERVER_ROOT, timeout: 30000 });
+
+  try {
+    // The CLI writes the library straight away; the running server reads it from disk
+    const first = await cli([folder, '--problem', id, '--name', 'CLI Import']);
+    console.log(first.stdout.trim());
+    expect(/2 test\(s\) added to new problem/.test(first.stdout), 'CLI created the problem');
+    expect(first.stdout.includes('stray.txt'), 'CLI listed the unpaired file');
+
+    const stored = await api('GET', `/problems/${id}`);
+    expect(stored.data.problem?.name === 'CLI Import' && stored.data.problem?.testCount === 2, 'Server sees the imported tests');
+
+    const second = await cli([folder, '--problem', id]);
+    expect(/\(4 in total\)/.test(second.stdout), 'Importing again appends');
+
+    const replaced = await cli([folder, '--problem', id, '--replace']);
+    expect(/\(2 in total\)/.test(replaced.stdout), '--replace drops the old tests first');
+
+    let usage = null;
+    try {
+      await cli(['--problem']);
+    } catch (error) {
+      usage = error;
+    }
+    expect(usage?.code === 2 && /Usage:/.test(usage.stderr), 'Bad arguments exit with 2 and the usage line');
+  } catch (error) {
+    console.error('\u2717 CLI test failed with error:', error.message);
+  } finally {
+    await api('DELETE', `/problems/${id}`).catch(() => {});
+    await fs.rm(folder, { recursive: true, force: true });
+  }
+}
+
+// A minimal Polygon package: test 1 is in the package, test 2 comes from the
+// test script, and its answer from the main solution
+const POLYGON_PACKAGE = {
+  'problem.xml': `<?xml version="1.0" encoding="utf-8" standalone="no"?>
+<problem revision="3" short-name="manual-aplusb" url="https://polygon.codeforces.com/p/tester/manual-aplusb">
+  <names>
+    <name language="english" value="A+B (package)"/>
+  </names>
+  <judging input-file="" output-file="">
+    <testset name="tests">
+      <time-limit>1500</time-limit>
+      <memory-limit>268435456</memory-limit>
+      <test-count>2</test-count>
+      <input-path-pattern>tests/%02d</input-path-pattern>
+      <answer-path-pattern>tests/%02d.a</answer-path-pattern>
+      <tests>
+        <test method="manual" sample="true"/>
+        <test cmd="gen 40 2" method="generated"/>
+      </tests>
+    </testset>
+  </judging>
+  <files>
+    <executables>
+      <executable>
+        <source path="files/gen.cpp" type="cpp.g++17"/>
+      </executable>
+    </executables>
+  </files>
+  <assets>
+    <checker name="std::wcmp.cpp" type="testlib">
+      <source path="files/check.cpp" type="cpp.g++17"/>
+    </checker>
+    <solutions>
+      <solution tag="main">
+        <source path="solutions/main.cpp" type="cpp.g++17"/>
+      </solution>
+    </solutions>
+  </assets>
+</problem>
+`,
+  'tests/01': '2 3\n',
+  'tests/01.a': '5\n',
+  'files/gen.cpp': `#include "testlib.h"
+
+int main(int argc, char* argv[]) {
+    registerGen(argc, argv, 1);
+    printf("%s %s\\n", argv[1], argv[2]);
+}`,
+  'files/check.cpp': '// std::wcmp.cpp, replaced by the built-in comparator\n',
+  'solutions/main.cpp': TEST_PROGRAMS.cpp_ac.code
+};
+
+async function testPolygonImport() {
+  console.log('\n\u2501\u2501\u2501 Test 23: Polygon Package ━\u2501\u2501');
+  const folder = await makeTempFolder(POLYGON_PACKAGE);
+
+  try {
+    const imported = await api('POST', '/problems/import/polygon', { path: folder });
+    console.log('Import:', JSON.stringify(imported.data));
+    const { tests, problem } = imported.data;
+    expect(imported.status === 200 && imported.data.created && problem?.id === 'manual-aplusb', 'Imported under its short name');
+    expect(tests?.fromPackage === 1 && tests?.generated === 1 && tests?.answersGenerated === 1,
+      'One test from the package, one generated, its answer from the main solution');
+    expect(problem?.name === 'A+B (package)' && problem?.timeLimit === 1500 && problem?.memoryLimit === 256,
+      'Name and limits from problem.xml');
+    expect(problem?.comparator === 'wcmp' && problem?.checker === null, 'std::wcmp.cpp became the wcmp comparator');
+
+    const stored = await api('GET', '/problems/manual-aplusb');
+    expect(stored.data.problem?.testCases?.[1]?.input === '40 2\n' && stored.data.problem.testCases[1].expectedOutput === '42\n',
+      'Generated test and answer stored');
+
+    const again = await api('POST', '/problems/import/polygon', { path: folder });
+    expect(again.status === 400, 'Importing again without replace answers 400');
+
+    const run = await api('POST', '/run', { problemId: 'manual-aplusb', language: 'cpp', code: TEST_PROGRAMS.cpp_ac.code });
+    const verdicts = (run.data.results || []).map(r => r.verdict).join(' ');
+    expect(verdicts === 'AC AC', `Run against the package: ${verdicts}`);
+  } catch (error) {
+    console.error('\u2717 Polygon test failed with error:', error.message);
+  } finally {
+    await api('DELETE', '/problems/manual-aplusb').catch(() => {});
+    await fs.rm(folder, { recursive: true, force: true });
+  }
+}
+
+async function testCphRoundTrip() {
+  console.log('\n\u2501\u2501\u2501 Test 24: CPH Round Trip ━\u2501\u2501');
+  const stamp = Date.now();
+  const original = {
+    id: `manual-cph-${stamp}`,
+    name: `Manual CPH ${stamp}`,
+    url: `https://codeforces.com/problemset/problem/${stamp}/A`,
+    platform: 'codeforces',
+    timeLimit: 1000,
+    memoryLimit: 64,
+    testCases: TEST_PROGRAMS.cpp_ac.testCases
+  };
+  const folder = await makeTempFolder({ 'A.cpp': TEST_PROGRAMS.cpp_ac.code });
+  const srcPath = path.join(folder, 'A.cpp');
+  const ids = [original.id];
+
+  try {
+    await api('POST', '/problems', original);
+
+    const exported = await api('POST', `/problems/${original.id}/cph`, { srcPath });
+    const hash = createHash('md5').update(srcPath).digest('hex');
+    const expectedPath = path.join(folder, '.cph', `.A.cpp_${hash}.prob`);
+    expect(exported.data.path === expectedPath, `Written where CPH looks: .cph/.A.cpp_${hash.slice(0, 8)}....prob`);
+
+    const prob = JSON.parse(await fs.readFile(expectedPath, 'utf8'));
+    expect(prob.url === original.url && prob.group === 'codeforces' && prob.srcPath === srcPath && prob.local === false,
+      'url, group and source path in CPH\'s fields');
+    expect(prob.timeLimit === 1000 && prob.memoryLimit === 64 && prob.tests.length === 2 && prob.tests[0].output === '5',
+      'Limits and tests exported');
+
+    const viewed = await api('GET', `/problems/${original.id}/cph?srcPath=${encodeURIComponent(srcPath)}`);
+    expect(viewed.data.url === prob.url && viewed.data.tests?.length === 2, 'GET returns the same .prob');
+
+    const skipped = await api('POST', '/problems/import/cph', { path: folder });
+    expect(skipped.data.imported?.length === 0 && skipped.data.skipped?.length === 1, 'Already in the library: skipped');
+
+    await api('DELETE', `/problems/${original.id}`);
+    const imported = await api('POST', '/problems/import/cph', { path: folder });
+    const entry = imported.data.imported?.[0];
+    if (entry) ids.push(entry.id);
+    expect(imported.status === 200 && entry?.created && entry?.srcPath === srcPath, `Imported back as ${entry?.id}`);
+
+    const restored = (await api('GET', `/problems/${entry?.id}`)).data.problem;
+    expect(restored?.name === original.name && restored?.url === original.url && restored?.platform === 'codeforces',
+      'Name, url and platform survive the round trip');
+    expect(restored?.timeLimit === 1000 && restored?.memoryLimit === 64, 'Limits survive the round trip');
+    expect(JSON.stringify(restored?.testCases) === JSON.stringify(original.testCases), 'Tests survive the round trip');
+  } catch (error) {
+    console.error('\u2717 CPH test failed with error:', error.message);
+  } finally {
+    for (const id of ids) {
+      await api('DELETE', `/problems/${id}`).catch(() => {});
+    }
+    await fs.rm(folder, { recursive: true, force: true });
+  }
+}
+
+// Forks until fork() fails; children sleep so they all exist at once
+const FORK_BOMB = `#include <cstdio>
+#include <unistd.h>
+#include <sys/wait.h>
+int main() {
+    int forks = 0;
+    for (int i = 0; i < 600; i++) {
+        pid_t pid = fork();
+        if (pid == 0) { sleep(2); _exit(0); }
+        if (pid < 0) break;
+        forks++;
+    }
+    while (wait(nullptr) > 0) {}
+    printf("%d\\n", forks);
+}`;
+
+async function testForkBomb() {
+  console.log('\n\u2501\u2501\u2501 Test 25: Fork Bomb ━\u2501\u2501');
+  // Default `processes` limit, plus the sandbox and CPU time reporter
+  // processes that share it
+  const allowed = 16 + 3;
+
+  try {
+    const { data } = await api('POST', '/run', {
+      code: FORK_BOMB,
+      language: 'cpp',
+      timeLimit: 2000,
+      memoryLimit: 512,
+      testCases: [{ input: '', expectedOutput: '0' }]
+    });
+    const output = data.results?.[0]?.actualOutput?.trim();
+    const forks = /^\d+$/.test(output || '') ? parseInt(output, 10) : null;
+    expect(forks !== null && forks > 0 && forks <= allowed,
+      `Children created: ${forks ?? `none reported (${data.results?.[0]?.verdict})`}, at most ${allowed} allowed`);
+  } catch (error) {
+    console.error('\u2717 Fork bomb test failed with error:', error.message);
+  }
+}
+
 async function runAllTests() {
   console.log('\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501');
   console.log('  CP JUDGE - MANUAL TEST SUITE');
@@ -220,10 +995,25 @@ async function runAllTests() {
   await runTest('C++ - Compilation Error', TEST_PROGRAMS.cpp_ce);
   await runTest('C++ - Runtime Error', TEST_PROGRAMS.cpp_re);
   await runTest('C++ - Time Limit Exceeded', TEST_PROGRAMS.cpp_tle);
+  await runTest('C++ - Memory Limit Exceeded', TEST_PROGRAMS.cpp_mle);
+  await runTest('C++ - Runtime Error (SIGFPE)', TEST_PROGRAMS.cpp_fpe);
+  await runTest('C++ - Custom Checker', TEST_PROGRAMS.cpp_checker);
+  await runTest('C++ - Interactive', TEST_PROGRAMS.cpp_interactive);
   await runTest('Python - Accepted', TEST_PROGRAMS.python_ac);
   await runTest('Java - Accepted', TEST_PROGRAMS.java_ac);
   await runTest('JavaScript - Accepted', TEST_PROGRAMS.javascript_ac);
 
+  await testShrinkHeaders();
+  await testStress();
+  await testCancelSubmission();
+  await testProblemLibrary();
+  await testPairing();
+  await testZipImport();
+  await testImportCli();
+  await testPolygonImport();
+  await testCphRoundTrip();
+  await testForkBomb();
+
   console.log('\n\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501');
   console.log('  ALL TESTS COMPLETED');
   console.log('\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501\u2501');
@@ -0,0 +1,237 @@
+/**
+ * Output Comparators
+ *
+ * RESPONSIBILITIES:
+ * - Keep the registry of named comparators (testlib's standard checkers)
+ * - Resolve a comparator spec from a request or a stored problem
+ * - Compare outputs and build the matching diff for Wrong Answer
+ *
+ * COMPARATORS (testlib equivalent in brackets):
+ * - bytes: byte-for-byte equality, line endings included
+ * - lines: line by line, trailing whitespace and blank tail ignored [fcmp] (default)
+ * - tokens: whitespace-separated tokens, layout ignored [wcmp]
+ * - yesno: like tokens, but YES/NO answers match in any case [yesno]
+ * - unordered: the same lines in any order
+ * - float: tokens, numbers within absolute OR relative error [rcmp6]
+ *
+ * bytes and lines care about layout: when they reject an output whose tokens
+ * all match, the mismatch is whitespace only (Presentation Error, see
+ * findLayoutMismatch).
+ *
+ * A spec is a name ("tokens") or an object ({ name: "float", absoluteError: 1e-9 }).
+ * Aliases (exact, fcmp, wcmp, rcmp4/6/9) resolve to the canonical names.
+ */
+
+import {
+  strictNormalizeOutput,
+  compareOutputs,
+  findTokenMismatches
+} from './normalize.js';
+import { generateDiff, generateTokenDiff, generateUnorderedDiff, generateLayoutDiff } from './diff.js';
+import { debug } from './logger.js';
+
+/**
+ * Canonical comparator names
+ */
+export const COMPARATORS = {
+  BYTES: 'bytes',
+  LINES: 'lines',
+  TOKENS: 'tokens',
+  YESNO: 'yesno',
+  UNORDERED: 'unordered',
+  FLOAT: 'float'
+};
+
+// Default error bounds for the float comparator (typical "1e-6" statement)
+export const DEFAULT_FLOAT_TOLERANCE = {
+  absoluteError: 1e-6,
+  relativeError: 1e-6
+};
+
+// Comparator used when a request or problem does not name one
+export const DEFAULT_COMPARATOR = Object.freeze({ name: COMPARATORS.LINES });
+
+// Alternative names → spec ("exact" was the name of the line comparator before the registry)
+const ALIASES = {
+  exact: { name: COMPARATORS.LINES },
+  fcmp: { name: COMPARATORS.LINES },
+  wcmp: { name: COMPARATORS.TOKENS },
+  rcmp4: { name: COMPARATORS.FLOAT, absoluteError: 1e-4, relativeError: 1e-4 },
+  rcmp6: { name: COMPARATORS.FLOAT, absoluteError: 1e-6, relativeError: 1e-6 },
+  rcmp9: { name: COMPARATORS.FLOAT, absoluteError: 1e-9, relativeError: 1e-9 }
+};
+
+/**
+ * Split normalized output into lines, sorted (unordered comparator)
+ * @param {string} output - Raw output string
+ * @returns {string[]} Sorted lines
+ */
+function sortedLines(output) {
+  return strictNormalizeOutput(output).split('\n').sort();
+}
+
+/**
+ * Registry: compare(actual, expected, comparator) and diff(expected, actual, comparator)
+ * Token-level comparators set reportsFirstDifference so the WA message can
+ * name the offending token instead of a bare "Wrong Answer".
+ * Layout-sensitive comparators set layout(output): the text they compare.
+ */
+const REGISTRY = {
+  [COMPARATORS.BYTES]: {
+    description: 'Exact bytes',
+    compare: (actual, expected) => actual === expected,
+    diff: (expected, actual) => generateDiff(expected, actual),
+    layout: output => output,
+    reportsFirstDifference: false
+  },
+
+  [COMPARATORS.LINES]: {
+    description: 'Lines, ignoring trailing whitespace',
+    compare: (actual, expected) => compareOutputs(actual, expected),
+    diff: (expected, actual) => generateDiff(strictNormalizeOutput(expected), strictNormalizeOutput(actual)),
+    layout: strictNormalizeOutput,
+    reportsFirstDifference: false
+  },
+
+  [COMPARATORS.TOKENS]: {
+    description: 'Whitespace-separated tokens',
+    compare: (actual, expected) => findTokenMismatches(actual, expected, {}, 1).mismatches.length === 0,
+    diff: (expected, actual) => generateTokenDiff(expected, actual),
+    reportsFirstDifference: true
+  },
+
+  [COMPARATORS.YESNO]: {
+    description: 'Tokens, YES/NO in any case',
+    compare: (actual, expected) => findTokenMismatches(actual, expected, { yesNo: true }, 1).mismatches.length === 0,
+    diff: (expected, actual) => generateTokenDiff(expected, actual, { yesNo: true }),
+    reportsFirstDifference: true
+  },
+
+  [COMPARATORS.UNORDERED]: {
+    description: 'Lines in any order',
+    compare: (actual, expected) => sortedLines(actual).join('\n') === sortedLines(expected).join('\n'),
+    diff: (expected, actual) => generateUnorderedDiff(strictNormalizeOutput(expected), strictNormalizeOutput(actual)),
+    reportsFirstDifference: false
+  },
+
+  [COMPARATORS.FLOAT]: {
+    description: 'Tokens, numbers within absolute or relative error',
+    compare: (actual, expected, comparator) =>
+      findTokenMismatches(actual, expected, { tolerance: comparator }, 1).mismatches.length === 0,
+    diff: (expected, actual, comparator) => generateTokenDiff(expected, actual, { tolerance: comparator }),
+    reportsFirstDifference: true
+  }
+};
+
+/**
+ * List accepted comparator names (canonical names, then aliases)
+ * @returns {string[]} Names
+ */
+export function getSupportedComparators() {
+  return [...Object.keys(REGISTRY), ...Object.keys(ALIASES)];
+}
+
+/**
+ * Get a registry entry
+ * @param {string} name - Canonical comparator name
+ * @returns {object|null} { description, compare, diff, reportsFirstDifference }
+ */
+export function getComparator(name) {
+  return REGISTRY[name] || null;
+}
+
+/**
+ * Resolve a comparator from a request or problem
+ * @param {string|object} spec - Comparator spec (null = lines)
+ * @returns {object} { name } plus absoluteError/relativeError for float
+ * @throws {Error} On unknown names or invalid error bounds
+ */
+export function resolveComparator(spec) {
+  if (spec === undefined || spec === null) {
+    return { ...DEFAULT_COMPARATOR };
+  }
+
+  const options = typeof spec === 'string' ? { name: spec } : spec;
+  if (typeof options !== 'object' || typeof options.name !== 'string') {
+    throw new Error('comparator must be a name or an object with a name');
+  }
+
+  const alias = ALIASES[options.name];
+  const name = alias ? alias.name : options.name;
+  if (!REGISTRY[name]) {
+    throw new Error(`Unknown comparator: ${options.name}`);
+  }
+
+  if (name !== COMPARATORS.FLOAT) {
+    return { name };
+  }
+
+  // Explicit bounds win over the alias defaults
+  const absoluteError = options.absoluteError ?? alias?.absoluteError ?? DEFAULT_FLOAT_TOLERANCE.absoluteError;
+  const relativeError = options.relativeError ?? alias?.relativeError ?? DEFAULT_FLOAT_TOLERANCE.relativeError;
+  if (![absoluteError, relativeError].every(value => typeof value === 'number' && value >= 0)) {
+    throw new Error('absoluteError and relativeError must be non-negative numbers');
+  }
+
+  return { name, absoluteError, relativeError };
+}
+
+/**
+ * Compare two outputs with a comparator
+ * @param {string} actual - Actual program output
+ * @param {string} expected - Expected output
+ * @param {object} comparator - Comparator from resolveComparator (default lines)
+ * @returns {boolean} True if outputs match
+ */
+export function compareWithComparator(actual, expected, comparator = DEFAULT_COMPARATOR) {
+  const entry = getComparator(comparator.name) || REGISTRY[COMPARATORS.LINES];
+  const match = entry.compare(actual ?? '', expected ?? '', comparator);
+  debug('Comparison:', { comparator, match });
+  return match;
+}
+
+/**
+ * Build the Wrong Answer diff for a comparator
+ * @param {string} expected - Expected output
+ * @param {string} actual - Actual program output
+ * @param {object} comparator - Comparator from resolveComparator (default lines)
+ * @returns {object} Diff in the generateDiff shape
+ */
+export function diffWithComparator(expected, actual, comparator = DEFAULT_COMPARATOR) {
+  const entry = getComparator(comparator.name) || REGISTRY[COMPARATORS.LINES];
+  return entry.diff(expected ?? '', actual ?? '', comparator);
+}
+
+/**
+ * Check whether a rejected output differs from the expected one in layout only
+ * Call after compareWithComparator returned false.
+ * @param {string} actual - Actual program output
+ * @param {string} expected - Expected output
+ * @param {object} comparator - Comparator from resolveComparator (default lines)
+ * @returns {object|null} Layout diff pointing at the first difference, or null
+ *   if the comparator ignores layout or the tokens differ too
+ */
+export function findLayoutMismatch(actual, expected, comparator = DEFAULT_COMPARATOR) {
+  const entry = getComparator(comparator.name) || REGISTRY[COMPARATORS.LINES];
+  if (!entry.layout) {
+    return null;
+  }
+
+  if (findTokenMismatches(actual ?? '', expected ?? '', {}, 1).mismatches.length > 0) {
+    return null;
+  }
+
+  return generateLayoutDiff(entry.layout(expected ?? ''), entry.layout(actual ?? ''));
+}
+
+export default {
+  COMPARATORS,
+  DEFAULT_FLOAT_TOLERANCE,
+  DEFAULT_COMPARATOR,
+  getSupportedComparators,
+  getComparator,
+  resolveComparator,
+  compareWithComparator,
+  diffWithComparator,
+  findLayoutMismatch
+};
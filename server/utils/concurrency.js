@@ -0,0 +1,96 @@
+/**
+ * Concurrency Utilities
+ * 
+ * RESPONSIBILITIES:
+ * - Run async tasks with a bounded number in flight
+ * - Keep results in input order regardless of completion order
+ * - Run tasks one at a time per key (e.g. writes to one problem)
+ * - Pick a sensible default worker count for this machine
+ */
+
+import os from 'os';
+
+/**
+ * Default number of parallel workers (number of CPU cores)
+ * @returns {number} Worker count, at least 1
+ */
+export function getDefaultConcurrency() {
+  const cores = typeof os.availableParallelism === 'function'
+    ? os.availableParallelism()
+    : os.cpus().length;
+  return Math.max(1, cores);
+}
+
+/**
+ * Map items through an async worker with at most `limit` running at once
+ * Results keep the order of `items`. A rejected task rejects the whole map
+ * once the tasks already in flight have settled.
+ * 
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent tasks (>= 1)
+ * @param {function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  let nextIndex = 0;
+  let failure = null;
+
+  // Each lane pulls the next unclaimed index until none are left
+  async function lane() {
+    while (nextIndex < items.length && !failure) {
+      const index = nextIndex++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: workerCount }, lane));
+
+  if (failure) {
+    throw failure;
+  }
+
+  return results;
+}
+
+/**
+ * Create a lock that runs tasks one at a time per key
+ * Each key has a promise chain: a task starts once the tasks queued before
+ * it under the same key have settled (failed ones included). Tasks under
+ * different keys run independently. A task must not wait for its own key.
+ *
+ * @returns {object} { run(key, task), idle(key) } - run resolves with the
+ *   task's result; idle resolves once the tasks queued so far have settled
+ */
+export function createKeyedLock() {
+  const chains = new Map();
+
+  return {
+    run(key, task) {
+      const previous = chains.get(key) || Promise.resolve();
+      const result = previous.then(task);
+      const settled = result.catch(() => {});
+      chains.set(key, settled);
+      // Forget the chain once nothing is queued behind this task
+      settled.then(() => {
+        if (chains.get(key) === settled) chains.delete(key);
+      });
+      return result;
+    },
+
+    idle(key) {
+      return chains.get(key) || Promise.resolve();
+    }
+  };
+}
+
+export default {
+  getDefaultConcurrency,
+  mapWithConcurrency,
+  createKeyedLock
+};
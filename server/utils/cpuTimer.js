@@ -0,0 +1,176 @@
+/**
+ * CPU Time Reporter
+ *
+ * RESPONSIBILITIES:
+ * - Build native/cputime.c once per source version into cache/native/
+ * - Wrap a command so the reporter runs it and writes its CPU time to fd 3
+ * - Parse the report (CPU time, exit code, signal)
+ *
+ * WHY:
+ * Sampling /proc misses whatever a program spends after the last sample,
+ * and the judge's own cutime/cstime mixes in every other child it reaps
+ * (parallel tests, compiles, checkers). The reporter is the program's
+ * parent, so the rusage it reads when reaping the program is exact and
+ * belongs to that program alone.
+ *
+ * The reporter is built in the background at startup. Until it is ready,
+ * or when no C compiler exists, runs fall back to sampling
+ * (isCpuTimerReady() tells which one is in use).
+ *
+ * CONFIGURATION:
+ * - CC: C compiler to build the reporter with (default: cc, gcc or clang)
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { createHash, randomBytes } from 'crypto';
+import { fileURLToPath } from 'url';
+import { findExecutable } from './processLimits.js';
+import { info, warn } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const execFileAsync = promisify(execFile);
+
+const SOURCE_PATH = path.join(__dirname, '..', 'native', 'cputime.c');
+const BUILD_ROOT = path.join(__dirname, '..', 'cache', 'native');
+
+// Descriptor the reporter writes to (stdin, stdout, stderr come first)
+export const REPORT_FD = 3;
+
+const BUILD_TIMEOUT = 60000;
+
+// Path of the built reporter once ready
+let reporterPath = null;
+let buildPromise = null;
+
+/**
+ * Find a C compiler
+ * @returns {string|null} Compiler path
+ */
+function findCompiler() {
+  if (process.env.CC) return findExecutable(process.env.CC) || process.env.CC;
+  return findExecutable('cc') || findExecutable('gcc') || findExecutable('clang');
+}
+
+/**
+ * Compile the reporter into BUILD_ROOT/<source hash>/cputime
+ * Compiled to a temporary name and renamed into place, so concurrent
+ * servers never run a half-written binary.
+ * @returns {Promise<string|null>} Reporter path, or null if unavailable
+ */
+async function buildReporter() {
+  if (os.platform() !== 'linux') return null;
+
+  const source = await fs.readFile(SOURCE_PATH);
+  const key = createHash('sha256').update(source).digest('hex').slice(0, 16);
+  const target = path.join(BUILD_ROOT, key, 'cputime');
+
+  try {
+    await fs.access(target, fs.constants.X_OK);
+    return target;
+  } catch {
+    // Not built yet
+  }
+
+  const compiler = findCompiler();
+  if (!compiler) {
+    warn('No C compiler found; CPU time of parallel runs is sampled (set CC to enable exact accounting)');
+    return null;
+  }
+
+  await fs.mkdir(path.dirname(target), { recursive: true });
+  const temp = `${target}.tmp_${randomBytes(8).toString('hex')}`;
+
+  try {
+    await execFileAsync(compiler, ['-O2', '-o', temp, SOURCE_PATH], { timeout: BUILD_TIMEOUT });
+    await fs.rename(temp, target);
+    return target;
+  } catch (error) {
+    await fs.rm(temp, { force: true });
+    warn(`CPU time reporter did not build, falling back to sampling: ${error.message.split('\n')[0]}`);
+    return null;
+  }
+}
+
+/**
+ * Build the reporter in the background (called at startup)
+ * @returns {Promise<string|null>} Reporter path, or null if unavailable
+ */
+export function prepareCpuTimer() {
+  if (!buildPromise) {
+    buildPromise = buildReporter()
+      .catch(error => {
+        warn(`CPU time reporter unavailable: ${error.message}`);
+        return null;
+      })
+      .then(built => {
+        reporterPath = built;
+        if (built) info(`CPU time reporter ready: ${built}`);
+        return built;
+      });
+  }
+  return buildPromise;
+}
+
+/**
+ * Whether runs currently get exact per-program CPU time
+ * @returns {boolean}
+ */
+export function isCpuTimerReady() {
+  return reporterPath !== null;
+}
+
+/**
+ * Run a command under the reporter when it is ready
+ * The reporter goes inside the sandbox and outside prlimit, so it reaps
+ * the program itself and is not bound by the program's rlimits.
+ * @param {string} command - Command to run
+ * @param {string[]} args - Arguments
+ * @returns {object} { command, args, reported } - reported is false when unwrapped
+ */
+export function applyCpuTimer(command, args) {
+  if (!reporterPath) {
+    return { command, args, reported: false };
+  }
+  return {
+    command: reporterPath,
+    args: [String(REPORT_FD), command, ...args],
+    reported: true
+  };
+}
+
+/**
+ * Parse the reporter's line
+ * @param {string} text - Everything read from the report descriptor
+ * @returns {object|null} { cpuTime, exitCode, signal } (ms, number|null, name|null),
+ *   null when the reporter was killed before writing
+ */
+export function parseCpuReport(text) {
+  const match = /^(\d+) (-?\d+) (\d+)$/m.exec(text);
+  if (!match) return null;
+
+  const signalNumber = parseInt(match[3], 10);
+  const signal = signalNumber
+    ? Object.keys(os.constants.signals).find(name => os.constants.signals[name] === signalNumber) || null
+    : null;
+  const exitCode = parseInt(match[2], 10);
+
+  return {
+    cpuTime: Math.round(parseInt(match[1], 10) / 1000),
+    exitCode: exitCode >= 0 ? exitCode : null,
+    signal: signal
+  };
+}
+
+export default {
+  REPORT_FD,
+  prepareCpuTimer,
+  isCpuTimerReady,
+  applyCpuTimer,
+  parseCpuReport
+};
@@ -11,8 +11,16 @@
  * - Line X: Expected "abc" but got "def"
  * - Line Y: Missing (expected "xyz")
  * - Line Z: Extra (got "123")
+ * - Token N (line X): Expected 0.5 but got 0.6 (absolute error 1.0e-1, relative error 2.0e-1)
+ *   (token diffs, for the tokens/yesno/float comparators)
+ * - Line Y: Missing (expected "xyz" anywhere in the output)
+ *   (multiset diffs, for the unordered comparator)
+ * - Line X, column C (after token N "5"): Expected a line break but got a space
+ *   (layout diffs, for Presentation Error: same tokens, different whitespace)
  */
 
+import { findTokenMismatches } from './normalize.js';
+
 /**
  * Generate human-readable diff
  * @param {string} expected - Expected output
@@ -71,6 +79,213 @@ export function generateDiff(expected, actual) {
   };
 }
 
+/**
+ * Generate a token-level diff
+ * Same shape as generateDiff, with one entry per offending token.
+ * @param {string} expected - Expected output
+ * @param {string} actual - Actual output
+ * @param {object} options - findTokenMismatches options ({ tolerance, yesNo })
+ * @returns {object} Diff information
+ */
+export function generateTokenDiff(expected, actual, options = {}) {
+  const { tolerance } = options;
+  const { mismatches, expectedCount, actualCount } = findTokenMismatches(actual, expected, options);
+
+  const differences = mismatches.map(m => {
+    const where = `Token ${m.tokenIndex} (line ${m.line})`;
+    const entry = {
+      lineNumber: m.line,
+      tokenIndex: m.tokenIndex,
+      type: m.reason === 'missing' || m.reason === 'extra' ? m.reason : 'different',
+      expected: m.expected,
+      actual: m.actual,
+      absoluteError: m.absoluteError ?? null,
+      relativeError: m.relativeError ?? null
+    };
+
+    switch (m.reason) {
+      case 'missing':
+        entry.message = `${where}: Missing (expected "${m.expected}")`;
+        break;
+      case 'extra':
+        entry.message = `${where}: Extra token (got "${m.actual}")`;
+        break;
+      case 'not-a-number':
+        entry.message = `${where}: Expected number ${m.expected} but got "${m.actual}"`;
+        break;
+      case 'error':
+        entry.message = `${where}: Expected ${m.expected} but got ${m.actual} ` +
+          `(absolute error ${m.absoluteError.toExponential(1)}, relative error ` +
+          `${m.relativeError === null ? 'n/a' : m.relativeError.toExponential(1)}; ` +
+          `allowed ${tolerance.absoluteError.toExponential()} absolute or ${tolerance.relativeError.toExponential()} relative)`;
+        break;
+      default:
+        entry.message = `${where}: Expected "${m.expected}" but got "${m.actual}"`;
+    }
+
+    return entry;
+  });
+
+  const counts = { different: 0, missing: 0, extra: 0 };
+  differences.forEach(d => { counts[d.type]++; });
+
+  const parts = [];
+  if (counts.different > 0) parts.push(`${counts.different} different token(s)`);
+  if (counts.missing > 0) parts.push(`${counts.missing} missing token(s)`);
+  if (counts.extra > 0) parts.push(`${counts.extra} extra token(s)`);
+
+  return {
+    hasDifferences: differences.length > 0,
+    totalLines: Math.max(expectedCount, actualCount),
+    differenceCount: differences.length,
+    differences: differences,
+    summary: parts.length > 0 ? parts.join(', ') : 'Outputs match token by token'
+  };
+}
+
+/**
+ * Generate a diff for outputs whose line order does not matter
+ * Lines are matched as a multiset; each unmatched expected line is missing,
+ * each unmatched actual line is extra (reported at its own position).
+ * @param {string} expected - Expected output (normalized)
+ * @param {string} actual - Actual output (normalized)
+ * @returns {object} Diff information
+ */
+export function generateUnorderedDiff(expected, actual) {
+  const expectedLines = expected.split('\n');
+  const actualLines = actual.split('\n');
+
+  // How many more times each line is expected than produced
+  const balance = new Map();
+  expectedLines.forEach(line => balance.set(line, (balance.get(line) || 0) + 1));
+  actualLines.forEach(line => balance.set(line, (balance.get(line) || 0) - 1));
+
+  const differences = [];
+  const remaining = new Map(balance);
+
+  expectedLines.forEach((line, i) => {
+    if (remaining.get(line) > 0) {
+      remaining.set(line, remaining.get(line) - 1);
+      differences.push({
+        lineNumber: i + 1,
+        type: 'missing',
+        expected: line,
+        actual: null,
+        message: `Line ${i + 1}: Missing (expected "${line}" anywhere in the output)`
+      });
+    }
+  });
+
+  actualLines.forEach((line, i) => {
+    if (remaining.get(line) < 0) {
+      remaining.set(line, remaining.get(line) + 1);
+      differences.push({
+        lineNumber: i + 1,
+        type: 'extra',
+        expected: null,
+        actual: line,
+        message: `Line ${i + 1}: Extra line (got "${line}", not in the expected output)`
+      });
+    }
+  });
+
+  return {
+    hasDifferences: differences.length > 0,
+    totalLines: Math.max(expectedLines.length, actualLines.length),
+    differenceCount: differences.length,
+    differences: differences,
+    summary: generateSummary(differences)
+  };
+}
+
+const WHITESPACE_NAMES = { ' ': 'space', '\t': 'tab', '\n': 'line break', '\r': 'carriage return' };
+
+/**
+ * Describe a whitespace run in words ("a line break", "2 spaces, a tab")
+ * @param {string} run - Whitespace characters (may be empty)
+ * @param {boolean} atEnd - Run is at the end of the output
+ * @returns {string} Description
+ */
+function describeWhitespace(run, atEnd) {
+  if (!run) {
+    return atEnd ? 'the end of the output' : 'no whitespace';
+  }
+
+  const groups = [];
+  for (const char of run) {
+    const last = groups[groups.length - 1];
+    if (last && last.char === char) last.count++;
+    else groups.push({ char, count: 1 });
+  }
+
+  return groups
+    .map(({ char, count }) => count === 1 ? `a ${WHITESPACE_NAMES[char]}` : `${count} ${WHITESPACE_NAMES[char]}s`)
+    .join(', ');
+}
+
+/**
+ * Generate a diff for outputs with the same tokens but different whitespace
+ * Points at the first place where the layout differs.
+ * @param {string} expected - Expected output (as the comparator sees it)
+ * @param {string} actual - Actual output (as the comparator sees it)
+ * @returns {object} Diff information
+ */
+export function generateLayoutDiff(expected, actual) {
+  let position = 0;
+  while (position < expected.length && expected[position] === actual[position]) {
+    position++;
+  }
+
+  // Back up to the start of the whitespace run the difference falls in
+  const isSpace = char => char !== undefined && /\s/.test(char);
+  while (position > 0 && isSpace(expected[position - 1])) {
+    position--;
+  }
+
+  const runLength = (text) => {
+    let end = position;
+    while (isSpace(text[end])) end++;
+    return text.slice(position, end);
+  };
+  const expectedRun = runLength(expected);
+  const actualRun = runLength(actual);
+
+  // Location in the actual output
+  const before = actual.slice(0, position);
+  const lineNumber = before.split('\n').length;
+  const column = position - before.lastIndexOf('\n');
+
+  const precedingTokens = before.split(/\s+/).filter(Boolean);
+  const where = precedingTokens.length > 0
+    ? `after token ${precedingTokens.length} "${precedingTokens[precedingTokens.length - 1]}"`
+    : 'before the first token';
+
+  const lineAt = (text) => {
+    const lineStart = text.lastIndexOf('\n', position - 1) + 1;
+    const lineEnd = text.indexOf('\n', lineStart);
+    return text.slice(lineStart, lineEnd === -1 ? undefined : lineEnd);
+  };
+
+  const difference = {
+    lineNumber: lineNumber,
+    column: column,
+    type: 'layout',
+    expected: lineAt(expected),
+    actual: lineAt(actual),
+    message: `Line ${lineNumber}, column ${column} (${where}): ` +
+      `Expected ${describeWhitespace(expectedRun, position + expectedRun.length === expected.length)} ` +
+      `but got ${describeWhitespace(actualRun, position + actualRun.length === actual.length)}`
+  };
+
+  return {
+    hasDifferences: true,
+    totalLines: Math.max(expected.split('\n').length, actual.split('\n').length),
+    differenceCount: 1,
+    differences: [difference],
+    summary: 'Same tokens, different layout'
+  };
+}
+
 /**
  * Get character-level diff for a line
  * @param {string} expected - Expected line
@@ -133,9 +348,10 @@ function generateSummary(differences) {
 /**
  * Format diff for console display
  * @param {object} diff - Diff object from generateDiff
+ * @param {number} maxDifferences - Maximum number of differences to print
  * @returns {string} Formatted diff text
  */
-export function formatDiffForConsole(diff) {
+export function formatDiffForConsole(diff, maxDifferences = 20) {
   if (!diff.hasDifferences) {
     return 'No differences found';
   }
@@ -149,12 +365,16 @@ export function formatDiffForConsole(diff) {
     ''
   ];
   
-  diff.differences.forEach(d => {
+  diff.differences.slice(0, maxDifferences).forEach(d => {
     lines.push(d.message);
-    if (d.type === 'different' && d.characterDiff.position >= 0) {
+    if (d.type === 'different' && d.characterDiff?.position >= 0) {
       lines.push(`  → First difference at character ${d.characterDiff.position}`);
     }
   });
+
+  if (diff.differenceCount > maxDifferences) {
+    lines.push(`... ${diff.differenceCount - maxDifferences} more difference(s)`);
+  }
   
   lines.push('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   lines.push('');
@@ -164,26 +384,41 @@ export function formatDiffForConsole(diff) {
 
 /**
  * Format diff for JSON API response
+ * Only the first maxDifferences entries are included so a completely
+ * wrong multi-megabyte output does not produce a multi-megabyte response
  * @param {object} diff - Diff object from generateDiff
+ * @param {number} maxDifferences - Maximum number of differences to include
  * @returns {object} Formatted diff for API
  */
-export function formatDiffForAPI(diff) {
+export function formatDiffForAPI(diff, maxDifferences = 100) {
   return {
     hasDifferences: diff.hasDifferences,
     summary: diff.summary,
     totalDifferences: diff.differenceCount,
-    differences: diff.differences.map(d => ({
+    truncated: diff.differenceCount > maxDifferences,
+    differences: diff.differences.slice(0, maxDifferences).map(d => ({
       line: d.lineNumber,
       type: d.type,
       expected: d.expected,
       actual: d.actual,
-      message: d.message
+      message: d.message,
+      // Layout diffs only
+      ...(d.column !== undefined && { column: d.column }),
+      // Token diffs only
+      ...(d.tokenIndex !== undefined && {
+        token: d.tokenIndex,
+        absoluteError: d.absoluteError,
+        relativeError: d.relativeError
+      })
     }))
   };
 }
 
 export default {
   generateDiff,
+  generateTokenDiff,
+  generateUnorderedDiff,
+  generateLayoutDiff,
   formatDiffForConsole,
   formatDiffForAPI
 };
@@ -0,0 +1,64 @@
+/**
+ * Server-Sent Events Helper
+ *
+ * RESPONSIBILITIES:
+ * - Turn an Express response into an event stream
+ * - Serialize events as "event: <type>" + "data: <json>"
+ * - Send heartbeat comments so idle-timeout clients stay connected
+ * - Stop writing once the client has gone away
+ */
+
+// Heartbeat interval; clients abort after 30s of silence
+const HEARTBEAT_INTERVAL = 15000;
+
+/**
+ * Open an event stream on a response
+ * @param {object} res - Express response (nothing sent yet)
+ * @returns {object} { send(type, data), close(), isClosed() }
+ */
+export function openEventStream(res) {
+  let closed = false;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders?.();
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': heartbeat\n\n');
+  }, HEARTBEAT_INTERVAL);
+
+  const stop = () => {
+    closed = true;
+    clearInterval(heartbeat);
+  };
+  res.on('close', stop);
+
+  return {
+    /**
+     * @param {string} type - Event name
+     * @param {object} data - JSON-serializable payload
+     */
+    send(type, data) {
+      if (closed) return;
+      res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    close() {
+      if (closed) return;
+      stop();
+      res.end();
+    },
+
+    isClosed() {
+      return closed;
+    }
+  };
+}
+
+export default {
+  openEventStream
+};
@@ -4,15 +4,29 @@
  * RESPONSIBILITIES:
  * - Track execution time with high precision
  * - Monitor memory usage
- * - Measure CPU usage
+ * - Measure CPU time (user + system) of the child process tree
  * - Provide performance statistics
  * 
- * NOTE: Memory tracking on local systems is approximate.
- * For accurate memory limits, use Docker/cgroups in production.
+ * NOTE: Memory is sampled from /proc for the child process tree (Linux).
+ * Peaks shorter than the sample interval are still caught through VmHWM,
+ * but a tree that exits before the first sample reports 0.
  */
 
+import fs from 'fs';
 import { performance } from 'perf_hooks';
 
+/**
+ * Convert bytes to MB rounded to 2 decimals
+ * @param {number} bytes - Size in bytes
+ * @returns {number} Size in MB
+ */
+function toMB(bytes) {
+  return Math.round(bytes / 1024 / 1024 * 100) / 100;
+}
+
+// procfs reports CPU time in clock ticks (USER_HZ, 100 on Linux)
+const MS_PER_TICK = 10;
+
 /**
  * High-precision timer
  */
@@ -58,31 +72,180 @@ export class Timer {
 }
 
 /**
- * Memory usage tracker
+ * Check whether per-process statistics can be read from procfs
+ * @returns {boolean} True on Linux with /proc mounted
  */
-export class MemoryTracker {
-  constructor() {
+export function isProcfsAvailable() {
+  return fs.existsSync('/proc/self/status');
+}
+
+/**
+ * Read a small procfs file synchronously
+ * Synchronous on purpose: samples must not interleave, and procfs reads
+ * never touch the disk
+ * @private
+ */
+function readProcFile(filePath) {
+  try {
+    return fs.readFileSync(filePath, 'utf8');
+  } catch {
+    return null; // Process exited between listing and reading
+  }
+}
+
+/**
+ * Parse /proc/<pid>/stat
+ * The command name may contain spaces and parentheses, so fields are
+ * split after the LAST closing parenthesis
+ * @private
+ */
+function readStat(pid) {
+  const content = readProcFile(`/proc/${pid}/stat`);
+  if (!content) return null;
+
+  const fields = content.slice(content.lastIndexOf(')') + 2).split(' ');
+  return {
+    pid: pid,
+    ppid: parseInt(fields[1], 10),
+    pgrp: parseInt(fields[2], 10),
+    cpuTicks: parseInt(fields[11], 10) + parseInt(fields[12], 10) // utime + stime
+  };
+}
+
+/**
+ * Read current and peak resident set size, and the stack size, from /proc/<pid>/status
+ * @private
+ * @returns {object|null} { rss, hwm, stack } in bytes
+ */
+function readMemory(pid) {
+  const content = readProcFile(`/proc/${pid}/status`);
+  if (!content) return null;
+
+  const rss = content.match(/^VmRSS:\s+(\d+)\s+kB/m);
+  const hwm = content.match(/^VmHWM:\s+(\d+)\s+kB/m);
+  const stack = content.match(/^VmStk:\s+(\d+)\s+kB/m);
+
+  // Zombies and kernel threads have no memory lines
+  if (!rss) return null;
+
+  return {
+    rss: parseInt(rss[1], 10) * 1024,
+    hwm: hwm ? parseInt(hwm[1], 10) * 1024 : parseInt(rss[1], 10) * 1024,
+    stack: stack ? parseInt(stack[1], 10) * 1024 : 0
+  };
+}
+
+/**
+ * List all live processes belonging to a tree
+ * Prefers /proc/<pid>/task/<tid>/children (CONFIG_PROC_CHILDREN) and
+ * falls back to scanning /proc for members of the process group, which
+ * equals the root pid because programs are spawned detached.
+ * @param {number} rootPid - Root process id (also the process group id)
+ * @returns {number[]} Process ids in the tree
+ */
+export function listProcessTree(rootPid) {
+  if (fs.existsSync(`/proc/${rootPid}/task/${rootPid}/children`)) {
+    const pids = [];
+    const queue = [rootPid];
+
+    while (queue.length > 0) {
+      const pid = queue.shift();
+      pids.push(pid);
+
+      let tasks = [];
+      try {
+        tasks = fs.readdirSync(`/proc/${pid}/task`);
+      } catch {
+        continue;
+      }
+
+      for (const tid of tasks) {
+        const children = readProcFile(`/proc/${pid}/task/${tid}/children`);
+        if (!children) continue;
+        children.trim().split(/\s+/).filter(Boolean).forEach(child => {
+          queue.push(parseInt(child, 10));
+        });
+      }
+    }
+
+    return pids;
+  }
+
+  let entries = [];
+  try {
+    entries = fs.readdirSync('/proc');
+  } catch {
+    return [];
+  }
+
+  return entries
+    .filter(name => /^\d+$/.test(name))
+    .map(name => readStat(parseInt(name, 10)))
+    .filter(stat => stat && stat.pgrp === rootPid)
+    .map(stat => stat.pid);
+}
+
+/**
+ * Resource monitor for a child process tree
+ * 
+ * Samples procfs for every process in the tree:
+ * - Memory: VmRSS summed over the tree catches multi-process programs,
+ *   VmHWM (kernel-maintained peak RSS) catches spikes between samples
+ * - Stack: largest VmStk (main thread stack size) of any process, so a
+ *   crash can be told apart from a stack overflow
+ * - CPU: utime + stime per process, summed over the tree. CPU spent after
+ *   the last sample is lost, so runs prefer the exact value from the CPU
+ *   time reporter (utils/cpuTimer.js) when it has one.
+ * 
+ * Without procfs (macOS, Windows) no samples are taken and all
+ * statistics stay at 0.
+ */
+export class ProcessTreeMonitor {
+  /**
+   * @param {number} pid - Root process id of the tree to track
+   */
+  constructor(pid) {
+    this.pid = pid;
     this.samples = [];
+    this.peakBytes = 0;
+    this.peakStackBytes = 0;
+    this.cpuTicks = new Map(); // pid -> last seen utime + stime
     this.intervalId = null;
-    this.sampleInterval = 50; // Sample every 50ms
+    this.sampleInterval = 20; // Sample every 20ms
+    this.supported = isProcfsAvailable();
   }
 
   /**
-   * Start tracking memory
+   * Start monitoring
+   * @param {function} onSample - Optional callback receiving { peakMemory (MB), cpuTime (ms) }
    */
-  start() {
+  start(onSample = null) {
     this.samples = [];
+    this.peakBytes = 0;
+    this.peakStackBytes = 0;
+    this.cpuTicks.clear();
+
+    if (!this.supported || !this.pid) {
+      return;
+    }
+
     this._takeSample(); // Initial sample
     
     // Sample periodically
     this.intervalId = setInterval(() => {
       this._takeSample();
+      if (onSample) {
+        onSample({
+          peakMemory: toMB(this.peakBytes),
+          cpuTime: this.getCpuTime()
+        });
+      }
     }, this.sampleInterval);
   }
 
   /**
-   * Stop tracking and return statistics
-   * @returns {object} Memory statistics
+   * Stop monitoring and return statistics
+   * @returns {object} { memory, cpuTime }
    */
   stop() {
     if (this.intervalId) {
@@ -90,53 +253,91 @@ export class MemoryTracker {
       this.intervalId = null;
     }
     
-    this._takeSample(); // Final sample
+    if (this.supported && this.pid) {
+      this._takeSample(); // Final sample (usually empty after exit)
+    }
     
-    return this.getStats();
+    return {
+      memory: this.getMemoryStats(),
+      cpuTime: this.getCpuTime()
+    };
   }
 
   /**
-   * Take a memory sample
+   * Take a sample of the whole tree
    * @private
    */
   _takeSample() {
-    const usage = process.memoryUsage();
+    let rss = 0;
+    let processes = 0;
+
+    for (const pid of listProcessTree(this.pid)) {
+      const stat = readStat(pid);
+      if (stat) {
+        this.cpuTicks.set(pid, stat.cpuTicks);
+      }
+
+      const memory = readMemory(pid);
+      if (!memory) continue;
+
+      rss += memory.rss;
+      processes++;
+      this.peakBytes = Math.max(this.peakBytes, memory.hwm);
+      this.peakStackBytes = Math.max(this.peakStackBytes, memory.stack);
+    }
+
+    // Tree already exited: nothing to record
+    if (processes === 0) return;
+
+    this.peakBytes = Math.max(this.peakBytes, rss);
     this.samples.push({
-      rss: usage.rss,           // Resident Set Size
-      heapTotal: usage.heapTotal,
-      heapUsed: usage.heapUsed,
-      external: usage.external,
+      rss: rss,
+      processes: processes,
       timestamp: performance.now()
     });
   }
 
+  /**
+   * Get CPU time (user + system) consumed by the tree so far
+   * @returns {number} CPU time in milliseconds
+   */
+  getCpuTime() {
+    let ticks = 0;
+    for (const value of this.cpuTicks.values()) {
+      ticks += value;
+    }
+    return ticks * MS_PER_TICK;
+  }
+
   /**
    * Get memory statistics
    * @returns {object} Memory stats in MB
    */
-  getStats() {
+  getMemoryStats() {
     if (this.samples.length === 0) {
       return {
-        peak: 0,
+        peak: toMB(this.peakBytes),
+        stackPeak: toMB(this.peakStackBytes),
         average: 0,
         initial: 0,
-        final: 0
+        final: 0,
+        samples: 0,
+        supported: this.supported
       };
     }
 
-    const toMB = (bytes) => Math.round(bytes / 1024 / 1024 * 100) / 100;
-
-    const heapUsages = this.samples.map(s => s.heapUsed);
-    const peak = Math.max(...heapUsages);
-    const sum = heapUsages.reduce((a, b) => a + b, 0);
-    const average = sum / heapUsages.length;
+    const rssValues = this.samples.map(s => s.rss);
+    const sum = rssValues.reduce((a, b) => a + b, 0);
+    const average = sum / rssValues.length;
 
     return {
-      peak: toMB(peak),
+      peak: toMB(this.peakBytes),
+      stackPeak: toMB(this.peakStackBytes),
       average: toMB(average),
-      initial: toMB(this.samples[0].heapUsed),
-      final: toMB(this.samples[this.samples.length - 1].heapUsed),
-      samples: this.samples.length
+      initial: toMB(this.samples[0].rss),
+      final: toMB(this.samples[this.samples.length - 1].rss),
+      samples: this.samples.length,
+      supported: this.supported
     };
   }
 }
@@ -145,9 +346,12 @@ export class MemoryTracker {
  * Combined metrics tracker for program execution
  */
 export class ExecutionMetrics {
-  constructor() {
+  /**
+   * @param {number} pid - Root process id of the program being measured
+   */
+  constructor(pid) {
     this.timer = new Timer();
-    this.memoryTracker = new MemoryTracker();
+    this.monitor = new ProcessTreeMonitor(pid);
   }
 
   /**
@@ -155,7 +359,7 @@ export class ExecutionMetrics {
    */
   start() {
     this.timer.start();
-    this.memoryTracker.start();
+    this.monitor.start();
   }
 
   /**
@@ -164,11 +368,12 @@ export class ExecutionMetrics {
    */
   stop() {
     const time = this.timer.stop();
-    const memory = this.memoryTracker.stop();
+    const { memory, cpuTime } = this.monitor.stop();
 
     return {
       time: {
         elapsed: time,
+        cpu: cpuTime,
         unit: 'ms'
       },
       memory: {
@@ -185,13 +390,17 @@ export class ExecutionMetrics {
    * @returns {object} Current metrics
    */
   getCurrent() {
+    const samples = this.monitor.samples;
+    const current = samples.length > 0 ? samples[samples.length - 1].rss : 0;
+
     return {
       time: {
         elapsed: this.timer.getElapsed(),
+        cpu: this.monitor.getCpuTime(),
         unit: 'ms'
       },
       memory: {
-        current: Math.round(process.memoryUsage().heapUsed / 1024 / 1024 * 100) / 100,
+        current: toMB(current),
         unit: 'MB'
       }
     };
@@ -232,7 +441,9 @@ export function checkLimits(metrics, timeLimit, memoryLimit) {
 
 export default {
   Timer,
-  MemoryTracker,
+  ProcessTreeMonitor,
+  isProcfsAvailable,
+  listProcessTree,
   ExecutionMetrics,
   formatMetrics,
   checkLimits
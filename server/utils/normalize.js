@@ -11,6 +11,8 @@
  * - Competitive programming requires EXACT case matching
  * - Default to strict normalization (preserve case)
  * - Only normalize line endings and trailing whitespace
+ *
+ * The named comparators built on these helpers live in comparators.js
  */
 
 import { debug, debugSection } from './logger.js';
@@ -34,27 +36,6 @@ export function strictNormalizeOutput(output) {
     .trim();                          // Remove leading/trailing whitespace
 }
 
-/**
- * Aggressive normalization (for special cases only)
- * USE WITH CAUTION - Most CP problems require exact case
- * @param {string} output - Raw output string
- * @returns {string} Normalized output
- */
-export function aggressiveNormalizeOutput(output) {
-  if (typeof output !== 'string') {
-    return '';
-  }
-
-  return output
-    .trim()                           // Remove leading/trailing whitespace
-    .replace(/\r\n/g, '\n')          // Normalize Windows line endings
-    .replace(/\r/g, '\n')            // Normalize old Mac line endings
-    .replace(/\n+$/g, '')            // Remove trailing newlines
-    .replace(/[ \t]+$/gm, '')        // Remove trailing spaces per line
-    .replace(/^[ \t]+/gm, '')        // Remove leading spaces per line
-    .toLowerCase();                   // Case-insensitive (use carefully!)
-}
-
 /**
  * Legacy normalization (deprecated - use strictNormalizeOutput)
  * Kept for backwards compatibility but should not be used
@@ -119,3 +100,106 @@ export function compareWithNormalizer(actual, expected, normalizeFn = strictNorm
   const normalizedExpected = normalizeFn(expected);
   return normalizedActual === normalizedExpected;
 }
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+const YES_NO_PATTERN = /^(yes|no)$/i;
+
+/**
+ * Split output into whitespace-separated tokens, remembering their line
+ * @param {string} output - Raw output string
+ * @returns {Array} [{ value, line }] with 1-based line numbers
+ */
+export function tokenizeOutput(output) {
+  if (typeof output !== 'string') {
+    return [];
+  }
+
+  const tokens = [];
+  output.replace(/\r\n?/g, '\n').split('\n').forEach((text, i) => {
+    for (const value of text.split(/[ \t]+/)) {
+      if (value) tokens.push({ value, line: i + 1 });
+    }
+  });
+  return tokens;
+}
+
+/**
+ * Compare one expected/actual token pair
+ * @param {string} expected - Expected token
+ * @param {string} actual - Actual token
+ * @param {object} options - { tolerance: { absoluteError, relativeError }, yesNo }
+ * @returns {object|null} Mismatch details, or null if the tokens match
+ */
+function compareToken(expected, actual, options) {
+  const { tolerance, yesNo } = options;
+
+  if (yesNo && YES_NO_PATTERN.test(expected)) {
+    return expected.toLowerCase() === actual.toLowerCase() ? null : { reason: 'token' };
+  }
+
+  if (!tolerance || !NUMBER_PATTERN.test(expected)) {
+    return expected === actual ? null : { reason: 'token' };
+  }
+
+  if (!NUMBER_PATTERN.test(actual)) {
+    return { reason: 'not-a-number' };
+  }
+
+  const expectedValue = parseFloat(expected);
+  const actualValue = parseFloat(actual);
+  const absoluteError = Math.abs(actualValue - expectedValue);
+  const relativeError = expectedValue !== 0 ? absoluteError / Math.abs(expectedValue) : null;
+
+  // Same rule as testlib's doubleCompare: either bound is enough
+  // (1e-15 absorbs the rounding of the subtraction itself)
+  const withinAbsolute = absoluteError <= tolerance.absoluteError + 1e-15;
+  const withinRelative = relativeError !== null && relativeError <= tolerance.relativeError + 1e-15;
+
+  return withinAbsolute || withinRelative
+    ? null
+    : { reason: 'error', absoluteError, relativeError };
+}
+
+/**
+ * Find tokens that differ
+ * Tokens match exactly unless options relax it: numbers within a float
+ * tolerance, or YES/NO answers in any case.
+ * @param {string} actual - Actual program output
+ * @param {string} expected - Expected output
+ * @param {object} options - { tolerance: { absoluteError, relativeError }, yesNo }
+ * @param {number} limit - Stop after this many mismatches
+ * @returns {object} { mismatches, expectedCount, actualCount }
+ */
+export function findTokenMismatches(actual, expected, options = {}, limit = Infinity) {
+  const actualTokens = tokenizeOutput(actual);
+  const expectedTokens = tokenizeOutput(expected);
+  const mismatches = [];
+
+  const count = Math.max(actualTokens.length, expectedTokens.length);
+  for (let i = 0; i < count && mismatches.length < limit; i++) {
+    const expectedToken = expectedTokens[i] || null;
+    const actualToken = actualTokens[i] || null;
+
+    const base = {
+      tokenIndex: i + 1,
+      line: (actualToken || expectedToken).line,
+      expected: expectedToken?.value ?? null,
+      actual: actualToken?.value ?? null
+    };
+
+    if (!actualToken) {
+      mismatches.push({ ...base, reason: 'missing' });
+    } else if (!expectedToken) {
+      mismatches.push({ ...base, reason: 'extra' });
+    } else {
+      const mismatch = compareToken(expectedToken.value, actualToken.value, options);
+      if (mismatch) mismatches.push({ ...base, ...mismatch });
+    }
+  }
+
+  return {
+    mismatches,
+    expectedCount: expectedTokens.length,
+    actualCount: actualTokens.length
+  };
+}
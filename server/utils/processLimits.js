@@ -2,7 +2,9 @@
  * Process Safety & Resource Limits
  * 
  * RESPONSIBILITIES:
- * - Enforce memory limits
+ * - Enforce memory, stack, process, file size and open file limits
+ *   (kernel rlimits applied through prlimit, no shell)
+ * - Detect which limit stopped a program
  * - Prevent network access (preparation)
  * - Kill runaway processes
  * - Ensure safe local execution
@@ -14,70 +16,299 @@
  * - No network access
  */
 
+import fs from 'fs';
 import os from 'os';
+import path from 'path';
 import { warn } from './logger.js';
 
+const MB = 1024 * 1024;
+
+/**
+ * Default limits applied to every program
+ * Languages may override any of these through `limits` in their config.
+ * - addressSpaceFactor: RLIMIT_AS = memoryLimit * factor (false disables).
+ *   Virtual size is always larger than resident size, so the exact memory
+ *   limit is judged on sampled RSS; RLIMIT_AS is the hard backstop that
+ *   stops a single huge allocation from taking the machine down.
+ * - stackMB: RLIMIT_STACK (null = same as memory limit, like Codeforces)
+ * - processes: tasks (processes + threads) allowed per program, enforced by
+ *   a pids cgroup per program where possible (utils/taskGroups.js), else by
+ *   RLIMIT_NPROC (see applyResourceLimits)
+ * - openFiles: RLIMIT_NOFILE
+ * - fileSizeMB: RLIMIT_FSIZE (largest file the program may write)
+ * 
+ * RLIMIT_CPU is not a default: callers set `cpuTime` (whole seconds) on the
+ * returned limits when the run has a CPU time limit.
+ */
+export const DEFAULT_LIMITS = {
+  addressSpaceFactor: 2,
+  stackMB: null,
+  processes: 16,
+  openFiles: 64,
+  fileSizeMB: 64
+};
+
+// Cached location of the prlimit binary (undefined = not looked up yet)
+let prlimitPath;
+
+// Tasks the server user runs besides judged programs, and when they were counted
+const TASK_BASELINE_TTL = 10000;
+let taskBaseline = null;
+let taskBaselineAt = 0;
+
+/**
+ * Locate an executable on PATH without spawning a shell
+ * @param {string} name - Executable name
+ * @returns {string|null} Absolute path or null if not found
+ */
+export function findExecutable(name) {
+  const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+
+  for (const dir of dirs) {
+    const candidate = path.join(dir, name);
+    try {
+      fs.accessSync(candidate, fs.constants.X_OK);
+      return candidate;
+    } catch {
+      // Not in this directory
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get the prlimit binary (util-linux) used to apply rlimits
+ * @returns {string|null} Path to prlimit or null if unavailable
+ */
+function getPrlimit() {
+  if (prlimitPath === undefined) {
+    prlimitPath = os.platform() === 'linux' ? findExecutable('prlimit') : null;
+    if (os.platform() === 'linux' && !prlimitPath) {
+      warn('prlimit not found (install util-linux). Resource limits disabled.');
+    }
+  }
+  return prlimitPath;
+}
+
 /**
- * Get platform-specific resource limit commands
+ * Count tasks (processes + threads) owned by the current user
+ * RLIMIT_NPROC is compared against this number, not against the tree size
+ * @returns {number} Task count
+ */
+function countUserTasks() {
+  const uid = String(process.getuid());
+  let total = 0;
+
+  let entries = [];
+  try {
+    entries = fs.readdirSync('/proc');
+  } catch {
+    return 0;
+  }
+
+  for (const name of entries) {
+    if (!/^\d+$/.test(name)) continue;
+
+    let status;
+    try {
+      status = fs.readFileSync(`/proc/${name}/status`, 'utf8');
+    } catch {
+      continue; // Exited while scanning
+    }
+
+    const owner = status.match(/^Uid:\s+(\d+)/m);
+    const threads = status.match(/^Threads:\s+(\d+)/m);
+    if (owner && owner[1] === uid) {
+      total += threads ? parseInt(threads[1], 10) : 1;
+    }
+  }
+
+  return total;
+}
+
+/**
+ * Tasks the server user runs besides judged programs
+ * /proc is only scanned when no other program is running (so the count
+ * never includes the pool's own programs, which would race with them) and
+ * at most every TASK_BASELINE_TTL; otherwise the last count is reused.
+ * @param {boolean} othersRunning - True if other programs are running now
+ * @returns {number} Task count
+ */
+function getTaskBaseline(othersRunning) {
+  const stale = Date.now() - taskBaselineAt > TASK_BASELINE_TTL;
+  if (taskBaseline === null || (stale && !othersRunning)) {
+    taskBaseline = countUserTasks();
+    taskBaselineAt = Date.now();
+  }
+  return taskBaseline;
+}
+
+/**
+ * Get resource limits for a program run
  * @param {number} memoryLimitMB - Memory limit in MB
- * @returns {object} Platform-specific limit configuration
+ * @param {object} overrides - Language-specific overrides (see DEFAULT_LIMITS)
+ * @returns {object} Limits in bytes/counts plus platform support info
  */
-export function getResourceLimits(memoryLimitMB = 256) {
+export function getResourceLimits(memoryLimitMB = 256, overrides = {}) {
+  const config = { ...DEFAULT_LIMITS, ...overrides };
   const platform = os.platform();
-  
-  // Convert MB to bytes for ulimit
-  const memoryLimitKB = memoryLimitMB * 1024;
-  
+
+  const limits = {
+    memoryLimitMB: memoryLimitMB,
+    addressSpace: config.addressSpaceFactor
+      ? Math.round(memoryLimitMB * config.addressSpaceFactor * MB)
+      : null,
+    stack: Math.round((config.stackMB ?? memoryLimitMB) * MB),
+    processes: config.processes,
+    openFiles: config.openFiles,
+    fileSize: Math.round(config.fileSizeMB * MB),
+    cpuTime: null
+  };
+
   switch (platform) {
     case 'linux':
-    case 'darwin': // macOS
+      if (getPrlimit()) {
+        return {
+          ...limits,
+          supported: true,
+          enforcer: 'prlimit',
+          note: 'Kernel rlimits enforced via prlimit'
+        };
+      }
       return {
-        supported: true,
-        prefix: 'ulimit',
-        command: `ulimit -v ${memoryLimitKB} && ulimit -m ${memoryLimitKB}`,
-        shell: true,
-        note: 'Memory limits enforced via ulimit'
+        ...limits,
+        supported: false,
+        enforcer: null,
+        note: 'prlimit not installed (monitoring only)'
       };
-    
+
     case 'win32':
-      // Windows doesn't support ulimit
+      // Windows has no rlimits
       // Memory tracking is best-effort
       return {
+        ...limits,
         supported: false,
-        prefix: null,
-        command: null,
-        shell: false,
+        enforcer: null,
         note: 'Memory limits not enforced on Windows (monitoring only)'
       };
     
     default:
-      warn(`Unknown platform: ${platform}. Memory limits disabled.`);
+      // macOS has no prlimit and setrlimit is not reachable without a shell
       return {
+        ...limits,
         supported: false,
-        prefix: null,
-        command: null,
-        shell: false,
-        note: 'Memory limits not supported on this platform'
+        enforcer: null,
+        note: `Resource limits not supported on ${platform} (monitoring only)`
       };
   }
 }
 
 /**
- * Build safe execution command with limits
- * @param {string} baseCommand - Base execution command
- * @param {number} memoryLimitMB - Memory limit in MB
- * @returns {string} Command with resource limits
+ * Wrap a command so it starts with kernel resource limits applied
+ * No shell is involved: prlimit sets the rlimits and execs the command,
+ * so the program keeps prlimit's pid (and process group).
+ *
+ * When the program runs in its own pids cgroup (tasksBounded), the group
+ * enforces `processes` and RLIMIT_NPROC is left alone. Otherwise
+ * RLIMIT_NPROC stands in: it is checked against every task the user owns,
+ * so the limit is the user's baseline plus `processes` for this program and
+ * each one running beside it. The user's tasks stay bounded by the programs
+ * actually running, but a program can lose room to the ones next to it, and
+ * root is not bound at all.
+ * @param {string} command - Command to execute
+ * @param {string[]} args - Command arguments
+ * @param {object} limits - Limits from getResourceLimits
+ * @param {object} options - { runningPrograms, tasksBounded } (optional)
+ * @param {number} options.runningPrograms - Programs running beside this one
+ * @param {boolean} options.tasksBounded - True if a pids cgroup bounds the tasks
+ * @returns {object} { command, args, enforced }
  */
-export function buildSafeCommand(baseCommand, memoryLimitMB = 256) {
-  const limits = getResourceLimits(memoryLimitMB);
-  
-  if (!limits.supported) {
-    // Return base command without limits
-    return baseCommand;
+export function applyResourceLimits(command, args, limits, options = {}) {
+  const { runningPrograms = 0, tasksBounded = false } = options;
+
+  if (!limits || !limits.supported) {
+    return { command, args, enforced: false };
   }
-  
-  // Combine ulimit with execution command
-  return `${limits.command} && ${baseCommand}`;
+
+  const flags = [
+    `--stack=${limits.stack}`,
+    `--nofile=${limits.openFiles}`,
+    `--fsize=${limits.fileSize}`
+  ];
+
+  if (!tasksBounded) {
+    const baseline = getTaskBaseline(runningPrograms > 0);
+    flags.push(`--nproc=${baseline + limits.processes * (runningPrograms + 1)}`);
+  }
+
+  if (limits.addressSpace) {
+    flags.unshift(`--as=${limits.addressSpace}`);
+  }
+
+  // Soft limit raises SIGXCPU, hard limit one second later is SIGKILL
+  if (limits.cpuTime) {
+    flags.push(`--cpu=${limits.cpuTime}:${limits.cpuTime + 1}`);
+  }
+
+  return {
+    command: getPrlimit(),
+    args: [...flags, '--', command, ...args],
+    enforced: true
+  };
+}
+
+/**
+ * Work out which resource limit (if any) stopped the program
+ * Kernel rlimits do not report themselves, so this combines the signal,
+ * the sampled memory and the runtime's own error messages.
+ * @param {object} result - Result from executeWithTimeout
+ * @param {object} limits - Limits from getResourceLimits
+ * @returns {string|null} 'memory' | 'output' | 'cpu' | 'addressSpace' | 'fileSize' | 'processes' | 'openFiles' | null
+ */
+export function detectLimitViolation(result, limits) {
+  const { exitCode, signal, stderr = '', memoryLimitExceeded, outputLimitExceeded } = result;
+
+  if (memoryLimitExceeded) {
+    return 'memory';
+  }
+
+  if (outputLimitExceeded) {
+    return 'output';
+  }
+
+  if (signal === 'SIGXCPU') {
+    return 'cpu';
+  }
+
+  if (signal === 'SIGXFSZ') {
+    return 'fileSize';
+  }
+
+  // Everything below only applies to programs that failed
+  if (exitCode === 0 && !signal) {
+    return null;
+  }
+
+  // The program's pids cgroup refused a fork or a thread
+  if (result.taskLimitHit) {
+    return 'processes';
+  }
+
+  if (limits?.addressSpace &&
+      /bad_alloc|MemoryError|OutOfMemoryError|Cannot allocate memory|heap out of memory|ENOMEM/i.test(stderr)) {
+    return 'addressSpace';
+  }
+
+  if (/Too many open files|EMFILE/i.test(stderr)) {
+    return 'openFiles';
+  }
+
+  if (/Resource temporarily unavailable|can't start new thread|unable to create native thread|fork.*failed|EAGAIN/i.test(stderr)) {
+    return 'processes';
+  }
+
+  return null;
 }
 
 /**
@@ -140,8 +371,8 @@ export function forceKillProcess(childProcess) {
  */
 export function isPathSafe(workspacePath, allowedBasePath) {
   // Normalize paths
-  const normalizedWorkspace = require('path').resolve(workspacePath);
-  const normalizedBase = require('path').resolve(allowedBasePath);
+  const normalizedWorkspace = path.resolve(workspacePath);
+  const normalizedBase = path.resolve(allowedBasePath);
   
   // Check if workspace is inside allowed base
   return normalizedWorkspace.startsWith(normalizedBase);
@@ -214,8 +445,11 @@ export function getSafeEnvironment() {
 }
 
 export default {
+  DEFAULT_LIMITS,
+  findExecutable,
   getResourceLimits,
-  buildSafeCommand,
+  applyResourceLimits,
+  detectLimitViolation,
   isProcessRunning,
   forceKillProcess,
   isPathSafe,
@@ -0,0 +1,229 @@
+/**
+ * Sandbox Backends
+ *
+ * RESPONSIBILITIES:
+ * - Isolate untrusted programs from the network and the filesystem
+ * - Wrap a command for the configured backend (no shell involved)
+ * - Probe that the backend actually works on this machine
+ * - Report the active backend and what it isolates
+ *
+ * BACKENDS:
+ * - none: run directly as the server user (no isolation)
+ * - unshare: util-linux namespaces - no network, private pids/IPC/hostname.
+ *   unshare cannot remount the root read-only without a shell, so the
+ *   filesystem is NOT isolated with this backend
+ * - bwrap: bubblewrap - no network, read-only root, only the workspace writable
+ * - nsjail: same isolation as bwrap, through nsjail
+ *
+ * CONFIGURATION:
+ * - SANDBOX_BACKEND: none | unshare | bwrap | nsjail | auto (default auto)
+ *   auto picks the first working backend in the order bwrap, nsjail, unshare.
+ *   A backend that is requested but unusable falls back to none with a warning.
+ *
+ * Resource limits (prlimit) are applied inside the sandbox, so they bind the
+ * program rather than the sandbox tool.
+ */
+
+import os from 'os';
+import { spawnSync } from 'child_process';
+import { findExecutable } from './processLimits.js';
+import { info, warn } from './logger.js';
+
+/**
+ * Backend names accepted in SANDBOX_BACKEND
+ */
+export const SANDBOX_BACKENDS = {
+  NONE: 'none',
+  UNSHARE: 'unshare',
+  BWRAP: 'bwrap',
+  NSJAIL: 'nsjail'
+};
+
+// Preference order for SANDBOX_BACKEND=auto
+const AUTO_ORDER = [SANDBOX_BACKENDS.BWRAP, SANDBOX_BACKENDS.NSJAIL, SANDBOX_BACKENDS.UNSHARE];
+
+/**
+ * Per-backend binary, isolation guarantees and argument builder
+ * wrap() receives the backend binary, the command, its arguments and the
+ * workspace path, and returns the arguments for the backend binary.
+ */
+const BACKENDS = {
+  [SANDBOX_BACKENDS.NONE]: {
+    binary: null,
+    isolation: { noNetwork: false, readOnlyRoot: false, privatePids: false }
+  },
+
+  [SANDBOX_BACKENDS.UNSHARE]: {
+    binary: 'unshare',
+    isolation: { noNetwork: true, readOnlyRoot: false, privatePids: true },
+    wrap: (command, args) => [
+      '--user', '--map-current-user',
+      '--net', '--ipc', '--uts',
+      '--pid', '--fork', '--kill-child', '--mount-proc',
+      '--', command, ...args
+    ]
+  },
+
+  [SANDBOX_BACKENDS.BWRAP]: {
+    binary: 'bwrap',
+    isolation: { noNetwork: true, readOnlyRoot: true, privatePids: true },
+    wrap: (command, args, workspace) => [
+      '--ro-bind', '/', '/',
+      '--dev', '/dev',
+      '--proc', '/proc',
+      '--bind', workspace, workspace,
+      '--chdir', workspace,
+      '--unshare-all',
+      '--die-with-parent',
+      '--', command, ...args
+    ]
+  },
+
+  [SANDBOX_BACKENDS.NSJAIL]: {
+    binary: 'nsjail',
+    isolation: { noNetwork: true, readOnlyRoot: true, privatePids: true },
+    // nsjail execs without a PATH lookup and applies its own rlimits
+    // unless told not to (ours come from prlimit); it closes every descriptor
+    // above stderr unless passed, which would silence the CPU time reporter
+    wrap: (command, args, workspace) => [
+      '--mode', 'o',
+      '--quiet',
+      '--chroot', '/',
+      '--bindmount', workspace,
+      '--cwd', workspace,
+      '--keep_env',
+      '--disable_rlimits',
+      '--time_limit', '0',
+      '--pass_fd', '3',
+      '--', command.includes('/') ? command : (findExecutable(command) || command), ...args
+    ]
+  }
+};
+
+// Resolved once: { backend, requested, binary, isolation, note }
+let activeSandbox = null;
+
+/**
+ * Run a trivial program through a backend to see that it works here
+ * (user namespaces may be disabled, or the binary may be too old)
+ * @param {string} name - Backend name
+ * @param {string} binary - Absolute path to the backend binary
+ * @returns {string|null} Error description, or null if the probe passed
+ */
+function probeBackend(name, binary) {
+  const trueBinary = findExecutable('true');
+  if (!trueBinary) return 'cannot find "true" to probe with';
+
+  const workspace = os.tmpdir();
+  const result = spawnSync(binary, BACKENDS[name].wrap(trueBinary, [], workspace), {
+    cwd: workspace,
+    timeout: 5000,
+    stdio: ['ignore', 'ignore', 'pipe']
+  });
+
+  if (result.error) return result.error.message;
+  if (result.status !== 0) {
+    return (result.stderr?.toString().trim().split('\n')[0]) || `exit code ${result.status}`;
+  }
+  return null;
+}
+
+/**
+ * Try one backend
+ * @param {string} name - Backend name
+ * @returns {object} { binary } on success, { error } otherwise
+ */
+function resolveBackend(name) {
+  const binary = findExecutable(BACKENDS[name].binary);
+  if (!binary) {
+    return { error: `${BACKENDS[name].binary} not installed` };
+  }
+
+  const error = probeBackend(name, binary);
+  return error ? { error } : { binary };
+}
+
+/**
+ * Get the active sandbox (resolved from SANDBOX_BACKEND on first call)
+ * @returns {object} { backend, requested, binary, isolation, note }
+ */
+export function getSandbox() {
+  if (activeSandbox) return activeSandbox;
+
+  const requested = (process.env.SANDBOX_BACKEND || 'auto').toLowerCase();
+  const unsandboxed = (note) => ({
+    backend: SANDBOX_BACKENDS.NONE,
+    requested: requested,
+    binary: null,
+    isolation: BACKENDS[SANDBOX_BACKENDS.NONE].isolation,
+    note: note
+  });
+
+  if (requested === SANDBOX_BACKENDS.NONE) {
+    activeSandbox = unsandboxed('Sandbox disabled by configuration');
+
+  } else if (os.platform() !== 'linux') {
+    activeSandbox = unsandboxed(`Sandboxing not supported on ${os.platform()}`);
+
+  } else if (requested !== 'auto' && !BACKENDS[requested]) {
+    activeSandbox = unsandboxed(`Unknown sandbox backend "${requested}"`);
+    warn(`${activeSandbox.note}; programs run unsandboxed`);
+
+  } else {
+    const candidates = requested === 'auto' ? AUTO_ORDER : [requested];
+    const failures = [];
+
+    for (const name of candidates) {
+      const { binary, error } = resolveBackend(name);
+      if (binary) {
+        activeSandbox = {
+          backend: name,
+          requested: requested,
+          binary: binary,
+          isolation: BACKENDS[name].isolation,
+          note: BACKENDS[name].isolation.readOnlyRoot
+            ? 'No network, read-only root, workspace writable'
+            : 'No network; filesystem not isolated'
+        };
+        break;
+      }
+      failures.push(`${name}: ${error}`);
+    }
+
+    if (!activeSandbox) {
+      activeSandbox = unsandboxed(`No usable sandbox (${failures.join('; ')})`);
+      if (requested !== 'auto') {
+        warn(`Sandbox "${requested}" requested but unusable; programs run unsandboxed`);
+      }
+    }
+  }
+
+  info(`Sandbox: ${activeSandbox.backend} (${activeSandbox.note})`);
+  return activeSandbox;
+}
+
+/**
+ * Wrap a command so it runs inside the sandbox
+ * @param {string} command - Command to execute (may already be prlimit)
+ * @param {string[]} args - Command arguments
+ * @param {object} sandbox - Sandbox from getSandbox (null = none)
+ * @param {string} workspace - The only directory the program may write
+ * @returns {object} { command, args, sandboxed }
+ */
+export function applySandbox(command, args, sandbox, workspace) {
+  if (!sandbox || sandbox.backend === SANDBOX_BACKENDS.NONE) {
+    return { command, args, sandboxed: false };
+  }
+
+  return {
+    command: sandbox.binary,
+    args: BACKENDS[sandbox.backend].wrap(command, args, workspace),
+    sandboxed: true
+  };
+}
+
+export default {
+  SANDBOX_BACKENDS,
+  getSandbox,
+  applySandbox
+};
@@ -0,0 +1,259 @@
+/**
+ * Input Shrinking Heuristics (stress test minimization)
+ *
+ * RESPONSIBILITIES:
+ * - Split a test input into lines of whitespace-separated tokens
+ * - Propose smaller variants of an input, biggest cuts first
+ * - Keep count headers ("n" before n numbers or n lines) in step with the data
+ *
+ * CANDIDATES (in order):
+ * - Drop a block of lines (half the lines, then quarters, ... down to one)
+ * - Drop a block of tokens within a line
+ * - Shrink an integer towards zero (0, 1, half)
+ *
+ * COUNT HEADERS:
+ * An integer token is taken as a count when the next line has exactly that
+ * many tokens, or (for the first token of a line) when at least that many
+ * lines follow. Counted lines are not taken as line counts again. Removing data
+ * lowers the count to match; counts are never shrunk as plain numbers, and a
+ * count is only dropped together with all of its data (no candidate leaves
+ * "1 2 3" without its "3", or "3" without its line). This is a guess: the
+ * caller keeps a candidate only if the failure still reproduces, so a wrong
+ * guess costs one attempt.
+ *
+ * The checks themselves live in api/stress.js (shrinkInput); this module
+ * only transforms text.
+ */
+
+const INTEGER_PATTERN = /^-?\d+$/;
+
+/**
+ * Split an input into lines of tokens
+ * Layout beyond line breaks is not kept: candidates use single spaces.
+ * @param {string} input - Test input
+ * @returns {string[][]} Tokens per line (trailing blank lines dropped)
+ */
+export function parseInput(input) {
+  const lines = (input || '').replace(/\r\n/g, '\n').split('\n')
+    .map(line => line.split(/\s+/).filter(Boolean));
+
+  while (lines.length > 0 && lines[lines.length - 1].length === 0) {
+    lines.pop();
+  }
+  return lines;
+}
+
+/**
+ * Join lines of tokens back into an input
+ * @param {string[][]} lines - Tokens per line
+ * @returns {string} Input text with a final newline
+ */
+export function formatInput(lines) {
+  return lines.map(tokens => tokens.join(' ')).join('\n') + '\n';
+}
+
+/**
+ * Guess which tokens are counts of the data that follows
+ * @param {string[][]} lines - Tokens per line
+ * @returns {object[]} { line, token, kind: 'tokens'|'lines', target }
+ *   (target: the counted line for 'tokens', the first counted line for 'lines')
+ */
+function findCountHeaders(lines) {
+  const headers = [];
+  // Lines already explained as counted data are not headers themselves
+  const countedLines = new Set();
+  const countedTokens = new Set();
+
+  lines.forEach((tokens, i) => {
+    if (countedTokens.has(i)) return;
+
+    tokens.forEach((token, j) => {
+      if (!INTEGER_PATTERN.test(token)) return;
+      const value = Number(token);
+      if (value <= 0 || !Number.isSafeInteger(value)) return;
+
+      const next = lines[i + 1];
+      if (next && next.length === value) {
+        headers.push({ line: i, token: j, kind: 'tokens', target: i + 1 });
+        countedTokens.add(i + 1);
+      } else if (j === 0 && !countedLines.has(i) && i + value < lines.length) {
+        headers.push({ line: i, token: j, kind: 'lines', target: i + 1 });
+        for (let k = i + 1; k <= i + value; k++) countedLines.add(k);
+      }
+    });
+  });
+
+  return headers;
+}
+
+/**
+ * Whether dropping lines [start, end) would part a count from its data:
+ * the count goes while some of its data stays, or a counted line goes as a
+ * whole while its token count stays
+ * @param {string[][]} lines - Tokens per line
+ * @param {object[]} headers - From findCountHeaders
+ * @param {number} start - First line dropped
+ * @param {number} end - Line after the last one dropped
+ * @returns {boolean} True if the candidate would be inconsistent
+ */
+function partsCounts(lines, headers, start, end) {
+  const dropped = line => line >= start && line < end;
+
+  return headers.some(header => {
+    if (header.kind === 'tokens') {
+      return dropped(header.line) !== dropped(header.target);
+    }
+    const covered = Number(lines[header.line][header.token]);
+    if (!dropped(header.line)) return false;
+    for (let k = header.target; k < header.target + covered; k++) {
+      if (!dropped(k)) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Copy lines and lower the affected counts
+ * @param {string[][]} lines - Tokens per line
+ * @param {object[]} changes - { header, by } count adjustments
+ * @returns {string[][]} Adjusted copy
+ */
+function adjustCounts(lines, changes) {
+  const copy = lines.map(tokens => [...tokens]);
+  for (const { header, by } of changes) {
+    copy[header.line][header.token] = String(Number(copy[header.line][header.token]) - by);
+  }
+  return copy;
+}
+
+/**
+ * Drop lines [start, start + count), lowering line counts that covered them
+ * @param {string[][]} lines - Tokens per line
+ * @param {object[]} headers - From findCountHeaders
+ * @param {number} start - First line to drop
+ * @param {number} count - Number of lines to drop
+ * @returns {string[][]} New lines
+ */
+function dropLines(lines, headers, start, count) {
+  const end = start + count;
+  const changes = [];
+
+  for (const header of headers) {
+    if (header.kind !== 'lines') continue;
+    // A dropped header goes with its line
+    if (header.line >= start && header.line < end) continue;
+
+    const covered = Number(lines[header.line][header.token]);
+    const overlap = Math.min(end, header.target + covered) - Math.max(start, header.target);
+    if (overlap > 0) {
+      changes.push({ header, by: overlap });
+    }
+  }
+
+  const adjusted = adjustCounts(lines, changes);
+  adjusted.splice(start, count);
+  return adjusted;
+}
+
+/**
+ * Drop tokens [start, start + count) of one line, lowering its token count
+ * @param {string[][]} lines - Tokens per line
+ * @param {object[]} headers - From findCountHeaders
+ * @param {number} lineIndex - Line to cut
+ * @param {number} start - First token to drop
+ * @param {number} count - Number of tokens to drop
+ * @returns {string[][]} New lines
+ */
+function dropTokens(lines, headers, lineIndex, start, count) {
+  const changes = headers
+    .filter(header => header.kind === 'tokens' && header.target === lineIndex)
+    .map(header => ({ header, by: count }));
+
+  const adjusted = adjustCounts(lines, changes);
+  adjusted[lineIndex].splice(start, count);
+  return adjusted;
+}
+
+/**
+ * Smaller values to try for an integer token, nearest zero first
+ * @param {string} token - Integer token
+ * @returns {string[]} Candidate values with a smaller magnitude
+ */
+function smallerIntegers(token) {
+  const value = BigInt(token);
+  const magnitude = value < 0n ? -value : value;
+  const values = [0n, 1n, value / 2n].filter(v => (v < 0n ? -v : v) < magnitude);
+  return [...new Set(values.map(String))];
+}
+
+/**
+ * Block sizes for delta debugging: half, quarter, ... down to one
+ * @param {number} length - Number of items
+ * @returns {number[]} Block sizes, largest first
+ */
+function blockSizes(length) {
+  const sizes = [];
+  for (let size = Math.floor(length / 2); size >= 1; size = Math.floor(size / 2)) {
+    sizes.push(size);
+  }
+  return length === 1 ? [1] : sizes;
+}
+
+/**
+ * Propose smaller variants of an input, biggest cuts first
+ * @param {string} input - Test input
+ * @yields {object} { input, description }
+ */
+export function* shrinkCandidates(input) {
+  const lines = parseInput(input);
+  const headers = findCountHeaders(lines);
+  const isHeader = (i, j) => headers.some(header => header.line === i && header.token === j);
+
+  for (const size of blockSizes(lines.length)) {
+    for (let start = 0; start + size <= lines.length; start += size) {
+      if (partsCounts(lines, headers, start, start + size)) continue;
+      const next = dropLines(lines, headers, start, size);
+      yield {
+        input: formatInput(next),
+        description: size === 1 ? `drop line ${start + 1}` : `drop lines ${start + 1}-${start + size}`
+      };
+    }
+  }
+
+  // Longest lines first: that is where arrays live
+  const order = lines.map((tokens, i) => i).sort((a, b) => lines[b].length - lines[a].length);
+  for (const i of order) {
+    for (const size of blockSizes(lines[i].length)) {
+      for (let start = 0; start + size <= lines[i].length; start += size) {
+        // Counts stay; their data shrinks instead
+        if (lines[i].slice(start, start + size).some((token, k) => isHeader(i, start + k))) continue;
+        yield {
+          input: formatInput(dropTokens(lines, headers, i, start, size)),
+          description: `drop ${size} token(s) from line ${i + 1}`
+        };
+      }
+    }
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    for (let j = 0; j < lines[i].length; j++) {
+      const token = lines[i][j];
+      if (!INTEGER_PATTERN.test(token) || isHeader(i, j)) continue;
+
+      for (const value of smallerIntegers(token)) {
+        const next = lines.map(tokens => [...tokens]);
+        next[i][j] = value;
+        yield {
+          input: formatInput(next),
+          description: `line ${i + 1}, token ${j + 1}: ${token} → ${value}`
+        };
+      }
+    }
+  }
+}
+
+export default {
+  parseInput,
+  formatInput,
+  shrinkCandidates
+};
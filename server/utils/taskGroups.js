@@ -0,0 +1,196 @@
+/**
+ * Per-program Task Limits (pids cgroup)
+ *
+ * RESPONSIBILITIES:
+ * - Give every program its own pids cgroup, so `processes` bounds the
+ *   tasks of that program alone, whatever else runs beside it
+ * - Start the program inside its group
+ * - Report whether the program ran into the limit
+ * - Kill whatever the program left behind and remove the group
+ *
+ * HOW IT WORKS (cgroup v1 pids hierarchy):
+ * A new process starts in the cgroup of the thread that forked it.
+ * child_process.spawn forks synchronously on the main thread, so the main
+ * thread joins the program's group for the spawn() call only and moves back
+ * right after; no other JavaScript runs in between. cgroup v2 cannot move a
+ * single thread, so only the v1 hierarchy is used.
+ *
+ * FALLBACK:
+ * Without a writable /sys/fs/cgroup/pids (not root, no v1 hierarchy) runs
+ * use RLIMIT_NPROC instead (see applyResourceLimits), which counts every
+ * task of the server user and does not bind root.
+ *
+ * CONFIGURATION:
+ * - TASK_GROUPS=0 turns the groups off
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { info, warn } from './logger.js';
+
+const PIDS_HIERARCHY = '/sys/fs/cgroup/pids';
+
+// Groups live under the server's own pids cgroup, in this folder
+const GROUP_FOLDER = 'cp-judge';
+
+// The sandbox tool, its init process and the CPU time reporter share the
+// program's group, so they get room on top of `processes`
+const WRAPPER_TASKS = 3;
+
+// Removing a group waits for its killed tasks to be reaped
+const REMOVE_RETRIES = 20;
+const REMOVE_RETRY_DELAY = 50;
+
+// Resolved once: { origin, base } or null when groups are unavailable
+let hierarchy;
+
+/**
+ * Kill every task in a group
+ * @param {string} dir - Group directory
+ */
+function killGroupTasks(dir) {
+  let pids = [];
+  try {
+    pids = fs.readFileSync(path.join(dir, 'cgroup.procs'), 'utf8').split('\n').filter(Boolean);
+  } catch {
+    return;
+  }
+
+  for (const pid of pids) {
+    try {
+      process.kill(parseInt(pid, 10), 'SIGKILL');
+    } catch {
+      // Already gone
+    }
+  }
+}
+
+/**
+ * Remove a group once its tasks are gone, retrying in the background
+ * @param {string} dir - Group directory
+ * @param {number} attempt - Attempts made so far
+ */
+function removeGroup(dir, attempt = 0) {
+  try {
+    fs.rmdirSync(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return;
+    if (attempt >= REMOVE_RETRIES) {
+      warn(`Cannot remove task group ${dir}: ${error.message}`);
+      return;
+    }
+    killGroupTasks(dir);
+    setTimeout(() => removeGroup(dir, attempt + 1), REMOVE_RETRY_DELAY).unref();
+  }
+}
+
+/**
+ * Find the server's pids cgroup and prepare the folder for program groups
+ * Groups left by a previous server are removed.
+ * @returns {object|null} { origin, base } or null if groups cannot be used
+ */
+function getHierarchy() {
+  if (hierarchy !== undefined) return hierarchy;
+  hierarchy = null;
+
+  if (os.platform() !== 'linux' || process.env.TASK_GROUPS === '0') return null;
+
+  try {
+    const line = fs.readFileSync('/proc/self/cgroup', 'utf8')
+      .split('\n')
+      .find(entry => entry.split(':')[1]?.split(',').includes('pids'));
+    if (!line) return null;
+
+    const origin = path.join(PIDS_HIERARCHY, line.split(':')[2]);
+    const base = path.join(origin, GROUP_FOLDER);
+    fs.accessSync(path.join(origin, 'tasks'), fs.constants.W_OK);
+    fs.mkdirSync(base, { recursive: true });
+
+    for (const stale of fs.readdirSync(base, { withFileTypes: true })) {
+      if (!stale.isDirectory()) continue;
+      killGroupTasks(path.join(base, stale.name));
+      removeGroup(path.join(base, stale.name));
+    }
+
+    hierarchy = { origin, base };
+    info(`Task limits: one pids cgroup per program under ${base}`);
+  } catch {
+    // Not writable (not root) or no v1 pids hierarchy: RLIMIT_NPROC fallback
+  }
+
+  return hierarchy;
+}
+
+/**
+ * Create a group that allows a program `processes` tasks
+ * @param {number} processes - Tasks (processes + threads) the program may have
+ * @returns {object|null} { dir } or null when groups are unavailable
+ */
+export function createTaskGroup(processes) {
+  const root = getHierarchy();
+  if (!root) return null;
+
+  const dir = path.join(root.base, randomBytes(8).toString('hex'));
+  try {
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'pids.max'), String(processes + WRAPPER_TASKS));
+    return { dir };
+  } catch (error) {
+    warn(`Cannot create task group: ${error.message}`);
+    removeGroup(dir);
+    return null;
+  }
+}
+
+/**
+ * Start a process inside a group
+ * @param {object|null} group - Group from createTaskGroup
+ * @param {function} start - Spawns the process synchronously and returns it
+ * @returns {*} Whatever start returns
+ */
+export function spawnInTaskGroup(group, start) {
+  if (!group) return start();
+
+  try {
+    fs.writeFileSync(path.join(group.dir, 'tasks'), String(process.pid));
+  } catch (error) {
+    warn(`Cannot join task group, running without a task limit: ${error.message}`);
+    return start();
+  }
+
+  try {
+    return start();
+  } finally {
+    fs.writeFileSync(path.join(hierarchy.origin, 'tasks'), String(process.pid));
+  }
+}
+
+/**
+ * Remove a group after its program ended
+ * Tasks still in the group (e.g. ones that left the process group) are killed.
+ * @param {object|null} group - Group from createTaskGroup
+ * @returns {boolean} True if a fork or thread creation hit the limit
+ */
+export function releaseTaskGroup(group) {
+  if (!group) return false;
+
+  let limitHit = false;
+  try {
+    const events = fs.readFileSync(path.join(group.dir, 'pids.events'), 'utf8');
+    limitHit = parseInt(events.match(/^max (\d+)/m)?.[1] || '0', 10) > 0;
+  } catch {
+    // Group already gone
+  }
+
+  killGroupTasks(group.dir);
+  removeGroup(group.dir);
+  return limitHit;
+}
+
+export default {
+  createTaskGroup,
+  spawnInTaskGroup,
+  releaseTaskGroup
+};
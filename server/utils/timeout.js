@@ -5,8 +5,16 @@
  * - Execute commands with enforced time limits
  * - Kill ENTIRE process trees (not just parent)
  * - Capture stdout and stderr with backpressure handling
+ * - Cap captured output and kill the tree once stdout exceeds the limit
  * - Detect runtime errors and timeouts
  * - Measure precise execution time
+ * - Track peak memory of the process tree and kill it past the limit
+ * - Measure CPU time of the process tree and kill it past the CPU limit
+ * - Report exact per-program CPU time through the CPU time reporter
+ * - Apply kernel resource limits (rlimits) before the program starts
+ * - Run the program inside the configured sandbox backend
+ * - Hand the live process to the caller for interactive runs (onSpawn)
+ * - Kill the tree when the caller cancels the run (AbortSignal)
  * 
  * PRODUCTION-GRADE FEATURES:
  * - Process group isolation (detached: true)
@@ -17,11 +25,70 @@
  * SECURITY:
  * - shell: false prevents command injection
  * - Process isolation via PGID
- * - Safe for untrusted code execution
+ * - Network/filesystem isolation only when a sandbox is passed
+ *   (see utils/sandbox.js for what each backend guarantees)
  */
 
 import { spawn } from 'child_process';
 import { performance } from 'perf_hooks';
+import { ProcessTreeMonitor } from './metrics.js';
+import { applyCpuTimer, parseCpuReport, REPORT_FD } from './cpuTimer.js';
+import { applyResourceLimits, detectLimitViolation } from './processLimits.js';
+import { applySandbox } from './sandbox.js';
+import { createTaskGroup, spawnInTaskGroup, releaseTaskGroup } from './taskGroups.js';
+
+// Default stdout cap per run (bytes); beyond this the program gets OLE
+export const DEFAULT_OUTPUT_LIMIT = 64 * 1024 * 1024;
+
+// stderr is only diagnostics: keep the first 1MB and drain the rest
+const STDERR_CAPTURE_LIMIT = 1024 * 1024;
+
+// Runs currently in flight (their programs are not part of the task baseline)
+const activeRuns = new Set();
+
+/**
+ * Bounded collector for a child output stream
+ * Keeps raw Buffers (no per-chunk string concatenation) and decodes once,
+ * so multi-byte characters split across chunks stay intact.
+ * @param {number} maxBytes - Maximum number of bytes to keep
+ * @returns {object} Collector with push() and toString()
+ */
+function createOutputCollector(maxBytes) {
+  const chunks = [];
+  let kept = 0;
+
+  return {
+    totalBytes: 0,
+    truncated: false,
+
+    /**
+     * Append a chunk, keeping at most maxBytes overall
+     * @param {Buffer} chunk - Data chunk
+     */
+    push(chunk) {
+      this.totalBytes += chunk.length;
+      const room = maxBytes - kept;
+
+      if (room <= 0) {
+        this.truncated = true;
+        return;
+      }
+
+      if (chunk.length > room) {
+        chunks.push(chunk.subarray(0, room));
+        kept += room;
+        this.truncated = true;
+      } else {
+        chunks.push(chunk);
+        kept += chunk.length;
+      }
+    },
+
+    toString() {
+      return Buffer.concat(chunks).toString('utf8');
+    }
+  };
+}
 
 /**
  * Execute command with timeout and precise time measurement
@@ -30,35 +97,95 @@ import { performance } from 'perf_hooks';
  * @param {string} command - Command to execute
  * @param {string[]} args - Command arguments
  * @param {object} options - Execution options
- * @param {number} options.timeout - Timeout in milliseconds
+ * @param {number} options.timeout - Wall-clock timeout in milliseconds
+ * @param {number} options.cpuTimeLimit - CPU time limit in milliseconds (optional)
  * @param {string} options.cwd - Working directory
  * @param {string} options.input - Input to pass via stdin
+ * @param {number} options.memoryLimit - Memory limit in MB (optional)
+ * @param {object} options.limits - Resource limits from getResourceLimits (optional)
+ * @param {number} options.outputLimit - Maximum stdout size in bytes
+ * @param {object} options.sandbox - Sandbox from getSandbox (optional, cwd is the writable directory)
+ * @param {function} options.onSpawn - Called with the child right after spawn; the caller
+ *   then owns stdin and `input` is ignored (optional, for interactive runs)
+ * @param {AbortSignal} options.signal - Kills the process tree when aborted (optional, cancellation)
  * @returns {Promise<object>} Execution result with precise timing
  */
 export function executeWithTimeout(command, args, options = {}) {
   return new Promise((resolve) => {
     const {
       timeout = 2000,
+      cpuTimeLimit = null,
       cwd = process.cwd(),
-      input = ''
+      input = '',
+      memoryLimit = null,
+      limits = null,
+      outputLimit = DEFAULT_OUTPUT_LIMIT,
+      sandbox = null,
+      onSpawn = null,
+      signal = null
     } = options;
 
-    let stdout = '';
-    let stderr = '';
+    const stdout = createOutputCollector(outputLimit);
+    const stderr = createOutputCollector(STDERR_CAPTURE_LIMIT);
     let timedOut = false;
+    let cpuTimedOut = false;
     let killed = false;
     let stdinError = false;
+    let memoryLimitExceeded = false;
+    let outputLimitExceeded = false;
+    let cancelled = false;
+
+    const runningPrograms = activeRuns.size;
+    const run = {};
+    activeRuns.add(run);
+
+    // A pids cgroup bounds the program's tasks; RLIMIT_NPROC when there is none
+    const taskGroup = limits?.supported ? createTaskGroup(limits.processes) : null;
 
     // Start high-resolution timer
     const startTime = performance.now();
 
+    // Apply rlimits by exec'ing through prlimit (no shell involved)
+    const limited = applyResourceLimits(command, args, limits, {
+      runningPrograms,
+      tasksBounded: taskGroup !== null
+    });
+
+    // The CPU time reporter reaps prlimit's program and reads its rusage
+    const timed = applyCpuTimer(limited.command, limited.args);
+
+    // The sandbox wraps both, so the rlimits bind the program only
+    const isolated = applySandbox(timed.command, timed.args, sandbox, cwd);
+
     // Spawn process with PROCESS GROUP isolation
     // detached: true creates new process group for clean killing
-    const child = spawn(command, args, {
+    const child = spawnInTaskGroup(taskGroup, () => spawn(isolated.command, isolated.args, {
       cwd,
       shell: false,  // SECURITY: Prevent shell injection
       detached: true, // CRITICAL: Creates process group for tree killing
-      stdio: ['pipe', 'pipe', 'pipe']
+      stdio: timed.reported ? ['pipe', 'pipe', 'pipe', 'pipe'] : ['pipe', 'pipe', 'pipe']
+    }));
+
+    // The reporter writes one short line when the program ends
+    let reportText = '';
+    child.stdio[REPORT_FD]?.on('data', (data) => {
+      reportText += data.toString();
+    });
+
+    // Track memory and CPU of the whole process tree (not the judge itself)
+    // Kill the tree as soon as it crosses the memory or CPU limit
+    const monitor = new ProcessTreeMonitor(child.pid);
+    monitor.start(({ peakMemory, cpuTime }) => {
+      if (memoryLimit && peakMemory > memoryLimit && !memoryLimitExceeded) {
+        memoryLimitExceeded = true;
+        killed = true;
+        killProcessTree(child);
+      }
+      if (cpuTimeLimit && cpuTime > cpuTimeLimit && !cpuTimedOut) {
+        cpuTimedOut = true;
+        killed = true;
+        killProcessTree(child);
+      }
     });
 
     // Setup timeout killer with PROCESS GROUP termination
@@ -68,43 +195,97 @@ export function executeWithTimeout(command, args, options = {}) {
       killProcessTree(child);
     }, timeout);
 
-    // Collect stdout with buffer management
+    // Cancellation kills the tree like any other limit
+    const onAbort = () => {
+      cancelled = true;
+      killed = true;
+      killProcessTree(child);
+    };
+    if (signal) {
+      if (signal.aborted) onAbort();
+      else signal.addEventListener('abort', onAbort, { once: true });
+    }
+
+    // Collect stdout up to the output limit
+    // Kill the tree immediately once the program writes past it
     if (child.stdout) {
       child.stdout.on('data', (data) => {
-        stdout += data.toString();
+        stdout.push(data);
+        if (stdout.totalBytes > outputLimit && !outputLimitExceeded) {
+          outputLimitExceeded = true;
+          killed = true;
+          killProcessTree(child);
+        }
       });
     }
 
-    // Collect stderr
+    // Collect stderr (bounded, never kills)
     if (child.stderr) {
       child.stderr.on('data', (data) => {
-        stderr += data.toString();
+        stderr.push(data);
       });
     }
 
     // Handle process completion
-    child.on('close', (code, signal) => {
+    child.on('close', (code, exitSignal) => {
       clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+      const { memory, cpuTime: sampledCpuTime } = monitor.stop();
+      activeRuns.delete(run);
+      const taskLimitHit = releaseTaskGroup(taskGroup);
 
       // Calculate precise execution time
       const endTime = performance.now();
       const executionTime = Math.round(endTime - startTime);
 
-      resolve({
-        stdout: stdout,
-        stderr: stderr,
-        exitCode: code,
-        signal: signal,
+      // The report is exact for this program alone; without it (no
+      // reporter, or the tree was killed) fall back to the samples
+      const report = timed.reported ? parseCpuReport(reportText) : null;
+      const cpuTime = report ? report.cpuTime : sampledCpuTime;
+
+      if (cpuTimeLimit && cpuTime > cpuTimeLimit) {
+        cpuTimedOut = true;
+      }
+
+      const result = {
+        stdout: stdout.toString(),
+        stderr: stderr.toString(),
+        stdoutTruncated: stdout.truncated,
+        stderrTruncated: stderr.truncated,
+        outputBytes: stdout.totalBytes,
+        outputLimitExceeded: outputLimitExceeded,
+        // The reporter may be PID 1 of the sandbox and unable to re-raise
+        // the program's signal, so its report is the authoritative status
+        exitCode: report ? report.exitCode : code,
+        signal: report ? report.signal : exitSignal,
         timedOut: timedOut,
+        cpuTimedOut: cpuTimedOut,
         killed: killed,
+        cancelled: cancelled,
         stdinError: stdinError,
+        memoryLimitExceeded: memoryLimitExceeded || Boolean(memoryLimit && memory.peak > memoryLimit),
+        memory: memory,
+        taskLimitHit: taskLimitHit,
+        limitsEnforced: limited.enforced,
+        sandboxed: isolated.sandboxed,
+        cpuTime: cpuTime,
+        wallTime: executionTime,
         executionTime: executionTime
-      });
+      };
+
+      // Timeouts kill the tree themselves; only look for limits otherwise
+      result.limitExceeded = timedOut || cpuTimedOut ? null : detectLimitViolation(result, limits);
+
+      resolve(result);
     });
 
     // Handle process spawn errors (e.g., command not found)
     child.on('error', (error) => {
       clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+      monitor.stop();
+      activeRuns.delete(run);
+      releaseTaskGroup(taskGroup);
 
       const endTime = performance.now();
       const executionTime = Math.round(endTime - startTime);
@@ -112,15 +293,35 @@ export function executeWithTimeout(command, args, options = {}) {
       resolve({
         stdout: '',
         stderr: `Process spawn error: ${error.message}`,
+        stdoutTruncated: false,
+        stderrTruncated: false,
+        outputBytes: 0,
+        outputLimitExceeded: false,
         exitCode: -1,
         timedOut: false,
+        cpuTimedOut: false,
         killed: false,
+        cancelled: false,
         stdinError: false,
+        memoryLimitExceeded: false,
+        memory: { peak: 0, average: 0, samples: 0 },
+        taskLimitHit: false,
+        limitsEnforced: limited.enforced,
+        sandboxed: isolated.sandboxed,
+        limitExceeded: null,
         error: error,
+        cpuTime: 0,
+        wallTime: executionTime,
         executionTime: executionTime
       });
     });
 
+    // Interactive run: stdin is fed (and closed) by the caller
+    if (onSpawn) {
+      onSpawn(child);
+      return;
+    }
+
     // Pass input via stdin with proper backpressure handling
     if (input && child.stdin) {
       // Handle large inputs without deadlock
@@ -150,10 +351,11 @@ export function executeWithTimeout(command, args, options = {}) {
 /**
  * Kill entire process tree using process group ID
  * Cross-platform: Works on Unix (PGID) and Windows (taskkill)
+ * Exported for cancellation; runs started here are killed through their signal.
  * 
  * @param {ChildProcess} child - Child process to kill
  */
-function killProcessTree(child) {
+export function killProcessTree(child) {
   if (!child || !child.pid) return;
 
   try {
@@ -0,0 +1,170 @@
+/**
+ * Minimal XML Reader
+ *
+ * RESPONSIBILITIES:
+ * - Parse a well-formed XML document into a tree of elements
+ * - Decode the predefined and numeric character entities
+ * - Find child elements by name
+ *
+ * Enough for machine-written files such as Polygon's problem.xml: no DTDs,
+ * namespaces or validation. Comments, processing instructions and the
+ * declaration are skipped; CDATA sections become text.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Parse an XML document
+ * @param {string} text - Document
+ * @returns {object} Root element { name, attributes, children, text }
+ * @throws {Error} On malformed markup
+ */
+export function parseXml(text) {
+  const root = { name: '#document', attributes: {}, children: [], text: '' };
+  const stack = [root];
+  let position = 0;
+
+  while (position < text.length) {
+    const open = text.indexOf('<', position);
+    const current = stack[stack.length - 1];
+
+    if (open === -1) {
+      current.text += decodeEntities(text.slice(position));
+      break;
+    }
+    current.text += decodeEntities(text.slice(position, open));
+
+    if (text.startsWith('<!--', open)) {
+      position = skipPast(text, open, '-->');
+    } else if (text.startsWith('<![CDATA[', open)) {
+      const end = text.indexOf(']]>', open);
+      if (end === -1) throw new Error('Unterminated CDATA section');
+      current.text += text.slice(open + 9, end);
+      position = end + 3;
+    } else if (text.startsWith('<?', open) || text.startsWith('<!', open)) {
+      position = skipPast(text, open, '>');
+    } else if (text.startsWith('</', open)) {
+      const end = skipPast(text, open, '>');
+      const name = text.slice(open + 2, end - 1).trim();
+      if (stack.length === 1 || current.name !== name) {
+        throw new Error(`Unexpected closing tag </${name}>`);
+      }
+      stack.pop();
+      position = end;
+    } else {
+      const end = findTagEnd(text, open);
+      const selfClosing = text[end - 1] === '/';
+      const { name, attributes } = parseTag(text.slice(open + 1, selfClosing ? end - 1 : end));
+      const element = { name, attributes, children: [], text: '' };
+
+      current.children.push(element);
+      if (!selfClosing) {
+        stack.push(element);
+      }
+      position = end + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Unclosed tag <${stack[stack.length - 1].name}>`);
+  }
+  if (root.children.length !== 1) {
+    throw new Error('Expected exactly one root element');
+  }
+  return root.children[0];
+}
+
+/**
+ * First child element with a name
+ * @param {object|null} element - Parent element
+ * @param {string} name - Child name
+ * @returns {object|null} Child element
+ */
+export function childElement(element, name) {
+  return element?.children.find(child => child.name === name) || null;
+}
+
+/**
+ * All child elements with a name
+ * @param {object|null} element - Parent element
+ * @param {string} name - Child name
+ * @returns {object[]} Child elements
+ */
+export function childElements(element, name) {
+  return element ? element.children.filter(child => child.name === name) : [];
+}
+
+/**
+ * Index just past a terminator
+ * @param {string} text - Document
+ * @param {number} from - Search start
+ * @param {string} terminator - e.g. "-->"
+ * @returns {number} Index after the terminator
+ */
+function skipPast(text, from, terminator) {
+  const end = text.indexOf(terminator, from);
+  if (end === -1) throw new Error(`Unterminated markup at offset ${from}`);
+  return end + terminator.length;
+}
+
+/**
+ * Index of the ">" closing a start tag (quoted attribute values may hold ">")
+ * @param {string} text - Document
+ * @param {number} open - Index of "<"
+ * @returns {number} Index of ">"
+ */
+function findTagEnd(text, open) {
+  let quote = null;
+  for (let i = open + 1; i < text.length; i++) {
+    const char = text[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '>') {
+      return i;
+    }
+  }
+  throw new Error(`Unterminated tag at offset ${open}`);
+}
+
+/**
+ * Split a start tag into its name and attributes
+ * @param {string} tag - Tag text between "<" and ">"
+ * @returns {object} { name, attributes }
+ */
+function parseTag(tag) {
+  const name = tag.match(/^\s*([^\s/>]+)/)?.[1];
+  if (!name) throw new Error(`Malformed tag <${tag}>`);
+
+  const attributes = {};
+  const rest = tag.slice(tag.indexOf(name) + name.length);
+  const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(rest)) !== null) {
+    attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+  }
+
+  return { name, attributes };
+}
+
+/**
+ * Decode character entities
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+export default {
+  parseXml,
+  childElement,
+  childElements
+};
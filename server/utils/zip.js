@@ -0,0 +1,129 @@
+/**
+ * Zip Archive Reader
+ *
+ * RESPONSIBILITIES:
+ * - List the files in a zip archive held in memory
+ * - Extract single entries (stored or deflated)
+ * - Refuse what it cannot read safely: encryption, ZIP64, oversized entries
+ *
+ * Only reading is supported, which is all test imports need. Entries are
+ * found through the central directory at the end of the archive, so the
+ * local headers' (possibly absent) sizes are never trusted.
+ */
+
+import zlib from 'zlib';
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+// Largest extracted entry (a test file this big is already unusable)
+const MAX_ENTRY_BYTES = 256 * 1024 * 1024;
+
+/**
+ * Read the central directory of a zip archive
+ * @param {Buffer} buffer - Whole archive
+ * @returns {object[]} Entries { name, method, compressedSize, size, localOffset, encrypted }
+ *   (directories left out)
+ * @throws {Error} If the buffer is not a zip archive this reader supports
+ */
+export function listZipEntries(buffer) {
+  const eocd = findEndOfCentralDirectory(buffer);
+  const count = buffer.readUInt16LE(eocd + 10);
+  let offset = buffer.readUInt32LE(eocd + 16);
+
+  if (count === 0xffff || offset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported');
+  }
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupted zip central directory');
+    }
+
+    const flags = buffer.readUInt16LE(offset + 8);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    // Bit 11: the name is UTF-8 (otherwise CP437, read as latin1)
+    const name = buffer.toString(flags & 0x800 ? 'utf8' : 'latin1', offset + 46, offset + 46 + nameLength);
+
+    if (!name.endsWith('/')) {
+      entries.push({
+        name: name.replace(/\\/g, '/'),
+        method: buffer.readUInt16LE(offset + 10),
+        compressedSize: buffer.readUInt32LE(offset + 20),
+        size: buffer.readUInt32LE(offset + 24),
+        localOffset: buffer.readUInt32LE(offset + 42),
+        encrypted: Boolean(flags & 0x1)
+      });
+    }
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Extract one entry
+ * @param {Buffer} buffer - Whole archive
+ * @param {object} entry - Entry from listZipEntries
+ * @returns {Buffer} Uncompressed contents
+ * @throws {Error} If the entry is encrypted, uses another compression method or is too big
+ */
+export function readZipEntry(buffer, entry) {
+  if (entry.encrypted) {
+    throw new Error(`${entry.name}: encrypted zip entries are not supported`);
+  }
+  if (entry.size > MAX_ENTRY_BYTES) {
+    throw new Error(`${entry.name}: larger than ${MAX_ENTRY_BYTES / 1024 / 1024}MB`);
+  }
+
+  const local = entry.localOffset;
+  if (local + 30 > buffer.length || buffer.readUInt32LE(local) !== LOCAL_SIGNATURE) {
+    throw new Error(`${entry.name}: corrupted local header`);
+  }
+
+  const start = local + 30 + buffer.readUInt16LE(local + 26) + buffer.readUInt16LE(local + 28);
+  const data = buffer.subarray(start, start + entry.compressedSize);
+
+  if (entry.method === METHOD_STORED) {
+    return Buffer.from(data);
+  }
+  if (entry.method === METHOD_DEFLATED) {
+    // Capped, so a lying size field cannot inflate without bound
+    return zlib.inflateRawSync(data, { maxOutputLength: Math.max(entry.size, 1) });
+  }
+
+  throw new Error(`${entry.name}: unsupported compression method ${entry.method}`);
+}
+
+/**
+ * Locate the end-of-central-directory record (it may be followed by a comment)
+ * @param {Buffer} buffer - Whole archive
+ * @returns {number} Offset of the record
+ * @throws {Error} If there is none
+ */
+function findEndOfCentralDirectory(buffer) {
+  if (buffer.length < 22) {
+    throw new Error('Not a zip archive');
+  }
+
+  const lowest = Math.max(0, buffer.length - 22 - 0xffff);
+  for (let offset = buffer.length - 22; offset >= lowest; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) {
+      return offset;
+    }
+  }
+  throw new Error('Not a zip archive');
+}
+
+export default {
+  listZipEntries,
+  readZipEntry
+};
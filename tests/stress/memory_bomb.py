@@ -6,11 +6,11 @@ PURPOSE:
 Test that the judge correctly:
 - Detects excessive memory usage
 - Kills process when memory limit exceeded
-- Returns appropriate verdict (TLE or RE)
+- Returns appropriate verdict (MLE)
 - No system hang
 
 EXPECTED BEHAVIOR:
-- Verdict: TLE (killed by OS) or RE (out of memory)
+- Verdict: MLE (allocation refused by RLIMIT_AS or RSS over the limit)
 - Process killed before consuming all system RAM
 - No system instability
 """
@@ -9,7 +9,7 @@
  * - Properly compares output (or caps it)
  * 
  * EXPECTED BEHAVIOR:
- * - Verdict: WA (output too large) or AC (if expected matches)
+ * - Verdict: MLE (Node buffers unflushed writes) or OLE (output limit)
  * - No memory overflow
  * - Server remains stable
  * - Reasonable execution time
@@ -4,8 +4,10 @@
  * ARCHITECTURE:
  * - Thin client (no code execution)
  * - Detects active file & language
- * - Reads test files (input.txt / output.txt)
- * - Calls local judge server
+ * - Reads test files: the active file's CPH problem (.cph/*.prob), else
+ *   input.txt / output.txt, else the problem the judge received from
+ *   Competitive Companion
+ * - Calls local judge server (streamed: each test is shown as it finishes)
  * - Displays results in Output Channel
  * 
  * RESPONSIBILITIES:
@@ -18,6 +20,7 @@ const vscode = require('vscode');
 const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 
 // Local judge server URL
 const JUDGE_SERVER = 'http://localhost:3000';
@@ -32,6 +35,19 @@ const LANGUAGE_MAP = {
   'java': 'java'
 };
 
+// Validator files picked up from the workspace root (first match wins)
+const VALIDATOR_FILES = {
+  'validator.cpp': 'cpp',
+  'validator.py': 'python',
+  'validator.js': 'javascript'
+};
+
+// Folder where the CPH extension keeps each source's problem (tests and limits)
+const CPH_FOLDER = '.cph';
+
+// Most tests the judge takes in one /run request
+const MAX_RUN_TESTS = 50;
+
 // Output channel (global, persists across commands)
 let outputChannel = null;
 
@@ -101,25 +117,50 @@ async function runJudge() {
     // Step 3: Read test files
     outputChannel.appendLine('[3/5] Reading test files...');
     const workspaceRoot = getWorkspaceRoot();
-    const testCases = readTestFiles(workspaceRoot);
+    const companionProblem = hasTestFiles(workspaceRoot, filePath) ? null : await getCompanionProblem();
+    const { testCases, problem, source, skippedTests } = companionProblem
+      ? { testCases: companionProblem.testCases, problem: companionProblem, source: 'Competitive Companion' }
+      : readTestFiles(workspaceRoot, filePath);
+    if (problem) {
+      outputChannel.appendLine(`✅ Problem: ${problem.name} (from ${source})`);
+    }
     outputChannel.appendLine(`✅ Found ${testCases.length} test case(s)`);
+    if (skippedTests) {
+      outputChannel.appendLine(`⚠️  ${skippedTests} more test(s) skipped: a run takes at most ${MAX_RUN_TESTS}`);
+    }
+    const validator = readValidator(workspaceRoot);
+    if (validator) {
+      outputChannel.appendLine(`✅ Validator: ${validator.fileName}`);
+    }
     outputChannel.appendLine('');
 
-    // Step 4: Submit to judge
-    outputChannel.appendLine('[4/5] Submitting to judge...');
-    const response = await axios.post(`${JUDGE_SERVER}/api/run`, {
+    // Step 4: Submit to judge, printing each test as its verdict arrives
+    outputChannel.appendLine('[4/5] Running on judge...');
+    outputChannel.appendLine('━'.repeat(60));
+    const result = await streamRun({
       language: judgeLanguage,
       code: code,
       testCases: testCases,
-      timeLimit: 2000
+      timeLimit: problem?.timeLimit || 2000,
+      memoryLimit: problem?.memoryLimit || undefined,
+      validator: validator ? { code: validator.code, language: validator.language } : null,
+      // The problem, or else the workspace folder, names the run in the judge's history
+      problem: problem
+        ? { name: problem.name, url: problem.url, platform: problem.platform }
+        : path.basename(workspaceRoot)
+    }, (type, data) => {
+      if (type === 'compile-finish' && data.success) {
+        outputChannel.appendLine(`🔨 Compiled ${data.program}${data.cached ? ' (cached)' : ` in ${data.compileTime}ms`}`);
+        outputChannel.appendLine('');
+      } else if (type === 'test-verdict') {
+        displayTestResult(data);
+      }
     });
-    outputChannel.appendLine('✅ Execution complete');
-    outputChannel.appendLine('');
 
-    // Step 5: Display results
+    // Step 5: Display summary
     outputChannel.appendLine('[5/5] Results:');
     outputChannel.appendLine('━'.repeat(60));
-    displayResults(response.data);
+    displayResults(result);
 
   } catch (error) {
     outputChannel.appendLine('');
@@ -148,6 +189,49 @@ async function checkServer() {
   }
 }
 
+/**
+ * Run on the judge's event stream (POST /api/run/stream)
+ * @param {object} request - /api/run request body
+ * @param {function} onEvent - Called with (type, data) for each progress event
+ * @returns {Promise<object>} Final /api/run response (the summary event)
+ */
+async function streamRun(request, onEvent) {
+  const response = await axios.post(`${JUDGE_SERVER}/api/run/stream`, request, { responseType: 'stream' });
+
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let summary = null;
+
+    response.data.setEncoding('utf8');
+    response.data.on('data', (chunk) => {
+      const blocks = (buffer + chunk).split('\n\n');
+      buffer = blocks.pop();
+
+      for (const block of blocks) {
+        const lines = block.split('\n');
+        const typeLine = lines.find(line => line.startsWith('event:'));
+        const data = lines.filter(line => line.startsWith('data:')).map(line => line.slice(5).trim()).join('\n');
+        if (!typeLine || !data) continue; // heartbeat
+
+        const type = typeLine.slice(6).trim();
+        const payload = JSON.parse(data);
+        if (type === 'summary') {
+          summary = payload;
+        } else if (type === 'error') {
+          reject(new Error(payload.message || payload.error));
+        } else {
+          onEvent(type, payload);
+        }
+      }
+    });
+    response.data.on('end', () => {
+      if (summary) resolve(summary);
+      else reject(new Error('Judge closed the stream without a result'));
+    });
+    response.data.on('error', reject);
+  });
+}
+
 /**
  * Get currently active file and its contents
  * @returns {object} { code, filePath, languageId }
@@ -183,14 +267,40 @@ function getWorkspaceRoot() {
 }
 
 /**
- * Read test cases from input.txt and output.txt
- * Convention: Each test case separated by blank line or specific delimiter
- * 
+ * Check whether the workspace has its own test files
+ * @param {string} workspaceRoot - Workspace directory path
+ * @param {string} filePath - Active source file
+ * @returns {boolean} True if the source has a CPH problem or input.txt exists
+ */
+function hasTestFiles(workspaceRoot, filePath) {
+  return findCphProblem(filePath) !== null || fs.existsSync(path.join(workspaceRoot, 'input.txt'));
+}
+
+/**
+ * Get the problem the judge last received from Competitive Companion
+ * @returns {Promise<object|null>} Problem with testCases, or null if none
+ */
+async function getCompanionProblem() {
+  const response = await axios.get(`${JUDGE_SERVER}/api/current-problem`, { timeout: 3000 });
+  const problem = response.data.problem;
+  return problem && problem.testCases.length > 0 ? problem : null;
+}
+
+/**
+ * Read test cases: the source's CPH problem if it has one, else input.txt and output.txt
+ *
  * @param {string} workspaceRoot - Workspace directory path
- * @returns {Array} Array of test case objects
+ * @param {string} filePath - Active source file
+ * @returns {object} { testCases, problem ({ name, url, platform, timeLimit, memoryLimit }
+ *   for a CPH problem, else null), source (file the tests came from) }
  * @throws Error if test files not found
  */
-function readTestFiles(workspaceRoot) {
+function readTestFiles(workspaceRoot, filePath) {
+  const cphPath = findCphProblem(filePath);
+  if (cphPath) {
+    return readCphProblem(cphPath);
+  }
+
   const inputPath = path.join(workspaceRoot, 'input.txt');
   const outputPath = path.join(workspaceRoot, 'output.txt');
 
@@ -198,7 +308,7 @@ function readTestFiles(workspaceRoot) {
   if (!fs.existsSync(inputPath)) {
     throw new Error(
       'input.txt not found in workspace root.\n' +
-      'Create input.txt with test inputs.'
+      'Create input.txt with test inputs, or send the problem with Competitive Companion.'
     );
   }
 
@@ -214,14 +324,128 @@ function readTestFiles(workspaceRoot) {
   const output = fs.readFileSync(outputPath, 'utf8');
 
   // Simple format: Single test case (can be extended later)
-  return [{
-    input: input.trim(),
-    expectedOutput: output.trim()
-  }];
+  // Inputs keep one final newline, as judges (and strict validators) expect
+  return {
+    testCases: [{
+      input: input.trim() + '\n',
+      expectedOutput: output.trim()
+    }],
+    problem: null,
+    source: 'input.txt'
+  };
+}
+
+/**
+ * Find the CPH problem file of a source
+ * CPH names it after the source and the md5 of its absolute path; a folder
+ * copied from elsewhere keeps the old hash, so any file for the same source
+ * name is taken next (the most recently modified).
+ * @param {string} filePath - Source file
+ * @returns {string|null} .prob path
+ */
+function findCphProblem(filePath) {
+  const folder = path.join(path.dirname(filePath), CPH_FOLDER);
+  const fileName = path.basename(filePath);
+  const hash = crypto.createHash('md5').update(filePath).digest('hex');
+
+  const exact = path.join(folder, `.${fileName}_${hash}.prob`);
+  if (fs.existsSync(exact)) {
+    return exact;
+  }
+
+  if (!fs.existsSync(folder)) {
+    return null;
+  }
+
+  const candidates = fs.readdirSync(folder)
+    .filter(name => name.startsWith(`.${fileName}_`) && name.endsWith('.prob'))
+    .map(name => path.join(folder, name))
+    .sort((a, b) => fs.statSync(b).mtimeMs - fs.statSync(a).mtimeMs);
+  return candidates[0] || null;
+}
+
+/**
+ * Read a CPH problem file
+ * Maps it the way the judge maps .prob files and Competitive Companion
+ * problems (server/api/companion.js and cph.js); the library is left alone.
+ * A problem with more tests than a run takes is cut to the first MAX_RUN_TESTS.
+ * @param {string} cphPath - .prob path
+ * @returns {object} As readTestFiles, plus skippedTests (tests left out)
+ * @throws Error if the file is not a CPH problem
+ */
+function readCphProblem(cphPath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(cphPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Cannot read ${cphPath}: ${error.message}`);
+  }
+
+  if (!Array.isArray(data.tests)) {
+    throw new Error(`${cphPath} has no tests`);
+  }
+
+  for (const [i, test] of data.tests.entries()) {
+    if (!test || typeof test.input !== 'string' || typeof test.output !== 'string') {
+      throw new Error(`${cphPath}: test ${i + 1} must have string input and output`);
+    }
+  }
+
+  // CPH's own problems have the source path as url and "local" as group
+  const remote = data.local !== true && /^https?:\/\//i.test(data.url || '');
+  const tests = data.tests.slice(0, MAX_RUN_TESTS);
+  return {
+    testCases: tests.map(test => ({ input: test.input, expectedOutput: test.output })),
+    problem: {
+      name: (typeof data.name === 'string' && data.name.trim()) || path.basename(data.srcPath || cphPath),
+      url: remote ? data.url : null,
+      platform: remote ? platformOf(data.group, data.url) : null,
+      timeLimit: Number.isFinite(data.timeLimit) && data.timeLimit > 0 ? data.timeLimit : null,
+      memoryLimit: Number.isFinite(data.memoryLimit) && data.memoryLimit > 0 ? data.memoryLimit : null
+    },
+    source: `${CPH_FOLDER}/${path.basename(cphPath)}`,
+    skippedTests: data.tests.length - tests.length
+  };
+}
+
+/**
+ * Platform id from the group ("Codeforces - Educational Round 150") or url host
+ * (same as the judge's, so runs land under the same platform in its history)
+ * @param {string} group - Judge and contest
+ * @param {string} url - Problem URL
+ * @returns {string|null} e.g. "codeforces"
+ */
+function platformOf(group, url) {
+  if (typeof group === 'string' && group.trim()) {
+    return group.split(' - ')[0].trim().toLowerCase().replace(/\s+/g, '-');
+  }
+
+  try {
+    return new URL(url).hostname.replace(/^www\./, '').split('.')[0];
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read the problem's input validator, if the workspace has one
+ * (validator.cpp / validator.py / validator.js next to input.txt)
+ * @param {string} workspaceRoot - Workspace directory path
+ * @returns {object|null} { fileName, code, language }
+ */
+function readValidator(workspaceRoot) {
+  for (const [fileName, language] of Object.entries(VALIDATOR_FILES)) {
+    const validatorPath = path.join(workspaceRoot, fileName);
+    if (fs.existsSync(validatorPath)) {
+      return { fileName, code: fs.readFileSync(validatorPath, 'utf8'), language };
+    }
+  }
+  return null;
 }
 
 /**
- * Display execution results in output channel
+ * Display the run summary in output channel
+ * (individual tests are shown as they finish, see displayTestResult)
  * @param {object} result - Judge response data
  */
 function displayResults(result) {
@@ -236,6 +460,11 @@ function displayResults(result) {
       outputChannel.appendLine('Details:');
       outputChannel.appendLine(result.compilationError.details);
     }
+
+    if (result.validatorError) {
+      outputChannel.appendLine('VALIDATOR COMPILATION ERROR:');
+      outputChannel.appendLine(result.validatorError.stderr);
+    }
     return;
   }
 
@@ -247,32 +476,6 @@ function displayResults(result) {
   outputChannel.appendLine(`Peak Memory: ${summary.peakMemory}MB`);
   outputChannel.appendLine('');
 
-  // Individual test results
-  result.results.forEach((test, index) => {
-    outputChannel.appendLine(`Test Case ${test.testCase}:`);
-    outputChannel.appendLine(`  Verdict: ${getVerdictEmoji(test.verdict)} ${test.verdict}`);
-    outputChannel.appendLine(`  Time: ${test.executionTime}ms`);
-    outputChannel.appendLine(`  Memory: ${test.memory.peak}MB`);
-    
-    if (test.verdict === 'WA' && test.diff) {
-      outputChannel.appendLine('');
-      outputChannel.appendLine('  Difference:');
-      test.diff.split('\n').forEach(line => {
-        outputChannel.appendLine('    ' + line);
-      });
-    }
-    
-    if (test.stderr && test.stderr.trim()) {
-      outputChannel.appendLine('');
-      outputChannel.appendLine('  Error Output:');
-      test.stderr.split('\n').slice(0, 5).forEach(line => {
-        outputChannel.appendLine('    ' + line);
-      });
-    }
-    
-    outputChannel.appendLine('');
-  });
-
   outputChannel.appendLine('━'.repeat(60));
   
   // Final verdict message
@@ -283,6 +486,50 @@ function displayResults(result) {
   }
 }
 
+/**
+ * Display one test result in output channel
+ * @param {object} test - Entry of the judge's results
+ */
+function displayTestResult(test) {
+  outputChannel.appendLine(`Test Case ${test.testCase}:`);
+  outputChannel.appendLine(`  Verdict: ${getVerdictEmoji(test.verdict)} ${test.verdict}`);
+  outputChannel.appendLine(`  Time: ${test.executionTime}ms (CPU ${test.cpuTime}ms, wall ${test.wallTime}ms)`);
+  outputChannel.appendLine(`  Memory: ${test.memory.peak}MB`);
+
+  if (test.verdict !== 'AC') {
+    outputChannel.appendLine(`  Details: ${test.message}`);
+  }
+  
+  if (test.verdict === 'WA' && test.diff) {
+    outputChannel.appendLine('');
+    outputChannel.appendLine('  Difference:');
+    test.diff.split('\n').forEach(line => {
+      outputChannel.appendLine('    ' + line);
+    });
+  }
+  
+  if (test.transcript && test.verdict !== 'AC') {
+    outputChannel.appendLine('');
+    outputChannel.appendLine('  Interaction (> interactor, < solution):');
+    test.transcript.entries.slice(-20).forEach(entry => {
+      const marker = entry.from === 'interactor' ? '>' : '<';
+      entry.data.replace(/\n$/, '').split('\n').forEach(line => {
+        outputChannel.appendLine(`    ${marker} ${line}`);
+      });
+    });
+  }
+
+  if (test.stderr && test.stderr.trim()) {
+    outputChannel.appendLine('');
+    outputChannel.appendLine('  Error Output:');
+    test.stderr.split('\n').slice(0, 5).forEach(line => {
+      outputChannel.appendLine('    ' + line);
+    });
+  }
+  
+  outputChannel.appendLine('');
+}
+
 /**
  * Get emoji for verdict
  * @param {string} verdict - Verdict string (AC, WA, TLE, etc.)
@@ -293,9 +540,13 @@ function getVerdictEmoji(verdict) {
     'AC': '✅',
     'WA': '❌',
     'TLE': '⏱️',
+    'ILE': '💤',
     'RE': '💥',
     'CE': '🔨',
-    'MLE': '💾'
+    'MLE': '💾',
+    'OLE': '📜',
+    'PE': '📐',
+    'FAIL': '⚠️'
   };
   return emojiMap[verdict] || '❓';
 }